@@ -166,7 +166,7 @@ class MessageFlowExample {
 
   async stopConsuming() {
     console.log('⏹️  Stopping message consumption...');
-    this.consumer.stop();
+    await this.consumer.stop();
     console.log('✅ Consumer stopped\n');
   }
 
@@ -0,0 +1,321 @@
+/**
+ * @fileoverview Concurrency Controller for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require('events');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { GetQueueAttributesCommand } = require('@aws-sdk/client-sqs');
+const { emitError } = require('../utils/events');
+
+/**
+ * Reasons reported with each concurrency adjustment
+ * @readonly
+ * @enum {string}
+ */
+const AdjustmentReason = {
+  EVENT_LOOP_LAG: 'event_loop_lag',
+  ERROR_RATE: 'error_rate',
+  LATENCY: 'latency',
+  BACKLOG: 'backlog',
+  IDLE: 'idle'
+};
+
+/**
+ * Default controller configuration
+ * @private
+ */
+const DEFAULT_CONFIG = {
+  minConcurrency: 1,
+  maxConcurrency: 10,
+  minReceiveLoops: 1,
+  maxReceiveLoops: 4,
+  messagesPerReceive: 10,
+  intervalMs: 10000,
+  maxLatencyMs: 5000,
+  maxErrorRate: 0.1,
+  maxEventLoopLagMs: 100,
+  scaleUpStep: 2,
+  scaleDownFactor: 0.5
+};
+
+/**
+ * Concurrency Controller class for adapting consumer concurrency to the observed load
+ * Periodically samples handler latency, error rate, queue backlog and event-loop lag, then raises concurrency
+ * additively while there is a healthy backlog and lowers it multiplicatively under pressure.
+ * Emits `adjusted` with the new target and the reason for every change, and `error` with `{ queueUrl, operation }`
+ * when an evaluation or a backlog read fails.
+ */
+class ConcurrencyController extends EventEmitter {
+  /**
+   * Creates a new ConcurrencyController instance
+   * @param {Object} sqsClient - SQS client instance
+   * @param {string} queueUrl - Queue URL whose backlog is sampled
+   * @param {Object} [config] - Controller configuration
+   * @param {number} [config.minConcurrency=1] - Lowest target concurrency
+   * @param {number} [config.maxConcurrency=10] - Highest target concurrency
+   * @param {number} [config.initialConcurrency] - Starting target (default: minConcurrency)
+   * @param {number} [config.minReceiveLoops=1] - Lowest number of concurrent receive loops
+   * @param {number} [config.maxReceiveLoops=4] - Highest number of concurrent receive loops
+   * @param {number} [config.messagesPerReceive=10] - Messages fetched by one receive, used to size the receive loops
+   * @param {number} [config.intervalMs=10000] - Time between evaluations
+   * @param {number} [config.maxLatencyMs=5000] - Average handler latency above which concurrency is lowered
+   * @param {number} [config.maxErrorRate=0.1] - Failure rate above which concurrency is lowered
+   * @param {number} [config.maxEventLoopLagMs=100] - Mean event-loop delay above which concurrency is lowered
+   * @param {number} [config.scaleUpStep=2] - Concurrency added when scaling up
+   * @param {number} [config.scaleDownFactor=0.5] - Factor concurrency is multiplied by when scaling down
+   */
+  constructor(sqsClient, queueUrl, config = {}) {
+    super();
+    
+    this.sqsClient = sqsClient;
+    this.queueUrl = queueUrl;
+    this.config = Object.fromEntries(Object.entries(DEFAULT_CONFIG).map(([key, value]) => [
+      key,
+      config[key] !== undefined ? config[key] : value
+    ]));
+    
+    if (this.config.minConcurrency > this.config.maxConcurrency) {
+      throw new Error('minConcurrency must not exceed maxConcurrency');
+    }
+    
+    this.targetConcurrency = this._clamp(config.initialConcurrency || this.config.minConcurrency);
+    this.receiveLoops = this._receiveLoopsFor(this.targetConcurrency);
+    this.window = this._createWindow();
+    this.adjustments = 0;
+    this.lastAdjustment = null;
+    this.lastMetrics = null;
+    this.timer = null;
+    this.loopDelay = null;
+  }
+
+  /**
+   * Starts periodic evaluation
+   */
+  start = () => {
+    if (this.timer) {
+      return;
+    }
+    
+    this.loopDelay = monitorEventLoopDelay({ resolution: 20 });
+    this.loopDelay.enable();
+    this._schedule();
+  };
+
+  /**
+   * Stops periodic evaluation
+   */
+  stop = () => {
+    clearTimeout(this.timer);
+    this.timer = null;
+    
+    if (this.loopDelay) {
+      this.loopDelay.disable();
+      this.loopDelay = null;
+    }
+  };
+
+  /**
+   * Records the outcomes of a processed batch in the current evaluation window
+   * @param {Object} results - Processing results with per-message outcomes
+   */
+  record = (results) => {
+    (results.outcomes || []).forEach(outcome => {
+      if (outcome.skipped || outcome.nacked) {
+        return;
+      }
+      
+      this.window.processed++;
+      this.window.totalLatency += outcome.processingTime || 0;
+      if (!outcome.success) {
+        this.window.failed++;
+      }
+    });
+  };
+
+  /**
+   * Samples the current metrics and adjusts the target concurrency
+   * @returns {Promise<Object|null>} The adjustment, or null when the target did not change
+   */
+  evaluate = async () => {
+    const metrics = await this._collectMetrics();
+    const decision = this._decide(metrics);
+    this.lastMetrics = metrics;
+    this.window = this._createWindow();
+    
+    if (!decision || decision.targetConcurrency === this.targetConcurrency) {
+      return null;
+    }
+    
+    const adjustment = {
+      previousConcurrency: this.targetConcurrency,
+      targetConcurrency: decision.targetConcurrency,
+      previousReceiveLoops: this.receiveLoops,
+      receiveLoops: this._receiveLoopsFor(decision.targetConcurrency),
+      reason: decision.reason,
+      metrics,
+      timestamp: Date.now()
+    };
+    
+    this.targetConcurrency = adjustment.targetConcurrency;
+    this.receiveLoops = adjustment.receiveLoops;
+    this.adjustments++;
+    this.lastAdjustment = adjustment;
+    this.emit('adjusted', adjustment);
+    
+    return adjustment;
+  };
+
+  /**
+   * Schedules the next evaluation
+   * @private
+   */
+  _schedule = () => {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.evaluate();
+      } catch (error) {
+        emitError(this, error, { queueUrl: this.queueUrl, operation: 'autoscale' });
+      }
+      
+      if (this.timer) {
+        this._schedule();
+      }
+    }, this.config.intervalMs);
+  };
+
+  /**
+   * Collects the metrics of the current evaluation window
+   * @private
+   * @returns {Promise<Object>} Latency, error rate, backlog and event-loop lag
+   */
+  _collectMetrics = async () => {
+    const { processed, failed, totalLatency } = this.window;
+    const eventLoopLagMs = this.loopDelay && this.loopDelay.count > 0 ? this.loopDelay.mean / 1e6 : 0;
+    
+    if (this.loopDelay) {
+      this.loopDelay.reset();
+    }
+    
+    return {
+      processed,
+      averageLatencyMs: processed > 0 ? totalLatency / processed : 0,
+      errorRate: processed > 0 ? failed / processed : 0,
+      backlog: await this._getBacklog(),
+      eventLoopLagMs
+    };
+  };
+
+  /**
+   * Reads ApproximateNumberOfMessages of the queue
+   * @private
+   * @returns {Promise<number|null>} Visible messages, or null when the attribute cannot be read
+   */
+  _getBacklog = async () => {
+    try {
+      const result = await this.sqsClient.executeCommand(new GetQueueAttributesCommand({
+        QueueUrl: this.queueUrl,
+        AttributeNames: ['ApproximateNumberOfMessages']
+      }));
+      
+      return Number(result.Attributes?.ApproximateNumberOfMessages || 0);
+    } catch (error) {
+      emitError(this, error, { queueUrl: this.queueUrl, operation: 'read_backlog' });
+      return null;
+    }
+  };
+
+  /**
+   * Decides the new target concurrency from a metrics sample
+   * Pressure signals are checked first so the controller backs off before it scales up
+   * @private
+   * @param {Object} metrics - Metrics sample
+   * @returns {Object|null} `{ targetConcurrency, reason }`, or null to keep the current target
+   */
+  _decide = (metrics) => {
+    const scaleDown = (reason) => ({
+      targetConcurrency: this._clamp(Math.floor(this.targetConcurrency * this.config.scaleDownFactor)),
+      reason
+    });
+    
+    if (metrics.eventLoopLagMs > this.config.maxEventLoopLagMs) {
+      return scaleDown(AdjustmentReason.EVENT_LOOP_LAG);
+    }
+    
+    if (metrics.processed > 0 && metrics.errorRate > this.config.maxErrorRate) {
+      return scaleDown(AdjustmentReason.ERROR_RATE);
+    }
+    
+    if (metrics.processed > 0 && metrics.averageLatencyMs > this.config.maxLatencyMs) {
+      return scaleDown(AdjustmentReason.LATENCY);
+    }
+    
+    if (metrics.backlog !== null && metrics.backlog > this.targetConcurrency) {
+      return {
+        targetConcurrency: this._clamp(this.targetConcurrency + this.config.scaleUpStep),
+        reason: AdjustmentReason.BACKLOG
+      };
+    }
+    
+    if (metrics.backlog === 0 && metrics.processed < this.targetConcurrency) {
+      return { targetConcurrency: this._clamp(this.targetConcurrency - 1), reason: AdjustmentReason.IDLE };
+    }
+    
+    return null;
+  };
+
+  /**
+   * Computes how many receive loops keep a target concurrency supplied with messages
+   * @private
+   * @param {number} concurrency - Target concurrency
+   * @returns {number} Receive loop count within the configured bounds
+   */
+  _receiveLoopsFor = (concurrency) => {
+    const loops = Math.ceil(concurrency / this.config.messagesPerReceive);
+    return Math.min(Math.max(loops, this.config.minReceiveLoops), this.config.maxReceiveLoops);
+  };
+
+  /**
+   * Clamps a concurrency value to the configured bounds
+   * @private
+   * @param {number} concurrency - Concurrency value
+   * @returns {number} Clamped concurrency
+   */
+  _clamp = (concurrency) => Math.min(Math.max(concurrency, this.config.minConcurrency), this.config.maxConcurrency);
+
+  /**
+   * Creates an empty evaluation window
+   * @private
+   * @returns {Object} Evaluation window
+   */
+  _createWindow = () => ({
+    processed: 0,
+    failed: 0,
+    totalLatency: 0
+  });
+
+  /**
+   * Gets autoscaling statistics
+   * @returns {Object} Current target, bounds and the last adjustment
+   */
+  getStats = () => ({
+    targetConcurrency: this.targetConcurrency,
+    receiveLoops: this.receiveLoops,
+    minConcurrency: this.config.minConcurrency,
+    maxConcurrency: this.config.maxConcurrency,
+    adjustments: this.adjustments,
+    lastAdjustment: this.lastAdjustment,
+    lastMetrics: this.lastMetrics
+  });
+
+  /**
+   * Gets the controller configuration
+   * @returns {Object} Controller configuration
+   */
+  getConfig = () => ({ ...this.config });
+}
+
+ConcurrencyController.AdjustmentReason = AdjustmentReason;
+
+module.exports = ConcurrencyController;
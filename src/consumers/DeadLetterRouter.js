@@ -0,0 +1,278 @@
+/**
+ * @fileoverview Dead Letter Router for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const MessagePublisher = require('../publishers/MessagePublisher');
+const CodecRegistry = require('../utils/CodecRegistry');
+const Compressor = require('../utils/Compressor');
+const CloudEventEnvelope = require('../utils/CloudEventEnvelope');
+const { MAX_MESSAGE_ATTRIBUTES } = require('../utils/attributes');
+const { EncryptionAttribute, PayloadAttribute } = require('../types');
+
+/**
+ * Longest error message copied into the forwarded message attributes
+ * @private
+ */
+const MAX_ERROR_MESSAGE_LENGTH = 1024;
+
+/**
+ * Longest JSON list of validation errors copied into the forwarded message attributes
+ * @private
+ */
+const MAX_VALIDATION_ERRORS_LENGTH = 4096;
+
+/**
+ * Original attributes a consumer needs to read the forwarded body, besides the `ce-` attributes of binary CloudEvents
+ * @private
+ */
+const DECODE_ATTRIBUTES = [
+  CodecRegistry.CONTENT_TYPE_ATTRIBUTE,
+  Compressor.CONTENT_ENCODING_ATTRIBUTE,
+  EncryptionAttribute.KEY_ID,
+  EncryptionAttribute.DATA_KEY,
+  PayloadAttribute.KEY,
+  PayloadAttribute.SIZE
+];
+
+/**
+ * Checks whether an original attribute is needed to read the forwarded body
+ * @private
+ * @param {string} name - Attribute name
+ * @returns {boolean} True for content type, encoding, encryption, payload and CloudEvents attributes
+ */
+const isDecodeAttribute = (name) => DECODE_ATTRIBUTES.includes(name) ||
+  name.startsWith(CloudEventEnvelope.ATTRIBUTE_PREFIX);
+
+/**
+ * Message attributes describing why a message was dead-lettered
+ * @readonly
+ * @enum {string}
+ */
+const DeadLetterAttribute = {
+  SOURCE_QUEUE: 'boxq-source-queue',
+  ERROR_MESSAGE: 'boxq-error-message',
+  ERROR_CLASS: 'boxq-error-class',
+  RECEIVE_COUNT: 'boxq-receive-count',
+  FIRST_SEEN: 'boxq-first-seen',
+  VALIDATION_ERRORS: 'boxq-validation-errors'
+};
+
+/**
+ * Dead Letter Router class for moving poison messages to a dead-letter queue
+ * Forwards the original body with attributes describing the failure so triage does not need the original logs
+ */
+class DeadLetterRouter {
+  /**
+   * Creates a new DeadLetterRouter instance
+   * @param {Object} sqsClient - SQS client instance
+   * @param {string} sourceQueueUrl - Queue the messages were received from
+   * @param {Object} config - Dead-letter configuration
+   * @param {string} config.queueUrl - Dead-letter queue URL
+   * @param {number} [config.maxReceiveCount] - Receive count after which a failing message is dead-lettered;
+   *   when omitted only poison messages (such as undecodable bodies) are dead-lettered
+   * @param {MessagePublisher} [config.publisher] - Publisher to forward messages with (default: one for queueUrl)
+   */
+  constructor(sqsClient, sourceQueueUrl, config = {}) {
+    if (!config.queueUrl && !config.publisher) {
+      throw new Error('Dead-letter queue URL is required');
+    }
+    
+    this.sourceQueueUrl = sourceQueueUrl;
+    this.maxReceiveCount = config.maxReceiveCount || null;
+    this.publisher = config.publisher || new MessagePublisher(sqsClient, config.queueUrl, {
+      enableDeduplication: false
+    });
+    this.queueUrl = this.publisher.getQueueUrl();
+    this.stats = this._createStats();
+  }
+
+  /**
+   * Checks whether a message was received more often than allowed before it reached a handler
+   * @param {Object} message - SQS message
+   * @returns {boolean} True if the receive count exceeds maxReceiveCount
+   */
+  hasExceededReceiveCount = (message) => {
+    return this.maxReceiveCount !== null && this._getReceiveCount(message) > this.maxReceiveCount;
+  };
+
+  /**
+   * Checks whether a processed message should be dead-lettered instead of redelivered
+   * @param {Object} message - SQS message
+   * @param {Object} outcome - Processing outcome of the message
+   * @returns {boolean} True if the message is poison or has used its last allowed receive
+   */
+  shouldDeadLetter = (message, outcome) => {
+    if (outcome.success || outcome.skipped || outcome.nacked) {
+      return false;
+    }
+    
+    if (outcome.poison) {
+      return true;
+    }
+    
+    return this.maxReceiveCount !== null && this._getReceiveCount(message) >= this.maxReceiveCount;
+  };
+
+  /**
+   * Forwards a message to the dead-letter queue
+   * The caller deletes the original once this resolves successfully
+   * @param {Object} message - SQS message
+   * @param {Object} failure - Failure description
+   * @param {string} failure.error - Last error message
+   * @param {string} [failure.errorClass] - Class of the last error
+   * @param {Array<Object>} [failure.validationErrors] - Schema validation errors, forwarded as a JSON attribute
+   * @returns {Promise<Object>} Publishing result; unsuccessful when the message could not be forwarded readably
+   */
+  route = async (message, failure) => {
+    let result;
+    try {
+      result = await this.publisher.publishRaw(message.Body, {
+        messageAttributes: this._buildAttributes(message, failure),
+        messageGroupId: message.Attributes?.MessageGroupId || 'boxq-dead-letter',
+        messageDeduplicationId: message.MessageId
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    
+    if (result.success) {
+      this.stats.routed++;
+    } else {
+      this.stats.failed++;
+    }
+    
+    return result;
+  };
+
+  /**
+   * Builds the attributes of the forwarded message
+   * Original attributes needed to read the body always come first, failure attributes next and other original
+   * attributes last, while they fit the SQS limit
+   * @private
+   * @param {Object} message - SQS message
+   * @param {Object} failure - Failure description
+   * @returns {Object} Attribute values, or attributes in SQS format for original attributes, keyed by name
+   * @throws {Error} If the attributes needed to read the body do not fit the SQS limit
+   */
+  _buildAttributes = (message, failure) => {
+    const originals = Object.entries(message.MessageAttributes || {})
+      .filter(([, attribute]) => attribute.StringValue !== undefined || attribute.BinaryValue !== undefined)
+      .map(([name, attribute]) => [name, this._copyAttribute(attribute)]);
+    const decodeAttributes = originals.filter(([name]) => isDecodeAttribute(name));
+    
+    if (decodeAttributes.length > MAX_MESSAGE_ATTRIBUTES) {
+      throw new Error(`Message ${message.MessageId} has more than ${MAX_MESSAGE_ATTRIBUTES} attributes needed to ` +
+        'read its body and cannot be dead-lettered readably');
+    }
+    
+    const attributes = Object.fromEntries(decodeAttributes);
+    [
+      ...Object.entries(this._buildFailureAttributes(message, failure)),
+      ...originals.filter(([name]) => !isDecodeAttribute(name))
+    ].forEach(([name, value]) => {
+      if (!(name in attributes) && Object.keys(attributes).length < MAX_MESSAGE_ATTRIBUTES) {
+        attributes[name] = value;
+      }
+    });
+    
+    return attributes;
+  };
+
+  /**
+   * Builds the attributes describing why a message was dead-lettered
+   * @private
+   * @param {Object} message - SQS message
+   * @param {Object} failure - Failure description
+   * @returns {Object} Attribute values keyed by name, in order of importance
+   */
+  _buildFailureAttributes = (message, failure) => {
+    const firstSeen = Number(message.Attributes?.ApproximateFirstReceiveTimestamp) || Date.now();
+    const attributes = {
+      [DeadLetterAttribute.SOURCE_QUEUE]: this.sourceQueueUrl,
+      [DeadLetterAttribute.ERROR_MESSAGE]: String(failure.error || 'Unknown error').slice(0, MAX_ERROR_MESSAGE_LENGTH),
+      [DeadLetterAttribute.ERROR_CLASS]: failure.errorClass || 'Error',
+      [DeadLetterAttribute.RECEIVE_COUNT]: this._getReceiveCount(message),
+      [DeadLetterAttribute.FIRST_SEEN]: new Date(firstSeen).toISOString()
+    };
+    
+    if (failure.validationErrors && failure.validationErrors.length > 0) {
+      attributes[DeadLetterAttribute.VALIDATION_ERRORS] = this._formatValidationErrors(failure.validationErrors);
+    }
+    
+    return attributes;
+  };
+
+  /**
+   * Serializes validation errors as JSON, keeping as many leading errors as fit the attribute size limit
+   * @private
+   * @param {Array<Object>} validationErrors - Validation errors
+   * @returns {string} JSON array of validation errors
+   */
+  _formatValidationErrors = (validationErrors) => {
+    let kept = validationErrors;
+    let json = JSON.stringify(kept);
+    
+    while (json.length > MAX_VALIDATION_ERRORS_LENGTH && kept.length > 1) {
+      kept = kept.slice(0, Math.ceil(kept.length / 2));
+      json = JSON.stringify(kept);
+    }
+    
+    return json.length > MAX_VALIDATION_ERRORS_LENGTH ? json.slice(0, MAX_VALIDATION_ERRORS_LENGTH) : json;
+  };
+
+  /**
+   * Copies a received SQS message attribute in the format SQS accepts when sending
+   * @private
+   * @param {Object} attribute - SQS message attribute
+   * @returns {Object} `{ DataType, StringValue }` or `{ DataType, BinaryValue }`
+   */
+  _copyAttribute = (attribute) => (attribute.BinaryValue !== undefined
+    ? { DataType: attribute.DataType || 'Binary', BinaryValue: attribute.BinaryValue }
+    : { DataType: attribute.DataType || 'String', StringValue: attribute.StringValue });
+
+  /**
+   * Gets the approximate receive count of a message
+   * @private
+   * @param {Object} message - SQS message
+   * @returns {number} Receive count
+   */
+  _getReceiveCount = (message) => Number(message.Attributes?.ApproximateReceiveCount || 1);
+
+  /**
+   * Creates empty dead-letter statistics
+   * @private
+   * @returns {Object} Dead-letter statistics
+   */
+  _createStats = () => ({
+    routed: 0,
+    failed: 0
+  });
+
+  /**
+   * Gets dead-letter statistics
+   * @returns {Object} Dead-letter statistics
+   */
+  getStats = () => ({ ...this.stats });
+
+  /**
+   * Resets dead-letter statistics
+   */
+  resetStats = () => {
+    this.stats = this._createStats();
+  };
+
+  /**
+   * Gets the dead-letter configuration
+   * @returns {Object} Dead-letter configuration
+   */
+  getConfig = () => ({
+    queueUrl: this.queueUrl,
+    maxReceiveCount: this.maxReceiveCount
+  });
+}
+
+DeadLetterRouter.DeadLetterAttribute = DeadLetterAttribute;
+
+module.exports = DeadLetterRouter;
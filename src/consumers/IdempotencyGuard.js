@@ -0,0 +1,270 @@
+/**
+ * @fileoverview Idempotency Guard for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const MemoryIdempotencyStore = require('../stores/MemoryIdempotencyStore');
+const { IdempotencyStatus } = require('../types');
+
+const MAX_DELAY_SECONDS = 43200;
+
+/**
+ * Built-in idempotency key sources
+ * @private
+ */
+const KEY_SOURCES = {
+  messageId: (message, context) => context.messageId,
+  deduplicationId: (message, context) => context.messageDeduplicationId
+};
+
+/**
+ * Idempotency Guard class suppressing duplicate deliveries of already processed messages
+ * Runs as the first consumer middleware: the key of every message is claimed in the store before the handler
+ * runs. Messages whose key was processed are skipped and deleted; messages whose key is still being processed by
+ * another worker are redelivered later instead of running concurrently. A failed or nacked message releases its
+ * claim so its redelivery is processed again.
+ */
+class IdempotencyGuard {
+  /**
+   * Creates a new IdempotencyGuard instance
+   * @param {Object} [config] - Idempotency configuration
+   * @param {Object} [config.store] - Store with `claim`, `complete` and `release` (see MemoryIdempotencyStore);
+   *   defaults to an in-memory LRU store
+   * @param {string|Function} [config.key='messageId'] - `'messageId'`, `'deduplicationId'`, or a function of
+   *   `(message, context)` returning the key; messages without a key are processed without a claim
+   * @param {number} [config.ttlSeconds=86400] - How long processed keys are remembered
+   * @param {number} [config.inProgressTtlSeconds=30] - How long a claim lasts if its handler never settles,
+   *   for example because the process crashed; keep it above the longest handler run
+   * @param {number} [config.inProgressDelaySeconds] - Redelivery delay of messages whose key is being processed
+   *   (default: until the claim expires)
+   * @param {string} [config.namespace=''] - Prefix of every key, separating consumers that share a store
+   * @param {Function} [config.onError] - Called with `(error, { operation, idempotencyKey })` when completing or
+   *   releasing a key fails
+   */
+  constructor(config = {}) {
+    this.store = config.store || new MemoryIdempotencyStore();
+    if (['claim', 'complete', 'release'].some(method => typeof this.store[method] !== 'function')) {
+      throw new Error('Idempotency store must implement claim, complete and release');
+    }
+    
+    this.keyExtractor = this._createKeyExtractor(config.key || 'messageId');
+    this.ttlMs = (config.ttlSeconds || 86400) * 1000;
+    this.inProgressTtlMs = (config.inProgressTtlSeconds || 30) * 1000;
+    this.inProgressDelaySeconds = config.inProgressDelaySeconds;
+    this.namespace = config.namespace || '';
+    this.onError = config.onError;
+    this.stats = this._createStats();
+  }
+
+  /**
+   * Middleware claiming the key of a message around the rest of the chain
+   * The key is exposed to later middlewares and the handler as `context.idempotencyKey`
+   * @param {*} message - Decoded message body
+   * @param {Object} context - Message context
+   * @param {Function} next - Runs the rest of the chain
+   * @returns {Promise<*>} Result of the chain, or undefined when the message was skipped
+   */
+  middleware = async (message, context, next) => {
+    const key = this._resolveKey(message, context);
+    if (key === null) {
+      this.stats.unkeyed++;
+      return next();
+    }
+    
+    context.idempotencyKey = key;
+    const claim = await this._claim(key);
+    if (!claim.claimed) {
+      return this._skip(claim, context);
+    }
+    
+    const nack = this._trackNack(context);
+    let result;
+    try {
+      result = await next();
+    } catch (error) {
+      await this._settle('release', key, claim.token);
+      throw error;
+    }
+    
+    await this._settle(nack.requested ? 'release' : 'complete', key, claim.token);
+    return result;
+  };
+
+  /**
+   * Gets idempotency statistics
+   * @returns {Object} Claims, skipped duplicates, deferred in-progress messages and store errors
+   */
+  getStats = () => ({
+    ...this.stats,
+    ...(typeof this.store.getStats === 'function' && { store: this.store.getStats() })
+  });
+
+  /**
+   * Gets the idempotency configuration
+   * @returns {Object} Idempotency configuration
+   */
+  getConfig = () => ({
+    store: this.store.constructor.name,
+    ttlSeconds: this.ttlMs / 1000,
+    inProgressTtlSeconds: this.inProgressTtlMs / 1000,
+    inProgressDelaySeconds: this.inProgressDelaySeconds,
+    namespace: this.namespace
+  });
+
+  /**
+   * Resets idempotency statistics
+   */
+  resetStats = () => {
+    this.stats = this._createStats();
+  };
+
+  /**
+   * Builds the key extractor from the key option
+   * @private
+   * @param {string|Function} key - Key option
+   * @returns {Function} Function of `(message, context)` returning the key
+   */
+  _createKeyExtractor = (key) => {
+    if (typeof key === 'function') {
+      return key;
+    }
+    
+    if (!KEY_SOURCES[key]) {
+      throw new Error(`Idempotency key must be one of ${Object.keys(KEY_SOURCES).join(', ')} or a function`);
+    }
+    return KEY_SOURCES[key];
+  };
+
+  /**
+   * Resolves the namespaced key of a message
+   * @private
+   * @param {*} message - Decoded message body
+   * @param {Object} context - Message context
+   * @returns {string|null} Key, or null if the message has none
+   */
+  _resolveKey = (message, context) => {
+    const key = this.keyExtractor(message, context);
+    if (key === undefined || key === null || key === '') {
+      return null;
+    }
+    
+    return `${this.namespace}${key}`;
+  };
+
+  /**
+   * Claims a key in the store
+   * @private
+   * @param {string} key - Namespaced key
+   * @returns {Promise<Object>} Claim result of the store
+   * @throws {Error} If the store fails, so the message fails and is redelivered
+   */
+  _claim = async (key) => {
+    try {
+      const claim = await this.store.claim(key, this.inProgressTtlMs);
+      if (claim.claimed) {
+        this.stats.claimed++;
+      }
+      return claim;
+    } catch (error) {
+      this.stats.storeErrors++;
+      throw error;
+    }
+  };
+
+  /**
+   * Skips a message whose key could not be claimed
+   * A processed key short-circuits the chain so the message is deleted; a key in progress nacks the message
+   * until the claim expires or the configured in-progress delay has passed
+   * @private
+   * @param {Object} claim - Claim result with the `status` and `expiresAt` of the existing record
+   * @param {Object} context - Message context
+   * @returns {undefined}
+   */
+  _skip = (claim, context) => {
+    if (claim.status === IdempotencyStatus.COMPLETED) {
+      this.stats.duplicates++;
+      context.duplicate = true;
+      return undefined;
+    }
+    
+    this.stats.inProgress++;
+    context.nack(this._inProgressDelay(claim.expiresAt));
+    return undefined;
+  };
+
+  /**
+   * Computes the redelivery delay of a message whose key is being processed
+   * @private
+   * @param {number} expiresAt - When the existing claim expires, in epoch milliseconds
+   * @returns {number} Delay in seconds
+   */
+  _inProgressDelay = (expiresAt) => {
+    if (this.inProgressDelaySeconds !== undefined) {
+      return this.inProgressDelaySeconds;
+    }
+    
+    const remainingSeconds = Math.ceil((expiresAt - Date.now()) / 1000);
+    return Math.min(Math.max(remainingSeconds, 1), MAX_DELAY_SECONDS);
+  };
+
+  /**
+   * Records whether the rest of the chain nacks the message
+   * @private
+   * @param {Object} context - Message context whose nack is wrapped
+   * @returns {Object} Nack state with a `requested` flag
+   */
+  _trackNack = (context) => {
+    const nack = context.nack;
+    const state = { requested: false };
+    
+    context.nack = (delaySeconds) => {
+      state.requested = true;
+      return nack(delaySeconds);
+    };
+    return state;
+  };
+
+  /**
+   * Completes or releases a claim once the rest of the chain settled
+   * Store failures are counted and passed to onError; the message itself is settled as the chain decided
+   * @private
+   * @param {string} action - `'complete'` or `'release'`
+   * @param {string} key - Namespaced key
+   * @param {string} token - Token returned by the claim
+   * @returns {Promise<void>}
+   */
+  _settle = async (action, key, token) => {
+    try {
+      if (action === 'complete') {
+        await this.store.complete(key, token, this.ttlMs);
+        this.stats.completed++;
+      } else {
+        await this.store.release(key, token);
+        this.stats.released++;
+      }
+    } catch (error) {
+      this.stats.storeErrors++;
+      if (this.onError) {
+        this.onError(error, { operation: `${action}_idempotency_key`, idempotencyKey: key });
+      }
+    }
+  };
+
+  /**
+   * Creates empty idempotency statistics
+   * @private
+   * @returns {Object} Idempotency statistics
+   */
+  _createStats = () => ({
+    claimed: 0,
+    completed: 0,
+    released: 0,
+    duplicates: 0,
+    inProgress: 0,
+    unkeyed: 0,
+    storeErrors: 0
+  });
+}
+
+module.exports = IdempotencyGuard;
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Message Acknowledger for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { DeleteMessageBatchCommand, ChangeMessageVisibilityBatchCommand } = require('@aws-sdk/client-sqs');
+
+/**
+ * SQS accepts at most 10 entries per batch request
+ * @private
+ */
+const MAX_BATCH_ENTRIES = 10;
+
+/**
+ * Message Acknowledger class for settling received messages
+ * Deletes and releases messages with SQS batch APIs and reports per-entry failures
+ */
+class MessageAcknowledger {
+  /**
+   * Creates a new MessageAcknowledger instance
+   * @param {Object} sqsClient - SQS client instance
+   * @param {string} queueUrl - Queue URL
+   */
+  constructor(sqsClient, queueUrl) {
+    this.sqsClient = sqsClient;
+    this.queueUrl = queueUrl;
+  }
+
+  /**
+   * Deletes messages using DeleteMessageBatchCommand in chunks of 10
+   * @param {Array} messages - SQS messages to delete
+   * @returns {Promise<Object>} Delete report with `succeeded` message IDs and `failed` entries
+   */
+  deleteMessages = async (messages) => {
+    return this._executeInChunks(messages, (chunk) => new DeleteMessageBatchCommand({
+      QueueUrl: this.queueUrl,
+      Entries: chunk.map((message, index) => ({
+        Id: `msg-${index}`,
+        ReceiptHandle: message.ReceiptHandle
+      }))
+    }));
+  };
+
+  /**
+   * Changes the visibility timeout of messages using ChangeMessageVisibilityBatchCommand in chunks of 10
+   * @param {Array} messages - SQS messages to change
+   * @param {number|Function} visibilityTimeout - Timeout in seconds, or a function of the message returning one
+   * @returns {Promise<Object>} Change report with `succeeded` message IDs and `failed` entries
+   */
+  changeVisibility = async (messages, visibilityTimeout) => {
+    const timeoutFor = typeof visibilityTimeout === 'function' ? visibilityTimeout : () => visibilityTimeout;
+    
+    return this._executeInChunks(messages, (chunk) => new ChangeMessageVisibilityBatchCommand({
+      QueueUrl: this.queueUrl,
+      Entries: chunk.map((message, index) => ({
+        Id: `msg-${index}`,
+        ReceiptHandle: message.ReceiptHandle,
+        VisibilityTimeout: timeoutFor(message)
+      }))
+    }));
+  };
+
+  /**
+   * Releases messages for immediate redelivery by setting their visibility timeout to 0
+   * @param {Array} messages - SQS messages to release
+   * @returns {Promise<Object>} Change report
+   */
+  releaseMessages = async (messages) => this.changeVisibility(messages, 0);
+
+  /**
+   * Executes a batch command for each chunk of messages and merges the per-entry results
+   * @private
+   * @param {Array} messages - SQS messages
+   * @param {Function} buildCommand - Builds the batch command for a chunk
+   * @returns {Promise<Object>} Merged report
+   */
+  _executeInChunks = async (messages, buildCommand) => {
+    const report = { succeeded: [], failed: [] };
+    
+    for (let i = 0; i < messages.length; i += MAX_BATCH_ENTRIES) {
+      const chunk = messages.slice(i, i + MAX_BATCH_ENTRIES);
+      
+      try {
+        const result = await this.sqsClient.executeCommand(buildCommand(chunk));
+        this._mergeBatchResult(report, chunk, result || {});
+      } catch (error) {
+        chunk.forEach(message => report.failed.push(this._failedEntry(message, {
+          Code: error.name,
+          Message: error.message,
+          SenderFault: false
+        })));
+      }
+    }
+    
+    return report;
+  };
+
+  /**
+   * Maps the Successful/Failed entries of a batch response back onto the chunk messages
+   * @private
+   * @param {Object} report - Report to update
+   * @param {Array} chunk - Messages sent in the batch
+   * @param {Object} result - Batch command result
+   */
+  _mergeBatchResult = (report, chunk, result) => {
+    const messageForEntry = (id) => chunk[Number(id.replace('msg-', ''))];
+    
+    (result.Successful || []).forEach(entry => {
+      report.succeeded.push(messageForEntry(entry.Id).MessageId);
+    });
+    
+    (result.Failed || []).forEach(entry => {
+      report.failed.push(this._failedEntry(messageForEntry(entry.Id), entry));
+    });
+  };
+
+  /**
+   * Builds a failed entry description
+   * @private
+   * @param {Object} message - SQS message
+   * @param {Object} entry - Batch result error entry
+   * @returns {Object} Failed entry
+   */
+  _failedEntry = (message, entry) => ({
+    messageId: message.MessageId,
+    receiptHandle: message.ReceiptHandle,
+    code: entry.Code,
+    error: entry.Message,
+    senderFault: entry.SenderFault,
+    timestamp: Date.now()
+  });
+}
+
+module.exports = MessageAcknowledger;
@@ -4,133 +4,1436 @@
  * @version 1.0.0
  */
 
-const { ReceiveMessageCommand, DeleteMessageCommand } = require('@aws-sdk/client-sqs');
+const { EventEmitter } = require('events');
+const { ReceiveMessageCommand } = require('@aws-sdk/client-sqs');
 const ProcessingEngine = require('./ProcessingEngine');
-const { ProcessingMode } = require('../types');
+const MessageAcknowledger = require('./MessageAcknowledger');
+const VisibilityHeartbeat = require('./VisibilityHeartbeat');
+const DeadLetterRouter = require('./DeadLetterRouter');
+const MessageRouter = require('./MessageRouter');
+const ConcurrencyController = require('./ConcurrencyController');
+const PrefetchBuffer = require('./PrefetchBuffer');
+const RateLimiter = require('./RateLimiter');
+const IdempotencyGuard = require('./IdempotencyGuard');
+const ScheduledDelivery = require('./ScheduledDelivery');
+const RetryManager = require('../core/RetryManager');
+const PayloadOffloader = require('../utils/PayloadOffloader');
+const EnvelopeEncryptor = require('../utils/EnvelopeEncryptor');
+const { MessageDecryptionError } = require('../errors');
+const { emitSafely, emitError } = require('../utils/events');
+const {
+  ProcessingMode,
+  UnfinishedMessagePolicy,
+  UnroutedMessagePolicy,
+  ConsumerStatus,
+  PauseReason,
+  ConsumerEvent,
+  CircuitBreakerState,
+  RedeliveryMode
+} = require('../types');
+
+/**
+ * SQS refuses visibility timeouts above 12 hours
+ * @private
+ */
+const MAX_VISIBILITY_TIMEOUT_SECONDS = 43200;
 
 /**
  * Message Consumer class for consuming messages from SQS queues
  * Provides intelligent processing with parallel/sequential modes
+ * Emits ConsumerEvent lifecycle events; `error` is only emitted while something listens for it
  */
-class MessageConsumer {
+class MessageConsumer extends EventEmitter {
+  /**
+   * Creates a new MessageConsumer instance
+   * @param {Object} sqsClient - SQS client instance
+   * @param {string} queueUrl - Queue URL
+   * @param {Object} options - Consumer options
+   * @param {string} [options.processingMode='sequential'] - Processing mode; in 'batch' mode the handler receives
+   *   an array of `{ message, context }` items and returns the IDs of the failed ones. Defaults to 'parallel' with
+   *   autoscaling, which cannot be combined with 'sequential'
+   * @param {number} [options.batchSize=5] - Batch size for parallel processing
+   * @param {number} [options.maxConcurrency=10] - Maximum concurrent handlers (message groups in grouped mode)
+   * @param {Function} [options.groupKeyExtractor] - Ordering key of a message in grouped mode, called with
+   *   `(message, context)`; defaults to `context.messageGroupId`
+   * @param {number} [options.throttleDelayMs=0] - Throttle delay between batches
+   * @param {number} [options.handlerTimeoutMs] - Fail a message with a HandlerTimeoutError when its handler has not
+   *   settled after this long; the handler can watch `context.signal` to cancel its own work
+   * @param {number} [options.maxMessages=10] - Maximum messages to receive
+   * @param {number} [options.waitTimeSeconds=20] - Long polling wait time
+   * @param {number} [options.visibilityTimeoutSeconds=30] - Message visibility timeout
+   * @param {boolean} [options.autoStart=true] - Whether to start consuming immediately
+   * @param {number} [options.pollingInterval=1000] - Polling interval in milliseconds
+   * @param {boolean} [options.releaseFailedMessages=false] - Release failed messages for immediate redelivery
+   *   instead of waiting for their visibility timeout to expire
+   * @param {Object} [options.retryPolicy] - Delay the redelivery of failed messages with exponential backoff
+   *   based on their ApproximateReceiveCount
+   * @param {number} [options.retryPolicy.initialDelaySeconds=5] - Delay after the first failed receive
+   * @param {number} [options.retryPolicy.backoffMultiplier=2] - Multiplier applied for each further receive
+   * @param {number} [options.retryPolicy.maxDelaySeconds=43200] - Maximum delay, capped at the SQS 12-hour limit
+   * @param {boolean|Object} [options.heartbeat=false] - Extend the visibility timeout of messages while their
+   *   handler is running; pass an object to configure it (see VisibilityHeartbeat)
+   * @param {number} [options.heartbeat.intervalSeconds] - Seconds between extensions
+   * @param {number} [options.heartbeat.extensionSeconds] - Visibility timeout requested on each extension
+   * @param {number} [options.heartbeat.maxLeaseSeconds=43200] - Maximum total lease per message, counted from when
+   *   it was received
+   * @param {Function} [options.heartbeat.onExtended] - Called with `(info)` after each extension
+   * @param {Function} [options.heartbeat.onLeaseLost] - Called with `(error, info)` when a lease is lost
+   * @param {Function} [options.heartbeat.onError] - Called with `(error, info)` when an extension fails
+   * @param {number} [options.drainTimeoutMs=30000] - How long stop() waits for in-flight handlers
+   * @param {string} [options.unfinishedMessages='leave'] - What stop() does with messages still in flight after
+   *   the drain timeout: 'release' makes them visible again immediately, 'leave' waits for their visibility timeout
+   * @param {Object} [options.deadLetter] - Forward poison messages to a dead-letter queue and delete them here
+   * @param {string} options.deadLetter.queueUrl - Dead-letter queue URL
+   * @param {number} [options.deadLetter.maxReceiveCount] - Receive count after which a failing message is
+   *   dead-lettered; messages received more often than this are dead-lettered without invoking the handler
+   * @param {boolean|Object} [options.autoscaling=false] - Adapt concurrency and the number of receive loops to the
+   *   observed latency, error rate, backlog and event-loop lag; pass an object to configure it
+   *   (see ConcurrencyController; maxConcurrency defaults to the consumer's maxConcurrency)
+   * @param {boolean|Object} [options.prefetch=false] - Decouple receiving from processing: pollers fill a bounded
+   *   buffer that workers drain; pass an object to configure it
+   * @param {number} [options.prefetch.pollers=2] - Concurrent receive loops
+   * @param {number} [options.prefetch.workers] - Concurrent processing loops (default: pollers)
+   * @param {number} [options.prefetch.bufferSize] - Maximum buffered messages (default: maxMessages * pollers * 2)
+   * @param {number} [options.prefetch.leaseMarginMs=2000] - Buffered messages with less visibility lease than this
+   *   left are dropped instead of processed
+   * @param {string} [options.unroutedMessages='fail'] - What happens to messages that match no route when routing:
+   *   'fail' leaves them for redelivery, 'delete' drops them, 'dead_letter' forwards them to the dead-letter queue
+   * @param {string|Object} [options.codec='json'] - Codec decoding bodies that have no `content-type` attribute;
+   *   bodies that have one are decoded with the codec registered for it
+   * @param {CodecRegistry} [options.codecRegistry] - Registry content types and codec names are resolved in
+   * @param {SchemaValidator|Object} [options.validation] - Schemas decoded bodies are validated against before the
+   *   handler runs; invalid messages fail as poison and are dead-lettered when a dead-letter queue is configured
+   * @param {number} [options.maxDecompressedBytes=10485760] - Largest body compressed messages may decompress to;
+   *   larger ones fail as poison messages
+   * @param {Object} [options.rateLimit] - Token-bucket limit on the messages handed to the handler
+   * @param {number} options.rateLimit.messagesPerSecond - Sustained rate
+   * @param {number} [options.rateLimit.burst] - Messages allowed at once after an idle period (default: the rate)
+   * @param {string|Object|Function} [options.rateLimit.key] - Limit per `'messageGroup'`, per `{ bodyField }`
+   *   value or per key returned by a function of the message, instead of for the consumer as a whole
+   * @param {boolean} [options.pauseOnCircuitOpen=false] - Pause while the SQS client's circuit breaker is open and
+   *   resume once it lets requests through again
+   * @param {boolean|Object} [options.idempotency=false] - Record processed message keys and skip and delete messages
+   *   whose key was already processed; pass an object to configure it (see IdempotencyGuard). Not applied in batch
+   *   mode or to messages consumed with messages()
+   * @param {Object} [options.idempotency.store] - Store the keys are recorded in (default: in-memory LRU store)
+   * @param {string|Function} [options.idempotency.key='messageId'] - `'messageId'`, `'deduplicationId'` or a
+   *   function of `(message, context)` returning the key
+   * @param {number} [options.idempotency.ttlSeconds=86400] - How long processed keys are remembered
+   * @param {number} [options.idempotency.inProgressTtlSeconds] - How long a claim lasts if its handler never
+   *   settles (default: visibilityTimeoutSeconds)
+   * @param {boolean|Object} [options.scheduledDelivery=false] - Hold messages published with publishAt() or
+   *   publishAfter() until their delivery time and delete cancelled ones without processing them; pass true or an
+   *   object to configure it (see ScheduledDelivery). Without it, scheduled messages are processed on receipt
+   * @param {Object} [options.scheduledDelivery.store] - Store cancelled schedules are looked up in
+   * @param {string} [options.scheduledDelivery.mode] - 'requeue' (default) republishes waiting messages with another
+   *   delay; 'visibility' (default and only mode on FIFO queues) extends their visibility timeout instead
+   * @param {Object} [options.payloadOffloading] - Fetch the bodies publishers offloaded to a blob store before the
+   *   handler runs (see PayloadOffloader); messages whose payload cannot be fetched fail and are redelivered
+   * @param {Object} options.payloadOffloading.store - Blob store with `put`, `get` and `delete`
+   * @param {boolean} [options.payloadOffloading.deleteAfterProcessing=false] - Delete payloads once their message
+   *   was processed and deleted; a duplicate delivery of the message then fails to fetch its payload
+   * @param {Object} [options.encryption] - Decrypt the bodies publishers encrypted, after fetching offloaded
+   *   payloads and before decoding (see EnvelopeEncryptor); messages that cannot be decrypted fail with a
+   *   MessageDecryptionError and are dead-lettered unless the key provider itself failed
+   * @param {Object} options.encryption.keyProvider - Key provider holding every master key messages in the queue
+   *   may have been encrypted under, such as LocalKeyring
+   */
+  constructor(sqsClient, queueUrl, options = {}) {
+    super();
+    this.sqsClient = sqsClient;
+    this.queueUrl = queueUrl;
+    this.options = {
+      ...this._createProcessingOptions(options),
+      ...this._createReceiveOptions(options)
+    };
+    
+    this.heartbeat = this._createHeartbeat(options.heartbeat);
+    this.retryManager = this._createRetryManager(options.retryPolicy);
+    this.deadLetterRouter = this._createDeadLetterRouter(options.deadLetter);
+    this.router = this._createRouter(options.unroutedMessages);
+    this.rateLimiter = this._createRateLimiter(options.rateLimit);
+    this.idempotencyGuard = this._createIdempotencyGuard(options.idempotency);
+    this.scheduledDelivery = this._createScheduledDelivery(options.scheduledDelivery);
+    this.payloadOffloader = this._createPayloadOffloader(options.payloadOffloading);
+    this.encryptor = this._createEncryptor(options.encryption);
+    
+    this.processingEngine = this._createProcessingEngine(options);
+    this.acknowledger = new MessageAcknowledger(sqsClient, queueUrl);
+    this.isRunning = false;
+    this.pauseState = null;
+    this.messageHandler = null;
+    this.healthMonitor = null;
+    this.ackStats = this._createAckStats();
+    this.consumeOptions = null;
+    this.prefetchConfig = this._createPrefetchConfig(options.prefetch);
+    this.prefetchBuffer = null;
+    this.workers = [];
+    this.receiveLoopCount = this.prefetchConfig ? this.prefetchConfig.pollers : 1;
+    this.loops = new Map();
+    this.receiveControllers = new Set();
+    this.iterators = new Set();
+    this.inFlightMessages = new Map();
+    this.sleepers = new Set();
+    this.concurrencyController = this._createConcurrencyController(options.autoscaling);
+  }
+
+  /**
+   * Resolves the options of the processing engine
+   * @private
+   * @param {Object} options - Options passed to the constructor
+   * @returns {Object} Processing mode, batch size, concurrency, throttle delay and handler timeout
+   */
+  _createProcessingOptions = (options) => ({
+    processingMode: this._resolveProcessingMode(options.processingMode, Boolean(options.autoscaling)),
+    batchSize: options.batchSize || 5,
+    maxConcurrency: options.maxConcurrency || 10,
+    throttleDelayMs: options.throttleDelayMs || 0,
+    handlerTimeoutMs: options.handlerTimeoutMs || null
+  });
+
+  /**
+   * Resolves the options of receiving, settling and stopping
+   * @private
+   * @param {Object} options - Options passed to the constructor
+   * @returns {Object} Receive, polling, failure release and drain options
+   */
+  _createReceiveOptions = (options) => ({
+    maxMessages: options.maxMessages || 10,
+    waitTimeSeconds: options.waitTimeSeconds || 20,
+    visibilityTimeoutSeconds: options.visibilityTimeoutSeconds || 30,
+    autoStart: options.autoStart !== false,
+    pollingInterval: options.pollingInterval || 1000,
+    releaseFailedMessages: options.releaseFailedMessages === true,
+    drainTimeoutMs: options.drainTimeoutMs !== undefined ? options.drainTimeoutMs : 30000,
+    unfinishedMessages: options.unfinishedMessages || UnfinishedMessagePolicy.LEAVE,
+    pauseOnCircuitOpen: options.pauseOnCircuitOpen === true
+  });
+
+  /**
+   * Resolves the processing mode; autoscaling needs a mode that runs handlers concurrently
+   * @private
+   * @param {string} [mode] - Requested processing mode
+   * @param {boolean} autoscaling - Whether autoscaling is enabled
+   * @returns {string} Processing mode, 'parallel' by default with autoscaling and 'sequential' otherwise
+   * @throws {Error} If autoscaling is enabled with the sequential mode
+   */
+  _resolveProcessingMode = (mode, autoscaling) => {
+    if (!autoscaling) {
+      return mode || ProcessingMode.SEQUENTIAL;
+    }
+    if (mode === ProcessingMode.SEQUENTIAL) {
+      throw new Error('Autoscaling requires the parallel, grouped or batch processing mode');
+    }
+    
+    return mode || ProcessingMode.PARALLEL;
+  };
+
+  /**
+   * Resolves the prefetch configuration when prefetching is enabled
+   * @private
+   * @param {boolean|Object} [prefetchOptions] - Prefetch option passed to the constructor
+   * @returns {Object|null} Prefetch configuration, or null when disabled
+   */
+  _createPrefetchConfig = (prefetchOptions) => {
+    if (!prefetchOptions) {
+      return null;
+    }
+    
+    const config = typeof prefetchOptions === 'object' ? prefetchOptions : {};
+    const pollers = config.pollers || 2;
+    
+    return {
+      pollers,
+      workers: config.workers || pollers,
+      bufferSize: config.bufferSize || this.options.maxMessages * pollers * 2,
+      leaseMarginMs: config.leaseMarginMs !== undefined ? config.leaseMarginMs : 2000
+    };
+  };
+
+  /**
+   * Creates the concurrency controller when autoscaling is enabled and applies its initial target
+   * Every adjustment is applied and emitted as a `concurrency_adjusted` event
+   * @private
+   * @param {boolean|Object} [autoscalingOptions] - Autoscaling option passed to the constructor
+   * @returns {ConcurrencyController|null} Concurrency controller, or null when disabled
+   */
+  _createConcurrencyController = (autoscalingOptions) => {
+    if (!autoscalingOptions) {
+      return null;
+    }
+    
+    const controller = new ConcurrencyController(this.sqsClient, this.queueUrl, {
+      maxConcurrency: this.options.maxConcurrency,
+      messagesPerReceive: this.options.maxMessages,
+      ...(typeof autoscalingOptions === 'object' ? autoscalingOptions : {})
+    });
+    
+    controller.on('error', (error, context) => emitError(this, error, context));
+    controller.on('adjusted', (adjustment) => {
+      this._applyConcurrency(adjustment);
+      emitSafely(this, ConsumerEvent.CONCURRENCY_ADJUSTED, { queueUrl: this.queueUrl, ...adjustment });
+    });
+    this._applyConcurrency(controller.getStats());
+    
+    return controller;
+  };
+
+  /**
+   * Applies a concurrency target to the processing engine and the receive loops
+   * @private
+   * @param {Object} target - Target with `targetConcurrency` and `receiveLoops`
+   */
+  _applyConcurrency = (target) => {
+    this.processingEngine.updateConfig({
+      maxConcurrency: target.targetConcurrency,
+      batchSize: target.targetConcurrency
+    });
+    this.receiveLoopCount = target.receiveLoops;
+    
+    if (this._isReceiving()) {
+      this._scaleReceiveLoops();
+    }
+  };
+
+  /**
+   * Creates the processing engine running the handler
+   * @private
+   * @param {Object} options - Options passed to the constructor
+   * @returns {ProcessingEngine} Processing engine configured from the consumer options
+   */
+  _createProcessingEngine = (options) => new ProcessingEngine({
+    mode: this.options.processingMode,
+    batchSize: this.options.batchSize,
+    maxConcurrency: this.options.maxConcurrency,
+    throttleDelayMs: this.options.throttleDelayMs,
+    handlerTimeoutMs: this.options.handlerTimeoutMs,
+    heartbeat: this.heartbeat,
+    groupKeyExtractor: options.groupKeyExtractor,
+    codec: options.codec,
+    codecRegistry: options.codecRegistry,
+    validation: options.validation,
+    maxDecompressedBytes: options.maxDecompressedBytes,
+    middlewares: this.idempotencyGuard ? [this.idempotencyGuard.middleware] : []
+  });
+
+  /**
+   * Emits a failure of a consumer component as an `error` event of the consumer
+   * @private
+   * @param {Error} error - Error that occurred
+   * @param {Object} info - What was being done, such as `{ operation, scheduleId }`
+   */
+  _reportError = (error, info) => {
+    emitError(this, error, { queueUrl: this.queueUrl, ...info });
+  };
+
+  /**
+   * Creates the dead-letter router when a dead-letter queue is configured
+   * @private
+   * @param {Object} [deadLetterOptions] - Dead-letter option passed to the constructor
+   * @returns {DeadLetterRouter|null} Dead-letter router, or null when disabled
+   */
+  _createDeadLetterRouter = (deadLetterOptions) => {
+    if (!deadLetterOptions) {
+      return null;
+    }
+    
+    return new DeadLetterRouter(this.sqsClient, this.queueUrl, deadLetterOptions);
+  };
+
+  /**
+   * Creates the rate limiter when a rate limit is configured
+   * @private
+   * @param {Object} [rateLimitOptions] - Rate limit option passed to the constructor
+   * @returns {RateLimiter|null} Rate limiter, or null when disabled
+   */
+  _createRateLimiter = (rateLimitOptions) => {
+    if (!rateLimitOptions) {
+      return null;
+    }
+    
+    return new RateLimiter(rateLimitOptions);
+  };
+
+  /**
+   * Creates the payload offloader when a blob store is configured
+   * @private
+   * @param {Object} [payloadOffloadingOptions] - Payload offloading option passed to the constructor
+   * @returns {PayloadOffloader|null} Payload offloader, or null when disabled
+   */
+  _createPayloadOffloader = (payloadOffloadingOptions) => {
+    if (!payloadOffloadingOptions) {
+      return null;
+    }
+    
+    return new PayloadOffloader({ ...payloadOffloadingOptions, onError: this._reportError });
+  };
+
+  /**
+   * Creates the envelope encryptor when encryption is configured
+   * @private
+   * @param {Object} [encryptionOptions] - Encryption option passed to the constructor
+   * @returns {EnvelopeEncryptor|null} Envelope encryptor, or null when disabled
+   */
+  _createEncryptor = (encryptionOptions) => {
+    if (!encryptionOptions) {
+      return null;
+    }
+    
+    return new EnvelopeEncryptor(encryptionOptions);
+  };
+
+  /**
+   * Creates the idempotency guard when enabled
+   * @private
+   * @param {boolean|Object} [idempotencyOptions] - Idempotency option passed to the constructor
+   * @returns {IdempotencyGuard|null} Idempotency guard, or null when disabled
+   */
+  _createIdempotencyGuard = (idempotencyOptions) => {
+    if (!idempotencyOptions) {
+      return null;
+    }
+    
+    return new IdempotencyGuard({
+      inProgressTtlSeconds: this.options.visibilityTimeoutSeconds,
+      ...(typeof idempotencyOptions === 'object' ? idempotencyOptions : {}),
+      onError: this._reportError
+    });
+  };
+
+  /**
+   * Creates the scheduled delivery screening when enabled
+   * @private
+   * @param {boolean|Object} [scheduledDeliveryOptions] - Scheduled delivery option passed to the constructor
+   * @returns {ScheduledDelivery|null} Scheduled delivery, or null when disabled
+   */
+  _createScheduledDelivery = (scheduledDeliveryOptions) => {
+    if (!scheduledDeliveryOptions) {
+      return null;
+    }
+    
+    return new ScheduledDelivery(this.sqsClient, this.queueUrl, {
+      ...(typeof scheduledDeliveryOptions === 'object' ? scheduledDeliveryOptions : {}),
+      onError: this._reportError
+    });
+  };
+
+  /**
+   * Creates the visibility heartbeat when enabled
+   * Failed extensions and lost leases are emitted as `error` events with the `heartbeat` operation before the
+   * configured callbacks are called
+   * @private
+   * @param {boolean|Object} [heartbeatOptions] - Heartbeat option passed to the constructor
+   * @returns {VisibilityHeartbeat|null} Heartbeat instance, or null when disabled
+   */
+  _createHeartbeat = (heartbeatOptions) => {
+    if (!heartbeatOptions) {
+      return null;
+    }
+    
+    const config = typeof heartbeatOptions === 'object' ? heartbeatOptions : {};
+    const report = (callback, leaseLost) => (error, info) => {
+      this._reportError(error, { operation: 'heartbeat', messageId: info.messageId, leaseLost });
+      if (callback) {
+        callback(error, info);
+      }
+    };
+    
+    return new VisibilityHeartbeat(this.sqsClient, this.queueUrl, {
+      visibilityTimeoutSeconds: this.options.visibilityTimeoutSeconds,
+      ...config,
+      onError: report(config.onError, false),
+      onLeaseLost: report(config.onLeaseLost, true)
+    });
+  };
+
+  /**
+   * Creates the retry manager computing redelivery delays when a retry policy is configured
+   * @private
+   * @param {Object} [retryPolicy] - Retry policy passed to the constructor
+   * @returns {RetryManager|null} Retry manager, or null when failed messages are not delayed
+   */
+  _createRetryManager = (retryPolicy) => {
+    if (!retryPolicy) {
+      return null;
+    }
+    
+    const maxDelaySeconds = Math.min(retryPolicy.maxDelaySeconds || MAX_VISIBILITY_TIMEOUT_SECONDS,
+      MAX_VISIBILITY_TIMEOUT_SECONDS);
+    
+    return new RetryManager({
+      initialDelayMs: (retryPolicy.initialDelaySeconds || 5) * 1000,
+      backoffMultiplier: retryPolicy.backoffMultiplier || 2,
+      maxBackoffMs: maxDelaySeconds * 1000
+    });
+  };
+
+  /**
+   * Creates the message router used when routes are registered
+   * @private
+   * @param {string} [unroutedMessages] - Unrouted message policy passed to the constructor
+   * @returns {MessageRouter} Message router
+   */
+  _createRouter = (unroutedMessages) => {
+    if (unroutedMessages === UnroutedMessagePolicy.DEAD_LETTER && !this.deadLetterRouter) {
+      throw new Error('The dead_letter unrouted message policy requires the deadLetter option');
+    }
+    
+    return new MessageRouter({ unroutedMessages });
+  };
+
+  /**
+   * Adds a route dispatching matching messages to their own handler
+   * Routes are evaluated in registration order and the first match wins; start the consumer without a handler
+   * @param {string|Function|Object} matcher - Message type compared with `message.type`, predicate called with
+   *   `(message, context)`, or `{ attributes }` object matching message attribute values
+   * @param {Function} handler - Handler called with `(message, context)`
+   * @param {Object} [options] - Route options
+   * @param {string} [options.name] - Name used in statistics (default: the type, or `route-<n>`)
+   * @param {number} [options.handlerTimeoutMs] - Timeout for this route's handler
+   * @returns {MessageConsumer} The consumer, for chaining
+   */
+  route = (matcher, handler, options = {}) => {
+    this.router.route(matcher, handler, options);
+    return this;
+  };
+
+  /**
+   * Sets the handler for messages that match no route
+   * @param {Function} handler - Handler called with `(message, context)`
+   * @returns {MessageConsumer} The consumer, for chaining
+   */
+  fallback = (handler) => {
+    this.router.fallback(handler);
+    return this;
+  };
+
+  /**
+   * Starts consuming messages from the queue
+   * @param {Function} [messageHandler] - Message handler function; omit it when routes are registered
+   * @param {Object} [options] - Additional options
+   * @returns {Promise<void>}
+   */
+  start = async (messageHandler, options = {}) => {
+    if (this.iterators.size > 0) {
+      throw new Error('start() cannot be used while messages() is being iterated');
+    }
+    
+    this.messageHandler = this._resolveHandler(messageHandler);
+    this.isRunning = true;
+    
+    // Merge options; the processing engine reads its own batch size and concurrency, which autoscaling sets
+    const finalOptions = { ...this.options, ...options };
+    if (!this.concurrencyController) {
+      this.processingEngine.updateConfig({ batchSize: options.batchSize, maxConcurrency: options.maxConcurrency });
+    }
+    
+    console.log('Starting message consumer', {
+      queueUrl: this.queueUrl,
+      processingMode: finalOptions.processingMode,
+      batchSize: finalOptions.batchSize,
+      maxMessages: finalOptions.maxMessages
+    });
+    
+    // Start consuming loops
+    this.consumeOptions = finalOptions;
+    if (this.prefetchConfig) {
+      this._startWorkers(finalOptions);
+    }
+    this._scaleReceiveLoops();
+    
+    if (this.concurrencyController) {
+      this.concurrencyController.start();
+    }
+    
+    this._watchCircuitBreaker(true);
+    
+    emitSafely(this, ConsumerEvent.STARTED, {
+      queueUrl: this.queueUrl,
+      processingMode: finalOptions.processingMode,
+      maxMessages: finalOptions.maxMessages
+    });
+  };
+
+  /**
+   * Stops fetching new messages without tearing the consumer down
+   * The current long poll is aborted and in-flight handlers (and, with prefetching, already buffered messages)
+   * finish normally; handler, routes and middlewares stay registered for resume()
+   * @param {Object} [options] - Pause options
+   * @param {string} [options.reason='manual'] - Reason reported while paused
+   * @returns {boolean} True if the consumer was running and is now paused
+   */
+  pause = (options = {}) => {
+    if (!this.isRunning || this.pauseState) {
+      return false;
+    }
+    
+    this.pauseState = { reason: options.reason || PauseReason.MANUAL, since: new Date().toISOString() };
+    
+    if (this.concurrencyController) {
+      this.concurrencyController.stop();
+    }
+    
+    this.receiveControllers.forEach(controller => controller.abort());
+    this._wakeSleepers();
+    
+    emitSafely(this, ConsumerEvent.PAUSED, { queueUrl: this.queueUrl, reason: this.pauseState.reason });
+    return true;
+  };
+
+  /**
+   * Resumes fetching messages after pause()
+   * @returns {boolean} True if the consumer was paused and is now receiving again
+   */
+  resume = () => {
+    if (!this.isRunning || !this.pauseState) {
+      return false;
+    }
+    
+    const { reason, since } = this.pauseState;
+    this._endPause();
+    this._scaleReceiveLoops();
+    
+    if (this.concurrencyController) {
+      this.concurrencyController.start();
+    }
+    
+    emitSafely(this, ConsumerEvent.RESUMED, {
+      queueUrl: this.queueUrl,
+      reason,
+      pausedMs: Date.now() - Date.parse(since)
+    });
+    return true;
+  };
+
+  /**
+   * Clears the pause state and any pending circuit breaker probe
+   * @private
+   */
+  _endPause = () => {
+    if (this.pauseState) {
+      clearTimeout(this.pauseState.probeTimer);
+    }
+    this.pauseState = null;
+  };
+
+  /**
+   * Subscribes to or unsubscribes from the SQS client's circuit breaker when pauseOnCircuitOpen is enabled
+   * A consumer started while the breaker is already open pauses straight away
+   * @private
+   * @param {boolean} watching - Whether to subscribe or unsubscribe
+   */
+  _watchCircuitBreaker = (watching) => {
+    if (!this.options.pauseOnCircuitOpen) {
+      return;
+    }
+    
+    const circuitBreaker = this.sqsClient.circuitBreaker;
+    if (!watching) {
+      circuitBreaker.off('stateChange', this._onCircuitStateChange);
+      return;
+    }
+    
+    circuitBreaker.on('stateChange', this._onCircuitStateChange);
+    if (circuitBreaker.getState() === CircuitBreakerState.OPEN) {
+      this._pauseForCircuitBreaker();
+    }
+  };
+
+  /**
+   * Pauses or resumes the consumer as the SQS client's circuit breaker opens and lets requests through again
+   * @private
+   * @param {Object} change - State change emitted by the circuit breaker
+   * @param {string} change.state - New circuit breaker state
+   */
+  _onCircuitStateChange = ({ state }) => {
+    if (state === CircuitBreakerState.OPEN) {
+      this._pauseForCircuitBreaker();
+    } else if (this.pauseState && this.pauseState.reason === PauseReason.CIRCUIT_BREAKER) {
+      this.resume();
+    }
+  };
+
+  /**
+   * Pauses because the circuit breaker opened and schedules a probe for when its timeout has passed
+   * The breaker only moves to half-open when asked whether a request may run, which no paused loop will do,
+   * so the probe asks on the consumer's behalf; a successful probe resumes via the state change
+   * @private
+   */
+  _pauseForCircuitBreaker = () => {
+    const circuitBreaker = this.sqsClient.circuitBreaker;
+    
+    if (!this.pause({ reason: PauseReason.CIRCUIT_BREAKER })) {
+      return;
+    }
+    
+    const probe = () => {
+      if (this.pauseState && this.pauseState.reason === PauseReason.CIRCUIT_BREAKER && !circuitBreaker.canExecute()) {
+        this.pauseState.probeTimer = setTimeout(probe, circuitBreaker.timeout);
+      }
+    };
+    this.pauseState.probeTimer = setTimeout(probe, circuitBreaker.timeout + 1);
+  };
+
+  /**
+   * Gets the lifecycle status of the consumer
+   * @returns {string} ConsumerStatus value: running, paused or stopped
+   */
+  getStatus = () => {
+    if (!this.isRunning) {
+      return ConsumerStatus.STOPPED;
+    }
+    
+    return this.pauseState ? ConsumerStatus.PAUSED : ConsumerStatus.RUNNING;
+  };
+
+  /**
+   * Checks whether receive loops should currently be fetching messages
+   * @private
+   * @returns {boolean} True while running and not paused
+   */
+  _isReceiving = () => this.isRunning && !this.pauseState;
+
+  /**
+   * Starts receive loops until receiveLoopCount are running
+   * Surplus loops exit on their own after their current iteration
+   * @private
+   */
+  _scaleReceiveLoops = () => {
+    for (let index = 0; index < this.receiveLoopCount; index++) {
+      if (!this.loops.has(index)) {
+        this._runReceiveLoop(index);
+      }
+    }
+  };
+
+  /**
+   * Runs one receive loop and restarts it if it exited while it is still wanted
+   * @private
+   * @param {number} index - Loop index
+   */
+  _runReceiveLoop = (index) => {
+    const run = this.prefetchConfig ? this._pollLoop : this._consumeLoop;
+    const loop = run(this.consumeOptions, index).finally(() => {
+      this.loops.delete(index);
+      
+      if (this._isReceiving() && index < this.receiveLoopCount) {
+        this._runReceiveLoop(index);
+      }
+    });
+    
+    this.loops.set(index, loop);
+  };
+
+  /**
+   * Resolves the handler messages are processed with
+   * @private
+   * @param {Function} [messageHandler] - Handler passed to start()
+   * @returns {Function} Message handler, or the router's dispatcher when routes are registered
+   */
+  _resolveHandler = (messageHandler) => {
+    if (this.router.hasRoutes()) {
+      if (this.options.processingMode === ProcessingMode.BATCH) {
+        throw new Error('Routes cannot be used in batch processing mode');
+      }
+      if (messageHandler) {
+        throw new Error('Pass either a message handler or routes, not both; use fallback() for unrouted messages');
+      }
+      return this.router.dispatch;
+    }
+    
+    if (!messageHandler || typeof messageHandler !== 'function') {
+      throw new Error('Message handler is required and must be a function');
+    }
+    
+    return messageHandler;
+  };
+
+  /**
+   * Receives one batch of messages without processing them
+   * Used by callers that schedule processing themselves, such as MultiQueueConsumer; settle the messages with
+   * processBatch()
+   * @param {Object} [options] - Receive options overriding the consumer's (`maxMessages`, `waitTimeSeconds`,
+   *   `visibilityTimeoutSeconds`)
+   * @returns {Promise<Array>} Received messages
+   */
+  receiveBatch = (options = {}) => this._receiveMessages({ ...this.options, ...options });
+
+  /**
+   * Processes messages received with receiveBatch() and settles them like the consumer's own loop does
+   * Messages are decoded and run through the middlewares and the handler (or the registered routes), then deleted,
+   * dead-lettered or settled for redelivery
+   * @param {Array} messages - Received SQS messages
+   * @param {Function} [messageHandler] - Message handler function; omit it when routes are registered
+   * @returns {Promise<Object>} Processing results
+   */
+  processBatch = async (messages, messageHandler) => {
+    this.messageHandler = this._resolveHandler(messageHandler);
+    return this._handleMessages(messages, this.options);
+  };
+
+  /**
+   * Returns an async iterator that receives messages from the queue as the caller asks for them
+   * Each item is `{ body, message, context }` and the caller settles it with `context.ack()` or
+   * `context.nack(delaySeconds)`. Leaving the loop (by `break`, `return`, a thrown error or stop()) stops polling
+   * and makes every received but unsettled message visible again. Messages that fail to decode or validate are
+   * not yielded: they are dead-lettered when a dead-letter queue is configured and otherwise fail as usual.
+   * @param {Object} [options] - Receive options overriding the consumer's
+   * @param {number} [options.maxMessages] - Maximum messages to receive at once
+   * @param {number} [options.waitTimeSeconds] - Long polling wait time
+   * @param {number} [options.visibilityTimeoutSeconds] - Visibility timeout of received messages
+   * @param {number} [options.pollingInterval] - Pause after an empty receive in milliseconds
+   * @returns {AsyncGenerator<Object>} Iterator of received messages
+   * @throws {Error} If the consumer was started with a handler
+   * @example
+   * for await (const { body, context } of consumer.messages()) {
+   *   await handle(body);
+   *   await context.ack();
+   * }
+   */
+  messages = (options = {}) => {
+    if (this.isRunning) {
+      throw new Error('messages() cannot be used while the consumer is started with a handler');
+    }
+    
+    return this._iterateMessages({ ...this.options, ...options });
+  };
+
+  /**
+   * Generator behind messages(): receives a batch once the previous one has been yielded
+   * @private
+   * @param {Object} options - Receive options
+   * @returns {AsyncGenerator<Object>} Iterator of received messages
+   */
+  async * _iterateMessages(options) {
+    const controller = new AbortController();
+    const pending = [];
+    const unsettled = new Map();
+    this.iterators.add(controller);
+    
+    try {
+      while (!controller.signal.aborted) {
+        if (pending.length === 0) {
+          pending.push(...await this._receiveForIterator(options, controller.signal));
+          continue;
+        }
+        
+        const item = await this._createIteratorItem(pending.shift(), unsettled);
+        if (item) {
+          yield item;
+        }
+      }
+    } finally {
+      this.iterators.delete(controller);
+      await this._releaseIteratorMessages(pending, unsettled);
+    }
+  }
+
+  /**
+   * Receives the next batch for a message iterator, pausing after empty receives and errors
+   * @private
+   * @param {Object} options - Receive options
+   * @param {AbortSignal} signal - Aborted when the iterator is ended by stop()
+   * @returns {Promise<Array>} Received messages, empty after an empty receive or an error
+   */
+  _receiveForIterator = async (options, signal) => {
+    try {
+      const messages = await this._receiveMessages(options);
+      if (messages.length === 0) {
+        await this._sleep(options.pollingInterval);
+      }
+      return this._restoreIteratorBodies(await this._holdScheduledMessages(messages));
+    } catch (error) {
+      if (signal.aborted) {
+        return [];
+      }
+      
+      emitError(this, error, { queueUrl: this.queueUrl, operation: 'receive' });
+      await this._sleep(options.pollingInterval * 2);
+      return [];
+    }
+  };
+
+  /**
+   * Fetches the offloaded payloads of messages received for an iterator and decrypts their bodies
+   * Messages whose body cannot be restored are not yielded and become visible again once their visibility
+   * timeout expires
+   * @private
+   * @param {Array} messages - Received messages
+   * @returns {Promise<Array>} Messages with their original bodies
+   */
+  _restoreIteratorBodies = async (messages) => {
+    const { restored } = await this._restoreBodies(messages);
+    return restored;
+  };
+
+  /**
+   * Turns a received message into an iterator item whose context can ack or nack it
+   * @private
+   * @param {Object} message - SQS message
+   * @param {Map} unsettled - Unsettled iterator entries by receipt handle
+   * @returns {Promise<Object|null>} Iterator item, or null if the message was rejected
+   */
+  _createIteratorItem = async (message, unsettled) => {
+    const prepared = await this._screenIteratedMessage(message);
+    if (!prepared) {
+      return null;
+    }
+    
+    const entry = {
+      message,
+      settled: null,
+      receivedAt: Date.now(),
+      stopHeartbeat: this.heartbeat ? this.heartbeat.track(message) : null
+    };
+    unsettled.set(message.ReceiptHandle, entry);
+    
+    const context = {
+      ...prepared.context,
+      ack: () => this._ackIteratedMessage(entry, unsettled),
+      nack: (delaySeconds = 0) => this._nackIteratedMessage(entry, unsettled, delaySeconds)
+    };
+    
+    return { body: prepared.body, message, context };
+  };
+
+  /**
+   * Decodes an iterated message, or settles it like a failed message when it cannot be handed to the caller
+   * Messages over maxReceiveCount and poison messages are dead-lettered when a dead-letter queue is configured
+   * @private
+   * @param {Object} message - SQS message
+   * @returns {Promise<Object|null>} Decoded `body` and `context`, or null if the message was rejected
+   */
+  _screenIteratedMessage = async (message) => {
+    const exhausted = this.deadLetterRouter !== null && this.deadLetterRouter.hasExceededReceiveCount(message);
+    const prepared = exhausted ? null : this.processingEngine.prepareMessage(message);
+    if (prepared && !prepared.outcome) {
+      return prepared;
+    }
+    
+    const results = { outcomes: prepared ? [prepared.outcome] : [] };
+    if (this.deadLetterRouter) {
+      await this._deadLetterMessages([message], exhausted ? [message] : [], results);
+    }
+    this._emitOutcomes(results);
+    
+    await this._deleteProcessedMessages([message], results);
+    await this._settleFailedMessages([message], results);
+    return null;
+  };
+
+  /**
+   * Marks an iterated message as settled and stops its heartbeat
+   * @private
+   * @param {Object} entry - Iterator entry of the message
+   * @param {Map} unsettled - Unsettled iterator entries by receipt handle
+   * @param {string} action - How the message is settled
+   * @throws {Error} If the message was already settled
+   */
+  _claimIteratedMessage = (entry, unsettled, action) => {
+    if (entry.settled) {
+      throw new Error(`Message ${entry.message.MessageId} was already ${entry.settled}`);
+    }
+    
+    entry.settled = action;
+    unsettled.delete(entry.message.ReceiptHandle);
+    if (entry.stopHeartbeat) {
+      entry.stopHeartbeat();
+    }
+  };
+
+  /**
+   * Deletes an iterated message the caller acknowledged
+   * @private
+   * @param {Object} entry - Iterator entry of the message
+   * @param {Map} unsettled - Unsettled iterator entries by receipt handle
+   * @returns {Promise<boolean>} True if the message was deleted
+   */
+  _ackIteratedMessage = async (entry, unsettled) => {
+    this._claimIteratedMessage(entry, unsettled, 'acked');
+    
+    const processingTime = Date.now() - entry.receivedAt;
+    const results = {
+      successful: 1,
+      processingTime,
+      outcomes: [{
+        messageId: entry.message.MessageId,
+        receiptHandle: entry.message.ReceiptHandle,
+        success: true,
+        processingTime
+      }]
+    };
+    this._emitOutcomes(results);
+    if (this.healthMonitor) {
+      this._updateHealthMonitor(results);
+    }
+    
+    const report = await this._deleteProcessedMessages([entry.message], results);
+    await this._deletePayloads([entry.message], results, report);
+    return report.failed.length === 0;
+  };
+
+  /**
+   * Makes an iterated message the caller negatively acknowledged visible again after a delay
+   * @private
+   * @param {Object} entry - Iterator entry of the message
+   * @param {Map} unsettled - Unsettled iterator entries by receipt handle
+   * @param {number} delaySeconds - Seconds until the message is redelivered
+   * @returns {Promise<void>}
+   */
+  _nackIteratedMessage = async (entry, unsettled, delaySeconds) => {
+    const nackDelaySeconds = this.processingEngine.normalizeNackDelay(delaySeconds);
+    this._claimIteratedMessage(entry, unsettled, 'nacked');
+    
+    await this._settleFailedMessages([entry.message], {
+      outcomes: [{
+        messageId: entry.message.MessageId,
+        receiptHandle: entry.message.ReceiptHandle,
+        success: false,
+        nacked: true,
+        nackDelaySeconds
+      }]
+    });
+  };
+
+  /**
+   * Makes the messages an ended iterator had received but not handed out or settled visible again
+   * Their entries are marked released, so acking or nacking them afterwards throws
+   * @private
+   * @param {Array} pending - Received messages that were not yielded yet
+   * @param {Map} unsettled - Unsettled iterator entries by receipt handle
+   * @returns {Promise<void>}
+   */
+  _releaseIteratorMessages = async (pending, unsettled) => {
+    const messages = [...pending];
+    unsettled.forEach(entry => {
+      this._claimIteratedMessage(entry, unsettled, 'released');
+      messages.push(entry.message);
+    });
+    
+    if (messages.length > 0) {
+      await this.acknowledger.releaseMessages(messages);
+    }
+  };
+
+  /**
+   * Stops consuming messages and drains in-flight work
+   * Aborts the current long poll, ends message iterators, waits for in-flight handlers and their deletes to finish
+   * (up to the drain timeout) and then settles any message that is still unfinished
+   * @param {Object} [options] - Stop options
+   * @param {number} [options.drainTimeoutMs] - Override the configured drain timeout
+   * @param {string} [options.unfinishedMessages] - Override the configured unfinished message policy
+   * @returns {Promise<Object>} Drain report with `drained` flag and `unfinished` message count
+   */
+  stop = async (options = {}) => {
+    const drainTimeoutMs = options.drainTimeoutMs !== undefined ? options.drainTimeoutMs : this.options.drainTimeoutMs;
+    const unfinishedMessages = options.unfinishedMessages || this.options.unfinishedMessages;
+    
+    this.isRunning = false;
+    this._endPause();
+    this._watchCircuitBreaker(false);
+    
+    if (this.concurrencyController) {
+      this.concurrencyController.stop();
+    }
+    
+    this.receiveControllers.forEach(controller => controller.abort());
+    this.iterators.forEach(controller => controller.abort());
+    this._wakeSleepers();
+    if (this.prefetchBuffer) {
+      this.prefetchBuffer.close();
+    }
+    
+    const drained = await this._waitForDrain(drainTimeoutMs);
+    const unfinished = Array.from(this.inFlightMessages.values());
+    await this._releaseBufferedMessages();
+    
+    if (!drained && unfinished.length > 0 && unfinishedMessages === UnfinishedMessagePolicy.RELEASE) {
+      await this.acknowledger.releaseMessages(unfinished);
+    }
+    
+    if (this.heartbeat) {
+      this.heartbeat.stopAll();
+    }
+    
+    emitSafely(this, ConsumerEvent.STOPPED, { queueUrl: this.queueUrl, drained, unfinished: unfinished.length });
+    
+    return { drained, unfinished: unfinished.length };
+  };
+
+  /**
+   * Waits for the consumption loops to finish their current iteration
+   * @private
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {Promise<boolean>} True if the loops finished before the timeout
+   */
+  _waitForDrain = async (timeoutMs) => {
+    const pending = [...this.loops.values(), ...this.workers];
+    if (pending.length === 0) {
+      return true;
+    }
+    
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    
+    const drained = await Promise.race([Promise.all(pending).then(() => true), timeout]);
+    clearTimeout(timer);
+    return drained;
+  };
+
+  /**
+   * Main consumption loop
+   * @private
+   * @param {Object} options - Consumer options
+   * @param {number} [index=0] - Loop index; the loop exits once the receive loop count drops to or below it
+   */
+  _consumeLoop = async (options, index = 0) => {
+    while (this._isReceiving() && index < this.receiveLoopCount) {
+      const allowance = await this._acquireReceiveTokens(options.maxMessages);
+      if (allowance === 0) {
+        break;
+      }
+      
+      try {
+        const messages = await this._receiveLimited({ ...options, maxMessages: allowance });
+        
+        if (messages.length === 0) {
+          // No messages available, wait before next poll
+          await this._sleep(options.pollingInterval);
+          continue;
+        }
+        
+        await this._handleMessages(messages, options);
+        
+        // Throttle between processing cycles
+        if (options.throttleDelayMs > 0) {
+          await this._sleep(options.throttleDelayMs);
+        }
+      
+      } catch (error) {
+        if (!this._isReceiving()) {
+          // The receive was aborted by stop() or pause()
+          break;
+        }
+        
+        console.error('Error in consumption loop:', error.message);
+        emitError(this, error, { queueUrl: this.queueUrl, operation: 'receive' });
+        
+        // Wait before retrying to avoid tight error loops
+        await this._sleep(options.pollingInterval * 2);
+      }
+    }
+  };
+
+  /**
+   * Creates the prefetch buffer and starts the workers draining it
+   * @private
+   * @param {Object} options - Consumer options
+   */
+  _startWorkers = (options) => {
+    this.prefetchBuffer = new PrefetchBuffer({
+      capacity: this.prefetchConfig.bufferSize,
+      leaseMs: options.visibilityTimeoutSeconds * 1000,
+      leaseMarginMs: this.prefetchConfig.leaseMarginMs
+    });
+    
+    this.workers = Array.from({ length: this.prefetchConfig.workers }, () => this._workerLoop(options));
+  };
+
+  /**
+   * Receive loop used with prefetching: fills the buffer, waiting while it is full
+   * @private
+   * @param {Object} options - Consumer options
+   * @param {number} [index=0] - Loop index; the loop exits once the receive loop count drops to or below it
+   */
+  _pollLoop = async (options, index = 0) => {
+    const buffer = this.prefetchBuffer;
+    
+    while (this._isReceiving() && index < this.receiveLoopCount) {
+      const reserved = await buffer.reserve(options.maxMessages);
+      if (reserved === 0 || !this._isReceiving()) {
+        buffer.cancel(reserved);
+        break;
+      }
+      
+      const allowance = await this._acquireReceiveTokens(reserved);
+      if (allowance === 0) {
+        buffer.cancel(reserved);
+        break;
+      }
+      
+      try {
+        const messages = await this._receiveLimited({ ...options, maxMessages: allowance });
+        buffer.push(messages, reserved);
+        
+        if (messages.length === 0) {
+          await this._sleep(options.pollingInterval);
+        }
+      } catch (error) {
+        buffer.cancel(reserved);
+        if (!this._isReceiving()) {
+          break;
+        }
+        
+        emitError(this, error, { queueUrl: this.queueUrl, operation: 'receive' });
+        await this._sleep(options.pollingInterval * 2);
+      }
+    }
+  };
+
+  /**
+   * Processing loop used with prefetching: takes messages from the buffer and handles them
+   * @private
+   * @param {Object} options - Consumer options
+   */
+  _workerLoop = async (options) => {
+    const buffer = this.prefetchBuffer;
+    
+    while (this.isRunning) {
+      const messages = await buffer.take(options.maxMessages);
+      if (messages.length === 0) {
+        continue;
+      }
+      
+      try {
+        await this._handleMessages(messages, options);
+      } catch (error) {
+        emitError(this, error, { queueUrl: this.queueUrl, operation: 'process' });
+      }
+      
+      if (options.throttleDelayMs > 0) {
+        await this._sleep(options.throttleDelayMs);
+      }
+    }
+  };
+
+  /**
+   * Makes messages still waiting in the prefetch buffer visible again after the consumer stopped
+   * @private
+   * @returns {Promise<void>}
+   */
+  _releaseBufferedMessages = async () => {
+    const buffered = this.prefetchBuffer ? this.prefetchBuffer.drain() : [];
+    
+    if (buffered.length > 0) {
+      await this.acknowledger.releaseMessages(buffered);
+    }
+  };
+
+  /**
+   * Processes a batch of received messages and settles each of them
+   * @private
+   * @param {Array} receivedMessages - Received messages; those over a keyed rate limit are deferred
+   * @param {Object} options - Consumer options
+   * @returns {Promise<Object>} Processing results
+   */
+  _handleMessages = async (receivedMessages, options) => {
+    const messages = await this._deferRateLimitedMessages(await this._holdScheduledMessages(receivedMessages));
+    messages.forEach(message => this.inFlightMessages.set(message.ReceiptHandle, message));
+    
+    try {
+      const exhausted = this.deadLetterRouter
+        ? messages.filter(message => this.deadLetterRouter.hasExceededReceiveCount(message))
+        : [];
+      const { restored, failures } = await this._restoreBodies(
+        messages.filter(message => !exhausted.includes(message))
+      );
+      const results = await this.processingEngine.processMessages(restored, this.messageHandler, options);
+      this._recordRestoreFailures(results, failures);
+      
+      if (this.deadLetterRouter) {
+        await this._deadLetterMessages(messages, exhausted, results);
+      }
+      this._emitOutcomes(results);
+      
+      // Delete successfully processed and dead-lettered messages and settle the failed ones
+      const report = await this._deleteProcessedMessages(messages, results);
+      await this._deletePayloads(messages, results, report);
+      await this._settleFailedMessages(messages, results);
+      
+      if (this.concurrencyController) {
+        this.concurrencyController.record(results);
+      }
+      
+      // Update health monitor if available
+      if (this.healthMonitor) {
+        this._updateHealthMonitor(results);
+      }
+      
+      return results;
+    } finally {
+      messages.forEach(message => this.inFlightMessages.delete(message.ReceiptHandle));
+    }
+  };
+
   /**
-   * Creates a new MessageConsumer instance
-   * @param {Object} sqsClient - SQS client instance
-   * @param {string} queueUrl - Queue URL
-   * @param {Object} options - Consumer options
-   * @param {string} [options.processingMode='sequential'] - Processing mode
-   * @param {number} [options.batchSize=5] - Batch size for parallel processing
-   * @param {number} [options.throttleDelayMs=0] - Throttle delay between batches
-   * @param {number} [options.maxMessages=10] - Maximum messages to receive
-   * @param {number} [options.waitTimeSeconds=20] - Long polling wait time
-   * @param {number} [options.visibilityTimeoutSeconds=30] - Message visibility timeout
-   * @param {boolean} [options.autoStart=true] - Whether to start consuming immediately
-   * @param {number} [options.pollingInterval=1000] - Polling interval in milliseconds
+   * Replaces the pointer bodies of offloaded messages with their payloads and decrypts encrypted bodies
+   * @private
+   * @param {Array} messages - Messages to process
+   * @returns {Promise<Object>} `{ restored, failures }` with the messages to process, in their original order, and
+   *   failed outcomes for the messages whose payload could not be fetched or whose body could not be decrypted
    */
-  constructor(sqsClient, queueUrl, options = {}) {
-    this.sqsClient = sqsClient;
-    this.queueUrl = queueUrl;
-    this.options = {
-      processingMode: options.processingMode || ProcessingMode.SEQUENTIAL,
-      batchSize: options.batchSize || 5,
-      throttleDelayMs: options.throttleDelayMs || 0,
-      maxMessages: options.maxMessages || 10,
-      waitTimeSeconds: options.waitTimeSeconds || 20,
-      visibilityTimeoutSeconds: options.visibilityTimeoutSeconds || 30,
-      autoStart: options.autoStart !== false,
-      pollingInterval: options.pollingInterval || 1000
-    };
+  _restoreBodies = async (messages) => {
+    if (!this.payloadOffloader && !this.encryptor) {
+      return { restored: messages, failures: [] };
+    }
     
-    this.processingEngine = new ProcessingEngine({
-      mode: this.options.processingMode,
-      batchSize: this.options.batchSize,
-      throttleDelayMs: this.options.throttleDelayMs
-    });
+    const failures = [];
+    const restored = await Promise.all(messages.map(async message => {
+      try {
+        return await this._restoreBody(message);
+      } catch (error) {
+        const operation = error instanceof MessageDecryptionError ? 'decrypt' : 'fetch_payload';
+        emitError(this, error, { queueUrl: this.queueUrl, operation, messageId: message.MessageId });
+        failures.push({
+          messageId: message.MessageId,
+          receiptHandle: message.ReceiptHandle,
+          success: false,
+          error: error.message,
+          errorClass: error.name,
+          poison: error.poison === true
+        });
+        return null;
+      }
+    }));
     
-    this.isRunning = false;
-    this.messageHandler = null;
-    this.healthMonitor = null;
-  }
+    return { restored: restored.filter(Boolean), failures };
+  };
 
   /**
-   * Starts consuming messages from the queue
-   * @param {Function} messageHandler - Message handler function
-   * @param {Object} [options] - Additional options
+   * Fetches the offloaded payload of a message and decrypts its body, as configured
+   * @private
+   * @param {Object} message - SQS message
+   * @returns {Promise<Object>} Message with its original body
+   * @throws {PayloadFetchError} If the payload cannot be fetched
+   * @throws {MessageDecryptionError} If the body cannot be decrypted
+   */
+  _restoreBody = async (message) => {
+    const fetched = this.payloadOffloader ? await this.payloadOffloader.fetch(message) : message;
+    return this.encryptor ? this.encryptor.decrypt(fetched) : fetched;
+  };
+
+  /**
+   * Adds the messages whose body could not be restored to the processing results as failures
+   * They are settled like messages whose handler failed: redelivered, and dead-lettered once they exceed
+   * maxReceiveCount or right away when their body can never be decrypted
+   * @private
+   * @param {Object} results - Processing results with per-message outcomes
+   * @param {Array<Object>} failures - Failed outcomes returned by _restoreBodies
+   */
+  _recordRestoreFailures = (results, failures) => {
+    failures.forEach(failure => {
+      results.outcomes.push(failure);
+      results.failed++;
+      results.errors.push({ messageId: failure.messageId, error: failure.error, timestamp: Date.now() });
+    });
+  };
+
+  /**
+   * Deletes the offloaded payloads of messages that were processed and deleted, when deleteAfterProcessing is set
+   * Payloads of dead-lettered messages are kept, since the dead-letter queue still points to them
+   * @private
+   * @param {Array} messages - Original messages
+   * @param {Object} results - Processing results with per-message outcomes
+   * @param {Object} report - Delete report returned by _deleteProcessedMessages
    * @returns {Promise<void>}
    */
-  start = async (messageHandler, options = {}) => {
-    if (!messageHandler || typeof messageHandler !== 'function') {
-      throw new Error('Message handler is required and must be a function');
+  _deletePayloads = async (messages, results, report) => {
+    if (!this.payloadOffloader || !this.payloadOffloader.deleteAfterProcessing) {
+      return;
     }
     
-    this.messageHandler = messageHandler;
-    this.isRunning = true;
+    const deletedIds = new Set(report.succeeded);
+    const processedHandles = new Set(
+      results.outcomes.filter(outcome => outcome.success).map(outcome => outcome.receiptHandle)
+    );
+    await this.payloadOffloader.discard(
+      messages.filter(message => deletedIds.has(message.MessageId) && processedHandles.has(message.ReceiptHandle))
+    );
+  };
+
+  /**
+   * Forwards poison messages to the dead-letter queue
+   * Messages that exceeded maxReceiveCount before processing are forwarded without invoking the handler;
+   * processed messages are forwarded when they failed with a poison error or on their last allowed receive.
+   * Forwarded messages are marked `deadLettered` so they are deleted instead of redelivered.
+   * @private
+   * @param {Array} messages - Received messages
+   * @param {Array} exhausted - Messages that were not processed because they exceeded maxReceiveCount
+   * @param {Object} results - Processing results with per-message outcomes
+   * @returns {Promise<void>}
+   */
+  _deadLetterMessages = async (messages, exhausted, results) => {
+    const messagesByHandle = new Map(messages.map(message => [message.ReceiptHandle, message]));
+    const maxReceiveCount = this.deadLetterRouter.maxReceiveCount;
     
-    // Merge options
-    const finalOptions = { ...this.options, ...options };
+    exhausted.forEach(message => results.outcomes.push({
+      messageId: message.MessageId,
+      receiptHandle: message.ReceiptHandle,
+      success: false,
+      error: `Receive count exceeded maxReceiveCount of ${maxReceiveCount}`,
+      errorClass: 'MaxReceiveCountExceeded',
+      exhausted: true
+    }));
     
-    console.log('Starting message consumer', {
-      queueUrl: this.queueUrl,
-      processingMode: finalOptions.processingMode,
-      batchSize: finalOptions.batchSize,
-      maxMessages: finalOptions.maxMessages
-    });
+    const candidates = results.outcomes.filter(outcome => outcome.exhausted ||
+      this.deadLetterRouter.shouldDeadLetter(messagesByHandle.get(outcome.receiptHandle), outcome));
     
-    // Start consuming loop
-    this._consumeLoop(finalOptions);
+    results.deadLettered = 0;
+    for (const outcome of candidates) {
+      const result = await this.deadLetterRouter.route(messagesByHandle.get(outcome.receiptHandle), outcome);
+      
+      if (result.success) {
+        outcome.deadLettered = true;
+        results.deadLettered++;
+      } else {
+        emitError(this, new Error(result.error), {
+          queueUrl: this.queueUrl,
+          operation: 'dead_letter',
+          messageId: outcome.messageId
+        });
+      }
+    }
   };
 
   /**
-   * Stops consuming messages
+   * Emits a `processed` event for every successful outcome and a `failed` event for every failed one
+   * Skipped and nacked messages were not failures and emit neither
+   * @private
+   * @param {Object} results - Processing results with per-message outcomes
    */
-  stop = () => {
-    this.isRunning = false;
-    console.log('Message consumer stopped');
+  _emitOutcomes = (results) => {
+    results.outcomes.forEach(outcome => {
+      if (outcome.success) {
+        emitSafely(this, ConsumerEvent.PROCESSED, { queueUrl: this.queueUrl, ...outcome });
+      } else if (!outcome.skipped && !outcome.nacked) {
+        emitSafely(this, ConsumerEvent.FAILED, { queueUrl: this.queueUrl, ...outcome });
+      }
+    });
   };
 
   /**
-   * Main consumption loop
+   * Emits an `empty_receive` event, or a `message_received` event per received message
    * @private
-   * @param {Object} options - Consumer options
+   * @param {Array} messages - Received messages
+   * @param {number} receiveTime - Duration of the receive call in milliseconds
    */
-  _consumeLoop = async (options) => {
-    while (this.isRunning) {
-      try {
-        const messages = await this._receiveMessages(options);
-        
-        if (messages.length === 0) {
-          // No messages available, wait before next poll
-          await this._sleep(options.pollingInterval);
-          continue;
-        }
-        
-        // Process messages
-        const results = await this.processingEngine.processMessages(
-          messages,
-          this.messageHandler,
-          options
-        );
-        
-        // Delete successfully processed messages
-        await this._deleteProcessedMessages(messages, results);
-        
-        // Update health monitor if available
-        if (this.healthMonitor) {
-          this._updateHealthMonitor(results);
-        }
-        
-        // Throttle between processing cycles
-        if (options.throttleDelayMs > 0) {
-          await this._sleep(options.throttleDelayMs);
-        }
-        
-      } catch (error) {
-        console.error('Error in consumption loop:', error.message);
-        
-        // Wait before retrying to avoid tight error loops
-        await this._sleep(options.pollingInterval * 2);
-      }
+  _emitReceived = (messages, receiveTime) => {
+    if (messages.length === 0) {
+      emitSafely(this, ConsumerEvent.EMPTY_RECEIVE, { queueUrl: this.queueUrl, receiveTime });
+      return;
     }
+    
+    messages.forEach(message => emitSafely(this, ConsumerEvent.MESSAGE_RECEIVED, {
+      queueUrl: this.queueUrl,
+      messageId: message.MessageId,
+      receiptHandle: message.ReceiptHandle,
+      messageGroupId: message.Attributes?.MessageGroupId,
+      receiveCount: Number(message.Attributes?.ApproximateReceiveCount || 1),
+      receiveTime
+    }));
   };
 
   /**
@@ -144,50 +1447,270 @@ class MessageConsumer {
       QueueUrl: this.queueUrl,
       MaxNumberOfMessages: options.maxMessages,
       WaitTimeSeconds: options.waitTimeSeconds,
-      VisibilityTimeoutSeconds: options.visibilityTimeoutSeconds,
+      VisibilityTimeout: options.visibilityTimeoutSeconds,
       MessageAttributeNames: ['All'],
       AttributeNames: ['All']
     });
     
-    const result = await this.sqsClient.executeCommand(command);
-    return result.Messages || [];
+    const controller = new AbortController();
+    this.receiveControllers.add(controller);
+    const startTime = Date.now();
+    
+    try {
+      const result = await this.sqsClient.executeCommand(command, {
+        abortSignal: controller.signal
+      });
+      const messages = result.Messages || [];
+      if (this.heartbeat) {
+        VisibilityHeartbeat.markReceived(messages);
+      }
+      this._emitReceived(messages, Date.now() - startTime);
+      return messages;
+    } finally {
+      this.receiveControllers.delete(controller);
+    }
+  };
+
+  /**
+   * Waits until the unkeyed rate limiter has tokens and takes up to `max` of them
+   * The loop sleeps instead of receiving while the limiter is empty, so no messages are leased that could not be
+   * processed; keyed limiters cannot know a message's key before receiving it and never wait here
+   * @private
+   * @param {number} max - Messages the loop wants to receive
+   * @returns {Promise<number>} Messages the loop may receive, 0 once the consumer stopped or paused
+   */
+  _acquireReceiveTokens = async (max) => {
+    if (!this.rateLimiter || this.rateLimiter.isKeyed()) {
+      return max;
+    }
+    
+    while (this._isReceiving()) {
+      const acquired = this.rateLimiter.tryAcquire(max);
+      if (acquired > 0) {
+        return acquired;
+      }
+      
+      const waitMs = this.rateLimiter.getWaitTime();
+      this.rateLimiter.recordWait(waitMs);
+      await this._sleep(waitMs);
+    }
+    
+    return 0;
+  };
+
+  /**
+   * Receives messages and returns unkeyed rate limiter tokens that no message was received for
+   * @private
+   * @param {Object} options - Consumer options, with maxMessages limited to the acquired tokens
+   * @returns {Promise<Array>} Received messages
+   */
+  _receiveLimited = async (options) => {
+    if (!this.rateLimiter || this.rateLimiter.isKeyed()) {
+      return this._receiveMessages(options);
+    }
+    
+    let messages = [];
+    try {
+      messages = await this._receiveMessages(options);
+      return messages;
+    } finally {
+      this.rateLimiter.refund(options.maxMessages - messages.length);
+      this.rateLimiter.recordAllowed(messages.length);
+    }
+  };
+
+  /**
+   * Applies a keyed rate limit to received messages
+   * Messages over their key's limit are not processed; their visibility timeout is set to when their key
+   * will have a token again, so they are redelivered then instead of being held by this consumer
+   * @private
+   * @param {Array} messages - Messages about to be processed
+   * @returns {Promise<Array>} Messages within the limit
+   */
+  _deferRateLimitedMessages = async (messages) => {
+    if (!this.rateLimiter || !this.rateLimiter.isKeyed()) {
+      return messages;
+    }
+    
+    const { allowed, deferred } = this.rateLimiter.partition(messages);
+    
+    if (deferred.length > 0) {
+      const delays = new Map(deferred.map(({ message, delaySeconds }) => [message, delaySeconds]));
+      await this.acknowledger.changeVisibility(deferred.map(({ message }) => message), message => delays.get(message));
+    }
+    
+    return allowed;
+  };
+
+  /**
+   * Holds scheduled messages that are not due yet and deletes those whose schedule was cancelled
+   * @private
+   * @param {Array} messages - Received messages
+   * @returns {Promise<Array>} Messages that are due and can be processed
+   */
+  _holdScheduledMessages = async (messages) => {
+    if (!this.scheduledDelivery || messages.length === 0) {
+      return messages;
+    }
+    
+    const { due, waiting, cancelled } = await this.scheduledDelivery.screen(messages);
+    
+    if (waiting.length > 0) {
+      await this._holdWaitingMessages(waiting);
+    }
+    if (cancelled.length > 0) {
+      await this._deleteProcessedMessages(cancelled, {
+        outcomes: cancelled.map(message => ({ receiptHandle: message.ReceiptHandle, success: true }))
+      });
+    }
+    
+    await this.scheduledDelivery.forget([...due, ...cancelled]);
+    return due;
+  };
+
+  /**
+   * Holds messages until their delivery time, by extending their visibility timeout or by publishing a delayed
+   * copy and deleting the original
+   * Originals whose copy could not be published are left to reappear after their visibility timeout
+   * @private
+   * @param {Array<Object>} waiting - Messages with the `delaySeconds` they are held for
+   * @returns {Promise<void>}
+   */
+  _holdWaitingMessages = async (waiting) => {
+    const delays = new Map(waiting.map(({ message, delaySeconds }) => [message, delaySeconds]));
+    const messages = waiting.map(({ message }) => message);
+    
+    if (this.scheduledDelivery.mode === RedeliveryMode.VISIBILITY) {
+      await this.acknowledger.changeVisibility(messages, message => delays.get(message));
+      return;
+    }
+    
+    const results = await Promise.all(
+      messages.map(message => this.scheduledDelivery.requeue(message, delays.get(message)))
+    );
+    const requeued = messages.filter((message, index) => results[index].success);
+    
+    if (requeued.length > 0) {
+      await this._deleteProcessedMessages(requeued, {
+        outcomes: requeued.map(message => ({ receiptHandle: message.ReceiptHandle, success: true }))
+      });
+    }
   };
 
   /**
-   * Deletes successfully processed messages
+   * Deletes successfully processed and dead-lettered messages
+   * Only messages whose own outcome succeeded or that were forwarded to the dead-letter queue are deleted;
+   * failed messages stay on the queue
    * @private
    * @param {Array} messages - Original messages
-   * @param {Object} results - Processing results
+   * @param {Object} results - Processing results with per-message outcomes
+   * @returns {Promise<Object>} Delete report with `succeeded` message IDs and `failed` entries
    */
   _deleteProcessedMessages = async (messages, results) => {
-    const deletePromises = messages
-      .filter(message => {
-        // Only delete messages that were successfully processed
-        const messageResult = results.successful > 0;
-        return messageResult;
-      })
-      .map(message => this._deleteMessage(message.ReceiptHandle));
+    const successfulIds = new Set(
+      (results.outcomes || [])
+        .filter(outcome => outcome.success || outcome.deadLettered)
+        .map(outcome => outcome.receiptHandle)
+    );
+    const toDelete = messages.filter(message => successfulIds.has(message.ReceiptHandle));
+    
+    if (toDelete.length === 0) {
+      return { succeeded: [], failed: [] };
+    }
+    
+    const startTime = Date.now();
+    const report = await this.acknowledger.deleteMessages(toDelete);
+    const deleteTime = Date.now() - startTime;
+    this.ackStats.deleted += report.succeeded.length;
+    this.ackStats.deleteFailed += report.failed.length;
+    
+    report.succeeded.forEach(messageId => {
+      emitSafely(this, ConsumerEvent.DELETED, { queueUrl: this.queueUrl, messageId, deleteTime });
+    });
+    report.failed.forEach(failure => {
+      emitSafely(this, ConsumerEvent.DELETE_FAILED, {
+        queueUrl: this.queueUrl,
+        messageId: failure.messageId,
+        code: failure.code,
+        error: failure.error,
+        deleteTime
+      });
+    });
     
-    await Promise.allSettled(deletePromises);
+    results.deleteFailures = report.failed;
+    return report;
   };
 
   /**
-   * Deletes a single message
+   * Settles messages whose handler failed
+   * Failed messages are left for redelivery after their visibility timeout, released immediately when
+   * `releaseFailedMessages` is enabled, or delayed with exponential backoff when a `retryPolicy` is set.
+   * Messages nacked by their handler are always redelivered after the delay they asked for.
    * @private
-   * @param {string} receiptHandle - Message receipt handle
+   * @param {Array} messages - Original messages
+   * @param {Object} results - Processing results with per-message outcomes
    * @returns {Promise<void>}
    */
-  _deleteMessage = async (receiptHandle) => {
-    try {
-      const command = new DeleteMessageCommand({
-        QueueUrl: this.queueUrl,
-        ReceiptHandle: receiptHandle
+  _settleFailedMessages = async (messages, results) => {
+    const messagesByHandle = new Map(messages.map(message => [message.ReceiptHandle, message]));
+    const delays = new Map();
+    
+    (results.outcomes || []).filter(outcome => !outcome.success && !outcome.deadLettered).forEach(outcome => {
+      const message = messagesByHandle.get(outcome.receiptHandle);
+      const delay = message ? this._getRedeliveryDelay(message, outcome) : null;
+      if (delay !== null) {
+        delays.set(message.MessageId, delay);
+      }
+    });
+    
+    const toChange = messages.filter(message => delays.has(message.MessageId));
+    if (toChange.length === 0) {
+      return;
+    }
+    
+    const report = await this.acknowledger.changeVisibility(toChange, message => delays.get(message.MessageId));
+    report.succeeded.forEach(messageId => {
+      if (delays.get(messageId) === 0) {
+        this.ackStats.released++;
+      } else {
+        this.ackStats.delayed++;
+      }
+    });
+    
+    report.failed.forEach(failure => {
+      emitError(this, new Error(failure.error), {
+        queueUrl: this.queueUrl,
+        operation: 'change_visibility',
+        messageId: failure.messageId,
+        code: failure.code
       });
-      
-      await this.sqsClient.executeCommand(command);
-    } catch (error) {
-      console.error('Failed to delete message:', error.message);
+    });
+  };
+
+  /**
+   * Computes the visibility timeout a failed message is redelivered after
+   * @private
+   * @param {Object} message - SQS message
+   * @param {Object} outcome - Processing outcome of the message
+   * @returns {number|null} Delay in seconds, or null to leave the message until its visibility timeout expires
+   */
+  _getRedeliveryDelay = (message, outcome) => {
+    if (outcome.nacked) {
+      return outcome.nackDelaySeconds;
+    }
+    
+    if (this.retryManager && !outcome.skipped) {
+      const receiveCount = Number(message.Attributes?.ApproximateReceiveCount || 1);
+      const delayMs = this.retryManager.calculateDelay(Math.max(receiveCount - 1, 0));
+      return Math.min(Math.ceil(delayMs / 1000), MAX_VISIBILITY_TIMEOUT_SECONDS);
+    }
+    
+    // Skipped group members carry no failure of their own, so they are released right away
+    if (this.retryManager || this.options.releaseFailedMessages) {
+      return 0;
     }
+    
+    return null;
   };
 
   /**
@@ -202,18 +1725,66 @@ class MessageConsumer {
     
     if (results.failed > 0) {
       results.errors.forEach(error => {
-        this.healthMonitor.recordFailure(error.error);
+        if (error.timedOut) {
+          this.healthMonitor.recordTimeout(error.error);
+        } else {
+          this.healthMonitor.recordFailure(error.error);
+        }
       });
     }
   };
 
+  /**
+   * Creates empty acknowledgement statistics
+   * @private
+   * @returns {Object} Acknowledgement statistics
+   */
+  _createAckStats = () => ({
+    deleted: 0,
+    deleteFailed: 0,
+    released: 0,
+    delayed: 0
+  });
+
   /**
    * Sleeps for the specified number of milliseconds
    * @private
    * @param {number} ms - Milliseconds to sleep
    * @returns {Promise<void>} Promise that resolves after the delay
    */
-  _sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  _sleep = (ms) => new Promise(resolve => {
+    const sleeper = { resolve };
+    sleeper.timer = setTimeout(() => {
+      this.sleepers.delete(sleeper);
+      resolve();
+    }, ms);
+    this.sleepers.add(sleeper);
+  });
+
+  /**
+   * Ends every pending sleep early so a stopping loop can exit promptly
+   * @private
+   */
+  _wakeSleepers = () => {
+    this.sleepers.forEach(sleeper => {
+      clearTimeout(sleeper.timer);
+      sleeper.resolve();
+    });
+    this.sleepers.clear();
+  };
+
+  /**
+   * Adds a middleware run around the message handler
+   * Middlewares are called Koa style with `(message, context, next)`: they can mutate the context,
+   * observe the handler's outcome by awaiting `next()`, or short-circuit by returning without calling it,
+   * in which case the message counts as processed and is deleted unless the middleware nacks it.
+   * @param {Function} middleware - Middleware function
+   * @returns {MessageConsumer} The consumer, for chaining
+   */
+  use = (middleware) => {
+    this.processingEngine.use(middleware);
+    return this;
+  };
 
   /**
    * Sets the health monitor
@@ -232,22 +1803,83 @@ class MessageConsumer {
   /**
    * Sets the processing mode
    * @param {string} mode - Processing mode
+   * @throws {Error} If autoscaling is enabled and the mode is sequential
    */
   setProcessingMode = (mode) => {
-    this.processingEngine.setMode(mode);
-    this.options.processingMode = mode;
+    const processingMode = this._resolveProcessingMode(mode, this.concurrencyController !== null);
+    this.processingEngine.setMode(processingMode);
+    this.options.processingMode = processingMode;
   };
 
   /**
    * Gets processing statistics
    * @returns {Object} Processing statistics
    */
-  getStats = () => this.processingEngine.getStats();
+  getStats = () => ({
+    ...this.processingEngine.getStats(),
+    acknowledgements: { ...this.ackStats },
+    ...(this.heartbeat && { heartbeat: this.heartbeat.getStats() }),
+    ...(this.deadLetterRouter && { deadLetter: this.deadLetterRouter.getStats() }),
+    ...(this.router.hasRoutes() && { routing: this.router.getStats() }),
+    ...(this.concurrencyController && { autoscaling: this.concurrencyController.getStats() }),
+    ...(this.prefetchBuffer && { prefetch: this.prefetchBuffer.getStats() }),
+    ...(this.rateLimiter && { rateLimit: this.rateLimiter.getStats() }),
+    ...(this.idempotencyGuard && { idempotency: this.idempotencyGuard.getStats() }),
+    ...(this.scheduledDelivery && { scheduledDelivery: this.scheduledDelivery.getStats() }),
+    ...this._getBodyStats()
+  });
+
+  /**
+   * Gets the statistics of the steps restoring message bodies before they are decoded
+   * @private
+   * @returns {Object} Payload offloading and encryption statistics, for the steps that are configured
+   */
+  _getBodyStats = () => ({
+    ...(this.payloadOffloader && { payloadOffloading: this.payloadOffloader.getStats() }),
+    ...(this.encryptor && { encryption: this.encryptor.getStats() })
+  });
 
   /**
    * Resets processing statistics
    */
-  resetStats = () => this.processingEngine.resetStats();
+  resetStats = () => {
+    this.processingEngine.resetStats();
+    this.ackStats = this._createAckStats();
+    
+    if (this.heartbeat) {
+      this.heartbeat.resetStats();
+    }
+    
+    if (this.deadLetterRouter) {
+      this.deadLetterRouter.resetStats();
+    }
+    
+    this.router.resetStats();
+    
+    if (this.prefetchBuffer) {
+      this.prefetchBuffer.resetStats();
+    }
+    
+    if (this.rateLimiter) {
+      this.rateLimiter.resetStats();
+    }
+    
+    if (this.idempotencyGuard) {
+      this.idempotencyGuard.resetStats();
+    }
+    
+    if (this.scheduledDelivery) {
+      this.scheduledDelivery.resetStats();
+    }
+    
+    if (this.payloadOffloader) {
+      this.payloadOffloader.resetStats();
+    }
+    
+    if (this.encryptor) {
+      this.encryptor.resetStats();
+    }
+  };
 
   /**
    * Gets the queue URL
@@ -262,7 +1894,17 @@ class MessageConsumer {
   getConfig = () => ({
     queueUrl: this.queueUrl,
     ...this.options,
-    processingEngine: this.processingEngine.getConfig()
+    processingEngine: this.processingEngine.getConfig(),
+    heartbeat: this.heartbeat ? this.heartbeat.getConfig() : null,
+    retryPolicy: this.retryManager ? this.retryManager.getConfig() : null,
+    deadLetter: this.deadLetterRouter ? this.deadLetterRouter.getConfig() : null,
+    autoscaling: this.concurrencyController ? this.concurrencyController.getConfig() : null,
+    prefetch: this.prefetchConfig,
+    rateLimit: this.rateLimiter ? this.rateLimiter.getConfig() : null,
+    idempotency: this.idempotencyGuard ? this.idempotencyGuard.getConfig() : null,
+    scheduledDelivery: this.scheduledDelivery ? this.scheduledDelivery.getConfig() : null,
+    payloadOffloading: this.payloadOffloader ? this.payloadOffloader.getConfig() : null,
+    encryption: this.encryptor ? this.encryptor.getConfig() : null
   });
 
   /**
@@ -274,20 +1916,42 @@ class MessageConsumer {
       this.setProcessingMode(config.processingMode);
     }
     
+    this._updateEngineConfig(config);
+    
+    if (config.maxMessages) this.options.maxMessages = config.maxMessages;
+    if (config.waitTimeSeconds) this.options.waitTimeSeconds = config.waitTimeSeconds;
+    if (config.visibilityTimeoutSeconds) this.options.visibilityTimeoutSeconds = config.visibilityTimeoutSeconds;
+    if (config.pollingInterval) this.options.pollingInterval = config.pollingInterval;
+    if (config.releaseFailedMessages !== undefined) {
+      this.options.releaseFailedMessages = config.releaseFailedMessages === true;
+    }
+  };
+
+  /**
+   * Applies the batch size, concurrency, throttle delay and handler timeout of a configuration update
+   * @private
+   * @param {Object} config - New configuration
+   */
+  _updateEngineConfig = (config) => {
     if (config.batchSize) {
       this.options.batchSize = config.batchSize;
       this.processingEngine.updateConfig({ batchSize: config.batchSize });
     }
     
+    if (config.maxConcurrency) {
+      this.options.maxConcurrency = config.maxConcurrency;
+      this.processingEngine.updateConfig({ maxConcurrency: config.maxConcurrency });
+    }
+    
     if (config.throttleDelayMs !== undefined) {
       this.options.throttleDelayMs = config.throttleDelayMs;
       this.processingEngine.updateConfig({ throttleDelayMs: config.throttleDelayMs });
     }
     
-    if (config.maxMessages) this.options.maxMessages = config.maxMessages;
-    if (config.waitTimeSeconds) this.options.waitTimeSeconds = config.waitTimeSeconds;
-    if (config.visibilityTimeoutSeconds) this.options.visibilityTimeoutSeconds = config.visibilityTimeoutSeconds;
-    if (config.pollingInterval) this.options.pollingInterval = config.pollingInterval;
+    if (config.handlerTimeoutMs !== undefined) {
+      this.options.handlerTimeoutMs = config.handlerTimeoutMs || null;
+      this.processingEngine.updateConfig({ handlerTimeoutMs: config.handlerTimeoutMs });
+    }
   };
 
   /**
@@ -295,6 +1959,12 @@ class MessageConsumer {
    * @returns {boolean} True if consumer is running
    */
   isConsumerRunning = () => this.isRunning;
+
+  /**
+   * Checks if the consumer is paused
+   * @returns {boolean} True if consumer is running but paused
+   */
+  isConsumerPaused = () => this.getStatus() === ConsumerStatus.PAUSED;
 }
 
 module.exports = MessageConsumer;
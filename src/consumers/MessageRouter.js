@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Message Router for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { UnroutedMessageError, HandlerTimeoutError } = require('../errors');
+const { UnroutedMessagePolicy } = require('../types');
+const { runWithTimeout } = require('../utils/timeout');
+
+/**
+ * Message Router class for dispatching messages of a multiplexed queue to per-type handlers
+ * Routes are evaluated in registration order and the first match wins
+ */
+class MessageRouter {
+  /**
+   * Creates a new MessageRouter instance
+   * @param {Object} [config] - Router configuration
+   * @param {string} [config.unroutedMessages='fail'] - What happens to messages that match no route and have no
+   *   fallback: 'fail' leaves them for redelivery, 'delete' drops them, 'dead_letter' dead-letters them
+   * @param {string} [config.typeField='type'] - Body field compared with string matchers
+   */
+  constructor(config = {}) {
+    const unroutedMessages = config.unroutedMessages || UnroutedMessagePolicy.FAIL;
+    if (!Object.values(UnroutedMessagePolicy).includes(unroutedMessages)) {
+      throw new Error(`Unknown unrouted message policy: ${unroutedMessages}`);
+    }
+    
+    this.unroutedMessages = unroutedMessages;
+    this.typeField = config.typeField || 'type';
+    this.routes = [];
+    this.fallbackRoute = null;
+    this.unroutedCount = 0;
+  }
+
+  /**
+   * Adds a route
+   * @param {string|Function|Object} matcher - Message type compared with the body's type field, predicate called
+   *   with `(message, context)`, or `{ attributes }` object matching message attribute values
+   * @param {Function} handler - Handler called with `(message, context)` for matching messages
+   * @param {Object} [options] - Route options
+   * @param {string} [options.name] - Name used in statistics (default: the type, or `route-<n>`)
+   * @param {number} [options.handlerTimeoutMs] - Timeout for this route's handler, within the consumer's timeout
+   */
+  route = (matcher, handler, options = {}) => {
+    if (typeof handler !== 'function') {
+      throw new Error('Route handler must be a function');
+    }
+    
+    const name = options.name || (typeof matcher === 'string' ? matcher : `route-${this.routes.length + 1}`);
+    if (this.routes.some(route => route.name === name)) {
+      throw new Error(`Route ${name} is already registered`);
+    }
+    
+    const route = this._createRoute(name, this._createPredicate(matcher), handler);
+    route.handlerTimeoutMs = options.handlerTimeoutMs || null;
+    this.routes.push(route);
+  };
+
+  /**
+   * Sets the handler for messages that match no route
+   * @param {Function} handler - Handler called with `(message, context)`
+   */
+  fallback = (handler) => {
+    if (typeof handler !== 'function') {
+      throw new Error('Fallback handler must be a function');
+    }
+    
+    this.fallbackRoute = this._createRoute('fallback', () => true, handler);
+  };
+
+  /**
+   * Checks whether any route or fallback is registered
+   * @returns {boolean} True if the router has something to dispatch to
+   */
+  hasRoutes = () => this.routes.length > 0 || this.fallbackRoute !== null;
+
+  /**
+   * Dispatches a message to the first matching route, the fallback, or the unrouted policy
+   * Used as the consumer's message handler
+   * @param {*} message - Parsed message body
+   * @param {Object} context - Message context
+   * @returns {Promise<*>} Result of the route handler
+   * @throws {UnroutedMessageError} If no route matches and the policy is 'fail' or 'dead_letter'
+   */
+  dispatch = async (message, context) => {
+    const route = this.routes.find(candidate => candidate.predicate(message, context)) || this.fallbackRoute;
+    
+    if (!route) {
+      return this._handleUnrouted(message, context);
+    }
+    
+    context.route = route.name;
+    return this._invoke(route, message, context);
+  };
+
+  /**
+   * Invokes a route handler and records its statistics
+   * @private
+   * @param {Object} route - Route
+   * @param {*} message - Parsed message body
+   * @param {Object} context - Message context
+   * @returns {Promise<*>} Result of the route handler
+   */
+  _invoke = async (route, message, context) => {
+    const startTime = Date.now();
+    route.stats.matched++;
+    
+    try {
+      const result = route.handlerTimeoutMs
+        ? await runWithTimeout((signal) => {
+          context.signal = signal;
+          return route.handler(message, context);
+        }, route.handlerTimeoutMs, context.signal)
+        : await route.handler(message, context);
+      route.stats.succeeded++;
+      return result;
+    } catch (error) {
+      route.stats.failed++;
+      if (error instanceof HandlerTimeoutError) {
+        route.stats.timedOut++;
+      }
+      throw error;
+    } finally {
+      route.stats.totalProcessingTime += Date.now() - startTime;
+    }
+  };
+
+  /**
+   * Applies the unrouted message policy
+   * @private
+   * @param {*} message - Parsed message body
+   * @param {Object} context - Message context
+   * @returns {undefined} Nothing when the policy is 'delete'
+   * @throws {UnroutedMessageError} If the policy is 'fail' or 'dead_letter'
+   */
+  _handleUnrouted = (message, context) => {
+    this.unroutedCount++;
+    
+    if (this.unroutedMessages === UnroutedMessagePolicy.DELETE) {
+      return undefined;
+    }
+    
+    const type = message && typeof message === 'object' ? message[this.typeField] : undefined;
+    throw new UnroutedMessageError(`No route matched message ${context.messageId} (type: ${type})`, {
+      details: { type },
+      poison: this.unroutedMessages === UnroutedMessagePolicy.DEAD_LETTER
+    });
+  };
+
+  /**
+   * Converts a matcher into a predicate
+   * @private
+   * @param {string|Function|Object} matcher - Route matcher
+   * @returns {Function} Predicate called with `(message, context)`
+   */
+  _createPredicate = (matcher) => {
+    if (typeof matcher === 'string') {
+      return (message) => message !== null && typeof message === 'object' && message[this.typeField] === matcher;
+    }
+    
+    if (typeof matcher === 'function') {
+      return (message, context) => matcher(message, context) === true;
+    }
+    
+    if (matcher && typeof matcher.attributes === 'object') {
+      const expected = Object.entries(matcher.attributes);
+      return (message, context) => expected.every(([name, value]) => {
+        const actual = context.messageAttributes[name]?.StringValue;
+        return value instanceof RegExp ? actual !== undefined && value.test(actual) : actual === String(value);
+      });
+    }
+    
+    throw new Error('Route matcher must be a type string, a predicate function or an { attributes } object');
+  };
+
+  /**
+   * Creates a route record
+   * @private
+   * @param {string} name - Route name
+   * @param {Function} predicate - Route predicate
+   * @param {Function} handler - Route handler
+   * @returns {Object} Route
+   */
+  _createRoute = (name, predicate, handler) => ({
+    name,
+    predicate,
+    handler,
+    stats: this._createRouteStats()
+  });
+
+  /**
+   * Creates empty route statistics
+   * @private
+   * @returns {Object} Route statistics
+   */
+  _createRouteStats = () => ({
+    matched: 0,
+    succeeded: 0,
+    failed: 0,
+    timedOut: 0,
+    totalProcessingTime: 0
+  });
+
+  /**
+   * Gets routing statistics per route
+   * @returns {Object} Statistics keyed by route name, plus the `unrouted` count
+   */
+  getStats = () => {
+    const stats = {};
+    
+    [...this.routes, ...(this.fallbackRoute ? [this.fallbackRoute] : [])].forEach(route => {
+      const { totalProcessingTime, ...counts } = route.stats;
+      stats[route.name] = {
+        ...counts,
+        averageProcessingTime: counts.matched > 0 ? totalProcessingTime / counts.matched : 0
+      };
+    });
+    
+    return { routes: stats, unrouted: this.unroutedCount };
+  };
+
+  /**
+   * Resets routing statistics
+   */
+  resetStats = () => {
+    [...this.routes, ...(this.fallbackRoute ? [this.fallbackRoute] : [])].forEach(route => {
+      route.stats = this._createRouteStats();
+    });
+    this.unroutedCount = 0;
+  };
+}
+
+module.exports = MessageRouter;
@@ -0,0 +1,601 @@
+/**
+ * @fileoverview Multi-Queue Consumer for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { EventEmitter } = require('events');
+const MessageConsumer = require('./MessageConsumer');
+const QueueScheduler = require('./QueueScheduler');
+const { emitSafely, emitError } = require('../utils/events');
+const {
+  ConsumerEvent,
+  ConsumerStatus,
+  ProcessingMode,
+  SchedulingPolicy,
+  UnfinishedMessagePolicy
+} = require('../types');
+
+/**
+ * Events of the per-queue consumers that are re-emitted with the name of their queue
+ * @private
+ */
+const FORWARDED_EVENTS = [
+  ConsumerEvent.MESSAGE_RECEIVED,
+  ConsumerEvent.EMPTY_RECEIVE,
+  ConsumerEvent.PROCESSED,
+  ConsumerEvent.FAILED,
+  ConsumerEvent.DELETED,
+  ConsumerEvent.DELETE_FAILED
+];
+
+/**
+ * Multi-Queue Consumer class consuming several queues with one handler and one concurrency pool
+ * Every queue has a receive loop that keeps at most one received batch buffered. Whenever the pool has room, the
+ * scheduler picks the queue the next buffered message is dispatched from, by strict priority (with a starvation
+ * bound) or by weight. Messages are processed one at a time per slot by a MessageConsumer per queue, so each
+ * queue keeps its own decoding, middlewares, dead-letter queue, retry policy and statistics. Messages of the same
+ * FIFO message group are never processed concurrently.
+ */
+class MultiQueueConsumer extends EventEmitter {
+  /**
+   * Creates a new MultiQueueConsumer instance
+   * @param {SQSClient} sqsClient - SQS client instance
+   * @param {Array<Object>} queues - Queues to consume
+   * @param {string} queues[].queueUrl - Queue URL
+   * @param {string} [queues[].name] - Name used in statistics and events (default: the queue URL)
+   * @param {number} [queues[].priority] - Priority under the priority policy; higher is served first
+   *   (default: by position, the first queue highest)
+   * @param {number} [queues[].weight=1] - Share of dispatches under the weighted policy
+   * @param {Object} [queues[].options] - MessageConsumer options for this queue only
+   * @param {Object} [options] - MessageConsumer options shared by every queue, plus:
+   * @param {string} [options.scheduling='priority'] - Scheduling policy: 'priority' or 'weighted'
+   * @param {number} [options.maxConcurrency=10] - Messages processed at once across all queues
+   * @param {number|null} [options.maxStarvationMs=10000] - Under the priority policy, how long a queue with messages
+   *   can go without being served before it goes ahead of higher priorities; null for strict priority. Keep it
+   *   below the visibility timeout, or starved messages expire in the buffer
+   * @param {number} [options.leaseMarginMs=2000] - Buffered messages with less visibility lease than this left are
+   *   dropped instead of dispatched, and redelivered once their visibility timeout expires
+   * @param {number} [options.drainTimeoutMs=30000] - How long stop() waits for in-flight handlers
+   * @param {string} [options.unfinishedMessages='leave'] - What stop() does with messages still in flight after
+   *   the drain timeout: 'release' or 'leave'
+   */
+  constructor(sqsClient, queues, options = {}) {
+    super();
+    if (!Array.isArray(queues) || queues.length === 0) {
+      throw new Error('Multi-queue consumer requires at least one queue');
+    }
+    
+    this.sqsClient = sqsClient;
+    this.options = {
+      scheduling: options.scheduling || SchedulingPolicy.PRIORITY,
+      maxConcurrency: options.maxConcurrency || 10,
+      maxStarvationMs: options.maxStarvationMs !== undefined ? options.maxStarvationMs : 10000,
+      leaseMarginMs: options.leaseMarginMs !== undefined ? options.leaseMarginMs : 2000,
+      drainTimeoutMs: options.drainTimeoutMs !== undefined ? options.drainTimeoutMs : 30000,
+      unfinishedMessages: options.unfinishedMessages || UnfinishedMessagePolicy.LEAVE
+    };
+    
+    this.queues = queues.map((queue, index) => this._createQueue(queue, queues.length - index, options));
+    this._checkQueueNames();
+    this.scheduler = new QueueScheduler({
+      policy: this.options.scheduling,
+      maxStarvationMs: this.options.maxStarvationMs,
+      queues: this.queues
+    });
+    
+    this.isRunning = false;
+    this.messageHandler = null;
+    this.inFlight = 0;
+    this.processing = new Set();
+    this.loops = [];
+    this.dispatcher = null;
+    this.dispatchWaiter = null;
+    this.sleepers = new Set();
+  }
+
+  /**
+   * Starts consuming every queue
+   * @param {Function} messageHandler - Handler called with `(message, context)`; `context.queue` holds the queue name
+   * @returns {Promise<void>}
+   */
+  start = async (messageHandler) => {
+    if (typeof messageHandler !== 'function') {
+      throw new Error('Message handler is required and must be a function');
+    }
+    
+    this.messageHandler = messageHandler;
+    this.isRunning = true;
+    this.loops = this.queues.map(queue => this._receiveLoop(queue));
+    this.dispatcher = this._dispatchLoop();
+    
+    const details = {
+      queues: this.getQueueNames(),
+      scheduling: this.options.scheduling,
+      maxConcurrency: this.options.maxConcurrency
+    };
+    emitSafely(this, ConsumerEvent.STARTED, details);
+  };
+
+  /**
+   * Stops consuming and drains in-flight work
+   * Aborts the long polls, waits for in-flight handlers (up to the drain timeout), makes buffered messages visible
+   * again and settles messages that are still unfinished according to the unfinished message policy
+   * @param {Object} [options] - Stop options
+   * @param {number} [options.drainTimeoutMs] - Override the configured drain timeout
+   * @param {string} [options.unfinishedMessages] - Override the configured unfinished message policy
+   * @returns {Promise<Object>} Drain report with `drained` flag and `unfinished` message count
+   */
+  stop = async (options = {}) => {
+    const drainTimeoutMs = options.drainTimeoutMs !== undefined ? options.drainTimeoutMs : this.options.drainTimeoutMs;
+    const unfinishedMessages = options.unfinishedMessages || this.options.unfinishedMessages;
+    
+    this.isRunning = false;
+    this._wakeDispatcher();
+    this._wakeSleepers();
+    this.queues.forEach(queue => this._notifySpace(queue));
+    
+    const drained = await this._waitForDrain(drainTimeoutMs);
+    const counts = await Promise.all(this.queues.map(queue => this._stopQueue(queue, drained, unfinishedMessages)));
+    await Promise.all(this.loops);
+    const unfinished = counts.reduce((total, count) => total + count, 0);
+    
+    emitSafely(this, ConsumerEvent.STOPPED, { queues: this.getQueueNames(), drained, unfinished });
+    
+    return { drained, unfinished };
+  };
+
+  /**
+   * Adds a middleware run around the handler of every queue (see MessageConsumer.use)
+   * @param {Function} middleware - Middleware function
+   * @returns {MultiQueueConsumer} The consumer, for chaining
+   */
+  use = (middleware) => {
+    this.queues.forEach(queue => queue.consumer.use(middleware));
+    return this;
+  };
+
+  /**
+   * Sets the health monitor every queue reports its processing results to
+   * @param {HealthMonitor} healthMonitor - Health monitor instance
+   */
+  setHealthMonitor = (healthMonitor) => {
+    this.queues.forEach(queue => queue.consumer.setHealthMonitor(healthMonitor));
+  };
+
+  /**
+   * Gets the lifecycle status of the consumer
+   * @returns {string} Consumer status (running, stopped)
+   */
+  getStatus = () => (this.isRunning ? ConsumerStatus.RUNNING : ConsumerStatus.STOPPED);
+
+  /**
+   * Gets the names of the consumed queues
+   * @returns {Array<string>} Queue names in configuration order
+   */
+  getQueueNames = () => this.queues.map(queue => queue.name);
+
+  /**
+   * Gets the URLs of the consumed queues
+   * @returns {Array<string>} Queue URLs in configuration order
+   */
+  getQueueUrls = () => this.queues.map(queue => queue.queueUrl);
+
+  /**
+   * Gets the consumer processing the messages of a queue, for example to register routes or read its stats
+   * @param {string} name - Queue name
+   * @returns {MessageConsumer|null} Consumer of the queue, or null for an unknown name
+   */
+  getQueueConsumer = (name) => {
+    const queue = this.queues.find(candidate => candidate.name === name);
+    return queue ? queue.consumer : null;
+  };
+
+  /**
+   * Gets consumer statistics
+   * @returns {Object} Pool usage, scheduling statistics and per-queue statistics by queue name
+   */
+  getStats = () => ({
+    inFlight: this.inFlight,
+    maxConcurrency: this.options.maxConcurrency,
+    scheduling: this.scheduler.getStats(),
+    queues: Object.fromEntries(this.queues.map(queue => [queue.name, this._getQueueStats(queue)]))
+  });
+
+  /**
+   * Resets the statistics of the scheduler and every queue
+   */
+  resetStats = () => {
+    this.scheduler.resetStats();
+    this.queues.forEach(queue => {
+      queue.stats = this._createQueueStats();
+      queue.consumer.resetStats();
+    });
+  };
+
+  /**
+   * Gets the consumer configuration
+   * @returns {Object} Consumer configuration with the configuration of every queue
+   */
+  getConfig = () => ({
+    ...this.options,
+    queues: this.queues.map(queue => ({
+      name: queue.name,
+      priority: queue.priority,
+      weight: queue.weight,
+      ...queue.consumer.getConfig()
+    }))
+  });
+
+  /**
+   * Creates the state and consumer of one queue
+   * @private
+   * @param {Object} queue - Queue configuration
+   * @param {number} defaultPriority - Priority used when the queue has none
+   * @param {Object} options - Options shared by every queue
+   * @returns {Object} Queue state
+   */
+  _createQueue = (queue, defaultPriority, options) => {
+    if (!queue || !queue.queueUrl) {
+      throw new Error('Every queue of a multi-queue consumer requires a queueUrl');
+    }
+    
+    const name = queue.name || queue.queueUrl;
+    const weight = queue.weight !== undefined ? queue.weight : 1;
+    if (!(weight > 0)) {
+      throw new Error(`Weight of queue ${name} must be a positive number`);
+    }
+    
+    const consumer = new MessageConsumer(this.sqsClient, queue.queueUrl, {
+      ...options,
+      ...queue.options,
+      processingMode: ProcessingMode.SEQUENTIAL
+    });
+    consumer.use((message, context, next) => {
+      context.queue = name;
+      return next();
+    });
+    this._forwardEvents(consumer, name);
+    
+    return {
+      name,
+      queueUrl: queue.queueUrl,
+      priority: queue.priority !== undefined ? queue.priority : defaultPriority,
+      weight,
+      consumer,
+      buffer: [],
+      activeGroups: new Set(),
+      inFlight: 0,
+      lastServedAt: 0,
+      spaceWaiter: null,
+      stats: this._createQueueStats()
+    };
+  };
+
+  /**
+   * Rejects configurations where two queues share a name
+   * @private
+   */
+  _checkQueueNames = () => {
+    const names = this.getQueueNames();
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    
+    if (duplicate) {
+      throw new Error(`Queue name ${duplicate} is used more than once`);
+    }
+  };
+
+  /**
+   * Re-emits the message events and errors of a queue's consumer with the queue name
+   * @private
+   * @param {MessageConsumer} consumer - Consumer of the queue
+   * @param {string} name - Queue name
+   */
+  _forwardEvents = (consumer, name) => {
+    FORWARDED_EVENTS.forEach(event => {
+      consumer.on(event, payload => emitSafely(this, event, { queue: name, ...payload }));
+    });
+    consumer.on(ConsumerEvent.ERROR, (error, context) => emitError(this, error, { queue: name, ...context }));
+  };
+
+  /**
+   * Receive loop of one queue: receives a batch whenever the queue's buffer is empty
+   * @private
+   * @param {Object} queue - Queue state
+   * @returns {Promise<void>}
+   */
+  _receiveLoop = async (queue) => {
+    const { pollingInterval } = queue.consumer.options;
+    
+    while (this.isRunning) {
+      if (queue.buffer.length > 0) {
+        await new Promise(resolve => {
+          queue.spaceWaiter = resolve;
+        });
+        continue;
+      }
+      
+      try {
+        const messages = await queue.consumer.receiveBatch();
+        await this._bufferMessages(queue, messages);
+        
+        if (messages.length === 0) {
+          await this._sleep(pollingInterval);
+        }
+      } catch (error) {
+        if (!this.isRunning) {
+          break;
+        }
+        
+        emitError(this, error, { queue: queue.name, queueUrl: queue.queueUrl, operation: 'receive' });
+        await this._sleep(pollingInterval * 2);
+      }
+    }
+  };
+
+  /**
+   * Adds received messages to a queue's buffer, or releases them if the consumer stopped meanwhile
+   * @private
+   * @param {Object} queue - Queue state
+   * @param {Array} messages - Received messages
+   * @returns {Promise<void>}
+   */
+  _bufferMessages = async (queue, messages) => {
+    if (!this.isRunning) {
+      if (messages.length > 0) {
+        await queue.consumer.acknowledger.releaseMessages(messages);
+      }
+      return;
+    }
+    
+    const receivedAt = Date.now();
+    const leaseExpiresAt = receivedAt + queue.consumer.options.visibilityTimeoutSeconds * 1000;
+    messages.forEach(message => queue.buffer.push({ message, receivedAt, leaseExpiresAt }));
+    
+    queue.stats.received += messages.length;
+    if (messages.length === 0) {
+      queue.stats.emptyReceives++;
+    }
+    this._wakeDispatcher();
+  };
+
+  /**
+   * Dispatch loop: hands buffered messages to the pool while it has room
+   * @private
+   * @returns {Promise<void>}
+   */
+  _dispatchLoop = async () => {
+    while (this.isRunning) {
+      const queue = this.inFlight < this.options.maxConcurrency ? this._selectQueue() : null;
+      
+      if (queue) {
+        this._dispatch(queue);
+      } else {
+        await new Promise(resolve => {
+          this.dispatchWaiter = resolve;
+        });
+      }
+    }
+  };
+
+  /**
+   * Asks the scheduler which queue to dispatch from, among queues with a message ready for dispatch
+   * @private
+   * @returns {Object|null} Queue state, or null when no message can be dispatched
+   */
+  _selectQueue = () => {
+    const now = Date.now();
+    const candidates = [];
+    
+    this.queues.forEach(queue => {
+      this._dropExpired(queue, now);
+      const entry = this._nextEntry(queue);
+      
+      if (entry) {
+        candidates.push({ name: queue.name, waitingSince: Math.max(entry.receivedAt, queue.lastServedAt) });
+      }
+    });
+    
+    const name = this.scheduler.select(candidates, now);
+    return name === null ? null : this.queues.find(queue => queue.name === name);
+  };
+
+  /**
+   * Gets the first buffered message of a queue whose message group is not being processed
+   * @private
+   * @param {Object} queue - Queue state
+   * @returns {Object|undefined} Buffer entry
+   */
+  _nextEntry = (queue) => queue.buffer.find(entry => {
+    const group = entry.message.Attributes?.MessageGroupId;
+    return !group || !queue.activeGroups.has(group);
+  });
+
+  /**
+   * Drops buffered messages whose visibility lease is about to expire
+   * @private
+   * @param {Object} queue - Queue state
+   * @param {number} now - Current time in epoch milliseconds
+   */
+  _dropExpired = (queue, now) => {
+    const live = queue.buffer.filter(entry => entry.leaseExpiresAt - now > this.options.leaseMarginMs);
+    const expired = queue.buffer.length - live.length;
+    
+    if (expired > 0) {
+      queue.buffer = live;
+      queue.stats.expired += expired;
+      this._notifySpace(queue);
+    }
+  };
+
+  /**
+   * Processes the next message of a queue in a pool slot
+   * @private
+   * @param {Object} queue - Queue state
+   */
+  _dispatch = (queue) => {
+    const entry = this._nextEntry(queue);
+    const group = entry.message.Attributes?.MessageGroupId;
+    const now = Date.now();
+    
+    queue.buffer.splice(queue.buffer.indexOf(entry), 1);
+    this._notifySpace(queue);
+    if (group) {
+      queue.activeGroups.add(group);
+    }
+    
+    queue.lastServedAt = now;
+    queue.inFlight++;
+    queue.stats.dispatched++;
+    queue.stats.totalWaitMs += now - entry.receivedAt;
+    this.inFlight++;
+    
+    const processing = queue.consumer.processBatch([entry.message], this.messageHandler)
+      .catch(error => {
+        emitError(this, error, { queue: queue.name, queueUrl: queue.queueUrl, operation: 'process' });
+      })
+      .finally(() => {
+        if (group) {
+          queue.activeGroups.delete(group);
+        }
+        queue.inFlight--;
+        this.inFlight--;
+        this.processing.delete(processing);
+        this._wakeDispatcher();
+      });
+    this.processing.add(processing);
+  };
+
+  /**
+   * Lets a queue's receive loop continue once its buffer is empty, or once the consumer stopped
+   * @private
+   * @param {Object} queue - Queue state
+   */
+  _notifySpace = (queue) => {
+    if (queue.spaceWaiter && (queue.buffer.length === 0 || !this.isRunning)) {
+      const resolve = queue.spaceWaiter;
+      queue.spaceWaiter = null;
+      resolve();
+    }
+  };
+
+  /**
+   * Wakes the dispatch loop after a change that may allow a dispatch
+   * @private
+   */
+  _wakeDispatcher = () => {
+    if (this.dispatchWaiter) {
+      const resolve = this.dispatchWaiter;
+      this.dispatchWaiter = null;
+      resolve();
+    }
+  };
+
+  /**
+   * Waits for in-flight messages to finish processing
+   * @private
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {Promise<boolean>} True if they finished before the timeout
+   */
+  _waitForDrain = async (timeoutMs) => {
+    const pending = [...this.processing, this.dispatcher].filter(Boolean);
+    if (pending.length === 0) {
+      return true;
+    }
+    
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    
+    const drained = await Promise.race([Promise.all(pending).then(() => true), timeout]);
+    clearTimeout(timer);
+    return drained;
+  };
+
+  /**
+   * Stops a queue's consumer and makes its buffered (and, by policy, unfinished) messages visible again
+   * @private
+   * @param {Object} queue - Queue state
+   * @param {boolean} drained - Whether in-flight messages finished before the drain timeout
+   * @param {string} unfinishedMessages - Unfinished message policy
+   * @returns {Promise<number>} Messages of the queue still in flight
+   */
+  _stopQueue = async (queue, drained, unfinishedMessages) => {
+    const unfinished = Array.from(queue.consumer.inFlightMessages.values());
+    await queue.consumer.stop({ drainTimeoutMs: 0 });
+    
+    const release = queue.buffer.splice(0).map(entry => entry.message);
+    if (!drained && unfinishedMessages === UnfinishedMessagePolicy.RELEASE) {
+      release.push(...unfinished);
+    }
+    
+    if (release.length > 0) {
+      await queue.consumer.acknowledger.releaseMessages(release);
+    }
+    return unfinished.length;
+  };
+
+  /**
+   * Builds the statistics of one queue
+   * @private
+   * @param {Object} queue - Queue state
+   * @returns {Object} Scheduling counters and the statistics of the queue's consumer
+   */
+  _getQueueStats = (queue) => {
+    const { totalWaitMs, ...counters } = queue.stats;
+    
+    return {
+      queueUrl: queue.queueUrl,
+      priority: queue.priority,
+      weight: queue.weight,
+      buffered: queue.buffer.length,
+      inFlight: queue.inFlight,
+      ...counters,
+      averageWaitMs: counters.dispatched > 0 ? Math.round(totalWaitMs / counters.dispatched) : 0,
+      processing: queue.consumer.getStats()
+    };
+  };
+
+  /**
+   * Creates empty per-queue scheduling statistics
+   * @private
+   * @returns {Object} Queue statistics
+   */
+  _createQueueStats = () => ({
+    received: 0,
+    emptyReceives: 0,
+    dispatched: 0,
+    expired: 0,
+    totalWaitMs: 0
+  });
+
+  /**
+   * Sleeps for the specified number of milliseconds, ending early when the consumer stops
+   * @private
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>} Promise that resolves after the delay
+   */
+  _sleep = (ms) => new Promise(resolve => {
+    const sleeper = { resolve };
+    sleeper.timer = setTimeout(() => {
+      this.sleepers.delete(sleeper);
+      resolve();
+    }, ms);
+    this.sleepers.add(sleeper);
+  });
+
+  /**
+   * Ends every pending sleep early so a stopping loop can exit promptly
+   * @private
+   */
+  _wakeSleepers = () => {
+    this.sleepers.forEach(sleeper => {
+      clearTimeout(sleeper.timer);
+      sleeper.resolve();
+    });
+    this.sleepers.clear();
+  };
+}
+
+module.exports = MultiQueueConsumer;
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Prefetch Buffer for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+/**
+ * Prefetch Buffer class for decoupling message receiving from processing
+ * A bounded queue of received messages: pollers reserve capacity before receiving so the buffer never overfills,
+ * and workers take messages out, dropping any whose visibility lease expired while they were buffered
+ */
+class PrefetchBuffer {
+  /**
+   * Creates a new PrefetchBuffer instance
+   * @param {Object} config - Buffer configuration
+   * @param {number} config.capacity - Maximum number of buffered and reserved messages
+   * @param {number} config.leaseMs - Visibility timeout the messages were received with, in milliseconds
+   * @param {number} [config.leaseMarginMs=2000] - Messages with less lease than this left are not handed out
+   */
+  constructor(config) {
+    this.capacity = config.capacity;
+    this.leaseMs = config.leaseMs;
+    this.leaseMarginMs = config.leaseMarginMs !== undefined ? config.leaseMarginMs : 2000;
+    this.entries = [];
+    this.reserved = 0;
+    this.closed = false;
+    this.takers = [];
+    this.reservers = [];
+    this.stats = this._createStats();
+  }
+
+  /**
+   * Reserves room for up to `max` messages, waiting while the buffer is full
+   * @param {number} max - Messages the caller wants to receive
+   * @returns {Promise<number>} Reserved count, 0 once the buffer is closed
+   */
+  reserve = async (max) => {
+    while (!this.closed && this._freeCapacity() === 0) {
+      await new Promise(resolve => this.reservers.push(resolve));
+    }
+    
+    if (this.closed) {
+      return 0;
+    }
+    
+    const count = Math.min(max, this._freeCapacity());
+    this.reserved += count;
+    return count;
+  };
+
+  /**
+   * Adds received messages and releases the reservation they were received under
+   * @param {Array} messages - Received messages
+   * @param {number} reserved - Count returned by reserve()
+   */
+  push = (messages, reserved) => {
+    const expiresAt = Date.now() + this.leaseMs;
+    
+    this.reserved -= reserved;
+    messages.forEach(message => this.entries.push({ message, expiresAt }));
+    this.stats.received += messages.length;
+    
+    this._wake(this.takers);
+    this._wake(this.reservers);
+  };
+
+  /**
+   * Releases a reservation that was not used, for example after a failed receive
+   * @param {number} reserved - Count returned by reserve()
+   */
+  cancel = (reserved) => {
+    this.reserved -= reserved;
+    this._wake(this.reservers);
+  };
+
+  /**
+   * Takes up to `max` messages, waiting while the buffer is empty
+   * Messages whose lease expires within the margin are dropped; SQS makes them visible again on its own
+   * @param {number} max - Maximum messages to take
+   * @returns {Promise<Array>} Messages, empty once the buffer is closed or when every candidate expired
+   */
+  take = async (max) => {
+    while (!this.closed && this.entries.length === 0) {
+      await new Promise(resolve => this.takers.push(resolve));
+    }
+    
+    const deadline = Date.now() + this.leaseMarginMs;
+    const taken = this.entries.splice(0, max);
+    const live = taken.filter(entry => entry.expiresAt > deadline).map(entry => entry.message);
+    
+    this.stats.expired += taken.length - live.length;
+    this.stats.dispatched += live.length;
+    this._wake(this.reservers);
+    
+    return live;
+  };
+
+  /**
+   * Closes the buffer, waking every waiting poller and worker
+   */
+  close = () => {
+    this.closed = true;
+    this._wake(this.takers);
+    this._wake(this.reservers);
+  };
+
+  /**
+   * Removes and returns every buffered message
+   * @returns {Array} Buffered messages
+   */
+  drain = () => this.entries.splice(0).map(entry => entry.message);
+
+  /**
+   * Gets the number of messages that can still be reserved
+   * @private
+   * @returns {number} Free capacity
+   */
+  _freeCapacity = () => Math.max(this.capacity - this.entries.length - this.reserved, 0);
+
+  /**
+   * Resolves every pending waiter of a list
+   * @private
+   * @param {Array<Function>} waiters - Waiter resolve functions
+   */
+  _wake = (waiters) => {
+    waiters.splice(0).forEach(resolve => resolve());
+  };
+
+  /**
+   * Creates empty buffer statistics
+   * @private
+   * @returns {Object} Buffer statistics
+   */
+  _createStats = () => ({
+    received: 0,
+    dispatched: 0,
+    expired: 0
+  });
+
+  /**
+   * Resets buffer statistics
+   */
+  resetStats = () => {
+    this.stats = this._createStats();
+  };
+
+  /**
+   * Gets buffer statistics
+   * @returns {Object} Buffer statistics with the current fill level
+   */
+  getStats = () => ({
+    ...this.stats,
+    buffered: this.entries.length,
+    capacity: this.capacity
+  });
+}
+
+module.exports = PrefetchBuffer;
@@ -5,6 +5,19 @@
  */
 
 const { ProcessingMode } = require('../types');
+const { MessageDecodeError, HandlerTimeoutError } = require('../errors');
+const CodecRegistry = require('../utils/CodecRegistry');
+const Compressor = require('../utils/Compressor');
+const CloudEventEnvelope = require('../utils/CloudEventEnvelope');
+const SchemaValidator = require('../utils/SchemaValidator');
+const { compose } = require('../middleware');
+const { runWithTimeout } = require('../utils/timeout');
+
+/**
+ * SQS refuses visibility timeouts above 12 hours
+ * @private
+ */
+const MAX_VISIBILITY_TIMEOUT_SECONDS = 43200;
 
 /**
  * Processing Engine class for handling message processing strategies
@@ -18,21 +31,57 @@ class ProcessingEngine {
    * @param {number} [config.batchSize=5] - Batch size for parallel processing
    * @param {number} [config.throttleDelayMs=0] - Throttle delay between batches
    * @param {number} [config.maxConcurrency=10] - Maximum concurrent operations
+   * @param {Object} [config.heartbeat] - Visibility heartbeat extending leases while handlers run
+   * @param {Function} [config.groupKeyExtractor] - Returns the ordering key of a message in grouped mode,
+   *   called with `(message, context)`; defaults to the FIFO message group ID
+   * @param {Array<Function>} [config.middlewares] - Middlewares run around the handler (see use)
+   * @param {number} [config.handlerTimeoutMs] - Fail a message whose handler has not settled after this long
+   * @param {string|Object} [config.codec='json'] - Codec for bodies without a content type attribute
+   * @param {CodecRegistry} [config.codecRegistry] - Registry content types and codec names are resolved in
+   * @param {SchemaValidator|Object} [config.validation] - Schemas decoded bodies are validated against before the
+   *   handler runs (see SchemaValidator)
+   * @param {number} [config.maxDecompressedBytes=10485760] - Largest body compressed messages may decompress to;
+   *   larger ones fail as poison messages
    */
   constructor(config = {}) {
     this.mode = config.mode || ProcessingMode.SEQUENTIAL;
     this.batchSize = config.batchSize || 5;
     this.throttleDelayMs = config.throttleDelayMs || 0;
     this.maxConcurrency = config.maxConcurrency || 10;
+    this.heartbeat = config.heartbeat || null;
+    this.groupKeyExtractor = config.groupKeyExtractor || ((message, context) => context.messageGroupId);
+    this.handlerTimeoutMs = config.handlerTimeoutMs || null;
+    this.codecRegistry = config.codecRegistry || new CodecRegistry();
+    this.codec = this.codecRegistry.get(config.codec);
+    this.validator = SchemaValidator.from(config.validation);
+    this.maxDecompressedBytes = config.maxDecompressedBytes;
+    this.middlewares = [];
+    (config.middlewares || []).forEach(middleware => this.use(middleware));
     this.isRunning = false;
     this.processingStats = {
       totalProcessed: 0,
       totalFailed: 0,
+      totalTimedOut: 0,
+      totalDecodeFailed: 0,
+      totalValidationFailed: 0,
       averageProcessingTime: 0,
       lastProcessingTime: null
     };
   }
 
+  /**
+   * Adds a middleware run around the message handler
+   * Middlewares are called with `(message, context, next)` in the order they were added
+   * @param {Function} middleware - Middleware function
+   */
+  use = (middleware) => {
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+    
+    this.middlewares.push(middleware);
+  };
+
   /**
    * Processes messages using the configured strategy
    * @param {Array} messages - Array of messages to process
@@ -46,22 +95,25 @@ class ProcessingEngine {
       total: messages.length,
       successful: 0,
       failed: 0,
+      skipped: 0,
+      nacked: 0,
+      timedOut: 0,
+      decodeFailed: 0,
+      validationFailed: 0,
       errors: [],
+      outcomes: [],
       processingTime: 0
     };
-
+    
     try {
-      if (this.mode === ProcessingMode.PARALLEL) {
-        await this._processParallel(messages, messageHandler, results, options);
-      } else {
-        await this._processSequential(messages, messageHandler, results, options);
-      }
-
+      const strategy = this._getStrategy();
+      await strategy(messages, messageHandler, results, options);
+      
       results.processingTime = Date.now() - startTime;
       this._updateStats(results);
       
       return results;
-
+    
     } catch (error) {
       results.processingTime = Date.now() - startTime;
       results.errors.push({
@@ -74,17 +126,58 @@ class ProcessingEngine {
     }
   };
 
+  /**
+   * Decodes and validates a message that is handed to the caller instead of a handler, as the consumer's message
+   * iterator does
+   * @param {Object} message - SQS message
+   * @returns {Object} Decoded `body` and handler `context`, or the failed `outcome` if the message could not be
+   *   decoded or failed validation
+   */
+  prepareMessage = (message) => {
+    try {
+      return this._decodeMessage(message);
+    } catch (error) {
+      return {
+        outcome: {
+          messageId: message.MessageId,
+          receiptHandle: message.ReceiptHandle,
+          success: false,
+          ...this._errorFields(error)
+        }
+      };
+    }
+  };
+
+  /**
+   * Gets the processing strategy for the current mode
+   * @private
+   * @returns {Function} Strategy function
+   */
+  _getStrategy = () => {
+    switch (this.mode) {
+    case ProcessingMode.PARALLEL:
+      return this._processParallel;
+    case ProcessingMode.GROUPED:
+      return this._processGrouped;
+    case ProcessingMode.BATCH:
+      return this._processBatch;
+    default:
+      return this._processSequential;
+    }
+  };
+
   /**
    * Processes messages in parallel
+   * The current batchSize and maxConcurrency are read for every call, so updates such as autoscaling targets
+   * apply to the next messages
    * @private
    * @param {Array} messages - Messages to process
    * @param {Function} messageHandler - Message handler function
    * @param {Object} results - Results object to update
-   * @param {Object} options - Processing options
    */
-  _processParallel = async (messages, messageHandler, results, options) => {
-    const batchSize = options.batchSize || this.batchSize;
-    const maxConcurrency = options.maxConcurrency || this.maxConcurrency;
+  _processParallel = async (messages, messageHandler, results) => {
+    const batchSize = this.batchSize;
+    const maxConcurrency = this.maxConcurrency;
     
     // Process messages in controlled batches
     for (let i = 0; i < messages.length; i += batchSize) {
@@ -107,26 +200,10 @@ class ProcessingEngine {
         const batchResults = await Promise.allSettled(batchPromises);
         
         batchResults.forEach((result, index) => {
-          if (result.status === 'fulfilled') {
-            const processedResult = result.value;
-            if (processedResult.success) {
-              results.successful++;
-            } else {
-              results.failed++;
-              results.errors.push({
-                messageId: processedResult.messageId,
-                error: processedResult.error,
-                timestamp: Date.now()
-              });
-            }
-          } else {
-            results.failed++;
-            results.errors.push({
-              messageId: batchChunk[index].MessageId,
-              error: result.reason?.message || 'Unknown error',
-              timestamp: Date.now()
-            });
-          }
+          const outcome = result.status === 'fulfilled'
+            ? result.value
+            : { success: false, error: result.reason?.message || 'Unknown error', processingTime: 0 };
+          this._recordOutcome(results, batchChunk[index], outcome);
         });
       }
       
@@ -147,24 +224,243 @@ class ProcessingEngine {
    */
   _processSequential = async (messages, messageHandler, results, options) => {
     for (const message of messages) {
+      const outcome = await this._processSingleMessage(message, messageHandler);
+      this._recordOutcome(results, message, outcome);
+      
+      // Throttle between messages
+      if (outcome.success && this.throttleDelayMs > 0) {
+        await this._sleep(this.throttleDelayMs);
+      }
+    }
+  };
+
+  /**
+   * Processes message groups in parallel while serializing the messages of each group
+   * Once a message fails, the rest of its group is skipped so ordering holds on redelivery
+   * @private
+   * @param {Array} messages - Messages to process
+   * @param {Function} messageHandler - Message handler function
+   * @param {Object} results - Results object to update
+   */
+  _processGrouped = async (messages, messageHandler, results) => {
+    const maxConcurrency = this.maxConcurrency;
+    const pendingGroups = Array.from(this._groupMessages(messages).entries());
+    
+    const worker = async () => {
+      while (pendingGroups.length > 0) {
+        const [groupKey, groupMessages] = pendingGroups.shift();
+        await this._processGroup(groupKey, groupMessages, messageHandler, results);
+      }
+    };
+    
+    const workerCount = Math.min(pendingGroups.length, maxConcurrency);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+  };
+
+  /**
+   * Processes the messages of one group in order, skipping the remainder after a failure
+   * @private
+   * @param {string} groupKey - Group key
+   * @param {Array} groupMessages - Messages of the group in receive order
+   * @param {Function} messageHandler - Message handler function
+   * @param {Object} results - Results object to update
+   */
+  _processGroup = async (groupKey, groupMessages, messageHandler, results) => {
+    for (let i = 0; i < groupMessages.length; i++) {
+      const outcome = await this._processSingleMessage(groupMessages[i], messageHandler);
+      this._recordOutcome(results, groupMessages[i], outcome);
+      
+      if (!outcome.success) {
+        groupMessages.slice(i + 1).forEach(message => this._recordOutcome(results, message, {
+          success: false,
+          skipped: true,
+          error: `Skipped after an earlier message in group ${groupKey} failed`,
+          processingTime: 0
+        }));
+        return;
+      }
+      
+      // Throttle between messages
+      if (this.throttleDelayMs > 0 && i + 1 < groupMessages.length) {
+        await this._sleep(this.throttleDelayMs);
+      }
+    }
+  };
+
+  /**
+   * Groups messages by their ordering key, keeping receive order within each group
+   * Messages without a key are treated as independent single-message groups
+   * @private
+   * @param {Array} messages - Messages to group
+   * @returns {Map} Map of group key to messages
+   */
+  _groupMessages = (messages) => {
+    const groups = new Map();
+    
+    messages.forEach(message => {
+      const key = this.groupKeyExtractor(message, this._buildContext(message));
+      const groupKey = key === undefined || key === null ? `message:${message.MessageId}` : String(key);
+      
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, []);
+      }
+      groups.get(groupKey).push(message);
+    });
+    
+    return groups;
+  };
+
+  /**
+   * Processes messages in chunks of batchSize with a batch handler
+   * The handler is called with an array of `{ message, context }` items and returns the IDs of the items
+   * that failed, either as an array of message IDs or as `{ batchItemFailures: [{ itemIdentifier }] }`
+   * @private
+   * @param {Array} messages - Messages to process
+   * @param {Function} batchHandler - Batch handler function
+   * @param {Object} results - Results object to update
+   */
+  _processBatch = async (messages, batchHandler, results) => {
+    const batchSize = this.batchSize;
+    
+    for (let i = 0; i < messages.length; i += batchSize) {
+      await this._processBatchChunk(messages.slice(i, i + batchSize), batchHandler, results);
+      
+      // Throttle between batches
+      if (this.throttleDelayMs > 0 && i + batchSize < messages.length) {
+        await this._sleep(this.throttleDelayMs);
+      }
+    }
+  };
+
+  /**
+   * Hands one chunk of messages to the batch handler and records an outcome per message
+   * Messages that cannot be decoded or fail validation fail on their own; if the handler throws, every item of
+   * the chunk fails
+   * @private
+   * @param {Array} chunk - Messages of the chunk
+   * @param {Function} batchHandler - Batch handler function
+   * @param {Object} results - Results object to update
+   */
+  _processBatchChunk = async (chunk, batchHandler, results) => {
+    const startTime = Date.now();
+    const items = [];
+    
+    chunk.forEach(message => {
       try {
-        await this._processSingleMessage(message, messageHandler);
-        results.successful++;
-        
-        // Throttle between messages
-        if (this.throttleDelayMs > 0) {
-          await this._sleep(this.throttleDelayMs);
-        }
-        
+        items.push(this._createBatchItem(message));
       } catch (error) {
-        results.failed++;
-        results.errors.push({
-          messageId: message.MessageId,
-          error: error.message,
-          timestamp: Date.now()
+        this._recordOutcome(results, message, {
+          success: false,
+          ...this._errorFields(error),
+          processingTime: 0
         });
       }
+    });
+    
+    if (items.length === 0) {
+      return;
     }
+    
+    const failures = await this._runBatchHandler(items, batchHandler);
+    const processingTime = Date.now() - startTime;
+    
+    items.forEach(item => {
+      const failure = failures.get(item.message.MessageId);
+      this._recordOutcome(results, item.message, {
+        success: !failure && !item.nack.requested,
+        processingTime,
+        ...this._nackFields(item.nack),
+        ...(failure && {
+          error: failure.message,
+          errorClass: failure.errorClass || failure.name,
+          poison: failure.poison === true,
+          timedOut: failure instanceof HandlerTimeoutError
+        }),
+        ...this._stopHeartbeat(item.stopHeartbeat)
+      });
+    });
+  };
+
+  /**
+   * Parses a message into a batch item and starts its heartbeat
+   * @private
+   * @param {Object} message - SQS message
+   * @returns {Object} Batch item with the parsed body, context, nack state and heartbeat stop function
+   * @throws {MessageDecodeError} If the body cannot be decoded
+   * @throws {MessageValidationError} If the body does not match its schema
+   */
+  _createBatchItem = (message) => {
+    const { body, context } = this._decodeMessage(message);
+    const nack = { requested: false, delaySeconds: 0 };
+    context.nack = (delaySeconds = 0) => {
+      nack.requested = true;
+      nack.delaySeconds = this.normalizeNackDelay(delaySeconds);
+    };
+    
+    return {
+      message,
+      body,
+      context,
+      nack,
+      stopHeartbeat: this.heartbeat ? this.heartbeat.track(message) : null
+    };
+  };
+
+  /**
+   * Calls the batch handler and maps its reported failures to errors by message ID
+   * @private
+   * @param {Array} items - Batch items
+   * @param {Function} batchHandler - Batch handler function
+   * @returns {Promise<Map>} Map of failed message ID to error
+   */
+  _runBatchHandler = async (items, batchHandler) => {
+    const failures = new Map();
+    
+    try {
+      const response = await runWithTimeout((signal) => {
+        items.forEach(item => {
+          item.context.signal = signal;
+        });
+        return batchHandler(items.map(item => ({ message: item.body, context: item.context })));
+      }, this.handlerTimeoutMs);
+      const failedIds = this._normalizeBatchFailures(response);
+      const unknownIds = failedIds.filter(id => !items.some(item => item.message.MessageId === id));
+      
+      if (unknownIds.length > 0) {
+        throw new Error(`Batch handler reported unknown message IDs: ${unknownIds.join(', ')}`);
+      }
+      
+      const error = new Error('Reported as failed by the batch handler');
+      error.name = 'BatchItemFailure';
+      failedIds.forEach(id => failures.set(id, error));
+    } catch (error) {
+      // A thrown handler error or an invalid response fails the whole batch, as with Lambda
+      items.forEach(item => failures.set(item.message.MessageId, error));
+    }
+    
+    return failures;
+  };
+
+  /**
+   * Normalizes the response of a batch handler into a list of failed message IDs
+   * @private
+   * @param {Array|Object|undefined} response - Array of message IDs or `{ batchItemFailures: [{ itemIdentifier }] }`
+   * @returns {Array<string>} Failed message IDs
+   */
+  _normalizeBatchFailures = (response) => {
+    if (response === undefined || response === null) {
+      return [];
+    }
+    
+    if (Array.isArray(response)) {
+      return response.map(String);
+    }
+    
+    if (Array.isArray(response.batchItemFailures)) {
+      return response.batchItemFailures.map(failure => String(failure.itemIdentifier));
+    }
+    
+    throw new Error('Batch handler must return failed message IDs or { batchItemFailures }');
   };
 
   /**
@@ -176,43 +472,248 @@ class ProcessingEngine {
    */
   _processSingleMessage = async (message, messageHandler) => {
     const startTime = Date.now();
+    const stopHeartbeat = this.heartbeat ? this.heartbeat.track(message) : null;
+    const nack = { requested: false, delaySeconds: 0 };
     
     try {
-      // Parse message body
-      const messageBody = JSON.parse(message.Body);
-      
-      // Create message context
-      const context = {
-        messageId: message.MessageId,
-        receiptHandle: message.ReceiptHandle,
-        messageAttributes: message.MessageAttributes || {},
-        messageGroupId: message.Attributes?.MessageGroupId,
-        messageDeduplicationId: message.Attributes?.MessageDeduplicationId
+      // Parse message body and create message context
+      const { body: messageBody, context } = this._decodeMessage(message);
+      context.nack = (delaySeconds = 0) => {
+        nack.requested = true;
+        nack.delaySeconds = this.normalizeNackDelay(delaySeconds);
       };
       
-      // Process message
-      await messageHandler(messageBody, context);
+      // Process message through the middleware chain, bounded by the handler timeout
+      const handled = await runWithTimeout((signal) => {
+        context.signal = signal;
+        return this._runHandler(messageBody, context, messageHandler);
+      }, this.handlerTimeoutMs);
       
       const processingTime = Date.now() - startTime;
       
       return {
-        success: true,
+        success: !nack.requested,
         messageId: message.MessageId,
-        processingTime
+        processingTime,
+        ...(!handled && { shortCircuited: true }),
+        ...this._nackFields(nack),
+        ...this._stopHeartbeat(stopHeartbeat)
       };
-      
+    
     } catch (error) {
       const processingTime = Date.now() - startTime;
       
       return {
+        ...this._nackFields(nack),
         success: false,
         messageId: message.MessageId,
-        error: error.message,
-        processingTime
+        ...this._errorFields(error),
+        processingTime,
+        ...this._stopHeartbeat(stopHeartbeat)
       };
     }
   };
 
+  /**
+   * Describes the error a message failed with as outcome fields
+   * @private
+   * @param {Error} error - Error thrown while decoding, validating or handling the message
+   * @returns {Object} Error message, class, poison flag and failure kind
+   */
+  _errorFields = (error) => ({
+    error: error.message,
+    errorClass: error.errorClass || error.name,
+    poison: error.poison === true,
+    timedOut: error instanceof HandlerTimeoutError,
+    decodeFailed: error instanceof MessageDecodeError,
+    validationErrors: error.validationErrors
+  });
+
+  /**
+   * Runs the message handler behind the registered middlewares
+   * @private
+   * @param {*} messageBody - Parsed message body
+   * @param {Object} context - Message context
+   * @param {Function} messageHandler - Message handler function
+   * @returns {Promise<boolean>} False if a middleware short-circuited before the handler ran
+   */
+  _runHandler = async (messageBody, context, messageHandler) => {
+    if (this.middlewares.length === 0) {
+      await messageHandler(messageBody, context);
+      return true;
+    }
+    
+    let handled = false;
+    await compose(this.middlewares, (body, ctx) => {
+      handled = true;
+      return messageHandler(body, ctx);
+    })(messageBody, context);
+    
+    return handled;
+  };
+
+  /**
+   * Decodes the body of a message with the codec of its content type attribute, or the configured codec, validates
+   * it when validation is configured and builds its handler context
+   * Bodies compressed by the publisher are decompressed first, according to their content encoding attribute, and
+   * CloudEvents are unwrapped: the codec decodes their data and the context gets the `event` with its attributes
+   * and the decoded `data`
+   * @private
+   * @param {Object} message - SQS message
+   * @returns {Object} Decoded `body` and handler `context`
+   * @throws {MessageDecodeError} If the content type or encoding is unknown, the body cannot be decoded or a
+   *   CloudEvent is not valid
+   * @throws {MessageValidationError} If the body does not match its schema
+   */
+  _decodeMessage = (message) => {
+    const decompressed = Compressor.decompress(message, this.maxDecompressedBytes);
+    const { message: unwrapped, event } = CloudEventEnvelope.unwrap(decompressed);
+    const body = this.codecRegistry.decode(unwrapped, this.codec);
+    
+    if (this.validator) {
+      this.validator.assertValid(body);
+    }
+    
+    const context = this._buildContext(message);
+    if (event) {
+      context.event = { ...event, data: body };
+    }
+    
+    return { body, context };
+  };
+
+  /**
+   * Clamps a requested nack delay to the range SQS accepts for visibility timeouts
+   * @param {number} delaySeconds - Requested delay in seconds
+   * @returns {number} Delay in whole seconds between 0 and 43200
+   * @throws {Error} If the delay is negative or not a number
+   */
+  normalizeNackDelay = (delaySeconds) => {
+    const delay = Number(delaySeconds);
+    if (!Number.isFinite(delay) || delay < 0) {
+      throw new Error('Nack delay seconds must be a non-negative number');
+    }
+    
+    return Math.min(Math.ceil(delay), MAX_VISIBILITY_TIMEOUT_SECONDS);
+  };
+
+  /**
+   * Builds the nack fields of a processing result
+   * @private
+   * @param {Object} nack - Nack state of the message
+   * @returns {Object} Nack fields to merge into the processing result
+   */
+  _nackFields = (nack) => {
+    if (!nack.requested) {
+      return {};
+    }
+    
+    return { nacked: true, nackDelaySeconds: nack.delaySeconds, error: 'Message negatively acknowledged' };
+  };
+
+  /**
+   * Builds the handler context of a message
+   * @private
+   * @param {Object} message - SQS message
+   * @returns {Object} Message context
+   */
+  _buildContext = (message) => ({
+    messageId: message.MessageId,
+    receiptHandle: message.ReceiptHandle,
+    messageAttributes: message.MessageAttributes || {},
+    messageGroupId: message.Attributes?.MessageGroupId,
+    messageDeduplicationId: message.Attributes?.MessageDeduplicationId,
+    receiveCount: Number(message.Attributes?.ApproximateReceiveCount || 1)
+  });
+
+  /**
+   * Stops the heartbeat of a message whose handler settled
+   * @private
+   * @param {Function|null} stopHeartbeat - Stop function returned by the heartbeat
+   * @returns {Object} Heartbeat fields to merge into the processing result
+   */
+  _stopHeartbeat = (stopHeartbeat) => {
+    if (!stopHeartbeat) {
+      return {};
+    }
+    
+    const { leaseLost } = stopHeartbeat();
+    return leaseLost ? { leaseLost } : {};
+  };
+
+  /**
+   * Records the outcome of a single message on the results object
+   * @private
+   * @param {Object} results - Results object to update
+   * @param {Object} message - Processed SQS message
+   * @param {Object} outcome - Result returned by _processSingleMessage
+   */
+  _recordOutcome = (results, message, outcome) => {
+    results.outcomes.push({
+      messageId: message.MessageId,
+      receiptHandle: message.ReceiptHandle,
+      success: outcome.success,
+      error: outcome.error,
+      errorClass: outcome.errorClass,
+      poison: outcome.poison === true,
+      processingTime: outcome.processingTime,
+      leaseLost: outcome.leaseLost === true,
+      skipped: outcome.skipped === true,
+      shortCircuited: outcome.shortCircuited === true,
+      timedOut: outcome.timedOut === true,
+      decodeFailed: outcome.decodeFailed === true,
+      validationErrors: outcome.validationErrors,
+      nacked: outcome.nacked === true,
+      nackDelaySeconds: outcome.nackDelaySeconds
+    });
+    
+    if (outcome.success) {
+      results.successful++;
+      return;
+    }
+    
+    // Skipped messages were never handed to the handler, so they are not failures
+    if (outcome.skipped) {
+      results.skipped++;
+      return;
+    }
+    
+    // Nacked messages were deliberately deferred by the handler
+    if (outcome.nacked) {
+      results.nacked++;
+      return;
+    }
+    
+    this._countFailure(results, outcome);
+    results.errors.push({
+      messageId: message.MessageId,
+      error: outcome.error,
+      ...(outcome.timedOut && { timedOut: true }),
+      ...(outcome.decodeFailed && { decodeFailed: true }),
+      ...(outcome.validationErrors && { validationErrors: outcome.validationErrors }),
+      timestamp: Date.now()
+    });
+  };
+
+  /**
+   * Counts a failed outcome and its kind of failure on the results object
+   * @private
+   * @param {Object} results - Results object to update
+   * @param {Object} outcome - Failed outcome
+   */
+  _countFailure = (results, outcome) => {
+    results.failed++;
+    if (outcome.timedOut) {
+      results.timedOut++;
+    }
+    if (outcome.decodeFailed) {
+      results.decodeFailed++;
+    }
+    if (outcome.validationErrors) {
+      results.validationFailed++;
+    }
+  };
+
   /**
    * Chunks an array into smaller arrays
    * @private
@@ -244,6 +745,9 @@ class ProcessingEngine {
   _updateStats = (results) => {
     this.processingStats.totalProcessed += results.successful;
     this.processingStats.totalFailed += results.failed;
+    this.processingStats.totalTimedOut += results.timedOut;
+    this.processingStats.totalDecodeFailed += results.decodeFailed;
+    this.processingStats.totalValidationFailed += results.validationFailed;
     this.processingStats.lastProcessingTime = results.processingTime;
     
     // Calculate average processing time
@@ -286,6 +790,9 @@ class ProcessingEngine {
     this.processingStats = {
       totalProcessed: 0,
       totalFailed: 0,
+      totalTimedOut: 0,
+      totalDecodeFailed: 0,
+      totalValidationFailed: 0,
       averageProcessingTime: 0,
       lastProcessingTime: null
     };
@@ -299,7 +806,12 @@ class ProcessingEngine {
     mode: this.mode,
     batchSize: this.batchSize,
     throttleDelayMs: this.throttleDelayMs,
-    maxConcurrency: this.maxConcurrency
+    maxConcurrency: this.maxConcurrency,
+    handlerTimeoutMs: this.handlerTimeoutMs,
+    middlewares: this.middlewares.length,
+    codec: this.codec.name,
+    validation: this.validator !== null,
+    maxDecompressedBytes: this.maxDecompressedBytes || Compressor.MAX_DECOMPRESSED_BYTES
   });
 
   /**
@@ -311,6 +823,8 @@ class ProcessingEngine {
     if (config.batchSize) this.batchSize = config.batchSize;
     if (config.throttleDelayMs !== undefined) this.throttleDelayMs = config.throttleDelayMs;
     if (config.maxConcurrency) this.maxConcurrency = config.maxConcurrency;
+    if (config.groupKeyExtractor) this.groupKeyExtractor = config.groupKeyExtractor;
+    if (config.handlerTimeoutMs !== undefined) this.handlerTimeoutMs = config.handlerTimeoutMs || null;
   };
 }
 
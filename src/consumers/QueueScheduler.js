@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Queue Scheduler for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { SchedulingPolicy } = require('../types');
+
+/**
+ * Queue Scheduler class picking which queue a multi-queue consumer dispatches the next message from
+ * With the priority policy the highest-priority queue with a message wins, except that a queue that has waited
+ * `maxStarvationMs` without being served goes first. With the weighted policy queues are served in proportion to
+ * their weights using smooth weighted round-robin, so a queue with weight 3 gets three of every four dispatches
+ * against a queue with weight 1, interleaved rather than in bursts.
+ */
+class QueueScheduler {
+  /**
+   * Creates a new QueueScheduler instance
+   * @param {Object} config - Scheduler configuration
+   * @param {Array<Object>} config.queues - Queues as `{ name, priority, weight }`
+   * @param {string} [config.policy='priority'] - Scheduling policy (priority, weighted)
+   * @param {number|null} [config.maxStarvationMs=10000] - With the priority policy, how long a waiting queue can go
+   *   without being served before it goes ahead of higher priorities; null for strict priority
+   */
+  constructor(config = {}) {
+    this.policy = config.policy || SchedulingPolicy.PRIORITY;
+    if (!Object.values(SchedulingPolicy).includes(this.policy)) {
+      throw new Error(`Scheduling policy must be one of ${Object.values(SchedulingPolicy).join(', ')}`);
+    }
+    
+    this.maxStarvationMs = config.maxStarvationMs !== undefined ? config.maxStarvationMs : 10000;
+    this.queues = new Map(config.queues.map(queue => [queue.name, {
+      name: queue.name,
+      priority: queue.priority,
+      weight: queue.weight,
+      currentWeight: 0
+    }]));
+    this.stats = this._createStats();
+  }
+
+  /**
+   * Picks the queue to dispatch the next message from
+   * @param {Array<Object>} candidates - Queues with a message ready for dispatch, as `{ name, waitingSince }` where
+   *   `waitingSince` is when the queue last started waiting to be served, in epoch milliseconds
+   * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+   * @returns {string|null} Name of the selected queue, or null without candidates
+   */
+  select = (candidates, now = Date.now()) => {
+    if (candidates.length === 0) {
+      return null;
+    }
+    
+    const name = this.policy === SchedulingPolicy.WEIGHTED
+      ? this._selectWeighted(candidates)
+      : this._selectByPriority(candidates, now);
+    
+    this.stats.selections[name] = (this.stats.selections[name] || 0) + 1;
+    return name;
+  };
+
+  /**
+   * Gets scheduling statistics
+   * @returns {Object} Selections per queue and how often a starving queue was served ahead of its priority
+   */
+  getStats = () => ({
+    policy: this.policy,
+    selections: { ...this.stats.selections },
+    starvationOverrides: this.stats.starvationOverrides
+  });
+
+  /**
+   * Resets scheduling statistics
+   */
+  resetStats = () => {
+    this.stats = this._createStats();
+  };
+
+  /**
+   * Gets the scheduler configuration
+   * @returns {Object} Scheduler configuration
+   */
+  getConfig = () => ({
+    policy: this.policy,
+    maxStarvationMs: this.maxStarvationMs
+  });
+
+  /**
+   * Picks the highest-priority candidate, or the longest-waiting starving one
+   * @private
+   * @param {Array<Object>} candidates - Queues with a message ready for dispatch
+   * @param {number} now - Current time in epoch milliseconds
+   * @returns {string} Name of the selected queue
+   */
+  _selectByPriority = (candidates, now) => {
+    const highest = candidates.reduce((best, candidate) =>
+      (this._priority(candidate) > this._priority(best) ? candidate : best));
+    
+    if (this.maxStarvationMs === null) {
+      return highest.name;
+    }
+    
+    const starving = candidates.filter(candidate => now - candidate.waitingSince >= this.maxStarvationMs);
+    if (starving.length === 0) {
+      return highest.name;
+    }
+    
+    const longestWaiting = starving.reduce((oldest, candidate) =>
+      (candidate.waitingSince < oldest.waitingSince ? candidate : oldest));
+    if (longestWaiting !== highest) {
+      this.stats.starvationOverrides++;
+    }
+    return longestWaiting.name;
+  };
+
+  /**
+   * Picks a candidate by smooth weighted round-robin
+   * Every candidate earns its weight; the richest is picked and pays the total weight of the candidates.
+   * Queues without a message neither earn nor pay, so an idle queue does not bank dispatches.
+   * @private
+   * @param {Array<Object>} candidates - Queues with a message ready for dispatch
+   * @returns {string} Name of the selected queue
+   */
+  _selectWeighted = (candidates) => {
+    let totalWeight = 0;
+    let selected = null;
+    
+    candidates.forEach(candidate => {
+      const queue = this.queues.get(candidate.name);
+      queue.currentWeight += queue.weight;
+      totalWeight += queue.weight;
+      
+      if (!selected || queue.currentWeight > selected.currentWeight) {
+        selected = queue;
+      }
+    });
+    
+    selected.currentWeight -= totalWeight;
+    return selected.name;
+  };
+
+  /**
+   * Gets the priority of a candidate
+   * @private
+   * @param {Object} candidate - Candidate queue
+   * @returns {number} Priority; higher is served first
+   */
+  _priority = (candidate) => this.queues.get(candidate.name).priority;
+
+  /**
+   * Creates empty scheduling statistics
+   * @private
+   * @returns {Object} Scheduling statistics
+   */
+  _createStats = () => ({
+    selections: {},
+    starvationOverrides: 0
+  });
+}
+
+module.exports = QueueScheduler;
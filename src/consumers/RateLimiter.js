@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Rate Limiter for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const MAX_DELAY_SECONDS = 43200;
+
+/**
+ * Rate Limiter class enforcing a message rate with token buckets
+ * Each bucket holds up to `burst` tokens and refills at `messagesPerSecond`; one token is spent per message.
+ * Without a key a single bucket limits the whole consumer. With a key every message group or body field value
+ * gets its own bucket, and messages over their key's limit are deferred instead of processed.
+ */
+class RateLimiter {
+  /**
+   * Creates a new RateLimiter instance
+   * @param {Object} config - Rate limiter configuration
+   * @param {number} config.messagesPerSecond - Sustained rate per bucket
+   * @param {number} [config.burst] - Bucket capacity (default: messagesPerSecond, at least 1)
+   * @param {string|Object|Function} [config.key] - `'messageGroup'` for one bucket per message group,
+   *   `{ bodyField }` for one bucket per value of a (dot separated) body field, or a function of
+   *   `(message)` returning the key; messages without a key share one bucket
+   * @param {number} [config.maxKeys=10000] - Keyed buckets kept before full ones are evicted
+   */
+  constructor(config = {}) {
+    if (!(config.messagesPerSecond > 0)) {
+      throw new Error('Rate limit messagesPerSecond must be a positive number');
+    }
+    
+    this.messagesPerSecond = config.messagesPerSecond;
+    this.burst = config.burst || Math.max(1, config.messagesPerSecond);
+    this.maxKeys = config.maxKeys || 10000;
+    this.keyExtractor = this._createKeyExtractor(config.key);
+    this.buckets = new Map();
+    this.stats = this._createStats();
+  }
+
+  /**
+   * Checks whether messages are limited per key rather than as a whole
+   * @returns {boolean} True when a key is configured
+   */
+  isKeyed = () => this.keyExtractor !== null;
+
+  /**
+   * Takes up to `max` tokens from a bucket without waiting
+   * @param {number} max - Tokens wanted
+   * @param {string} [key] - Bucket key; omit for the unkeyed bucket
+   * @returns {number} Tokens taken, 0 when the bucket is empty
+   */
+  tryAcquire = (max, key) => {
+    const bucket = this._getBucket(key);
+    const count = Math.min(max, Math.floor(bucket.tokens));
+    
+    bucket.tokens -= count;
+    return count;
+  };
+
+  /**
+   * Returns tokens that were acquired but not used
+   * @param {number} count - Tokens to return
+   * @param {string} [key] - Bucket key; omit for the unkeyed bucket
+   */
+  refund = (count, key) => {
+    if (count > 0) {
+      const bucket = this._getBucket(key);
+      bucket.tokens = Math.min(this.burst, bucket.tokens + count);
+    }
+  };
+
+  /**
+   * Gets the time until a bucket holds `count` tokens
+   * @param {string} [key] - Bucket key; omit for the unkeyed bucket
+   * @param {number} [count=1] - Tokens needed
+   * @returns {number} Wait time in milliseconds, 0 if they are available now
+   */
+  getWaitTime = (key, count = 1) => {
+    const missing = count - this._getBucket(key).tokens;
+    return missing > 0 ? Math.ceil(missing * 1000 / this.messagesPerSecond) : 0;
+  };
+
+  /**
+   * Spends one token per message from each message's keyed bucket
+   * Messages whose bucket is empty are deferred with the delay after which a token will be available for them,
+   * counting the messages of the same key deferred before them
+   * @param {Array} messages - Received SQS messages
+   * @returns {Object} `{ allowed, deferred }` where deferred entries are `{ message, delaySeconds }`
+   */
+  partition = (messages) => {
+    const allowed = [];
+    const deferred = [];
+    const pending = new Map();
+    
+    messages.forEach(message => {
+      const key = this.keyExtractor(message);
+      
+      if (!pending.has(key) && this.tryAcquire(1, key) === 1) {
+        allowed.push(message);
+        return;
+      }
+      
+      const position = (pending.get(key) || 0) + 1;
+      pending.set(key, position);
+      deferred.push({ message, delaySeconds: this._delaySeconds(this.getWaitTime(key, position)) });
+    });
+    
+    this.stats.allowed += allowed.length;
+    this.stats.deferred += deferred.length;
+    
+    return { allowed, deferred };
+  };
+
+  /**
+   * Records messages that were admitted by the unkeyed bucket
+   * @param {number} count - Admitted messages
+   */
+  recordAllowed = (count) => {
+    this.stats.allowed += count;
+  };
+
+  /**
+   * Records time a receive loop spent waiting for tokens
+   * @param {number} waitMs - Wait time in milliseconds
+   */
+  recordWait = (waitMs) => {
+    this.stats.waits++;
+    this.stats.totalWaitMs += waitMs;
+  };
+
+  /**
+   * Gets the bucket for a key, refilled up to now
+   * @private
+   * @param {string} [key] - Bucket key
+   * @returns {Object} Bucket with `tokens` and `updatedAt`
+   */
+  _getBucket = (key) => {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+    
+    if (!bucket) {
+      this._evictFullBuckets(now);
+      bucket = { tokens: this.burst, updatedAt: now };
+      this.buckets.set(key, bucket);
+    }
+    
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * this.messagesPerSecond / 1000);
+    bucket.updatedAt = now;
+    return bucket;
+  };
+
+  /**
+   * Drops buckets that have refilled completely once too many keys are tracked
+   * A full bucket behaves exactly like a new one, so evicting it loses nothing
+   * @private
+   * @param {number} now - Current time in milliseconds
+   */
+  _evictFullBuckets = (now) => {
+    if (this.buckets.size < this.maxKeys) {
+      return;
+    }
+    
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.tokens + (now - bucket.updatedAt) * this.messagesPerSecond / 1000 >= this.burst) {
+        this.buckets.delete(key);
+      }
+    });
+  };
+
+  /**
+   * Converts a wait time into a visibility delay SQS accepts
+   * @private
+   * @param {number} waitMs - Wait time in milliseconds
+   * @returns {number} Delay in whole seconds, between 1 and 43200
+   */
+  _delaySeconds = (waitMs) => Math.min(MAX_DELAY_SECONDS, Math.max(1, Math.ceil(waitMs / 1000)));
+
+  /**
+   * Builds the function that extracts a message's bucket key
+   * @private
+   * @param {string|Object|Function} [key] - Key option
+   * @returns {Function|null} Key extractor, or null when unkeyed
+   */
+  _createKeyExtractor = (key) => {
+    if (!key) {
+      return null;
+    }
+    
+    if (typeof key === 'function') {
+      return key;
+    }
+    
+    if (key === 'messageGroup') {
+      return (message) => (message.Attributes && message.Attributes.MessageGroupId) || null;
+    }
+    
+    if (typeof key === 'object' && key.bodyField) {
+      return this._createBodyFieldExtractor(key.bodyField);
+    }
+    
+    throw new Error('Rate limit key must be \'messageGroup\', { bodyField } or a function');
+  };
+
+  /**
+   * Builds a key extractor reading a field of the JSON body
+   * @private
+   * @param {string} bodyField - Field name, dot separated for nested fields
+   * @returns {Function} Key extractor returning the field value as a string, or null when it is missing
+   */
+  _createBodyFieldExtractor = (bodyField) => {
+    const path = bodyField.split('.');
+    
+    return (message) => {
+      let body;
+      try {
+        body = JSON.parse(message.Body);
+      } catch (error) {
+        return null;
+      }
+      
+      const value = path.reduce((current, field) => (
+        current !== null && typeof current === 'object' ? current[field] : undefined
+      ), body);
+      return value === undefined || value === null ? null : String(value);
+    };
+  };
+
+  /**
+   * Creates empty rate limiter statistics
+   * @private
+   * @returns {Object} Statistics
+   */
+  _createStats = () => ({
+    allowed: 0,
+    deferred: 0,
+    waits: 0,
+    totalWaitMs: 0
+  });
+
+  /**
+   * Gets rate limiter statistics
+   * @returns {Object} Allowed and deferred message counts, waits for tokens and tracked keys
+   */
+  getStats = () => ({
+    ...this.stats,
+    keys: this.isKeyed() ? this.buckets.size : undefined
+  });
+
+  /**
+   * Resets rate limiter statistics
+   */
+  resetStats = () => {
+    this.stats = this._createStats();
+  };
+
+  /**
+   * Gets the rate limiter configuration
+   * @returns {Object} Configuration
+   */
+  getConfig = () => ({
+    messagesPerSecond: this.messagesPerSecond,
+    burst: this.burst,
+    keyed: this.isKeyed(),
+    maxKeys: this.maxKeys
+  });
+}
+
+module.exports = RateLimiter;
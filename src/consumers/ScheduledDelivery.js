@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Scheduled Delivery for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const MessagePublisher = require('../publishers/MessagePublisher');
+const { RedeliveryMode, ScheduleAttribute, ScheduleStatus } = require('../types');
+
+const MAX_DELAY_SECONDS = 900;
+const MAX_VISIBILITY_TIMEOUT_SECONDS = 43200;
+
+/**
+ * Scheduled Delivery class holding scheduled messages until their delivery time
+ * SQS delays messages by at most 15 minutes, so publishAt() sends messages due later with the longest delay and a
+ * `boxq-deliver-at` attribute. Consumers screen received messages before processing them: messages that are not
+ * due yet are held again, either by publishing a copy with another delay and deleting the original (requeue mode)
+ * or by extending their visibility timeout (visibility mode, which counts as a receive). Messages whose schedule
+ * was cancelled in the store are deleted without being processed.
+ */
+class ScheduledDelivery {
+  /**
+   * Creates a new ScheduledDelivery instance
+   * @param {Object} sqsClient - SQS client instance
+   * @param {string} queueUrl - Queue the messages are consumed from
+   * @param {Object} [config] - Scheduled delivery configuration
+   * @param {Object} [config.store] - Store with `get` and `remove` cancellations are looked up in
+   *   (see MemoryScheduleStore); without one, no message is considered cancelled
+   * @param {string} [config.mode] - 'requeue' or 'visibility' (default: requeue, or visibility on FIFO queues,
+   *   which do not support per-message delays)
+   * @param {MessagePublisher} [config.publisher] - Publisher requeued copies are sent with
+   *   (default: one for queueUrl)
+   * @param {Function} [config.onError] - Called with `(error, { operation, scheduleId })` when the store fails
+   */
+  constructor(sqsClient, queueUrl, config = {}) {
+    const isFifo = queueUrl.endsWith('.fifo');
+    this.mode = config.mode || (isFifo ? RedeliveryMode.VISIBILITY : RedeliveryMode.REQUEUE);
+    
+    if (!Object.values(RedeliveryMode).includes(this.mode)) {
+      throw new Error(`Scheduled delivery mode must be one of ${Object.values(RedeliveryMode).join(', ')}`);
+    }
+    if (isFifo && this.mode === RedeliveryMode.REQUEUE) {
+      throw new Error('Scheduled delivery on FIFO queues requires the visibility mode');
+    }
+    if (config.store && ['get', 'remove'].some(method => typeof config.store[method] !== 'function')) {
+      throw new Error('Schedule store must implement get and remove');
+    }
+    
+    this.store = config.store || null;
+    this.publisher = config.publisher || new MessagePublisher(sqsClient, queueUrl, { enableDeduplication: false });
+    this.onError = config.onError;
+    this.stats = this._createStats();
+  }
+
+  /**
+   * Sorts received messages by whether they can be processed now
+   * Messages without a `boxq-deliver-at` attribute are always due. Messages whose schedule cannot be looked up
+   * are returned in none of the lists and become visible again once their visibility timeout expires.
+   * @param {Array} messages - Received SQS messages
+   * @param {number} [now=Date.now()] - Current time in epoch milliseconds
+   * @returns {Promise<Object>} `{ due, waiting, cancelled }`, where `waiting` holds `{ message, delaySeconds }`
+   */
+  screen = async (messages, now = Date.now()) => {
+    const screened = { due: [], waiting: [], cancelled: [] };
+    
+    for (const message of messages) {
+      const scheduleId = ScheduledDelivery.getScheduleId(message);
+      const status = scheduleId ? await this._lookUp(scheduleId) : null;
+      
+      if (status === undefined) {
+        continue;
+      }
+      
+      if (status === ScheduleStatus.CANCELLED) {
+        screened.cancelled.push(message);
+        continue;
+      }
+      
+      const remainingMs = ScheduledDelivery.getDeliverAt(message) - now;
+      if (remainingMs >= 1000) {
+        screened.waiting.push({ message, delaySeconds: this._delaySeconds(remainingMs) });
+      } else {
+        screened.due.push(message);
+      }
+    }
+    
+    this.stats.held += screened.waiting.length;
+    this.stats.cancelled += screened.cancelled.length;
+    return screened;
+  };
+
+  /**
+   * Publishes a copy of a waiting message with another delay
+   * The caller deletes the original once this resolves successfully
+   * @param {Object} message - SQS message
+   * @param {number} delaySeconds - Delay of the copy
+   * @returns {Promise<Object>} Publishing result
+   */
+  requeue = async (message, delaySeconds) => {
+    const result = await this.publisher.publishRaw(message.Body, {
+      messageAttributes: this._copyAttributes(message),
+      delaySeconds
+    });
+    
+    if (result.success) {
+      this.stats.requeued++;
+    } else {
+      this.stats.requeueFailed++;
+    }
+    return result;
+  };
+
+  /**
+   * Forgets the schedules of messages that were delivered or dropped, so they can no longer be cancelled
+   * @param {Array} messages - SQS messages
+   * @returns {Promise<void>}
+   */
+  forget = async (messages) => {
+    if (!this.store) {
+      return;
+    }
+    
+    const scheduleIds = messages.map(ScheduledDelivery.getScheduleId).filter(Boolean);
+    await Promise.all(scheduleIds.map(async scheduleId => {
+      try {
+        await this.store.remove(scheduleId);
+      } catch (error) {
+        this._reportStoreError(error, 'remove_schedule', scheduleId);
+      }
+    }));
+  };
+
+  /**
+   * Gets scheduled delivery statistics
+   * @returns {Object} Held, requeued and cancelled message counts and store errors
+   */
+  getStats = () => ({
+    mode: this.mode,
+    ...this.stats,
+    ...(this.store && typeof this.store.getStats === 'function' && { store: this.store.getStats() })
+  });
+
+  /**
+   * Resets scheduled delivery statistics
+   */
+  resetStats = () => {
+    this.stats = this._createStats();
+  };
+
+  /**
+   * Gets the scheduled delivery configuration
+   * @returns {Object} Scheduled delivery configuration
+   */
+  getConfig = () => ({
+    mode: this.mode,
+    store: this.store ? this.store.constructor.name : null
+  });
+
+  /**
+   * Looks up the status of a schedule
+   * @private
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<string|null|undefined>} Status, null without a store or record, undefined if the store failed
+   */
+  _lookUp = async (scheduleId) => {
+    if (!this.store) {
+      return null;
+    }
+    
+    try {
+      const schedule = await this.store.get(scheduleId);
+      return schedule ? schedule.status : null;
+    } catch (error) {
+      this._reportStoreError(error, 'look_up_schedule', scheduleId);
+      return undefined;
+    }
+  };
+
+  /**
+   * Counts a store failure and passes it to onError
+   * @private
+   * @param {Error} error - Store error
+   * @param {string} operation - `'remove_schedule'` or `'look_up_schedule'`
+   * @param {string} scheduleId - Schedule ID
+   */
+  _reportStoreError = (error, operation, scheduleId) => {
+    this.stats.storeErrors++;
+    if (this.onError) {
+      this.onError(error, { operation, scheduleId });
+    }
+  };
+
+  /**
+   * Computes how long a waiting message is held this time
+   * @private
+   * @param {number} remainingMs - Time until the delivery time
+   * @returns {number} Delay in seconds, within what the mode allows
+   */
+  _delaySeconds = (remainingMs) => {
+    const max = this.mode === RedeliveryMode.REQUEUE ? MAX_DELAY_SECONDS : MAX_VISIBILITY_TIMEOUT_SECONDS;
+    return Math.min(Math.ceil(remainingMs / 1000), max);
+  };
+
+  /**
+   * Copies the string, number and binary attributes of a message, in SQS format, for its copy
+   * @private
+   * @param {Object} message - SQS message
+   * @returns {Object} Message attributes keyed by name
+   */
+  _copyAttributes = (message) => {
+    const attributes = {};
+    
+    Object.entries(message.MessageAttributes || {}).forEach(([name, attribute]) => {
+      if (attribute.BinaryValue !== undefined) {
+        attributes[name] = { DataType: attribute.DataType || 'Binary', BinaryValue: attribute.BinaryValue };
+      } else if (attribute.StringValue !== undefined) {
+        attributes[name] = { DataType: attribute.DataType || 'String', StringValue: attribute.StringValue };
+      }
+    });
+    
+    return attributes;
+  };
+
+  /**
+   * Creates empty scheduled delivery statistics
+   * @private
+   * @returns {Object} Scheduled delivery statistics
+   */
+  _createStats = () => ({
+    held: 0,
+    requeued: 0,
+    requeueFailed: 0,
+    cancelled: 0,
+    storeErrors: 0
+  });
+}
+
+/**
+ * Gets the delivery time of a message
+ * @param {Object} message - SQS message
+ * @returns {number} Delivery time in epoch milliseconds, or 0 for unscheduled messages
+ */
+ScheduledDelivery.getDeliverAt = (message) =>
+  Number(message.MessageAttributes?.[ScheduleAttribute.DELIVER_AT]?.StringValue) || 0;
+
+/**
+ * Gets the schedule ID of a message
+ * @param {Object} message - SQS message
+ * @returns {string|undefined} Schedule ID
+ */
+ScheduledDelivery.getScheduleId = (message) => message.MessageAttributes?.[ScheduleAttribute.SCHEDULE_ID]?.StringValue;
+
+module.exports = ScheduledDelivery;
@@ -0,0 +1,270 @@
+/**
+ * @fileoverview Visibility Heartbeat for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { ChangeMessageVisibilityCommand } = require('@aws-sdk/client-sqs');
+
+/**
+ * SQS refuses visibility timeouts above 12 hours
+ * @private
+ */
+const MAX_VISIBILITY_TIMEOUT_SECONDS = 43200;
+
+/**
+ * Error codes meaning the receipt handle can no longer be extended
+ * @private
+ */
+const LEASE_LOST_ERRORS = ['ReceiptHandleIsInvalid', 'MessageNotInflight', 'InvalidParameterValue'];
+
+/**
+ * Property holding when a message was received, set by markReceived
+ * A symbol keeps it out of the SQS fields and serialized messages while copies made with spread keep it
+ * @private
+ */
+const RECEIVED_AT = Symbol('boxq.receivedAt');
+
+/**
+ * Visibility Heartbeat class for keeping long-running messages leased
+ * Periodically extends the visibility timeout of messages whose handler is still running
+ */
+class VisibilityHeartbeat {
+  /**
+   * Creates a new VisibilityHeartbeat instance
+   * @param {Object} sqsClient - SQS client instance
+   * @param {string} queueUrl - Queue URL
+   * @param {Object} [config] - Heartbeat configuration
+   * @param {number} [config.visibilityTimeoutSeconds=30] - Visibility timeout the messages were received with
+   * @param {number} [config.intervalSeconds] - Seconds between extensions (default: a third of the visibility timeout)
+   * @param {number} [config.extensionSeconds] - Visibility timeout requested on each extension
+   *   (default: the visibility timeout)
+   * @param {number} [config.maxLeaseSeconds=43200] - Maximum total lease per message, counted from when it was
+   *   received (see markReceived) so time spent buffered or rate limited counts towards it
+   * @param {Function} [config.onExtended] - Callback called after each successful extension
+   * @param {Function} [config.onLeaseLost] - Callback called when a lease can no longer be extended
+   * @param {Function} [config.onError] - Callback called when an extension fails transiently
+   */
+  constructor(sqsClient, queueUrl, config = {}) {
+    const visibilityTimeoutSeconds = config.visibilityTimeoutSeconds || 30;
+    
+    this.sqsClient = sqsClient;
+    this.queueUrl = queueUrl;
+    this.intervalSeconds = config.intervalSeconds || Math.max(1, Math.floor(visibilityTimeoutSeconds / 3));
+    this.extensionSeconds = Math.min(
+      config.extensionSeconds || visibilityTimeoutSeconds,
+      MAX_VISIBILITY_TIMEOUT_SECONDS
+    );
+    this.maxLeaseSeconds = Math.min(
+      config.maxLeaseSeconds || MAX_VISIBILITY_TIMEOUT_SECONDS,
+      MAX_VISIBILITY_TIMEOUT_SECONDS
+    );
+    this.onExtended = config.onExtended;
+    this.onLeaseLost = config.onLeaseLost;
+    this.onError = config.onError;
+    
+    this.trackers = new Map();
+    this.stats = this._createStats();
+  }
+
+  /**
+   * Starts extending the lease of a message until the returned function is called
+   * @param {Object} message - SQS message being processed
+   * @returns {Function} Stop function returning `{ extensions, leaseLost }` for the message
+   */
+  track = (message) => {
+    const tracker = {
+      message,
+      receivedAt: message[RECEIVED_AT] || Date.now(),
+      extensions: 0,
+      leaseLost: false,
+      timer: null
+    };
+    
+    this.trackers.set(message.ReceiptHandle, tracker);
+    this._schedule(tracker);
+    
+    return () => {
+      this._untrack(tracker);
+      return { extensions: tracker.extensions, leaseLost: tracker.leaseLost };
+    };
+  };
+
+  /**
+   * Stops extending every tracked message
+   */
+  stopAll = () => {
+    this.trackers.forEach(tracker => this._untrack(tracker));
+  };
+
+  /**
+   * Schedules the next extension for a tracker
+   * @private
+   * @param {Object} tracker - Message tracker
+   */
+  _schedule = (tracker) => {
+    tracker.timer = setTimeout(() => this._extend(tracker), this.intervalSeconds * 1000);
+  };
+
+  /**
+   * Extends the visibility timeout of a tracked message
+   * @private
+   * @param {Object} tracker - Message tracker
+   * @returns {Promise<void>}
+   */
+  _extend = async (tracker) => {
+    const elapsedSeconds = Math.floor((Date.now() - tracker.receivedAt) / 1000);
+    const visibilityTimeout = Math.min(this.extensionSeconds, this.maxLeaseSeconds - elapsedSeconds);
+    
+    if (visibilityTimeout <= 0) {
+      this._loseLease(tracker, new Error(`Maximum lease of ${this.maxLeaseSeconds}s reached`));
+      return;
+    }
+    
+    try {
+      await this.sqsClient.executeCommand(new ChangeMessageVisibilityCommand({
+        QueueUrl: this.queueUrl,
+        ReceiptHandle: tracker.message.ReceiptHandle,
+        VisibilityTimeout: visibilityTimeout
+      }));
+      
+      tracker.extensions++;
+      this.stats.extensions++;
+      this._notify(this.onExtended, this._describe(tracker, { visibilityTimeout }));
+    } catch (error) {
+      if (!this._isTracked(tracker)) {
+        // The handler settled while the extension was in flight, and the message may already be deleted
+        return;
+      }
+      if (LEASE_LOST_ERRORS.includes(error.name)) {
+        this._loseLease(tracker, error);
+        return;
+      }
+      
+      this.stats.failures++;
+      this._notify(this.onError, error, this._describe(tracker));
+    }
+    
+    if (this._isTracked(tracker)) {
+      this._schedule(tracker);
+    }
+  };
+
+  /**
+   * Checks whether a tracker is still the one extending its message
+   * @private
+   * @param {Object} tracker - Message tracker
+   * @returns {boolean} True until the message is untracked
+   */
+  _isTracked = (tracker) => this.trackers.get(tracker.message.ReceiptHandle) === tracker;
+
+  /**
+   * Marks a tracked message as having lost its lease and stops extending it
+   * @private
+   * @param {Object} tracker - Message tracker
+   * @param {Error} error - Reason the lease was lost
+   */
+  _loseLease = (tracker, error) => {
+    tracker.leaseLost = true;
+    this.stats.leasesLost++;
+    this._untrack(tracker);
+    this._notify(this.onLeaseLost, error, this._describe(tracker));
+  };
+
+  /**
+   * Stops extending a tracked message
+   * @private
+   * @param {Object} tracker - Message tracker
+   */
+  _untrack = (tracker) => {
+    clearTimeout(tracker.timer);
+    if (this._isTracked(tracker)) {
+      this.trackers.delete(tracker.message.ReceiptHandle);
+    }
+  };
+
+  /**
+   * Describes a tracked message for callbacks
+   * @private
+   * @param {Object} tracker - Message tracker
+   * @param {Object} [extra] - Additional fields
+   * @returns {Object} Tracker description
+   */
+  _describe = (tracker, extra = {}) => ({
+    messageId: tracker.message.MessageId,
+    receiptHandle: tracker.message.ReceiptHandle,
+    extensions: tracker.extensions,
+    elapsedMs: Date.now() - tracker.receivedAt,
+    ...extra
+  });
+
+  /**
+   * Invokes a user callback without letting it break the heartbeat
+   * An error thrown by onExtended or onLeaseLost is passed to onError with the same tracker description
+   * @private
+   * @param {Function} [callback] - Callback to invoke
+   * @param {...any} args - Callback arguments, ending with the tracker description
+   */
+  _notify = (callback, ...args) => {
+    if (!callback) return;
+    
+    try {
+      callback(...args);
+    } catch (error) {
+      if (callback !== this.onError) {
+        this._notify(this.onError, error, args[args.length - 1]);
+      }
+    }
+  };
+
+  /**
+   * Creates empty heartbeat statistics
+   * @private
+   * @returns {Object} Heartbeat statistics
+   */
+  _createStats = () => ({
+    extensions: 0,
+    failures: 0,
+    leasesLost: 0
+  });
+
+  /**
+   * Gets heartbeat statistics
+   * @returns {Object} Heartbeat statistics
+   */
+  getStats = () => ({
+    ...this.stats,
+    active: this.trackers.size
+  });
+
+  /**
+   * Resets heartbeat statistics
+   */
+  resetStats = () => {
+    this.stats = this._createStats();
+  };
+
+  /**
+   * Gets the heartbeat configuration
+   * @returns {Object} Heartbeat configuration
+   */
+  getConfig = () => ({
+    intervalSeconds: this.intervalSeconds,
+    extensionSeconds: this.extensionSeconds,
+    maxLeaseSeconds: this.maxLeaseSeconds
+  });
+}
+
+/**
+ * Records when messages were received, so their maximum lease is counted from then rather than from handler start
+ * Messages tracked without it are considered received when tracking starts
+ * @param {Array} messages - Received SQS messages
+ * @param {number} [receivedAt=Date.now()] - Receive time in epoch milliseconds
+ */
+VisibilityHeartbeat.markReceived = (messages, receivedAt = Date.now()) => {
+  messages.forEach(message => {
+    message[RECEIVED_AT] = receivedAt;
+  });
+};
+
+module.exports = VisibilityHeartbeat;
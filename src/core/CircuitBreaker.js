@@ -4,13 +4,15 @@
  * @version 1.0.0
  */
 
+const { EventEmitter } = require('events');
 const { CircuitBreakerState } = require('../types');
 
 /**
  * Circuit Breaker class for handling failures and preventing cascading failures
  * Implements the circuit breaker pattern with configurable thresholds and timeouts
+ * Emits `stateChange` with `{ previousState, state }` whenever the state changes
  */
-class CircuitBreaker {
+class CircuitBreaker extends EventEmitter {
   /**
    * Creates a new CircuitBreaker instance
    * @param {Object} config - Circuit breaker configuration
@@ -19,6 +21,7 @@ class CircuitBreaker {
    * @param {number} [config.monitoringPeriod=10000] - Period for monitoring failures
    */
   constructor(config = {}) {
+    super();
     this.failureThreshold = config.failureThreshold || 5;
     this.timeout = config.timeout || 60000;
     this.monitoringPeriod = config.monitoringPeriod || 10000;
@@ -43,8 +46,8 @@ class CircuitBreaker {
     
     if (this.state === CircuitBreakerState.OPEN) {
       if (now - this.lastFailureTime > this.timeout) {
-        this.state = CircuitBreakerState.HALF_OPEN;
         this.successCount = 0;
+        this._setState(CircuitBreakerState.HALF_OPEN);
         return true;
       }
       return false;
@@ -65,9 +68,9 @@ class CircuitBreaker {
     
     if (this.state === CircuitBreakerState.HALF_OPEN) {
       if (this.successCount >= this.failureThreshold) {
-        this.state = CircuitBreakerState.CLOSED;
         this.failureCount = 0;
         this.successCount = 0;
+        this._setState(CircuitBreakerState.CLOSED);
       }
     }
   };
@@ -81,7 +84,7 @@ class CircuitBreaker {
     
     if (this.state === CircuitBreakerState.CLOSED || this.state === CircuitBreakerState.HALF_OPEN) {
       if (this.failureCount >= this.failureThreshold) {
-        this.state = CircuitBreakerState.OPEN;
+        this._setState(CircuitBreakerState.OPEN);
       }
     }
   };
@@ -90,11 +93,25 @@ class CircuitBreaker {
    * Resets the circuit breaker to closed state
    */
   reset = () => {
-    this.state = CircuitBreakerState.CLOSED;
     this.failureCount = 0;
     this.successCount = 0;
     this.lastFailureTime = null;
     this.monitoringStartTime = Date.now();
+    this._setState(CircuitBreakerState.CLOSED);
+  };
+
+  /**
+   * Changes the state and notifies listeners when it actually changed
+   * @private
+   * @param {string} state - New circuit breaker state
+   */
+  _setState = (state) => {
+    const previousState = this.state;
+    this.state = state;
+    
+    if (previousState !== state) {
+      this.emit('stateChange', { previousState, state });
+    }
   };
 
   /**
@@ -18,6 +18,7 @@ class HealthMonitor {
     this.metrics = {
       messagesProcessed: 0,
       messagesFailed: 0,
+      messagesTimedOut: 0,
       totalProcessingTime: 0,
       circuitBreakerState: 'CLOSED',
       lastHealthCheck: null,
@@ -56,6 +57,16 @@ class HealthMonitor {
     }
   };
 
+  /**
+   * Records a message whose handler timed out
+   * Timeouts count as failures and are also tracked separately
+   * @param {string} error - Error message
+   */
+  recordTimeout = (error) => {
+    this.metrics.messagesTimedOut++;
+    this.recordFailure(error);
+  };
+
   /**
    * Updates circuit breaker state
    * @param {string} state - Circuit breaker state
@@ -148,6 +159,7 @@ class HealthMonitor {
       metrics: {
         messagesProcessed: this.metrics.messagesProcessed,
         messagesFailed: this.metrics.messagesFailed,
+        messagesTimedOut: this.metrics.messagesTimedOut,
         averageProcessingTime: Math.round(averageProcessingTime),
         circuitBreakerState: this.metrics.circuitBreakerState,
         lastHealthCheck: this.metrics.lastHealthCheck
@@ -187,6 +199,7 @@ class HealthMonitor {
     this.metrics = {
       messagesProcessed: 0,
       messagesFailed: 0,
+      messagesTimedOut: 0,
       totalProcessingTime: 0,
       circuitBreakerState: 'CLOSED',
       lastHealthCheck: null,
@@ -44,6 +44,7 @@ class SQSClient {
    * Executes an SQS command with circuit breaker and retry logic
    * @param {Object} command - AWS SQS command
    * @param {Object} [options] - Execution options
+   * @param {AbortSignal} [options.abortSignal] - Signal that aborts the in-flight request
    * @returns {Promise<any>} Command result
    */
   executeCommand = async (command, options = {}) => {
@@ -53,11 +54,16 @@ class SQSClient {
 
     const executeFn = async () => {
       try {
-        const result = await this.awsClient.send(command);
+        const result = options.abortSignal
+          ? await this.awsClient.send(command, { abortSignal: options.abortSignal })
+          : await this.awsClient.send(command);
         this.circuitBreaker.recordSuccess();
         return result;
       } catch (error) {
-        this.circuitBreaker.recordFailure();
+        // An aborted request says nothing about the health of SQS
+        if (error.name !== 'AbortError') {
+          this.circuitBreaker.recordFailure();
+        }
         throw error;
       }
     };
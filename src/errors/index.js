@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Error classes for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+/**
+ * Base class for errors raised by BoxQ
+ * Carries a stable `code` and optional `details` so callers do not have to match on messages
+ */
+class BoxQError extends Error {
+  /**
+   * Creates a new BoxQError instance
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.code] - Stable error code
+   * @param {Object} [options.details] - Additional error details
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || 'BOXQ_ERROR';
+    this.details = options.details || {};
+    this.poison = false;
+    
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/**
+ * Raised when a message body cannot be decoded
+ * Decoding fails the same way on every delivery, so the message is poison and can be dead-lettered
+ */
+class MessageDecodeError extends BoxQError {
+  /**
+   * Creates a new MessageDecodeError instance
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options (see BoxQError)
+   */
+  constructor(message, options = {}) {
+    super(message, { code: 'MESSAGE_DECODE_ERROR', ...options });
+    this.poison = true;
+  }
+}
+
+/**
+ * Raised when a message matches no route and the consumer has no fallback handler
+ */
+class UnroutedMessageError extends BoxQError {
+  /**
+   * Creates a new UnroutedMessageError instance
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options (see BoxQError)
+   * @param {boolean} [options.poison=false] - Whether the message should be dead-lettered
+   */
+  constructor(message, options = {}) {
+    super(message, { code: 'UNROUTED_MESSAGE', ...options });
+    this.poison = options.poison === true;
+  }
+}
+
+/**
+ * Raised when a message handler does not settle within its handlerTimeoutMs
+ */
+class HandlerTimeoutError extends BoxQError {
+  /**
+   * Creates a new HandlerTimeoutError instance
+   * @param {number} timeoutMs - Timeout that elapsed
+   * @param {Object} [options] - Error options (see BoxQError)
+   */
+  constructor(timeoutMs, options = {}) {
+    super(`Handler timed out after ${timeoutMs}ms`, { code: 'HANDLER_TIMEOUT', details: { timeoutMs }, ...options });
+  }
+}
+
+/**
+ * Raised when a message given to a publisher cannot be sent, such as a missing body, invalid options or more
+ * attributes than SQS allows
+ * Publishers throw it to the caller instead of returning a failed result, since sending again fails the same way
+ */
+class InvalidMessageError extends BoxQError {
+  /**
+   * Creates a new InvalidMessageError instance
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options (see BoxQError)
+   */
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_MESSAGE', ...options });
+  }
+}
+
+/**
+ * Raised when a message body does not match its schema
+ * Validation fails the same way on every delivery, so the message is poison and can be dead-lettered
+ */
+class MessageValidationError extends BoxQError {
+  /**
+   * Creates a new MessageValidationError instance
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options (see BoxQError)
+   * @param {string} [options.type] - Type of the invalid message
+   * @param {Array<Object>} [options.errors] - Validation errors as `{ path, message }` entries
+   */
+  constructor(message, options = {}) {
+    const { type, errors = [], ...rest } = options;
+    super(message, { code: 'MESSAGE_VALIDATION_ERROR', details: { type, errors }, ...rest });
+    this.validationErrors = errors;
+    this.poison = true;
+  }
+}
+
+/**
+ * Raised when the offloaded payload of a message cannot be fetched from its blob store
+ * The message is redelivered like any failed message and dead-lettered once it exceeds maxReceiveCount
+ */
+class PayloadFetchError extends BoxQError {
+  /**
+   * Creates a new PayloadFetchError instance
+   * @param {string} payloadKey - Key of the payload that could not be fetched
+   * @param {Object} [options] - Error options (see BoxQError)
+   */
+  constructor(payloadKey, options = {}) {
+    const reason = options.cause ? `: ${options.cause.message}` : '';
+    super(`Failed to fetch payload ${payloadKey}${reason}`, {
+      code: 'PAYLOAD_FETCH_ERROR',
+      details: { payloadKey },
+      ...options
+    });
+  }
+}
+
+/**
+ * Raised when an encrypted message body cannot be decrypted
+ * Tampered bodies and unknown keys fail the same way on every delivery, so the message is poison and can be
+ * dead-lettered; failures of the key provider itself are raised with `poison: false` and redelivered instead
+ */
+class MessageDecryptionError extends BoxQError {
+  /**
+   * Creates a new MessageDecryptionError instance
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options (see BoxQError)
+   * @param {boolean} [options.poison=true] - Whether the message should be dead-lettered
+   */
+  constructor(message, options = {}) {
+    super(message, { code: 'MESSAGE_DECRYPTION_ERROR', ...options });
+    this.poison = options.poison !== false;
+  }
+}
+
+module.exports = {
+  BoxQError,
+  MessageDecodeError,
+  UnroutedMessageError,
+  HandlerTimeoutError,
+  InvalidMessageError,
+  MessageValidationError,
+  PayloadFetchError,
+  MessageDecryptionError
+};
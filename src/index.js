@@ -8,8 +8,45 @@ const SQSClient = require('./core/SQSClient');
 const MessagePublisher = require('./publishers/MessagePublisher');
 const BatchPublisher = require('./publishers/BatchPublisher');
 const MessageConsumer = require('./consumers/MessageConsumer');
+const MultiQueueConsumer = require('./consumers/MultiQueueConsumer');
 const HealthMonitor = require('./core/HealthMonitor');
-const { ProcessingMode, HealthStatus } = require('./types');
+const CodecRegistry = require('./utils/CodecRegistry');
+const SchemaValidator = require('./utils/SchemaValidator');
+const Compressor = require('./utils/Compressor');
+const MemoryIdempotencyStore = require('./stores/MemoryIdempotencyStore');
+const FileIdempotencyStore = require('./stores/FileIdempotencyStore');
+const MemoryScheduleStore = require('./stores/MemoryScheduleStore');
+const FileBlobStore = require('./stores/FileBlobStore');
+const LocalKeyring = require('./stores/LocalKeyring');
+const {
+  ProcessingMode,
+  HealthStatus,
+  UnfinishedMessagePolicy,
+  UnroutedMessagePolicy,
+  ConsumerStatus,
+  PauseReason,
+  ConsumerEvent,
+  PublisherEvent,
+  IdempotencyStatus,
+  SchedulingPolicy,
+  ScheduleStatus,
+  RedeliveryMode,
+  PayloadAttribute,
+  CompressionAlgorithm,
+  EncryptionAttribute,
+  CloudEventMode
+} = require('./types');
+const {
+  BoxQError,
+  MessageDecodeError,
+  UnroutedMessageError,
+  HandlerTimeoutError,
+  InvalidMessageError,
+  MessageValidationError,
+  PayloadFetchError,
+  MessageDecryptionError
+} = require('./errors');
+const middleware = require('./middleware');
 
 /**
  * BoxQ - The ultimate SQS library with advanced features
@@ -48,11 +85,13 @@ const { ProcessingMode, HealthStatus } = require('./types');
  *   batchSize: 5
  * });
  * 
- * consumer.on('message', async (message, context) => {
- *   console.log('Processing:', message);
+ * consumer.on('failed', ({ messageId, error }) => {
+ *   console.error('Failed:', messageId, error);
  * });
  * 
- * consumer.start();
+ * consumer.start(async (message, context) => {
+ *   console.log('Processing:', message);
+ * });
  * ```
  */
 class BoxQ {
@@ -71,6 +110,7 @@ class BoxQ {
     this.healthMonitor = new HealthMonitor();
     this.publishers = new Map();
     this.consumers = new Map();
+    this.codecRegistry = new CodecRegistry();
     
     // Register health checks
     this._registerHealthChecks();
@@ -83,10 +123,16 @@ class BoxQ {
    * @param {string} [options.messageGroupId] - Default message group ID
    * @param {boolean} [options.enableDeduplication=true] - Enable content-based deduplication
    * @param {string} [options.deduplicationStrategy='content'] - Deduplication strategy
+   * @param {string|Object} [options.codec='json'] - Codec encoding message bodies (see registerCodec)
+   * @param {Object} [options.scheduleStore] - Store making messages published with publishAt() cancellable
+   * @param {Object} [options.payloadOffloading] - Offload bodies too large for SQS to a blob store
+   * @param {boolean|Object} [options.compression=false] - Compress bodies above a size threshold
+   * @param {Object} [options.encryption] - Encrypt bodies under per-message data keys (`keyProvider`)
+   * @param {Object} [options.cloudEvents] - Publish bodies as CloudEvents (`source`, `type`, `mode`)
    * @returns {MessagePublisher} Message publisher instance
    */
   createPublisher = (queueUrl, options = {}) => {
-    const publisher = new MessagePublisher(this.sqsClient, queueUrl, options);
+    const publisher = new MessagePublisher(this.sqsClient, queueUrl, { codecRegistry: this.codecRegistry, ...options });
     this.publishers.set(queueUrl, publisher);
     return publisher;
   };
@@ -98,16 +144,25 @@ class BoxQ {
    * @param {string} [options.messageGroupId] - Default message group ID
    * @param {boolean} [options.enableDeduplication=true] - Enable content-based deduplication
    * @param {number} [options.batchSize=10] - Batch size
+   * @param {string|Object} [options.codec='json'] - Codec encoding message bodies (see registerCodec)
+   * @param {Object} [options.payloadOffloading] - Offload bodies too large for SQS to a blob store
+   * @param {boolean|Object} [options.compression=false] - Compress bodies above a size threshold
+   * @param {Object} [options.encryption] - Encrypt bodies under per-message data keys (`keyProvider`)
+   * @param {Object} [options.cloudEvents] - Publish bodies as CloudEvents (`source`, `type`, `mode`)
    * @returns {BatchPublisher} Batch publisher instance
    */
   createBatchPublisher = (queueUrl, options = {}) => {
-    const batchPublisher = new BatchPublisher(this.sqsClient, queueUrl, options);
+    const batchPublisher = new BatchPublisher(this.sqsClient, queueUrl, {
+      codecRegistry: this.codecRegistry,
+      ...options
+    });
     this.publishers.set(`${queueUrl}-batch`, batchPublisher);
     return batchPublisher;
   };
 
   /**
    * Creates a message consumer for a specific queue
+   * CloudEvents are unwrapped without configuration and handed to handlers as `context.event`
    * @param {string} queueUrl - Queue URL
    * @param {Object} [options] - Consumer options
    * @param {string} [options.processingMode='sequential'] - Processing mode
@@ -118,15 +173,50 @@ class BoxQ {
    * @param {number} [options.visibilityTimeoutSeconds=30] - Message visibility timeout
    * @param {boolean} [options.autoStart=true] - Whether to start consuming immediately
    * @param {number} [options.pollingInterval=1000] - Polling interval in milliseconds
+   * @param {number} [options.drainTimeoutMs=30000] - How long stop() waits for in-flight handlers
+   * @param {string} [options.unfinishedMessages='leave'] - Policy for messages still in flight after the drain timeout
+   * @param {boolean} [options.pauseOnCircuitOpen=false] - Pause while the SQS client's circuit breaker is open
+   * @param {string|Object} [options.codec='json'] - Codec for bodies without a `content-type` attribute
+   * @param {boolean|Object} [options.idempotency=false] - Skip redeliveries of processed messages
+   * @param {boolean|Object} [options.scheduledDelivery=false] - Hold scheduled messages until their delivery time
+   * @param {Object} [options.payloadOffloading] - Fetch offloaded payloads from a blob store before the handler runs
+   * @param {Object} [options.encryption] - Decrypt encrypted bodies before they are decoded (`keyProvider`)
    * @returns {MessageConsumer} Message consumer instance
    */
   createConsumer = (queueUrl, options = {}) => {
-    const consumer = new MessageConsumer(this.sqsClient, queueUrl, options);
+    const consumer = new MessageConsumer(this.sqsClient, queueUrl, { codecRegistry: this.codecRegistry, ...options });
     consumer.setHealthMonitor(this.healthMonitor);
     this.consumers.set(queueUrl, consumer);
     return consumer;
   };
 
+  /**
+   * Creates a consumer of several queues sharing one handler and one concurrency pool
+   * @param {Array<Object>} queues - Queues as `{ queueUrl, name, priority, weight, options }`
+   * @param {Object} [options] - Consumer options shared by every queue (see createConsumer), plus:
+   * @param {string} [options.scheduling='priority'] - Scheduling policy: 'priority' or 'weighted'
+   * @param {number} [options.maxConcurrency=10] - Messages processed at once across all queues
+   * @param {number|null} [options.maxStarvationMs=10000] - Longest wait of a lower-priority queue; null for strict
+   * @returns {MultiQueueConsumer} Multi-queue consumer instance
+   */
+  createMultiQueueConsumer = (queues, options = {}) => {
+    const consumer = new MultiQueueConsumer(this.sqsClient, queues, { codecRegistry: this.codecRegistry, ...options });
+    consumer.setHealthMonitor(this.healthMonitor);
+    this.consumers.set(consumer.getQueueUrls().join(','), consumer);
+    return consumer;
+  };
+
+  /**
+   * Registers a codec with the registry shared by the publishers and consumers this instance creates
+   * Register codecs before creating the publishers and consumers that select them by name
+   * @param {Object} codec - Codec with `name`, `contentType`, `encode(body)` and `decode(raw)` (see CodecRegistry)
+   * @returns {BoxQ} The instance, for chaining
+   */
+  registerCodec = (codec) => {
+    this.codecRegistry.register(codec);
+    return this;
+  };
+
   /**
    * Gets the health status of the SQS system
    * @returns {Promise<Object>} Health status
@@ -187,9 +277,9 @@ class BoxQ {
       },
       components: {
         publishers: this.publishers.size,
-        consumers: this.consumers.size,
-        activeConsumers: Array.from(this.consumers.values()).filter(c => c.isConsumerRunning()).length
+        ...this._getConsumerStatusCounts()
       },
+      compression: this._getCompressionMetrics(),
       alerts: healthMetrics.alerts
     };
   };
@@ -201,6 +291,11 @@ class BoxQ {
     this.healthMonitor.clearMetrics();
     this.healthMonitor.clearAlerts();
     this.sqsClient.resetCircuitBreaker();
+    this.publishers.forEach(publisher => {
+      if (publisher.compressor) {
+        publisher.compressor.resetStats();
+      }
+    });
   };
 
   /**
@@ -228,10 +323,14 @@ class BoxQ {
   getConsumers = () => this.consumers;
 
   /**
-   * Stops all consumers
+   * Stops all consumers and waits for each of them to drain
+   * @param {Object} [options] - Stop options passed to every consumer
+   * @param {number} [options.drainTimeoutMs] - How long each consumer waits for in-flight handlers
+   * @param {string} [options.unfinishedMessages] - Policy for messages still in flight after the drain timeout
+   * @returns {Promise<Array>} Drain reports, one per consumer
    */
-  stopAllConsumers = () => {
-    this.consumers.forEach(consumer => consumer.stop());
+  stopAllConsumers = async (options = {}) => {
+    return Promise.all(Array.from(this.consumers.values()).map(consumer => consumer.stop(options)));
   };
 
   /**
@@ -268,20 +367,96 @@ class BoxQ {
     
     // Consumers health check
     this.healthMonitor.registerHealthCheck('consumers', async () => {
-      const activeConsumers = Array.from(this.consumers.values()).filter(c => c.isConsumerRunning());
+      const counts = this._getConsumerStatusCounts();
       return {
         status: 'healthy',
         details: { 
-          total: this.consumers.size,
-          active: activeConsumers.length
+          total: counts.consumers,
+          active: counts.activeConsumers,
+          paused: counts.pausedConsumers,
+          stopped: counts.stoppedConsumers,
+          statuses: counts.consumerStatuses
         }
       };
     });
   };
+
+  /**
+   * Sums the compression statistics of the publishers that compress
+   * @private
+   * @returns {Object} Compressed and skipped body counts, bytes before and after compression and their ratio
+   */
+  _getCompressionMetrics = () => {
+    const totals = { compressed: 0, skipped: 0, originalBytes: 0, compressedBytes: 0 };
+    
+    this.publishers.forEach(publisher => {
+      const stats = publisher.getCompressionStats();
+      if (stats) {
+        Object.keys(totals).forEach(key => {
+          totals[key] += stats[key];
+        });
+      }
+    });
+    
+    return { ...totals, ratio: Compressor.ratio(totals.originalBytes, totals.compressedBytes) };
+  };
+
+  /**
+   * Counts consumers by lifecycle status
+   * @private
+   * @returns {Object} Total, active, paused and stopped counts, plus the status of each consumer by queue URL
+   */
+  _getConsumerStatusCounts = () => {
+    const consumerStatuses = {};
+    this.consumers.forEach((consumer, queueUrl) => {
+      consumerStatuses[queueUrl] = consumer.getStatus();
+    });
+    
+    const statuses = Object.values(consumerStatuses);
+    const count = (status) => statuses.filter(value => value === status).length;
+    
+    return {
+      consumers: this.consumers.size,
+      activeConsumers: count(ConsumerStatus.RUNNING),
+      pausedConsumers: count(ConsumerStatus.PAUSED),
+      stoppedConsumers: count(ConsumerStatus.STOPPED),
+      consumerStatuses
+    };
+  };
 }
 
 module.exports = {
   BoxQ,
   ProcessingMode,
-  HealthStatus
+  HealthStatus,
+  UnfinishedMessagePolicy,
+  UnroutedMessagePolicy,
+  ConsumerStatus,
+  PauseReason,
+  ConsumerEvent,
+  PublisherEvent,
+  IdempotencyStatus,
+  SchedulingPolicy,
+  ScheduleStatus,
+  RedeliveryMode,
+  PayloadAttribute,
+  CompressionAlgorithm,
+  EncryptionAttribute,
+  CloudEventMode,
+  CodecRegistry,
+  SchemaValidator,
+  MemoryIdempotencyStore,
+  FileIdempotencyStore,
+  MemoryScheduleStore,
+  FileBlobStore,
+  LocalKeyring,
+  BoxQError,
+  MessageDecodeError,
+  UnroutedMessageError,
+  HandlerTimeoutError,
+  InvalidMessageError,
+  MessageValidationError,
+  PayloadFetchError,
+  MessageDecryptionError,
+  middleware
 };
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Consumer middleware for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+/**
+ * Composes middlewares around a handler, Koa style
+ * Each middleware is called with `(message, context, next)`; awaiting `next()` runs the rest of the chain
+ * and the handler, resolves with the handler's return value and rejects with its error.
+ * A middleware that returns without calling `next()` short-circuits the chain.
+ * @param {Array<Function>} middlewares - Middlewares in execution order
+ * @param {Function} handler - Handler called with `(message, context)` at the end of the chain
+ * @returns {Function} Composed function called with `(message, context)`
+ */
+const compose = (middlewares, handler) => (message, context) => {
+  let lastIndex = -1;
+  
+  const dispatch = async (index) => {
+    if (index <= lastIndex) {
+      throw new Error('next() called multiple times');
+    }
+    lastIndex = index;
+    
+    if (index === middlewares.length) {
+      return handler(message, context);
+    }
+    
+    return middlewares[index](message, context, () => dispatch(index + 1));
+  };
+  
+  return dispatch(0);
+};
+
+/**
+ * Creates a middleware logging the start and outcome of every message
+ * @param {Object} [options] - Logging options
+ * @param {Object} [options.logger=console] - Logger with `log` and `error` methods
+ * @returns {Function} Logging middleware
+ */
+const logging = (options = {}) => {
+  const logger = options.logger || console;
+  
+  return async (message, context, next) => {
+    const startTime = Date.now();
+    logger.log('Processing message', { messageId: context.messageId, receiveCount: context.receiveCount });
+    
+    try {
+      const result = await next();
+      logger.log('Message processed', { messageId: context.messageId, durationMs: Date.now() - startTime });
+      return result;
+    } catch (error) {
+      logger.error('Message processing failed', {
+        messageId: context.messageId,
+        durationMs: Date.now() - startTime,
+        error: error.message
+      });
+      throw error;
+    }
+  };
+};
+
+/**
+ * Creates a middleware measuring how long the rest of the chain takes
+ * The measurement is stored on `context.timing` and passed to the optional callback
+ * @param {Object} [options] - Timing options
+ * @param {Function} [options.onTiming] - Called with `{ messageId, durationMs, success }` after each message
+ * @returns {Function} Timing middleware
+ */
+const timing = (options = {}) => async (message, context, next) => {
+  const startTime = Date.now();
+  let success = false;
+  
+  try {
+    const result = await next();
+    success = true;
+    return result;
+  } finally {
+    context.timing = { startedAt: startTime, durationMs: Date.now() - startTime };
+    
+    if (options.onTiming) {
+      options.onTiming({ messageId: context.messageId, durationMs: context.timing.durationMs, success });
+    }
+  }
+};
+
+/**
+ * Checks whether an error matches a classification rule
+ * @private
+ * @param {Error} error - Error thrown by the chain
+ * @param {Function|RegExp|string} match - Error class, pattern on the message, error name, or predicate
+ * @returns {boolean} True if the error matches
+ */
+const matchesRule = (error, match) => {
+  if (match instanceof RegExp) {
+    return match.test(error.message);
+  }
+  
+  if (typeof match === 'string') {
+    return error.name === match || error.code === match;
+  }
+  
+  if (match.prototype instanceof Error || match === Error) {
+    return error instanceof match;
+  }
+  
+  return match(error) === true;
+};
+
+/**
+ * Creates a middleware mapping handler errors onto how the message is settled
+ * The first matching rule wins. A rule with `nackDelaySeconds` defers the message instead of failing it;
+ * otherwise the error is rethrown with its `errorClass` and `poison` flag set from the rule.
+ * @param {Array<Object>} rules - Classification rules
+ * @param {Function|RegExp|string} rules[].match - Error class, pattern on the message, error name or code,
+ *   or predicate called with the error
+ * @param {string} [rules[].errorClass] - Class reported for the failure (default: the error name)
+ * @param {boolean} [rules[].poison] - Mark the message as poison so it is dead-lettered
+ * @param {number} [rules[].nackDelaySeconds] - Nack the message with this delay instead of failing it
+ * @returns {Function} Error classification middleware
+ */
+const errorClassification = (rules = []) => async (message, context, next) => {
+  try {
+    return await next();
+  } catch (error) {
+    const rule = rules.find(candidate => matchesRule(error, candidate.match));
+    
+    if (!rule) {
+      throw error;
+    }
+    
+    if (rule.nackDelaySeconds !== undefined) {
+      context.nack(rule.nackDelaySeconds);
+      return undefined;
+    }
+    
+    if (rule.errorClass) {
+      error.errorClass = rule.errorClass;
+    }
+    if (rule.poison !== undefined) {
+      error.poison = rule.poison;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  compose,
+  logging,
+  timing,
+  errorClassification
+};
@@ -4,15 +4,26 @@
  * @version 1.0.0
  */
 
+const { EventEmitter } = require('events');
 const { SendMessageBatchCommand } = require('@aws-sdk/client-sqs');
 const { v4: uuidv4 } = require('uuid');
 const DeduplicationManager = require('../utils/DeduplicationManager');
+const CodecRegistry = require('../utils/CodecRegistry');
+const SchemaValidator = require('../utils/SchemaValidator');
+const PayloadOffloader = require('../utils/PayloadOffloader');
+const Compressor = require('../utils/Compressor');
+const EnvelopeEncryptor = require('../utils/EnvelopeEncryptor');
+const { MAX_MESSAGE_ATTRIBUTES, assertAttributeLimit } = require('../utils/attributes');
+const CloudEventEnvelope = require('../utils/CloudEventEnvelope');
+const { PublisherEvent, PayloadAttribute } = require('../types');
+const { emitSafely } = require('../utils/events');
 
 /**
  * Batch Publisher class for publishing multiple messages efficiently
  * Provides optimized batch publishing with deduplication and error handling
+ * Emits a `published` event per sent message and a `publish_failed` event per failed entry
  */
-class BatchPublisher {
+class BatchPublisher extends EventEmitter {
   /**
    * Creates a new BatchPublisher instance
    * @param {Object} sqsClient - SQS client instance
@@ -21,8 +32,20 @@ class BatchPublisher {
    * @param {string} [options.messageGroupId] - Default message group ID
    * @param {boolean} [options.enableDeduplication=true] - Enable content-based deduplication
    * @param {number} [options.batchSize=10] - Maximum batch size
+   * @param {string|Object} [options.codec='json'] - Codec encoding message bodies (see MessagePublisher)
+   * @param {CodecRegistry} [options.codecRegistry] - Registry codec names are resolved in (default: built-ins only)
+   * @param {SchemaValidator|Object} [options.validation] - Schemas bodies are validated against before sending
+   *   (see SchemaValidator)
+   * @param {Object} [options.payloadOffloading] - Offload bodies too large for SQS to a blob store
+   *   (see MessagePublisher); bodies are also offloaded, largest first, while a batch exceeds the SQS batch size
+   * @param {boolean|Object} [options.compression=false] - Compress encoded bodies above a size threshold
+   *   (see MessagePublisher)
+   * @param {Object} [options.encryption] - Encrypt bodies under per-message data keys (see MessagePublisher)
+   * @param {Object} [options.cloudEvents] - Publish bodies as CloudEvents (see MessagePublisher); messages may give
+   *   their own event attributes as `options.cloudEvent`
    */
   constructor(sqsClient, queueUrl, options = {}) {
+    super();
     this.sqsClient = sqsClient;
     this.queueUrl = queueUrl;
     this.messageGroupId = options.messageGroupId;
@@ -31,6 +54,13 @@ class BatchPublisher {
     this.deduplicationManager = new DeduplicationManager({
       strategy: options.deduplicationStrategy || 'content'
     });
+    this.codecRegistry = options.codecRegistry || new CodecRegistry();
+    this.codec = this.codecRegistry.get(options.codec);
+    this.validator = SchemaValidator.from(options.validation);
+    this.payloadOffloader = options.payloadOffloading ? new PayloadOffloader(options.payloadOffloading) : null;
+    this.compressor = Compressor.from(options.compression);
+    this.encryptor = options.encryption ? new EnvelopeEncryptor(options.encryption) : null;
+    this.cloudEvents = options.cloudEvents ? new CloudEventEnvelope(options.cloudEvents) : null;
   }
 
   /**
@@ -59,7 +89,9 @@ class BatchPublisher {
       // Process messages in batches
       for (let i = 0; i < messages.length; i += batchSize) {
         const batch = messages.slice(i, i + batchSize);
+        const batchStartTime = Date.now();
         const batchResult = await this._processBatch(batch, i);
+        this._notify(batchResult, Date.now() - batchStartTime);
         
         results.batches.push(batchResult);
         results.successfulMessages += batchResult.successful;
@@ -76,7 +108,7 @@ class BatchPublisher {
       
       results.processingTime = Date.now() - startTime;
       return results;
-      
+    
     } catch (error) {
       results.processingTime = Date.now() - startTime;
       results.errors.push({
@@ -89,6 +121,30 @@ class BatchPublisher {
     }
   };
 
+  /**
+   * Emits a `published` event per sent message and a `publish_failed` event per failed entry or failed batch
+   * @private
+   * @param {Object} batchResult - Result returned by _processBatch
+   * @param {number} processingTime - Time the batch took in milliseconds
+   */
+  _notify = (batchResult, processingTime) => {
+    batchResult.messages.forEach(message => emitSafely(this, PublisherEvent.PUBLISHED, {
+      queueUrl: this.queueUrl,
+      messageId: message.messageId,
+      entryId: message.entryId,
+      processingTime
+    }));
+    
+    batchResult.errors.forEach(failure => emitSafely(this, PublisherEvent.PUBLISH_FAILED, {
+      queueUrl: this.queueUrl,
+      entryId: failure.messageId,
+      error: failure.error || failure.message,
+      code: failure.code,
+      validationErrors: failure.validationErrors,
+      processingTime
+    }));
+  };
+
   /**
    * Processes a single batch of messages
    * @private
@@ -105,69 +161,21 @@ class BatchPublisher {
       errors: [],
       messages: []
     };
+    const compressions = new Map();
+    let entries = [];
     
     try {
-      // Prepare batch entries
-      const entries = [];
-      const messageMap = new Map();
-      
-      for (let i = 0; i < batch.length; i++) {
-        const message = batch[i];
-        const entryId = `msg-${batchIndex}-${i}`;
-        
-        try {
-          const entry = await this._prepareBatchEntry(message, entryId);
-          entries.push(entry);
-          messageMap.set(entryId, message);
-        } catch (error) {
-          batchResult.failed++;
-          batchResult.errors.push({
-            messageId: entryId,
-            error: error.message,
-            timestamp: Date.now()
-          });
-        }
-      }
-      
+      entries = await this._prepareBatchEntries(batch, batchIndex, compressions, batchResult);
       if (entries.length === 0) {
         return batchResult;
       }
       
-      // Send batch to SQS
-      const command = new SendMessageBatchCommand({
-        QueueUrl: this.queueUrl,
-        Entries: entries
-      });
-      
-      const result = await this.sqsClient.executeCommand(command);
-      
-      // Process results
-      if (result.Successful) {
-        result.Successful.forEach(success => {
-          batchResult.successful++;
-          batchResult.messages.push({
-            messageId: success.MessageId,
-            entryId: success.Id,
-            md5OfBody: success.MD5OfBody
-          });
-        });
-      }
-      
-      if (result.Failed) {
-        result.Failed.forEach(failure => {
-          batchResult.failed++;
-          batchResult.errors.push({
-            messageId: failure.Id,
-            error: failure.Message,
-            code: failure.Code,
-            timestamp: Date.now()
-          });
-        });
-      }
-      
+      const result = await this._sendBatch(entries);
+      await this._recordBatchResult(result, entries, compressions, batchResult);
       return batchResult;
-      
+    
     } catch (error) {
+      await this._discardPayloads(entries);
       batchResult.failed = batch.length;
       batchResult.errors.push({
         type: 'batch_error',
@@ -179,21 +187,112 @@ class BatchPublisher {
     }
   };
 
+  /**
+   * Prepares the entries of a batch, recording messages that cannot be prepared as failed
+   * @private
+   * @param {Array} batch - Batch of messages
+   * @param {number} batchIndex - Batch index
+   * @param {Map} compressions - Compression applied to each entry's body, or null, recorded by entry ID
+   * @param {Object} batchResult - Batch processing result, updated in place
+   * @returns {Promise<Array<Object>>} Batch entries
+   */
+  _prepareBatchEntries = async (batch, batchIndex, compressions, batchResult) => {
+    const entries = [];
+    
+    for (let i = 0; i < batch.length; i++) {
+      const entryId = `msg-${batchIndex}-${i}`;
+      
+      try {
+        entries.push(await this._prepareBatchEntry(batch[i], entryId, compressions));
+      } catch (error) {
+        batchResult.failed++;
+        batchResult.errors.push({
+          messageId: entryId,
+          error: error.message,
+          ...(error.validationErrors && { validationErrors: error.validationErrors }),
+          timestamp: Date.now()
+        });
+      }
+    }
+    
+    return entries;
+  };
+
+  /**
+   * Fits batch entries within the SQS batch size limit and sends them
+   * @private
+   * @param {Array<Object>} entries - Batch entries
+   * @returns {Promise<Object>} SendMessageBatch result
+   */
+  _sendBatch = async (entries) => {
+    await this._fitBatch(entries);
+    
+    const command = new SendMessageBatchCommand({
+      QueueUrl: this.queueUrl,
+      Entries: entries
+    });
+    
+    return this.sqsClient.executeCommand(command);
+  };
+
+  /**
+   * Records the per-entry outcome of a sent batch and deletes the payloads of rejected entries
+   * @private
+   * @param {Object} result - SendMessageBatch result
+   * @param {Array<Object>} entries - Batch entries that were sent
+   * @param {Map} compressions - Compression applied to each entry's body, or null, recorded by entry ID
+   * @param {Object} batchResult - Batch processing result, updated in place
+   * @returns {Promise<void>}
+   */
+  _recordBatchResult = async (result, entries, compressions, batchResult) => {
+    (result.Successful || []).forEach(success => {
+      batchResult.successful++;
+      batchResult.messages.push({
+        messageId: success.MessageId,
+        entryId: success.Id,
+        md5OfBody: success.MD5OfBody,
+        ...(compressions.get(success.Id) && { compression: compressions.get(success.Id) })
+      });
+    });
+    
+    const failed = result.Failed || [];
+    failed.forEach(failure => {
+      batchResult.failed++;
+      batchResult.errors.push({
+        messageId: failure.Id,
+        error: failure.Message,
+        code: failure.Code,
+        timestamp: Date.now()
+      });
+    });
+    
+    if (failed.length > 0) {
+      await this._discardPayloads(entries.filter(entry => failed.some(failure => failure.Id === entry.Id)));
+    }
+  };
+
   /**
    * Prepares a single batch entry
    * @private
    * @param {Object} message - Message object
    * @param {string} entryId - Entry ID
+   * @param {Map} [compressions] - Compression applied to each entry's body, or null, recorded by entry ID
    * @returns {Promise<Object>} Batch entry
+   * @throws {MessageValidationError} If validation is configured and the body does not match its schema
    */
-  _prepareBatchEntry = async (message, entryId) => {
+  _prepareBatchEntry = async (message, entryId, compressions = new Map()) => {
     const { body, options = {} } = message;
     
-    // Validate message body
-    if (!body || typeof body !== 'object') {
-      throw new Error('Message body is required and must be an object');
+    // Validate against the message's schema
+    if (this.validator) {
+      this.validator.assertValid(body);
     }
     
+    // Encode, wrap into a CloudEvent, compress and encrypt message body
+    const encoded = this._wrapCloudEvent(this.codecRegistry.encode(body, this.codec), body, options.cloudEvent);
+    const serialized = await this._encryptBody(this._compressBody(encoded.body));
+    compressions.set(entryId, serialized.compression);
+    
     // Generate deduplication ID if needed
     const messageDeduplicationId = this._generateDeduplicationId(body, options);
     
@@ -204,13 +303,37 @@ class BatchPublisher {
     
     // Build message attributes
     const messageAttributes = this._buildMessageAttributes(options.messageAttributes);
+    Object.assign(messageAttributes, encoded.attributes, serialized.attributes);
+    
+    // Offload bodies too large for SQS and send a pointer to them instead
+    const payload = await this._offloadBody(serialized.body, messageAttributes);
     
-    // Create batch entry
+    try {
+      return this._buildEntry(entryId, payload, messageAttributes, options, messageDeduplicationId);
+    } catch (error) {
+      await this._discardPayloads([{ MessageAttributes: payload.attributes }]);
+      throw error;
+    }
+  };
+
+  /**
+   * Builds a batch entry from a prepared message
+   * @private
+   * @param {string} entryId - Entry ID
+   * @param {Object} payload - Body to send and the payload attributes, as returned by _offloadBody
+   * @param {Object} messageAttributes - Message attributes in SQS format
+   * @param {Object} options - Message options
+   * @param {string} [messageDeduplicationId] - Deduplication ID of FIFO messages
+   * @returns {Object} Batch entry
+   * @throws {InvalidMessageError} If the message has more attributes than SQS allows
+   */
+  _buildEntry = (entryId, payload, messageAttributes, options, messageDeduplicationId) => {
     const entry = {
       Id: entryId,
-      MessageBody: JSON.stringify(body),
-      MessageAttributes: messageAttributes
+      MessageBody: payload.body,
+      MessageAttributes: { ...messageAttributes, ...payload.attributes }
     };
+    assertAttributeLimit(entry.MessageAttributes);
     
     // Add FIFO-specific parameters
     if (this._isFIFOQueue()) {
@@ -226,6 +349,113 @@ class BatchPublisher {
     return entry;
   };
 
+  /**
+   * Wraps an encoded body into a CloudEvent when CloudEvents are configured
+   * @private
+   * @param {Object} encoded - `{ body, attribute }` returned by the codec registry
+   * @param {*} messageBody - Message body before encoding
+   * @param {Object} [attributes] - CloudEvents attributes of the message
+   * @returns {Object} `{ body, attributes }` with the event to send and its attributes, or the encoded body and its
+   *   content type attribute
+   * @throws {InvalidMessageError} If the event has no type or an invalid attribute name
+   */
+  _wrapCloudEvent = (encoded, messageBody, attributes) => {
+    const unwrapped = {
+      body: encoded.body,
+      attributes: { [CodecRegistry.CONTENT_TYPE_ATTRIBUTE]: encoded.attribute }
+    };
+    return this.cloudEvents ? this.cloudEvents.wrap(unwrapped, messageBody, attributes) : unwrapped;
+  };
+
+  /**
+   * Compresses an encoded body when compression is configured
+   * @private
+   * @param {string} body - Encoded message body
+   * @returns {Object} `{ body, attributes, compression }` with the compressed body and its `content-encoding`
+   *   attribute, or the body as it is, no attributes and a null compression
+   */
+  _compressBody = (body) => (this.compressor
+    ? this.compressor.compress(body)
+    : { body, attributes: {}, compression: null });
+
+  /**
+   * Encrypts a compressed body when encryption is configured
+   * @private
+   * @param {Object} compressed - `{ body, attributes, compression }` returned by _compressBody
+   * @returns {Promise<Object>} `{ body, attributes, compression }` with the encrypted body and its key ID and data
+   *   key attributes added, or the compressed body as it is
+   */
+  _encryptBody = async (compressed) => {
+    if (!this.encryptor) {
+      return compressed;
+    }
+    
+    const { body, attributes } = await this.encryptor.encrypt(compressed.body);
+    return { ...compressed, body, attributes: { ...compressed.attributes, ...attributes } };
+  };
+
+  /**
+   * Offloads a serialized body to the blob store if the message is larger than the offloading threshold
+   * @private
+   * @param {string} body - Serialized message body
+   * @param {Object} messageAttributes - Message attributes in SQS format
+   * @returns {Promise<Object>} `{ body, attributes }` to send, with the body as it is and no attributes when it was
+   *   not offloaded
+   */
+  _offloadBody = async (body, messageAttributes) => {
+    if (!this.payloadOffloader || !this.payloadOffloader.needsOffloading(body, messageAttributes)) {
+      return { body, attributes: {} };
+    }
+    return this.payloadOffloader.offload(body);
+  };
+
+  /**
+   * Offloads the largest bodies of a batch until the batch fits within the SQS size limit
+   * SQS limits a whole batch to the size of a single message, so messages under the threshold can still add up
+   * to a batch it rejects. Without payload offloading such batches are sent as they are, and entries without room
+   * for the payload attributes are not offloaded.
+   * @private
+   * @param {Array<Object>} entries - Batch entries, updated in place
+   * @returns {Promise<void>}
+   */
+  _fitBatch = async (entries) => {
+    if (!this.payloadOffloader) {
+      return;
+    }
+    
+    const sizeOf = entry => PayloadOffloader.measure(entry.MessageBody, entry.MessageAttributes);
+    const candidates = entries
+      .filter(entry => !PayloadOffloader.getPayloadKey(entry))
+      .filter(entry => Object.keys(entry.MessageAttributes).length + Object.keys(PayloadAttribute).length <=
+        MAX_MESSAGE_ATTRIBUTES)
+      .sort((a, b) => sizeOf(b) - sizeOf(a));
+    let total = entries.reduce((sum, entry) => sum + sizeOf(entry), 0);
+    
+    for (const entry of candidates) {
+      if (total <= PayloadOffloader.MAX_MESSAGE_BYTES) {
+        return;
+      }
+      
+      const previousSize = sizeOf(entry);
+      const payload = await this.payloadOffloader.offload(entry.MessageBody);
+      entry.MessageBody = payload.body;
+      Object.assign(entry.MessageAttributes, payload.attributes);
+      total += sizeOf(entry) - previousSize;
+    }
+  };
+
+  /**
+   * Deletes the offloaded payloads of entries that were not sent
+   * @private
+   * @param {Array<Object>} entries - Batch entries
+   * @returns {Promise<void>}
+   */
+  _discardPayloads = async (entries) => {
+    if (this.payloadOffloader) {
+      await this.payloadOffloader.discard(entries);
+    }
+  };
+
   /**
    * Generates a deduplication ID for a message
    * @private
@@ -295,6 +525,12 @@ class BatchPublisher {
    */
   getQueueUrl = () => this.queueUrl;
 
+  /**
+   * Gets compression statistics
+   * @returns {Object|null} Compression statistics, or null without compression
+   */
+  getCompressionStats = () => (this.compressor ? this.compressor.getStats() : null);
+
   /**
    * Gets the batch publisher configuration
    * @returns {Object} Batch publisher configuration
@@ -304,7 +540,13 @@ class BatchPublisher {
     messageGroupId: this.messageGroupId,
     enableDeduplication: this.enableDeduplication,
     batchSize: this.batchSize,
-    deduplicationStrategy: this.deduplicationManager.getConfig().strategy
+    deduplicationStrategy: this.deduplicationManager.getConfig().strategy,
+    codec: this.codec.name,
+    validation: this.validator !== null,
+    payloadOffloading: this.payloadOffloader ? this.payloadOffloader.getConfig() : null,
+    compression: this.compressor ? this.compressor.getConfig() : null,
+    encryption: this.encryptor ? this.encryptor.getConfig() : null,
+    cloudEvents: this.cloudEvents ? this.cloudEvents.getConfig() : null
   });
 }
 
@@ -4,15 +4,32 @@
  * @version 1.0.0
  */
 
+const { EventEmitter } = require('events');
 const { SendMessageCommand } = require('@aws-sdk/client-sqs');
 const { v4: uuidv4 } = require('uuid');
 const DeduplicationManager = require('../utils/DeduplicationManager');
+const CodecRegistry = require('../utils/CodecRegistry');
+const SchemaValidator = require('../utils/SchemaValidator');
+const PayloadOffloader = require('../utils/PayloadOffloader');
+const Compressor = require('../utils/Compressor');
+const EnvelopeEncryptor = require('../utils/EnvelopeEncryptor');
+const CloudEventEnvelope = require('../utils/CloudEventEnvelope');
+const { InvalidMessageError, MessageValidationError } = require('../errors');
+const { PublisherEvent, ScheduleAttribute } = require('../types');
+const { emitSafely } = require('../utils/events');
+const { assertAttributeLimit } = require('../utils/attributes');
+
+/**
+ * Longest delay SQS applies to a message
+ */
+const MAX_DELAY_SECONDS = 900;
 
 /**
  * Message Publisher class for publishing messages to SQS queues
  * Provides FIFO support, deduplication, and advanced publishing features
+ * Emits a `published` or `publish_failed` event for every message that was not rejected up front
  */
-class MessagePublisher {
+class MessagePublisher extends EventEmitter {
   /**
    * Creates a new MessagePublisher instance
    * @param {Object} sqsClient - SQS client instance
@@ -21,8 +38,39 @@ class MessagePublisher {
    * @param {string} [options.messageGroupId] - Default message group ID
    * @param {boolean} [options.enableDeduplication=true] - Enable content-based deduplication
    * @param {string} [options.deduplicationStrategy='content'] - Deduplication strategy
+   * @param {string|Object} [options.codec='json'] - Codec encoding message bodies: a registered codec name
+   *   (json, text, base64 or a custom one) or a codec object
+   * @param {CodecRegistry} [options.codecRegistry] - Registry codec names are resolved in (default: built-ins only)
+   * @param {SchemaValidator|Object} [options.validation] - Schemas bodies are validated against before sending
+   *   (see SchemaValidator)
+   * @param {Object} [options.scheduleStore] - Store messages published with publishAt() are recorded in so they can
+   *   be cancelled (see MemoryScheduleStore); consumers must look cancellations up in the same store
+   * @param {Object} [options.payloadOffloading] - Offload bodies of messages larger than SQS accepts to a blob
+   *   store and send a pointer to them instead (see PayloadOffloader); consumers must fetch from the same store
+   * @param {Object} options.payloadOffloading.store - Blob store with `put`, `get` and `delete`
+   * @param {number} [options.payloadOffloading.thresholdBytes=262144] - Message size above which bodies are
+   *   offloaded
+   * @param {string} [options.payloadOffloading.keyPrefix='boxq/'] - Prefix of the payload keys
+   * @param {boolean|Object} [options.compression=false] - Compress encoded bodies above a size threshold and send
+   *   them base64-encoded with a `content-encoding` attribute; pass true for gzip bodies of 1KB and more, or an
+   *   object to configure it (see Compressor)
+   * @param {string} [options.compression.algorithm='gzip'] - 'gzip', 'br' (brotli) or 'deflate'
+   * @param {number} [options.compression.thresholdBytes=1024] - Body size from which bodies are compressed
+   * @param {number} [options.compression.level] - Compression level of the algorithm
+   * @param {Object} [options.encryption] - Encrypt bodies with AES-256-GCM under per-message data keys after
+   *   compression (see EnvelopeEncryptor); consumers must decrypt with a provider holding the same master keys
+   * @param {Object} options.encryption.keyProvider - Key provider with `generateDataKey` and `decryptDataKey`,
+   *   such as LocalKeyring
+   * @param {Object} [options.cloudEvents] - Publish bodies as CloudEvents with a generated `id`, `time` and
+   *   `specversion` (see CloudEventEnvelope); consumers unwrap them without configuration
+   * @param {string} options.cloudEvents.source - `source` attribute of the events
+   * @param {string|Function} [options.cloudEvents.type] - `type` of events published without one, or a function
+   *   returning it from the message body
+   * @param {string} [options.cloudEvents.mode='structured'] - 'structured' (JSON event body) or 'binary'
+   *   (`ce-` message attributes)
    */
   constructor(sqsClient, queueUrl, options = {}) {
+    super();
     this.sqsClient = sqsClient;
     this.queueUrl = queueUrl;
     this.messageGroupId = options.messageGroupId;
@@ -30,56 +78,216 @@ class MessagePublisher {
     this.deduplicationManager = new DeduplicationManager({
       strategy: options.deduplicationStrategy || 'content'
     });
+    this.codecRegistry = options.codecRegistry || new CodecRegistry();
+    this.codec = this.codecRegistry.get(options.codec);
+    this.validator = SchemaValidator.from(options.validation);
+    this.scheduleStore = options.scheduleStore || null;
+    this.payloadOffloader = options.payloadOffloading ? new PayloadOffloader(options.payloadOffloading) : null;
+    this.compressor = Compressor.from(options.compression);
+    this.encryptor = options.encryption ? new EnvelopeEncryptor(options.encryption) : null;
+    this.cloudEvents = options.cloudEvents ? new CloudEventEnvelope(options.cloudEvents) : null;
   }
 
   /**
    * Publishes a single message to the queue
-   * @param {Object} messageBody - Message body
+   * The body is encoded with the publisher's codec and its content type is set as the `content-type` attribute;
+   * with compression, the result carries the `compression` applied to the body, and with CloudEvents the
+   * attributes of the `cloudEvent` sent
+   * @param {*} messageBody - Message body, in the form the codec accepts (an object for json)
    * @param {Object} options - Message options
    * @param {string} [options.messageGroupId] - Message group ID for FIFO queues
    * @param {string} [options.messageDeduplicationId] - Custom deduplication ID
-   * @param {number} [options.delaySeconds] - Delay in seconds before message becomes available
-   * @param {Object} [options.messageAttributes] - Additional message attributes
+   * @param {number} [options.delaySeconds] - Delay in seconds before message becomes available, at most 900;
+   *   use publishAfter() for longer delays
+   * @param {Object} [options.messageAttributes] - Additional message attributes, as plain values or in SQS format
+   * @param {Object} [options.cloudEvent] - CloudEvents attributes of the message, such as its `type` or
+   *   `subject`, overriding the generated ones
    * @returns {Promise<Object>} Publishing result
+   * @throws {MessageValidationError} If validation is configured and the body does not match its schema
+   * @throws {InvalidMessageError} If the body, options, CloudEvent or message attributes cannot be sent
    */
   publish = async (messageBody, options = {}) => {
-    const startTime = Date.now();
+    let compression = null;
+    let cloudEvent = null;
+    const result = await this._send(messageBody, options, () => {
+      this._validateBody(messageBody);
+      const wrapped = this._wrapCloudEvent(this._encodeBody(messageBody), messageBody, options.cloudEvent);
+      const serialized = this._compressBody(wrapped);
+      compression = serialized.compression;
+      cloudEvent = wrapped.event || null;
+      return this._encryptBody(serialized);
+    });
+    return this._notify(result.success ? {
+      ...result,
+      ...(compression && { compression }),
+      ...(cloudEvent && { cloudEvent })
+    } : result);
+  };
+
+  /**
+   * Publishes a message to be delivered at a given time
+   * SQS delays messages by at most 15 minutes: the message is sent with a delay of up to 15 minutes and
+   * `boxq-deliver-at` and `boxq-schedule-id` attributes, and consumers hold it until its delivery time. FIFO queues
+   * do not support per-message delays, so their messages are sent without one and held by consumers only.
+   * @param {*} messageBody - Message body, in the form the codec accepts (an object for json)
+   * @param {Date|number} deliverAt - Delivery time, as a Date or epoch milliseconds
+   * @param {Object} [options] - Message options (same as publish, except delaySeconds)
+   * @param {string} [options.scheduleId] - Schedule ID (default: a generated UUID)
+   * @returns {Promise<Object>} Publishing result with the `scheduleId` and `deliverAt` of the message
+   * @throws {Error} If the delivery time is not a valid date
+   */
+  publishAt = async (messageBody, deliverAt, options = {}) => {
+    const time = deliverAt instanceof Date ? deliverAt.getTime() : deliverAt;
+    if (typeof time !== 'number' || !Number.isFinite(time)) {
+      throw new Error('Delivery time must be a valid Date or epoch milliseconds');
+    }
+    
+    const scheduleId = options.scheduleId || uuidv4();
+    const delaySeconds = Math.min(Math.max(Math.ceil((time - Date.now()) / 1000), 0), MAX_DELAY_SECONDS);
+    
+    if (this.scheduleStore) {
+      await this.scheduleStore.add({ scheduleId, queueUrl: this.queueUrl, deliverAt: time });
+    }
     
+    let result;
     try {
-      // Validate inputs
-      this._validateMessageBody(messageBody);
-      this._validateOptions(options);
-      
-      // Generate deduplication ID if needed
-      const messageDeduplicationId = this._generateDeduplicationId(messageBody, options);
-      
-      // Check for duplicates if deduplication is enabled
-      if (this.enableDeduplication && this.deduplicationManager.isDuplicate(messageDeduplicationId)) {
-        throw new Error('Duplicate message detected');
+      result = await this.publish(messageBody, {
+        ...options,
+        delaySeconds: this._isFIFOQueue() ? 0 : delaySeconds,
+        messageAttributes: {
+          ...options.messageAttributes,
+          [ScheduleAttribute.DELIVER_AT]: time,
+          [ScheduleAttribute.SCHEDULE_ID]: scheduleId
+        }
+      });
+    } catch (error) {
+      await this._forgetSchedule(scheduleId);
+      throw error;
+    }
+    
+    if (!result.success) {
+      await this._forgetSchedule(scheduleId);
+    }
+    return { ...result, scheduleId, deliverAt: time };
+  };
+
+  /**
+   * Publishes a message to be delivered after a delay, which may exceed the 15-minute SQS limit (see publishAt)
+   * @param {*} messageBody - Message body, in the form the codec accepts (an object for json)
+   * @param {number} delayMs - Delay in milliseconds
+   * @param {Object} [options] - Message options (same as publishAt)
+   * @returns {Promise<Object>} Publishing result with the `scheduleId` and `deliverAt` of the message
+   * @throws {Error} If the delay is not a non-negative number
+   */
+  publishAfter = async (messageBody, delayMs, options = {}) => {
+    if (typeof delayMs !== 'number' || !Number.isFinite(delayMs) || delayMs < 0) {
+      throw new Error('Delay milliseconds must be a non-negative number');
+    }
+    
+    return this.publishAt(messageBody, Date.now() + delayMs, options);
+  };
+
+  /**
+   * Cancels a message published with publishAt() or publishAfter() that was not delivered yet
+   * Consumers delete a cancelled message without processing it the next time they receive it
+   * @param {string} scheduleId - Schedule ID returned when the message was published
+   * @returns {Promise<boolean>} True if the message was pending and is now cancelled
+   * @throws {Error} If the publisher has no schedule store
+   */
+  cancelSchedule = async (scheduleId) => {
+    if (!this.scheduleStore) {
+      throw new Error('Cancelling scheduled messages requires a schedule store');
+    }
+    
+    return this.scheduleStore.cancel(scheduleId);
+  };
+
+  /**
+   * Removes the schedule of a message that could not be published
+   * @private
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<void>}
+   */
+  _forgetSchedule = async (scheduleId) => {
+    if (!this.scheduleStore) {
+      return;
+    }
+    
+    try {
+      await this.scheduleStore.remove(scheduleId);
+    } catch (error) {
+      // A leftover schedule is harmless: its message was never sent and the failure is already reported
+    }
+  };
+
+  /**
+   * Publishes an already serialized message body as-is
+   * Used to forward messages whose body must be preserved byte for byte, such as dead-lettered messages
+   * @param {string} rawBody - Serialized message body
+   * @param {Object} options - Message options (same as publish)
+   * @returns {Promise<Object>} Publishing result
+   */
+  publishRaw = async (rawBody, options = {}) => {
+    const result = await this._send(rawBody, options, () => {
+      if (typeof rawBody !== 'string' || rawBody.length === 0) {
+        throw new InvalidMessageError('Raw message body is required and must be a non-empty string');
       }
+      return { body: rawBody, attributes: {} };
+    });
+    return this._notify(result);
+  };
+
+  /**
+   * Emits the event matching a publishing result
+   * @private
+   * @param {Object} result - Result returned by _send
+   * @returns {Object} The same result
+   */
+  _notify = (result) => {
+    if (result.success) {
+      emitSafely(this, PublisherEvent.PUBLISHED, {
+        queueUrl: this.queueUrl,
+        messageId: result.messageId,
+        messageGroupId: result.messageGroupId,
+        messageDeduplicationId: result.messageDeduplicationId,
+        processingTime: result.processingTime
+      });
+    } else {
+      emitSafely(this, PublisherEvent.PUBLISH_FAILED, {
+        queueUrl: this.queueUrl,
+        error: result.error,
+        processingTime: result.processingTime
+      });
+    }
+    
+    return result;
+  };
+
+  /**
+   * Validates, serializes and sends a single message
+   * @private
+   * @param {*} messageBody - Message body as given by the caller
+   * @param {Object} options - Message options
+   * @param {Function} serialize - Validates the body and returns, or resolves, the `body` to send and the
+   *   `attributes` it adds
+   * @returns {Promise<Object>} Publishing result
+   */
+  _send = async (messageBody, options, serialize) => {
+    const startTime = Date.now();
+    let payload = null;
+    
+    try {
+      const serialized = await this._serializeMessage(messageBody, options, serialize);
+      const { body, attributes, messageDeduplicationId } = serialized;
       
       // Prepare message attributes
-      const messageAttributes = this._buildMessageAttributes(options.messageAttributes);
+      const messageAttributes = { ...this._buildMessageAttributes(options.messageAttributes), ...attributes };
       
-      // Build command parameters
-      const commandParams = {
-        QueueUrl: this.queueUrl,
-        MessageBody: JSON.stringify(messageBody),
-        MessageAttributes: messageAttributes
-      };
-      
-      // Add FIFO-specific parameters
-      if (this._isFIFOQueue()) {
-        commandParams.MessageGroupId = options.messageGroupId || this.messageGroupId;
-        commandParams.MessageDeduplicationId = messageDeduplicationId;
-      }
-      
-      // Add delay if specified
-      if (options.delaySeconds && options.delaySeconds > 0) {
-        commandParams.DelaySeconds = Math.min(options.delaySeconds, 900); // Max 15 minutes
-      }
+      // Offload bodies too large for SQS and send a pointer to them instead
+      payload = await this._offloadBody(body, messageAttributes);
       
       // Send message
+      const commandParams = this._buildCommandParams(payload, messageAttributes, options, messageDeduplicationId);
       const command = new SendMessageCommand(commandParams);
       const result = await this.sqsClient.executeCommand(command);
       
@@ -91,16 +299,17 @@ class MessagePublisher {
         md5OfBody: result.MD5OfBody,
         messageDeduplicationId,
         messageGroupId: commandParams.MessageGroupId,
+        ...(payload.payloadKey && { payloadKey: payload.payloadKey }),
         processingTime
       };
-      
+    
     } catch (error) {
       const processingTime = Date.now() - startTime;
       
+      await this._discardPayload(payload);
+      
       // Re-throw validation errors
-      if (error.message.includes('Message body is required') || 
-          error.message.includes('Message group ID must be') ||
-          error.message.includes('Delay seconds must be')) {
+      if (this._isCallerError(error)) {
         throw error;
       }
       
@@ -112,6 +321,64 @@ class MessagePublisher {
     }
   };
 
+  /**
+   * Serializes a message and checks its options and deduplication ID
+   * @private
+   * @param {*} messageBody - Message body as given by the caller
+   * @param {Object} options - Message options
+   * @param {Function} serialize - Validates the body and returns, or resolves, the `body` to send and the
+   *   `attributes` it adds
+   * @returns {Promise<Object>} Serialized `body`, the `attributes` it adds and the `messageDeduplicationId`
+   * @throws {Error} If the options are invalid or the message is a duplicate
+   */
+  _serializeMessage = async (messageBody, options, serialize) => {
+    // Validate inputs
+    const { body, attributes } = await serialize();
+    this._validateOptions(options);
+    
+    // Generate deduplication ID if needed
+    const messageDeduplicationId = this._generateDeduplicationId(messageBody, options);
+    
+    // Check for duplicates if deduplication is enabled
+    if (this.enableDeduplication && this.deduplicationManager.isDuplicate(messageDeduplicationId)) {
+      throw new Error('Duplicate message detected');
+    }
+    
+    return { body, attributes, messageDeduplicationId };
+  };
+
+  /**
+   * Builds the parameters of the SendMessage command
+   * @private
+   * @param {Object} payload - Body to send and the payload attributes, as returned by _offloadBody
+   * @param {Object} messageAttributes - Message attributes in SQS format
+   * @param {Object} options - Message options
+   * @param {string} [messageDeduplicationId] - Deduplication ID of FIFO messages
+   * @returns {Object} SendMessage command parameters
+   * @throws {InvalidMessageError} If the message has more attributes than SQS allows
+   */
+  _buildCommandParams = (payload, messageAttributes, options, messageDeduplicationId) => {
+    const commandParams = {
+      QueueUrl: this.queueUrl,
+      MessageBody: payload.body,
+      MessageAttributes: { ...messageAttributes, ...payload.attributes }
+    };
+    assertAttributeLimit(commandParams.MessageAttributes);
+    
+    // Add FIFO-specific parameters
+    if (this._isFIFOQueue()) {
+      commandParams.MessageGroupId = options.messageGroupId || this.messageGroupId;
+      commandParams.MessageDeduplicationId = messageDeduplicationId;
+    }
+    
+    // Add delay if specified
+    if (options.delaySeconds && options.delaySeconds > 0) {
+      commandParams.DelaySeconds = Math.min(options.delaySeconds, 900); // Max 15 minutes
+    }
+    
+    return commandParams;
+  };
+
   /**
    * Publishes multiple messages in batch
    * @param {Array} messages - Array of message objects
@@ -175,37 +442,131 @@ class MessagePublisher {
   _isFIFOQueue = () => this.queueUrl.endsWith('.fifo');
 
   /**
-   * Validates message body
+   * Checks whether an error was caused by the caller's input rather than by sending
+   * @private
+   * @param {Error} error - Error to check
+   * @returns {boolean} True if the error should be thrown to the caller
+   */
+  _isCallerError = (error) => error instanceof InvalidMessageError || error instanceof MessageValidationError;
+
+  /**
+   * Validates a message body against its schema when validation is configured
+   * @private
+   * @param {*} messageBody - Message body to validate
+   * @throws {MessageValidationError} If the body does not match its schema
+   */
+  _validateBody = (messageBody) => {
+    if (this.validator) {
+      this.validator.assertValid(messageBody);
+    }
+  };
+
+  /**
+   * Encodes a message body with the publisher's codec
+   * @private
+   * @param {*} messageBody - Message body to encode
+   * @returns {Object} `{ body, attributes }` with the encoded body and its content type attribute
+   * @throws {Error} If the codec rejects the body
+   */
+  _encodeBody = (messageBody) => {
+    const { body, attribute } = this.codecRegistry.encode(messageBody, this.codec);
+    return { body, attributes: { [CodecRegistry.CONTENT_TYPE_ATTRIBUTE]: attribute } };
+  };
+
+  /**
+   * Wraps an encoded body into a CloudEvent when CloudEvents are configured
+   * @private
+   * @param {Object} encoded - `{ body, attributes }` returned by _encodeBody
+   * @param {*} messageBody - Message body before encoding
+   * @param {Object} [attributes] - CloudEvents attributes of the message
+   * @returns {Object} `{ body, attributes, event }` with the event to send and its attributes, or the encoded body
+   *   as it is
+   * @throws {InvalidMessageError} If the event has no type or an invalid attribute name
+   */
+  _wrapCloudEvent = (encoded, messageBody, attributes) => (this.cloudEvents
+    ? this.cloudEvents.wrap(encoded, messageBody, attributes)
+    : encoded);
+
+  /**
+   * Offloads a serialized body to the blob store if the message is larger than the offloading threshold
+   * @private
+   * @param {string} body - Serialized message body
+   * @param {Object} messageAttributes - Message attributes in SQS format
+   * @returns {Promise<Object>} `{ body, attributes, payloadKey }` to send, with the body as it is and no attributes
+   *   when it was not offloaded
+   */
+  _offloadBody = async (body, messageAttributes) => {
+    if (!this.payloadOffloader || !this.payloadOffloader.needsOffloading(body, messageAttributes)) {
+      return { body, attributes: {}, payloadKey: null };
+    }
+    return this.payloadOffloader.offload(body);
+  };
+
+  /**
+   * Deletes the payload offloaded for a message that was not sent, since no message points to it
    * @private
-   * @param {Object} messageBody - Message body to validate
-   * @throws {Error} If validation fails
+   * @param {Object|null} payload - Result of _offloadBody, or null if the message failed before it
+   * @returns {Promise<void>}
    */
-  _validateMessageBody = (messageBody) => {
-    if (!messageBody || typeof messageBody !== 'object') {
-      throw new Error('Message body is required and must be an object');
+  _discardPayload = async (payload) => {
+    if (payload && payload.payloadKey) {
+      await this.payloadOffloader.discard([{ MessageAttributes: payload.attributes }]);
     }
   };
 
+  /**
+   * Compresses an encoded body when compression is configured
+   * @private
+   * @param {Object} encoded - `{ body, attributes }` returned by _encodeBody
+   * @returns {Object} `{ body, attributes, compression }` with the compressed body and its `content-encoding`
+   *   attribute, or the encoded body as it is and a null compression
+   */
+  _compressBody = (encoded) => {
+    if (!this.compressor) {
+      return { ...encoded, compression: null };
+    }
+    
+    const { body, attributes, compression } = this.compressor.compress(encoded.body);
+    return { body, attributes: { ...encoded.attributes, ...attributes }, compression };
+  };
+
+  /**
+   * Encrypts a serialized body when encryption is configured
+   * @private
+   * @param {Object} serialized - `{ body, attributes }` returned by _compressBody
+   * @returns {Promise<Object>} `{ body, attributes }` with the encrypted body and its key ID and data key
+   *   attributes added, or the serialized body as it is
+   */
+  _encryptBody = async (serialized) => {
+    if (!this.encryptor) {
+      return serialized;
+    }
+    
+    const { body, attributes } = await this.encryptor.encrypt(serialized.body);
+    return { body, attributes: { ...serialized.attributes, ...attributes } };
+  };
+
   /**
    * Validates message options
    * @private
    * @param {Object} options - Options to validate
-   * @throws {Error} If validation fails
+   * @throws {InvalidMessageError} If validation fails
    */
   _validateOptions = (options) => {
     if (options.messageGroupId && typeof options.messageGroupId !== 'string') {
-      throw new Error('Message group ID must be a string');
+      throw new InvalidMessageError('Message group ID must be a string');
     }
     
     if (options.delaySeconds && (typeof options.delaySeconds !== 'number' || options.delaySeconds < 0)) {
-      throw new Error('Delay seconds must be a non-negative number');
+      throw new InvalidMessageError('Delay seconds must be a non-negative number');
     }
   };
 
   /**
    * Builds message attributes for SQS message
    * @private
-   * @param {Object} attributes - Raw message attributes
+   * @param {Object} attributes - Raw message attributes: strings, numbers, booleans or attributes already in SQS
+   *   format (`{ DataType, StringValue }` or `{ DataType, BinaryValue }`)
    * @returns {Object} Formatted message attributes
    */
   _buildMessageAttributes = (attributes = {}) => {
@@ -227,6 +588,8 @@ class MessagePublisher {
           DataType: 'String',
           StringValue: value.toString()
         };
+      } else if (value && typeof value === 'object' && value.DataType) {
+        messageAttributes[key] = value;
       }
     });
     
@@ -245,6 +608,12 @@ class MessagePublisher {
    */
   getQueueUrl = () => this.queueUrl;
 
+  /**
+   * Gets compression statistics
+   * @returns {Object|null} Compression statistics, or null without compression
+   */
+  getCompressionStats = () => (this.compressor ? this.compressor.getStats() : null);
+
   /**
    * Gets the publisher configuration
    * @returns {Object} Publisher configuration
@@ -253,7 +622,14 @@ class MessagePublisher {
     queueUrl: this.queueUrl,
     messageGroupId: this.messageGroupId,
     enableDeduplication: this.enableDeduplication,
-    deduplicationStrategy: this.deduplicationManager.getConfig().strategy
+    deduplicationStrategy: this.deduplicationManager.getConfig().strategy,
+    codec: this.codec.name,
+    validation: this.validator !== null,
+    scheduleStore: this.scheduleStore ? this.scheduleStore.constructor.name : null,
+    payloadOffloading: this.payloadOffloader ? this.payloadOffloader.getConfig() : null,
+    compression: this.compressor ? this.compressor.getConfig() : null,
+    encryption: this.encryptor ? this.encryptor.getConfig() : null,
+    cloudEvents: this.cloudEvents ? this.cloudEvents.getConfig() : null
   });
 }
 
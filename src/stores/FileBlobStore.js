@@ -0,0 +1,103 @@
+/**
+ * @fileoverview File-backed Blob Store for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Blob store keeping offloaded payloads as files in a local directory
+ * Every payload is one file named after its encoded key. Publishers and consumers only share payloads when they
+ * use the same directory, so this store suits a single host or a shared volume; other stores, such as an S3
+ * adapter, implement the same `put`, `get` and `delete` methods.
+ */
+class FileBlobStore {
+  /**
+   * Creates a new FileBlobStore instance
+   * @param {Object} config - Store configuration
+   * @param {string} config.directory - Directory the payloads are kept in; created if missing
+   */
+  constructor(config = {}) {
+    if (!config.directory) {
+      throw new Error('File blob store requires a directory');
+    }
+    
+    this.directory = config.directory;
+    this.stats = { stored: 0, deleted: 0 };
+  }
+
+  /**
+   * Stores a payload under a key, replacing any payload stored under it
+   * The payload is written to a temporary file that is renamed into place, so readers never see a partial payload
+   * @param {string} key - Payload key
+   * @param {string} body - Payload
+   * @returns {Promise<void>}
+   */
+  put = async (key, body) => {
+    const filePath = this._pathOf(key);
+    const temporaryPath = `${filePath}.${process.pid}.tmp`;
+    
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(temporaryPath, body);
+    await fs.promises.rename(temporaryPath, filePath);
+    this.stats.stored++;
+  };
+
+  /**
+   * Gets the payload stored under a key
+   * @param {string} key - Payload key
+   * @returns {Promise<string>} Payload
+   * @throws {Error} If no payload is stored under the key
+   */
+  get = async (key) => {
+    try {
+      return await fs.promises.readFile(this._pathOf(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Payload ${key} not found in ${this.directory}`);
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Removes the payload stored under a key
+   * @param {string} key - Payload key
+   * @returns {Promise<boolean>} True if a payload was removed
+   */
+  delete = async (key) => {
+    try {
+      await fs.promises.unlink(this._pathOf(key));
+      this.stats.deleted++;
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * Gets store statistics
+   * @returns {Object} Stored and deleted payload counts and directory
+   */
+  getStats = () => ({
+    ...this.stats,
+    directory: this.directory
+  });
+
+  /**
+   * Gets the file a key is stored in
+   * Keys are URI-encoded, and a leading dot escaped, so that prefixes such as `boxq/` do not create subdirectories
+   * and no key resolves outside the directory
+   * @private
+   * @param {string} key - Payload key
+   * @returns {string} File path
+   */
+  _pathOf = (key) => path.join(this.directory, encodeURIComponent(key).replace(/^\./, '%2E'));
+}
+
+module.exports = FileBlobStore;
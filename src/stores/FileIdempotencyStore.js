@@ -0,0 +1,208 @@
+/**
+ * @fileoverview File-backed Idempotency Store for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemoryIdempotencyStore = require('./MemoryIdempotencyStore');
+
+/**
+ * File-backed idempotency store
+ * Records are kept in memory and written to a JSON file after every change, so processed keys survive a
+ * restart. Changes made while the file is being written are saved together by the next write. The file is read
+ * once, on first use, and owned by this store: it is not safe to share between processes; use an external store
+ * for consumers running in several processes.
+ */
+class FileIdempotencyStore {
+  /**
+   * Creates a new FileIdempotencyStore instance
+   * @param {Object} config - Store configuration
+   * @param {string} config.path - JSON file the records are kept in; created with its directory if missing
+   * @param {number} [config.maxEntries=10000] - Records kept before the least recently used ones are evicted
+   */
+  constructor(config = {}) {
+    if (!config.path) {
+      throw new Error('File idempotency store requires a path');
+    }
+    
+    this.path = config.path;
+    this.memory = new MemoryIdempotencyStore({ maxEntries: config.maxEntries });
+    this.loading = null;
+    this.writing = Promise.resolve();
+    this.pendingWrite = null;
+  }
+
+  /**
+   * Claims a key for processing unless an unexpired record exists for it
+   * @param {string} key - Idempotency key
+   * @param {number} ttlMs - How long the claim lasts if it is never completed or released
+   * @returns {Promise<Object>} `{ claimed: true, token }`, or `{ claimed: false, status, expiresAt }` of the
+   *   existing record
+   */
+  claim = async (key, ttlMs) => {
+    await this._load();
+    const result = await this.memory.claim(key, ttlMs);
+    
+    if (result.claimed) {
+      await this._persist();
+    }
+    return result;
+  };
+
+  /**
+   * Records a key as processed
+   * @param {string} key - Idempotency key
+   * @param {string} token - Token returned by claim
+   * @param {number} ttlMs - How long the key is remembered
+   * @returns {Promise<boolean>} True if the token held the claim and the key was recorded
+   */
+  complete = async (key, token, ttlMs) => {
+    await this._load();
+    const completed = await this.memory.complete(key, token, ttlMs);
+    
+    if (completed) {
+      await this._persist();
+    }
+    return completed;
+  };
+
+  /**
+   * Removes a claim so the key can be processed again
+   * @param {string} key - Idempotency key
+   * @param {string} token - Token returned by claim
+   * @returns {Promise<boolean>} True if the token held the claim and it was removed
+   */
+  release = async (key, token) => {
+    await this._load();
+    const released = await this.memory.release(key, token);
+    
+    if (released) {
+      await this._persist();
+    }
+    return released;
+  };
+
+  /**
+   * Gets the unexpired record of a key
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|null>} Record with `status` and `expiresAt`, or null
+   */
+  get = async (key) => {
+    await this._load();
+    return this.memory.get(key);
+  };
+
+  /**
+   * Forgets a key, so a message with it is processed again
+   * @param {string} key - Idempotency key
+   * @returns {Promise<boolean>} True if a record was removed
+   */
+  delete = async (key) => {
+    await this._load();
+    const deleted = await this.memory.delete(key);
+    
+    if (deleted) {
+      await this._persist();
+    }
+    return deleted;
+  };
+
+  /**
+   * Removes every record
+   * @returns {Promise<void>}
+   */
+  clear = async () => {
+    await this._load();
+    await this.memory.clear();
+    await this._persist();
+  };
+
+  /**
+   * Gets store statistics
+   * @returns {Object} Record count, evictions and file path
+   */
+  getStats = () => ({
+    ...this.memory.getStats(),
+    path: this.path
+  });
+
+  /**
+   * Reads the file once, before the first operation
+   * A read that fails is retried by the next operation
+   * @private
+   * @returns {Promise<void>}
+   */
+  _load = () => {
+    if (!this.loading) {
+      this.loading = this._readFile().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  };
+
+  /**
+   * Loads the records of the file, if it exists
+   * @private
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be read or is not a records file
+   */
+  _readFile = async () => {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+    
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Idempotency store file ${this.path} is not valid JSON: ${error.message}`);
+    }
+    
+    this.memory.load(Array.isArray(data.records) ? data.records : []);
+  };
+
+  /**
+   * Writes the records once the write in progress finishes
+   * Changes made before the queued write starts share it, so concurrent changes cost a single write
+   * @private
+   * @returns {Promise<void>}
+   */
+  _persist = () => {
+    if (!this.pendingWrite) {
+      this.pendingWrite = this.writing.then(() => {
+        this.pendingWrite = null;
+        return this._writeFile();
+      });
+      this.writing = this.pendingWrite.catch(() => {});
+    }
+    return this.pendingWrite;
+  };
+
+  /**
+   * Replaces the file with the current records
+   * The records are written to a temporary file that is renamed over the old one, so a crash never leaves
+   * a partially written file behind
+   * @private
+   * @returns {Promise<void>}
+   */
+  _writeFile = async () => {
+    const content = JSON.stringify({ records: this.memory.entries() });
+    const temporaryPath = `${this.path}.${process.pid}.tmp`;
+    
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.promises.writeFile(temporaryPath, content);
+    await fs.promises.rename(temporaryPath, this.path);
+  };
+}
+
+module.exports = FileIdempotencyStore;
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Local Keyring for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { MessageDecryptionError } = require('../errors');
+const { KEY_BYTES, seal, open, generateKey } = require('../utils/cipher');
+
+/**
+ * Key provider wrapping data keys with master keys held in process memory
+ * Follows the data key interface of a KMS: `generateDataKey()` returns a fresh data key in plaintext and wrapped
+ * by the current master key, and `decryptDataKey(encryptedKey, keyId)` unwraps it with the master key it names.
+ * Rotating keys means adding a new master key and making it current; older keys stay in the keyring to decrypt
+ * messages still in the queue until they are removed. A KMS adapter implements the same two methods.
+ */
+class LocalKeyring {
+  /**
+   * Creates a new LocalKeyring instance
+   * @param {Object} config - Keyring configuration
+   * @param {Object} config.keys - 32-byte master keys, as Buffers or base64 strings, by key ID
+   * @param {string} [config.currentKeyId] - Key new data keys are wrapped with (default: the last key given)
+   */
+  constructor(config = {}) {
+    const entries = Object.entries(config.keys || {});
+    if (entries.length === 0) {
+      throw new Error('Local keyring requires at least one key');
+    }
+    
+    this.keys = new Map();
+    entries.forEach(([keyId, key]) => this.addKey(keyId, key));
+    this.setCurrentKey(config.currentKeyId || entries[entries.length - 1][0]);
+  }
+
+  /**
+   * Adds a master key, replacing any key with the same ID
+   * @param {string} keyId - Key ID
+   * @param {Buffer|string} key - 32-byte key, as a Buffer or a base64 string
+   * @throws {Error} If the key is not 32 bytes long
+   */
+  addKey = (keyId, key) => {
+    const buffer = Buffer.isBuffer(key) ? key : Buffer.from(String(key), 'base64');
+    if (buffer.length !== KEY_BYTES) {
+      throw new Error(`Key ${keyId} must be ${KEY_BYTES} bytes long`);
+    }
+    this.keys.set(keyId, buffer);
+  };
+
+  /**
+   * Makes a master key the one new data keys are wrapped with
+   * @param {string} keyId - Key ID
+   * @throws {Error} If the key is not in the keyring
+   */
+  setCurrentKey = (keyId) => {
+    if (!this.keys.has(keyId)) {
+      throw new Error(`Key ${keyId} is not in the keyring`);
+    }
+    this.currentKeyId = keyId;
+  };
+
+  /**
+   * Removes a retired master key; messages whose data key it wrapped can no longer be decrypted
+   * @param {string} keyId - Key ID
+   * @returns {boolean} True if the key was removed
+   * @throws {Error} If the key is the current key
+   */
+  removeKey = (keyId) => {
+    if (keyId === this.currentKeyId) {
+      throw new Error(`Key ${keyId} is the current key and cannot be removed`);
+    }
+    return this.keys.delete(keyId);
+  };
+
+  /**
+   * Generates a data key wrapped by the current master key
+   * @returns {Promise<Object>} `{ keyId, plaintextKey, encryptedKey }`
+   */
+  generateDataKey = async () => {
+    const keyId = this.currentKeyId;
+    const plaintextKey = generateKey();
+    
+    return { keyId, plaintextKey, encryptedKey: seal(this.keys.get(keyId), plaintextKey, keyId) };
+  };
+
+  /**
+   * Unwraps a data key with the master key that wrapped it
+   * @param {Buffer} encryptedKey - Wrapped data key
+   * @param {string} keyId - ID of the master key that wrapped it
+   * @returns {Promise<Buffer>} Plaintext data key
+   * @throws {MessageDecryptionError} If the key is not in the keyring or the data key cannot be unwrapped
+   */
+  decryptDataKey = async (encryptedKey, keyId) => {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new MessageDecryptionError(`Key ${keyId} is not in the keyring`, { details: { keyId } });
+    }
+    
+    try {
+      return open(key, encryptedKey, keyId);
+    } catch (error) {
+      throw new MessageDecryptionError(`Failed to decrypt data key with key ${keyId}: ${error.message}`, {
+        cause: error,
+        details: { keyId }
+      });
+    }
+  };
+
+  /**
+   * Gets the IDs of the keys in the keyring
+   * @returns {Array<string>} Key IDs
+   */
+  getKeyIds = () => [...this.keys.keys()];
+}
+
+/**
+ * Generates a random master key
+ * @returns {string} 32-byte key, base64-encoded
+ */
+LocalKeyring.generateKey = () => generateKey().toString('base64');
+
+module.exports = LocalKeyring;
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview In-memory Idempotency Store for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { IdempotencyStatus } = require('../types');
+
+/**
+ * In-memory idempotency store with least-recently-used eviction
+ * Records are only shared by the consumers of one process and are lost when it exits. Claims are atomic because
+ * every operation completes synchronously before its promise resolves.
+ */
+class MemoryIdempotencyStore {
+  /**
+   * Creates a new MemoryIdempotencyStore instance
+   * @param {Object} [config] - Store configuration
+   * @param {number} [config.maxEntries=10000] - Records kept before the least recently used ones are evicted
+   */
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries || 10000;
+    this.records = new Map();
+    this.evictions = 0;
+  }
+
+  /**
+   * Claims a key for processing unless an unexpired record exists for it
+   * @param {string} key - Idempotency key
+   * @param {number} ttlMs - How long the claim lasts if it is never completed or released
+   * @returns {Promise<Object>} `{ claimed: true, token }`, or `{ claimed: false, status, expiresAt }` of the
+   *   existing record
+   */
+  claim = async (key, ttlMs) => {
+    const record = this._getRecord(key);
+    if (record) {
+      return { claimed: false, status: record.status, expiresAt: record.expiresAt };
+    }
+    
+    const token = uuidv4();
+    this._setRecord(key, { status: IdempotencyStatus.IN_PROGRESS, token, expiresAt: Date.now() + ttlMs });
+    return { claimed: true, token };
+  };
+
+  /**
+   * Records a key as processed
+   * Claims that expired and were taken over by another token are left alone
+   * @param {string} key - Idempotency key
+   * @param {string} token - Token returned by claim
+   * @param {number} ttlMs - How long the key is remembered
+   * @returns {Promise<boolean>} True if the token held the claim and the key was recorded
+   */
+  complete = async (key, token, ttlMs) => {
+    if (!this._holdsClaim(key, token)) {
+      return false;
+    }
+    
+    this._setRecord(key, { status: IdempotencyStatus.COMPLETED, token, expiresAt: Date.now() + ttlMs });
+    return true;
+  };
+
+  /**
+   * Removes a claim so the key can be processed again
+   * Claims that expired and were taken over by another token are left alone
+   * @param {string} key - Idempotency key
+   * @param {string} token - Token returned by claim
+   * @returns {Promise<boolean>} True if the token held the claim and it was removed
+   */
+  release = async (key, token) => this._holdsClaim(key, token) && this.records.delete(key);
+
+  /**
+   * Gets the unexpired record of a key
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|null>} Record with `status` and `expiresAt`, or null
+   */
+  get = async (key) => {
+    const record = this._getRecord(key);
+    return record ? { status: record.status, expiresAt: record.expiresAt } : null;
+  };
+
+  /**
+   * Forgets a key, so a message with it is processed again
+   * @param {string} key - Idempotency key
+   * @returns {Promise<boolean>} True if a record was removed
+   */
+  delete = async (key) => this.records.delete(key);
+
+  /**
+   * Removes every record
+   * @returns {Promise<void>}
+   */
+  clear = async () => {
+    this.records.clear();
+  };
+
+  /**
+   * Lists the unexpired records, least recently used first
+   * @returns {Array<Object>} Records with `key`, `status`, `token` and `expiresAt`
+   */
+  entries = () => {
+    const now = Date.now();
+    return Array.from(this.records, ([key, record]) => ({ key, ...record }))
+      .filter(record => record.expiresAt > now);
+  };
+
+  /**
+   * Adds records, such as those listed by entries(), skipping expired ones
+   * @param {Array<Object>} records - Records with `key`, `status`, `token` and `expiresAt`
+   */
+  load = (records) => {
+    const now = Date.now();
+    records.filter(record => record.expiresAt > now).forEach(({ key, status, token, expiresAt }) => {
+      this._setRecord(key, { status, token, expiresAt });
+    });
+  };
+
+  /**
+   * Gets store statistics
+   * @returns {Object} Record count and evictions
+   */
+  getStats = () => ({
+    size: this.records.size,
+    maxEntries: this.maxEntries,
+    evictions: this.evictions
+  });
+
+  /**
+   * Gets the record of a key and marks it as recently used, dropping it if it expired
+   * @private
+   * @param {string} key - Idempotency key
+   * @returns {Object|null} Record, or null
+   */
+  _getRecord = (key) => {
+    const record = this.records.get(key);
+    if (!record) {
+      return null;
+    }
+    
+    this.records.delete(key);
+    if (record.expiresAt <= Date.now()) {
+      return null;
+    }
+    
+    this.records.set(key, record);
+    return record;
+  };
+
+  /**
+   * Checks whether a token holds the claim of a key
+   * @private
+   * @param {string} key - Idempotency key
+   * @param {string} token - Token returned by claim
+   * @returns {boolean} True if the key is in progress under the token
+   */
+  _holdsClaim = (key, token) => {
+    const record = this.records.get(key);
+    return Boolean(record && record.status === IdempotencyStatus.IN_PROGRESS && record.token === token);
+  };
+
+  /**
+   * Stores the record of a key as the most recently used one, evicting the least recently used records
+   * @private
+   * @param {string} key - Idempotency key
+   * @param {Object} record - Record to store
+   */
+  _setRecord = (key, record) => {
+    this.records.delete(key);
+    this.records.set(key, record);
+    
+    while (this.records.size > this.maxEntries) {
+      this.records.delete(this.records.keys().next().value);
+      this.evictions++;
+    }
+  };
+}
+
+module.exports = MemoryIdempotencyStore;
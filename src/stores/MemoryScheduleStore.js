@@ -0,0 +1,103 @@
+/**
+ * @fileoverview In-memory Schedule Store for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { ScheduleStatus } = require('../types');
+
+/**
+ * In-memory store of scheduled messages
+ * Schedules are only shared by the publishers and consumers of one process and are lost when it exits; use an
+ * external store when messages are scheduled and consumed by different processes.
+ */
+class MemoryScheduleStore {
+  /**
+   * Creates a new MemoryScheduleStore instance
+   * @param {Object} [config] - Store configuration
+   * @param {number} [config.retentionMs=1209600000] - How long past its delivery time a schedule that was never
+   *   delivered is kept, after which it is purged (default: 14 days, the longest SQS message retention)
+   */
+  constructor(config = {}) {
+    this.retentionMs = config.retentionMs || 14 * 24 * 3600 * 1000;
+    this.schedules = new Map();
+  }
+
+  /**
+   * Records a schedule as scheduled
+   * @param {Object} schedule - Schedule
+   * @param {string} schedule.scheduleId - Schedule ID
+   * @param {string} schedule.queueUrl - Queue the message was published to
+   * @param {number} schedule.deliverAt - Delivery time in epoch milliseconds
+   * @returns {Promise<void>}
+   */
+  add = async (schedule) => {
+    this._purge();
+    this.schedules.set(schedule.scheduleId, { ...schedule, status: ScheduleStatus.SCHEDULED });
+  };
+
+  /**
+   * Gets a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Schedule with its `status`, or null if unknown
+   */
+  get = async (scheduleId) => {
+    const schedule = this.schedules.get(scheduleId);
+    return schedule ? { ...schedule } : null;
+  };
+
+  /**
+   * Cancels a schedule whose message was not delivered yet
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<boolean>} True if the schedule was pending and is now cancelled
+   */
+  cancel = async (scheduleId) => {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule || schedule.status !== ScheduleStatus.SCHEDULED) {
+      return false;
+    }
+    
+    schedule.status = ScheduleStatus.CANCELLED;
+    return true;
+  };
+
+  /**
+   * Forgets a schedule once its message was delivered or dropped
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<boolean>} True if a schedule was removed
+   */
+  remove = async (scheduleId) => this.schedules.delete(scheduleId);
+
+  /**
+   * Lists the schedules, in the order they were added
+   * @returns {Array<Object>} Schedules with `scheduleId`, `queueUrl`, `deliverAt` and `status`
+   */
+  entries = () => Array.from(this.schedules.values(), schedule => ({ ...schedule }));
+
+  /**
+   * Gets store statistics
+   * @returns {Object} Scheduled and cancelled schedule counts
+   */
+  getStats = () => {
+    const statuses = Array.from(this.schedules.values(), schedule => schedule.status);
+    return {
+      scheduled: statuses.filter(status => status === ScheduleStatus.SCHEDULED).length,
+      cancelled: statuses.filter(status => status === ScheduleStatus.CANCELLED).length
+    };
+  };
+
+  /**
+   * Drops schedules whose delivery time is further in the past than the retention period
+   * @private
+   */
+  _purge = () => {
+    const cutoff = Date.now() - this.retentionMs;
+    this.schedules.forEach((schedule, scheduleId) => {
+      if (schedule.deliverAt < cutoff) {
+        this.schedules.delete(scheduleId);
+      }
+    });
+  };
+}
+
+module.exports = MemoryScheduleStore;
@@ -45,18 +45,38 @@
  * @property {number} [delaySeconds] - Delay in seconds before message becomes available
  * @property {Object} [messageAttributes] - Additional message attributes
  * @property {string} [queueUrl] - Queue URL override
+ * @property {Object} [cloudEvent] - CloudEvents attributes of the message, overriding the generated ones
  */
 
 /**
  * @typedef {Object} ConsumerOptions
- * @property {string} [processingMode='sequential'] - Processing mode (sequential, parallel)
+ * @property {string} [processingMode='sequential'] - Processing mode (sequential, parallel, grouped, batch)
  * @property {number} [batchSize=5] - Batch size for parallel processing
  * @property {number} [throttleDelayMs=0] - Throttle delay between batches
+ * @property {number} [handlerTimeoutMs] - Fail messages whose handler has not settled after this long
  * @property {number} [maxMessages=10] - Maximum messages to receive
  * @property {number} [waitTimeSeconds=20] - Long polling wait time
  * @property {number} [visibilityTimeoutSeconds=30] - Message visibility timeout
  * @property {boolean} [autoStart=true] - Whether to start consuming immediately
  * @property {number} [pollingInterval=1000] - Polling interval in milliseconds
+ * @property {boolean} [releaseFailedMessages=false] - Release failed messages for immediate redelivery
+ * @property {boolean|Object} [heartbeat=false] - Extend visibility while handlers run
+ * @property {number} [drainTimeoutMs=30000] - How long stop() waits for in-flight handlers
+ * @property {string} [unfinishedMessages='leave'] - Policy for messages still in flight after the drain timeout
+ * @property {number} [maxConcurrency=10] - Maximum concurrent handlers (message groups in grouped mode)
+ * @property {Function} [groupKeyExtractor] - Ordering key of a message in grouped mode
+ * @property {Object} [deadLetter] - Dead-letter queue for poison messages (`queueUrl`, `maxReceiveCount`)
+ * @property {string} [unroutedMessages='fail'] - Policy for messages matching no route (fail, delete, dead_letter)
+ * @property {string|Object} [codec='json'] - Codec for bodies without a content-type attribute
+ * @property {ValidationConfig} [validation] - Schemas bodies are validated against before the handler runs
+ * @property {number} [maxDecompressedBytes=10485760] - Largest body compressed messages may decompress to
+ * @property {Object} [rateLimit] - Token-bucket rate limit (`messagesPerSecond`, `burst`, `key`)
+ * @property {boolean} [pauseOnCircuitOpen=false] - Pause while the SQS client's circuit breaker is open
+ * @property {boolean|IdempotencyConfig} [idempotency=false] - Skip messages whose key was already processed
+ * @property {boolean|ScheduledDeliveryConfig} [scheduledDelivery=false] - Hold scheduled messages until their
+ *   delivery time and drop cancelled ones
+ * @property {PayloadOffloadingConfig} [payloadOffloading] - Fetch offloaded bodies from a blob store
+ * @property {EncryptionConfig} [encryption] - Decrypt encrypted bodies before they are decoded
  */
 
 /**
@@ -65,6 +85,100 @@
  * @property {boolean} [enableDeduplication=true] - Enable content-based deduplication
  * @property {string} [deduplicationStrategy='content'] - Deduplication strategy
  * @property {number} [batchSize=10] - Batch size for batch operations
+ * @property {string|Object} [codec='json'] - Codec encoding message bodies
+ * @property {ValidationConfig} [validation] - Schemas bodies are validated against before sending
+ * @property {ScheduleStore} [scheduleStore] - Store scheduled messages are tracked in, making them cancellable
+ * @property {PayloadOffloadingConfig} [payloadOffloading] - Offload bodies too large for SQS to a blob store
+ * @property {boolean|CompressionConfig} [compression=false] - Compress bodies above a size threshold
+ * @property {EncryptionConfig} [encryption] - Encrypt bodies with per-message data keys
+ * @property {CloudEventsConfig} [cloudEvents] - Publish bodies as CloudEvents
+ */
+
+/**
+ * @typedef {Object} ValidationConfig
+ * @property {Object} [schemas] - JSON Schemas or validator functions keyed by message type
+ * @property {Object|Function} [schema] - Schema for messages whose type has no schema of its own
+ * @property {string} [typeField='type'] - Body field holding the message type
+ * @property {boolean} [rejectUnknownTypes=false] - Fail messages no schema applies to
+ */
+
+/**
+ * @typedef {Object} IdempotencyConfig
+ * @property {IdempotencyStore} [store] - Store processed keys are recorded in (default: in-memory LRU store)
+ * @property {string|Function} [key='messageId'] - Key source: messageId, deduplicationId or `(message, context)`
+ * @property {number} [ttlSeconds=86400] - How long processed keys are remembered
+ * @property {number} [inProgressTtlSeconds] - How long a claim lasts if its handler never settles
+ * @property {number} [inProgressDelaySeconds] - Redelivery delay of messages whose key is being processed
+ * @property {string} [namespace=''] - Prefix separating the keys of consumers that share a store
+ */
+
+/**
+ * @typedef {Object} IdempotencyStore
+ * @property {Function} claim - `(key, ttlMs)` atomically claims an unrecorded key, resolving
+ *   `{ claimed: true, token }` or `{ claimed: false, status, expiresAt }`
+ * @property {Function} complete - `(key, token, ttlMs)` records the key as processed
+ * @property {Function} release - `(key, token)` removes the claim if the token still holds it
+ * @property {Function} [get] - `(key)` resolves the unexpired record of the key, or null
+ * @property {Function} [delete] - `(key)` forgets the key
+ */
+
+/**
+ * @typedef {Object} ScheduledDeliveryConfig
+ * @property {ScheduleStore} [store] - Store cancelled schedules are looked up in (default: none, nothing is cancelled)
+ * @property {string} [mode] - How messages are held until their delivery time: requeue (default for standard
+ *   queues) or visibility (default and only mode for FIFO queues)
+ */
+
+/**
+ * @typedef {Object} ScheduleStore
+ * @property {Function} add - `(schedule)` records a schedule `{ scheduleId, queueUrl, deliverAt }` as scheduled
+ * @property {Function} get - `(scheduleId)` resolves the schedule with its `status`, or null
+ * @property {Function} cancel - `(scheduleId)` marks a scheduled schedule cancelled, resolving whether it was
+ * @property {Function} remove - `(scheduleId)` forgets a delivered or dropped schedule
+ */
+
+/**
+ * @typedef {Object} PayloadOffloadingConfig
+ * @property {BlobStore} store - Store payloads are written to and fetched from
+ * @property {number} [thresholdBytes=262144] - Message size, body and attributes included, above which the body
+ *   is offloaded (publishers only)
+ * @property {string} [keyPrefix='boxq/'] - Prefix of the keys payloads are stored under (publishers only)
+ * @property {boolean} [deleteAfterProcessing=false] - Delete payloads once their message was processed and
+ *   deleted (consumers only)
+ */
+
+/**
+ * @typedef {Object} CompressionConfig
+ * @property {string} [algorithm='gzip'] - Compression algorithm (see CompressionAlgorithm)
+ * @property {number} [thresholdBytes=1024] - Body size from which bodies are compressed
+ * @property {number} [level] - Compression level of the algorithm
+ */
+
+/**
+ * @typedef {Object} BlobStore
+ * @property {Function} put - `(key, body)` stores a string body under a key
+ * @property {Function} get - `(key)` resolves the string body stored under a key, rejecting if there is none
+ * @property {Function} delete - `(key)` removes the body stored under a key, resolving even if there is none
+ */
+
+/**
+ * @typedef {Object} EncryptionConfig
+ * @property {KeyProvider} keyProvider - Provider generating and unwrapping data keys (see LocalKeyring)
+ */
+
+/**
+ * @typedef {Object} KeyProvider
+ * @property {Function} generateDataKey - `()` resolves a new data key `{ keyId, plaintextKey, encryptedKey }`:
+ *   the 32-byte key as a Buffer and the same key wrapped by the master key `keyId`
+ * @property {Function} decryptDataKey - `(encryptedKey, keyId)` resolves the plaintext data key wrapped by the
+ *   master key `keyId`, rejecting with a MessageDecryptionError if it never can
+ */
+
+/**
+ * @typedef {Object} CloudEventsConfig
+ * @property {string} source - `source` attribute of the events
+ * @property {string|Function} [type] - `type` of events published without one, or `(body)` returning it
+ * @property {string} [mode='structured'] - Content mode (see CloudEventMode)
  */
 
 /**
@@ -119,7 +233,172 @@ const CircuitBreakerState = {
  */
 const ProcessingMode = {
   SEQUENTIAL: 'sequential',
-  PARALLEL: 'parallel'
+  PARALLEL: 'parallel',
+  GROUPED: 'grouped',
+  BATCH: 'batch'
+};
+
+/**
+ * What a stopping consumer does with messages still in flight after the drain timeout
+ * @readonly
+ * @enum {string}
+ */
+const UnfinishedMessagePolicy = {
+  RELEASE: 'release',
+  LEAVE: 'leave'
+};
+
+/**
+ * What a routing consumer does with messages that match no route and have no fallback
+ * @readonly
+ * @enum {string}
+ */
+const UnroutedMessagePolicy = {
+  FAIL: 'fail',
+  DELETE: 'delete',
+  DEAD_LETTER: 'dead_letter'
+};
+
+/**
+ * Lifecycle status of a consumer
+ * @readonly
+ * @enum {string}
+ */
+const ConsumerStatus = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  STOPPED: 'stopped'
+};
+
+/**
+ * Why a consumer is paused
+ * @readonly
+ * @enum {string}
+ */
+const PauseReason = {
+  MANUAL: 'manual',
+  CIRCUIT_BREAKER: 'circuit_breaker'
+};
+
+/**
+ * Events emitted by consumers
+ * @readonly
+ * @enum {string}
+ */
+const ConsumerEvent = {
+  STARTED: 'started',
+  STOPPED: 'stopped',
+  PAUSED: 'paused',
+  RESUMED: 'resumed',
+  EMPTY_RECEIVE: 'empty_receive',
+  MESSAGE_RECEIVED: 'message_received',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  DELETED: 'deleted',
+  DELETE_FAILED: 'delete_failed',
+  CONCURRENCY_ADJUSTED: 'concurrency_adjusted',
+  ERROR: 'error'
+};
+
+/**
+ * Events emitted by publishers
+ * @readonly
+ * @enum {string}
+ */
+const PublisherEvent = {
+  PUBLISHED: 'published',
+  PUBLISH_FAILED: 'publish_failed'
+};
+
+/**
+ * How a multi-queue consumer picks the queue it dispatches the next message from
+ * @readonly
+ * @enum {string}
+ */
+const SchedulingPolicy = {
+  PRIORITY: 'priority',
+  WEIGHTED: 'weighted'
+};
+
+/**
+ * Status of an idempotency key
+ * @readonly
+ * @enum {string}
+ */
+const IdempotencyStatus = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
+/**
+ * Status of a scheduled message
+ * @readonly
+ * @enum {string}
+ */
+const ScheduleStatus = {
+  SCHEDULED: 'scheduled',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * How a consumer holds scheduled messages that are received before their delivery time
+ * @readonly
+ * @enum {string}
+ */
+const RedeliveryMode = {
+  REQUEUE: 'requeue',
+  VISIBILITY: 'visibility'
+};
+
+/**
+ * Message attributes of scheduled messages
+ * @readonly
+ * @enum {string}
+ */
+const ScheduleAttribute = {
+  DELIVER_AT: 'boxq-deliver-at',
+  SCHEDULE_ID: 'boxq-schedule-id'
+};
+
+/**
+ * Message attributes of messages whose body was offloaded to a blob store
+ * @readonly
+ * @enum {string}
+ */
+const PayloadAttribute = {
+  KEY: 'boxq-payload-key',
+  SIZE: 'boxq-payload-size'
+};
+
+/**
+ * Message attributes of messages whose body was encrypted with a data key
+ * @readonly
+ * @enum {string}
+ */
+const EncryptionAttribute = {
+  KEY_ID: 'boxq-encryption-key-id',
+  DATA_KEY: 'boxq-encrypted-data-key'
+};
+
+/**
+ * Compression algorithms, as recorded in the `content-encoding` attribute of compressed messages
+ * @readonly
+ * @enum {string}
+ */
+const CompressionAlgorithm = {
+  GZIP: 'gzip',
+  BROTLI: 'br',
+  DEFLATE: 'deflate'
+};
+
+/**
+ * CloudEvents content modes: a JSON event body, or the event attributes as `ce-` message attributes
+ * @readonly
+ * @enum {string}
+ */
+const CloudEventMode = {
+  STRUCTURED: 'structured',
+  BINARY: 'binary'
 };
 
 /**
@@ -148,6 +427,21 @@ const LogLevel = {
 module.exports = {
   CircuitBreakerState,
   ProcessingMode,
+  UnfinishedMessagePolicy,
+  UnroutedMessagePolicy,
+  ConsumerStatus,
+  PauseReason,
+  ConsumerEvent,
+  PublisherEvent,
+  IdempotencyStatus,
+  SchedulingPolicy,
+  ScheduleStatus,
+  RedeliveryMode,
+  ScheduleAttribute,
+  PayloadAttribute,
+  CompressionAlgorithm,
+  EncryptionAttribute,
+  CloudEventMode,
   HealthStatus,
   LogLevel
 };
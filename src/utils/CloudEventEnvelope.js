@@ -0,0 +1,294 @@
+/**
+ * @fileoverview CloudEvents Envelope for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { InvalidMessageError, MessageDecodeError } = require('../errors');
+const { CloudEventMode } = require('../types');
+const CodecRegistry = require('./CodecRegistry');
+
+/**
+ * CloudEvents version events are published with
+ */
+const SPEC_VERSION = '1.0';
+
+/**
+ * Content type of structured events
+ */
+const STRUCTURED_CONTENT_TYPE = 'application/cloudevents+json';
+
+/**
+ * Prefix of the message attributes carrying the attributes of binary events
+ */
+const ATTRIBUTE_PREFIX = 'ce-';
+
+/**
+ * Attributes every event must have
+ */
+const REQUIRED_ATTRIBUTES = ['specversion', 'id', 'source', 'type'];
+
+/**
+ * Valid CloudEvents attribute names: lower-case letters and digits
+ */
+const ATTRIBUTE_NAME_PATTERN = /^[a-z0-9]+$/;
+
+/**
+ * Normalizes a content type for comparisons
+ * @param {string} [contentType] - Content type
+ * @returns {string} Lower-case media type without parameters
+ */
+const normalize = (contentType) => String(contentType || '').split(';')[0].trim().toLowerCase();
+
+/**
+ * Checks whether a content type is JSON, including `+json` types
+ * @param {string} [contentType] - Content type
+ * @returns {boolean} True for JSON content types
+ */
+const isJson = (contentType) => /^application\/(?:[\w.-]+\+)?json$/.test(normalize(contentType));
+
+/**
+ * Unwraps a structured event
+ * @param {Object} message - SQS message with a JSON event body
+ * @returns {Object} `{ message, event }`
+ * @throws {MessageDecodeError} If the event is not valid JSON or lacks a required attribute
+ */
+const unwrapStructured = (message) => {
+  let envelope;
+  try {
+    envelope = JSON.parse(message.Body);
+  } catch (error) {
+    throw new MessageDecodeError(`Failed to parse CloudEvent: ${error.message}`, { cause: error });
+  }
+
+  const { data, data_base64: dataBase64, ...event } = envelope || {};
+  assertRequired(event);
+
+  const datacontenttype = event.datacontenttype || 'application/json';
+  let body;
+  if (dataBase64 !== undefined) {
+    body = dataBase64;
+  } else if (typeof data === 'string' && !isJson(datacontenttype)) {
+    body = data;
+  } else {
+    body = JSON.stringify(data === undefined ? null : data);
+  }
+
+  return {
+    message: {
+      ...message,
+      Body: body,
+      MessageAttributes: {
+        ...message.MessageAttributes,
+        [CodecRegistry.CONTENT_TYPE_ATTRIBUTE]: { DataType: 'String', StringValue: datacontenttype }
+      }
+    },
+    event
+  };
+};
+
+/**
+ * Unwraps a binary event
+ * @param {Object} message - SQS message with `ce-` attributes
+ * @param {string} [contentType] - Content type attribute of the message
+ * @returns {Object} `{ message, event }` with the message as it is
+ * @throws {MessageDecodeError} If the event lacks a required attribute
+ */
+const unwrapBinary = (message, contentType) => {
+  const event = {};
+  Object.entries(message.MessageAttributes)
+    .filter(([name]) => name.startsWith(ATTRIBUTE_PREFIX))
+    .forEach(([name, attribute]) => {
+      event[name.slice(ATTRIBUTE_PREFIX.length)] = attribute.StringValue;
+    });
+  assertRequired(event);
+
+  return { message, event: contentType ? { ...event, datacontenttype: contentType } : event };
+};
+
+/**
+ * Checks that an event has the attributes every event must have
+ * @param {Object} event - Event attributes
+ * @throws {MessageDecodeError} If a required attribute is missing
+ */
+const assertRequired = (event) => {
+  const missing = REQUIRED_ATTRIBUTES.filter(name => !event[name]);
+  if (missing.length > 0) {
+    throw new MessageDecodeError(`CloudEvent is missing required attributes: ${missing.join(', ')}`, {
+      details: { missing }
+    });
+  }
+};
+
+/**
+ * CloudEvents Envelope class turning encoded message bodies into CloudEvents
+ * In structured mode the body becomes a JSON event with the encoded body as its `data` (or `data_base64` for
+ * binary codecs) and the `application/cloudevents+json` content type. In binary mode the body is sent as it is and
+ * the event attributes travel as `ce-` message attributes, next to the codec's `content-type` attribute. Consumers
+ * recognize both modes without configuration.
+ */
+class CloudEventEnvelope {
+  /**
+   * Creates a new CloudEventEnvelope instance
+   * @param {Object} config - CloudEvents configuration
+   * @param {string} config.source - `source` of the events, such as a URI identifying the publishing service
+   * @param {string|Function} [config.type] - `type` of events published without one, or a function returning it
+   *   from the message body
+   * @param {string} [config.mode='structured'] - 'structured' or 'binary' content mode
+   */
+  constructor(config = {}) {
+    this.mode = config.mode || CloudEventMode.STRUCTURED;
+    
+    if (!Object.values(CloudEventMode).includes(this.mode)) {
+      throw new Error(`CloudEvents mode must be one of ${Object.values(CloudEventMode).join(', ')}`);
+    }
+    if (!config.source) {
+      throw new Error('CloudEvents source is required');
+    }
+    
+    this.source = config.source;
+    this.type = config.type || null;
+  }
+
+  /**
+   * Wraps an encoded body into an event
+   * The event gets a generated `id`, the configured `source`, its `type`, the current `time`, the `1.0`
+   * `specversion` and the codec's content type as `datacontenttype`; attributes given for the message override
+   * them or are added as extensions
+   * @param {Object} encoded - `{ body, attributes }` with the encoded body and its `content-type` attribute
+   * @param {*} messageBody - Message body before encoding, passed to a `type` function
+   * @param {Object} [attributes] - Event attributes of this message
+   * @returns {Object} `{ body, attributes, event }` to send, with the event attributes without the data
+   * @throws {InvalidMessageError} If the event has no type or an attribute name is not valid
+   */
+  wrap = (encoded, messageBody, attributes = {}) => {
+    const contentType = encoded.attributes[CodecRegistry.CONTENT_TYPE_ATTRIBUTE].StringValue;
+    const event = this._buildEvent(messageBody, contentType, attributes);
+    
+    return this.mode === CloudEventMode.BINARY
+      ? { ...this._toBinary(encoded, event), event }
+      : { ...this._toStructured(encoded.body, event), event };
+  };
+
+  /**
+   * Gets the CloudEvents configuration
+   * @returns {Object} CloudEvents configuration
+   */
+  getConfig = () => ({
+    mode: this.mode,
+    source: this.source,
+    type: typeof this.type === 'function' ? 'function' : this.type
+  });
+
+  /**
+   * Builds the attributes of an event
+   * @private
+   * @param {*} messageBody - Message body before encoding
+   * @param {string} contentType - Content type of the encoded body
+   * @param {Object} attributes - Event attributes of this message
+   * @returns {Object} Event attributes
+   * @throws {InvalidMessageError} If the event has no type or an attribute name is not valid
+   */
+  _buildEvent = (messageBody, contentType, attributes) => {
+    const event = {
+      specversion: SPEC_VERSION,
+      id: uuidv4(),
+      source: this.source,
+      type: typeof this.type === 'function' ? this.type(messageBody) : this.type,
+      time: new Date().toISOString(),
+      datacontenttype: contentType,
+      ...attributes
+    };
+    
+    if (!event.type) {
+      throw new InvalidMessageError('CloudEvents type is required: configure a type or pass one with the message');
+    }
+    
+    const invalid = Object.keys(event).filter(name => !ATTRIBUTE_NAME_PATTERN.test(name));
+    if (invalid.length > 0) {
+      throw new InvalidMessageError(
+        `CloudEvents attribute names must be lower-case letters and digits: ${invalid.join(', ')}`
+      );
+    }
+    
+    if (event.time instanceof Date) {
+      event.time = event.time.toISOString();
+    }
+    
+    return Object.fromEntries(Object.entries(event).filter(([, value]) => value !== undefined && value !== null));
+  };
+
+  /**
+   * Builds a structured event body
+   * @private
+   * @param {string} body - Encoded body
+   * @param {Object} event - Event attributes
+   * @returns {Object} `{ body, attributes }` with the JSON event and its content type attribute
+   */
+  _toStructured = (body, event) => {
+    let data;
+    if (isJson(event.datacontenttype)) {
+      data = { data: JSON.parse(body) };
+    } else if (normalize(event.datacontenttype) === 'application/octet-stream') {
+      data = { data_base64: body };
+    } else {
+      data = { data: body };
+    }
+    
+    return {
+      body: JSON.stringify({ ...event, ...data }),
+      attributes: {
+        [CodecRegistry.CONTENT_TYPE_ATTRIBUTE]: { DataType: 'String', StringValue: STRUCTURED_CONTENT_TYPE }
+      }
+    };
+  };
+
+  /**
+   * Adds the attributes of a binary event to an encoded body
+   * The content type stays in the `content-type` attribute rather than a `ce-datacontenttype` one
+   * @private
+   * @param {Object} encoded - `{ body, attributes }` with the encoded body and its `content-type` attribute
+   * @param {Object} event - Event attributes
+   * @returns {Object} `{ body, attributes }` with the body as it is and the `ce-` attributes added
+   */
+  _toBinary = (encoded, event) => {
+    const attributes = { ...encoded.attributes };
+    
+    Object.entries(event)
+      .filter(([name]) => name !== 'datacontenttype')
+      .forEach(([name, value]) => {
+        attributes[`${ATTRIBUTE_PREFIX}${name}`] = { DataType: 'String', StringValue: String(value) };
+      });
+    
+    return { body: encoded.body, attributes };
+  };
+}
+
+/**
+ * Unwraps the event of a received message
+ * Structured events are recognized by their content type and binary events by their `ce-specversion` attribute;
+ * the message returned has the event data as its body and its `datacontenttype` as its content type, so it can be
+ * decoded like any other message
+ * @param {Object} message - SQS message
+ * @returns {Object} `{ message, event }` with the event attributes, or the message as it is and a null event
+ * @throws {MessageDecodeError} If the event is not valid JSON or lacks a required attribute
+ */
+CloudEventEnvelope.unwrap = (message) => {
+  const attributes = message.MessageAttributes || {};
+  const contentType = attributes[CodecRegistry.CONTENT_TYPE_ATTRIBUTE]?.StringValue;
+
+  if (normalize(contentType) === STRUCTURED_CONTENT_TYPE) {
+    return unwrapStructured(message);
+  }
+  if (attributes[`${ATTRIBUTE_PREFIX}specversion`]) {
+    return unwrapBinary(message, contentType);
+  }
+
+  return { message, event: null };
+};
+
+CloudEventEnvelope.STRUCTURED_CONTENT_TYPE = STRUCTURED_CONTENT_TYPE;
+CloudEventEnvelope.ATTRIBUTE_PREFIX = ATTRIBUTE_PREFIX;
+
+module.exports = CloudEventEnvelope;
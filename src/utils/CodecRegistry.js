@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Codec Registry for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { InvalidMessageError, MessageDecodeError } = require('../errors');
+
+/**
+ * Message attribute carrying the content type a body was encoded with
+ */
+const CONTENT_TYPE_ATTRIBUTE = 'content-type';
+
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+/**
+ * Built-in codecs
+ * A codec turns a message body into the string sent to SQS and back
+ */
+const BUILT_IN_CODECS = [
+  {
+    name: 'json',
+    contentType: 'application/json',
+    encode: (body) => {
+      if (!body || typeof body !== 'object') {
+        throw new InvalidMessageError('Message body is required and must be an object');
+      }
+      return JSON.stringify(body);
+    },
+    decode: (raw) => JSON.parse(raw)
+  },
+  {
+    name: 'text',
+    contentType: 'text/plain',
+    encode: (body) => {
+      if (typeof body !== 'string' || body.length === 0) {
+        throw new InvalidMessageError('Message body is required and must be a non-empty string');
+      }
+      return body;
+    },
+    decode: (raw) => raw
+  },
+  {
+    name: 'base64',
+    contentType: 'application/octet-stream',
+    encode: (body) => {
+      if (!(body instanceof Uint8Array) || body.length === 0) {
+        throw new InvalidMessageError('Message body is required and must be a non-empty Buffer');
+      }
+      return Buffer.from(body).toString('base64');
+    },
+    decode: (raw) => {
+      if (!BASE64_PATTERN.test(raw)) {
+        throw new Error('Body is not valid base64');
+      }
+      return Buffer.from(raw, 'base64');
+    }
+  }
+];
+
+/**
+ * Codec Registry class mapping codec names and content types to codecs
+ * Publishers encode with their codec and record its content type in a message attribute; consumers decode
+ * with the codec registered for that content type, or with their own codec when the attribute is missing
+ */
+class CodecRegistry {
+  /**
+   * Creates a new CodecRegistry instance with the built-in json, text and base64 codecs
+   */
+  constructor() {
+    this.codecs = new Map();
+    this.contentTypes = new Map();
+    BUILT_IN_CODECS.forEach(codec => this.register(codec));
+  }
+
+  /**
+   * Registers a codec, replacing any codec with the same name or content type
+   * @param {Object} codec - Codec to register
+   * @param {string} codec.name - Name publishers and consumers select the codec by
+   * @param {string} codec.contentType - Content type recorded in the message attribute
+   * @param {Function} codec.encode - Turns a body into the string sent to SQS; binary formats must return text,
+   *   for example base64
+   * @param {Function} codec.decode - Turns the received string back into a body
+   * @returns {CodecRegistry} The registry, for chaining
+   */
+  register = (codec) => {
+    if (!codec || typeof codec.name !== 'string' || typeof codec.contentType !== 'string' ||
+        typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+      throw new Error('Codec must have a name, a contentType and encode and decode functions');
+    }
+    
+    this.codecs.set(codec.name, codec);
+    this.contentTypes.set(this._normalizeContentType(codec.contentType), codec);
+    return this;
+  };
+
+  /**
+   * Gets a codec
+   * @param {string|Object} [codec='json'] - Codec name, or a codec object which is returned as-is
+   * @returns {Object} Codec
+   * @throws {Error} If no codec is registered under the name
+   */
+  get = (codec = 'json') => {
+    if (codec && typeof codec === 'object') {
+      return codec;
+    }
+    
+    if (!this.codecs.has(codec)) {
+      throw new Error(`Unknown codec: ${codec}`);
+    }
+    
+    return this.codecs.get(codec);
+  };
+
+  /**
+   * Gets the codec registered for a content type
+   * Parameters such as `; charset=utf-8` are ignored
+   * @param {string} contentType - Content type
+   * @returns {Object|null} Codec, or null if none is registered
+   */
+  getByContentType = (contentType) => this.contentTypes.get(this._normalizeContentType(contentType)) || null;
+
+  /**
+   * Encodes a body into the SQS message body and its content type attribute
+   * @param {*} body - Message body
+   * @param {string|Object} codec - Codec name or object
+   * @returns {Object} `{ body, attribute }` where attribute is the content type message attribute
+   * @throws {InvalidMessageError} If a built-in codec rejects the body
+   */
+  encode = (body, codec) => {
+    const resolved = this.get(codec);
+    
+    return {
+      body: resolved.encode(body),
+      attribute: { DataType: 'String', StringValue: resolved.contentType }
+    };
+  };
+
+  /**
+   * Decodes the body of a received message
+   * @param {Object} message - SQS message
+   * @param {string|Object} fallbackCodec - Codec used when the message has no content type attribute
+   * @returns {*} Decoded body
+   * @throws {MessageDecodeError} If no codec is registered for the content type or the body cannot be decoded
+   */
+  decode = (message, fallbackCodec) => {
+    const attribute = message.MessageAttributes && message.MessageAttributes[CONTENT_TYPE_ATTRIBUTE];
+    const contentType = attribute ? attribute.StringValue : null;
+    const codec = contentType ? this.getByContentType(contentType) : this.get(fallbackCodec);
+    
+    if (!codec) {
+      throw new MessageDecodeError(`No codec registered for content type ${contentType}`, {
+        details: { contentType }
+      });
+    }
+    
+    try {
+      return codec.decode(message.Body);
+    } catch (error) {
+      throw new MessageDecodeError(`Failed to parse message body: ${error.message}`, {
+        cause: error,
+        details: { codec: codec.name, contentType: codec.contentType }
+      });
+    }
+  };
+
+  /**
+   * Gets the names of the registered codecs
+   * @returns {Array<string>} Codec names
+   */
+  getNames = () => Array.from(this.codecs.keys());
+
+  /**
+   * Normalizes a content type for lookups
+   * @private
+   * @param {string} contentType - Content type
+   * @returns {string} Lower-case media type without parameters
+   */
+  _normalizeContentType = (contentType) => String(contentType).split(';')[0].trim().toLowerCase();
+}
+
+CodecRegistry.CONTENT_TYPE_ATTRIBUTE = CONTENT_TYPE_ATTRIBUTE;
+
+module.exports = CodecRegistry;
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Message Compressor for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const zlib = require('zlib');
+const { MessageDecodeError } = require('../errors');
+const { CompressionAlgorithm } = require('../types');
+
+/**
+ * Message attribute carrying the algorithm a body was compressed with
+ */
+const CONTENT_ENCODING_ATTRIBUTE = 'content-encoding';
+
+/**
+ * Default limit on the size of a decompressed body, so a small compressed body cannot expand without bound
+ */
+const MAX_DECOMPRESSED_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Synchronous zlib functions of each algorithm
+ */
+const ALGORITHMS = {
+  [CompressionAlgorithm.GZIP]: {
+    compress: (input, level) => zlib.gzipSync(input, { level }),
+    decompress: (input, maxOutputLength) => zlib.gunzipSync(input, { maxOutputLength })
+  },
+  [CompressionAlgorithm.BROTLI]: {
+    compress: (input, level) => zlib.brotliCompressSync(input, {
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level }
+    }),
+    decompress: (input, maxOutputLength) => zlib.brotliDecompressSync(input, { maxOutputLength })
+  },
+  [CompressionAlgorithm.DEFLATE]: {
+    compress: (input, level) => zlib.deflateSync(input, { level }),
+    decompress: (input, maxOutputLength) => zlib.inflateSync(input, { maxOutputLength })
+  }
+};
+
+/**
+ * Compressor class compressing encoded message bodies above a size threshold
+ * Compressed bodies are sent base64-encoded with the algorithm in the `content-encoding` attribute; consumers
+ * decompress them before decoding whatever their own configuration. Bodies that would not shrink are sent as
+ * they are.
+ */
+class Compressor {
+  /**
+   * Creates a new Compressor instance
+   * @param {Object} [config] - Compression configuration
+   * @param {string} [config.algorithm='gzip'] - 'gzip', 'br' (brotli) or 'deflate'
+   * @param {number} [config.thresholdBytes=1024] - Body size from which bodies are compressed
+   * @param {number} [config.level] - Compression level of the algorithm (default: zlib's default, or 11 for brotli)
+   */
+  constructor(config = {}) {
+    this.algorithm = config.algorithm || CompressionAlgorithm.GZIP;
+    
+    if (!ALGORITHMS[this.algorithm]) {
+      throw new Error(`Compression algorithm must be one of ${Object.values(CompressionAlgorithm).join(', ')}`);
+    }
+    if (config.thresholdBytes !== undefined && !(config.thresholdBytes >= 0)) {
+      throw new Error('Compression threshold must be a non-negative number of bytes');
+    }
+    
+    this.thresholdBytes = config.thresholdBytes !== undefined ? config.thresholdBytes : 1024;
+    this.level = config.level !== undefined ? config.level : this._defaultLevel();
+    this.stats = this._createStats();
+  }
+
+  /**
+   * Compresses an encoded body if it reaches the threshold and compressing makes it smaller
+   * @param {string} body - Encoded message body
+   * @returns {Object} `{ body, attributes, compression }` to send: the base64 compressed body, its
+   *   `content-encoding` attribute in SQS format and `{ algorithm, originalBytes, compressedBytes, ratio }`, or the
+   *   body as it is with no attributes and a null compression
+   */
+  compress = (body) => {
+    const originalBytes = Buffer.byteLength(body, 'utf8');
+    if (originalBytes < this.thresholdBytes) {
+      return this._skip(body);
+    }
+    
+    const compressed = ALGORITHMS[this.algorithm].compress(body, this.level).toString('base64');
+    if (compressed.length >= originalBytes) {
+      return this._skip(body);
+    }
+    
+    this.stats.compressed++;
+    this.stats.originalBytes += originalBytes;
+    this.stats.compressedBytes += compressed.length;
+    
+    return {
+      body: compressed,
+      attributes: {
+        [CONTENT_ENCODING_ATTRIBUTE]: { DataType: 'String', StringValue: this.algorithm }
+      },
+      compression: {
+        algorithm: this.algorithm,
+        originalBytes,
+        compressedBytes: compressed.length,
+        ratio: Compressor.ratio(originalBytes, compressed.length)
+      }
+    };
+  };
+
+  /**
+   * Gets compression statistics
+   * @returns {Object} Compressed and skipped body counts, bytes before and after compression and their ratio
+   */
+  getStats = () => ({
+    algorithm: this.algorithm,
+    ...this.stats,
+    ratio: Compressor.ratio(this.stats.originalBytes, this.stats.compressedBytes)
+  });
+
+  /**
+   * Resets compression statistics
+   */
+  resetStats = () => {
+    this.stats = this._createStats();
+  };
+
+  /**
+   * Gets the compression configuration
+   * @returns {Object} Compression configuration
+   */
+  getConfig = () => ({
+    algorithm: this.algorithm,
+    thresholdBytes: this.thresholdBytes,
+    level: this.level
+  });
+
+  /**
+   * Leaves a body uncompressed
+   * @private
+   * @param {string} body - Encoded message body
+   * @returns {Object} The body with no attributes and a null compression
+   */
+  _skip = (body) => {
+    this.stats.skipped++;
+    return { body, attributes: {}, compression: null };
+  };
+
+  /**
+   * Gets the default compression level of the algorithm
+   * Brotli's default quality is its slowest; messages are small, so it still compresses fast enough
+   * @private
+   * @returns {number} Compression level
+   */
+  _defaultLevel = () => (this.algorithm === CompressionAlgorithm.BROTLI
+    ? zlib.constants.BROTLI_DEFAULT_QUALITY
+    : zlib.constants.Z_DEFAULT_COMPRESSION);
+
+  /**
+   * Creates empty compression statistics
+   * @private
+   * @returns {Object} Compression statistics
+   */
+  _createStats = () => ({
+    compressed: 0,
+    skipped: 0,
+    originalBytes: 0,
+    compressedBytes: 0
+  });
+}
+
+/**
+ * Computes a compression ratio
+ * @param {number} originalBytes - Size before compression
+ * @param {number} compressedBytes - Size after compression
+ * @returns {number|null} How many times smaller the compressed size is, to two decimals, or null if nothing was
+ *   compressed
+ */
+Compressor.ratio = (originalBytes, compressedBytes) =>
+  (compressedBytes > 0 ? Math.round((originalBytes / compressedBytes) * 100) / 100 : null);
+
+/**
+ * Decompresses the body of a received message according to its `content-encoding` attribute
+ * Decompression stops once the body exceeds maxBytes, and the message fails like any other undecodable one
+ * @param {Object} message - SQS message
+ * @param {number} [maxBytes=10485760] - Largest decompressed body accepted
+ * @returns {Object} Message with its decompressed body, or the message as it is if it was not compressed
+ * @throws {MessageDecodeError} If the encoding is unknown, the body cannot be decompressed or it exceeds maxBytes
+ */
+Compressor.decompress = (message, maxBytes = MAX_DECOMPRESSED_BYTES) => {
+  const encoding = message.MessageAttributes?.[CONTENT_ENCODING_ATTRIBUTE]?.StringValue;
+  if (!encoding) {
+    return message;
+  }
+
+  const algorithm = ALGORITHMS[encoding.trim().toLowerCase()];
+  if (!algorithm) {
+    throw new MessageDecodeError(`Unsupported content encoding ${encoding}`, { details: { encoding } });
+  }
+
+  try {
+    return { ...message, Body: algorithm.decompress(Buffer.from(message.Body, 'base64'), maxBytes).toString('utf8') };
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new MessageDecodeError(`Decompressed message body exceeds ${maxBytes} bytes`, {
+        cause: error,
+        details: { encoding, maxBytes }
+      });
+    }
+    throw new MessageDecodeError(`Failed to decompress message body: ${error.message}`, {
+      cause: error,
+      details: { encoding }
+    });
+  }
+};
+
+/**
+ * Resolves the `compression` option of publishers
+ * @param {boolean|Compressor|Object} [compression] - True for the defaults, a compressor to share, or the
+ *   configuration of a new one
+ * @returns {Compressor|null} Compressor, or null when compression is off
+ */
+Compressor.from = (compression) => {
+  if (!compression) {
+    return null;
+  }
+  if (compression instanceof Compressor) {
+    return compression;
+  }
+  return new Compressor(typeof compression === 'object' ? compression : {});
+};
+
+Compressor.CONTENT_ENCODING_ATTRIBUTE = CONTENT_ENCODING_ATTRIBUTE;
+Compressor.MAX_DECOMPRESSED_BYTES = MAX_DECOMPRESSED_BYTES;
+
+module.exports = Compressor;
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Envelope Encryptor for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { MessageDecryptionError } = require('../errors');
+const { EncryptionAttribute } = require('../types');
+const { ALGORITHM, seal, open } = require('./cipher');
+
+/**
+ * Envelope Encryptor class encrypting message bodies with per-message data keys
+ * Every body is encrypted with AES-256-GCM under a fresh data key from the key provider and sent base64-encoded.
+ * The data key travels wrapped by a master key, with the master key's ID, as the `boxq-encrypted-data-key` and
+ * `boxq-encryption-key-id` attributes, so consumers can decrypt messages encrypted before a key rotation as long
+ * as their key provider still holds the older key. Bodies are encrypted after compression and before
+ * offloading, so offloaded payloads are encrypted too.
+ */
+class EnvelopeEncryptor {
+  /**
+   * Creates a new EnvelopeEncryptor instance
+   * @param {Object} config - Encryption configuration
+   * @param {Object} config.keyProvider - Key provider with `generateDataKey()` and
+   *   `decryptDataKey(encryptedKey, keyId)`, such as LocalKeyring or a KMS adapter
+   */
+  constructor(config = {}) {
+    const { keyProvider } = config;
+    const methods = ['generateDataKey', 'decryptDataKey'];
+    if (!keyProvider || methods.some(method => typeof keyProvider[method] !== 'function')) {
+      throw new Error('Key provider must implement generateDataKey and decryptDataKey');
+    }
+    
+    this.keyProvider = keyProvider;
+    this.stats = this._createStats();
+  }
+
+  /**
+   * Encrypts a serialized body under a new data key
+   * @param {string} body - Serialized message body
+   * @returns {Promise<Object>} `{ body, attributes, keyId }` with the base64 encrypted body, the key ID and
+   *   wrapped data key attributes in SQS format and the ID of the master key
+   */
+  encrypt = async (body) => {
+    const { keyId, plaintextKey, encryptedKey } = await this.keyProvider.generateDataKey();
+    const encrypted = seal(plaintextKey, body).toString('base64');
+    this.stats.encrypted++;
+    
+    return {
+      body: encrypted,
+      attributes: {
+        [EncryptionAttribute.KEY_ID]: { DataType: 'String', StringValue: keyId },
+        [EncryptionAttribute.DATA_KEY]: {
+          DataType: 'String',
+          StringValue: Buffer.from(encryptedKey).toString('base64')
+        }
+      },
+      keyId
+    };
+  };
+
+  /**
+   * Replaces the encrypted body of a received message with its plaintext
+   * Messages that were not encrypted are returned as they are
+   * @param {Object} message - SQS message
+   * @returns {Promise<Object>} Message with its decrypted body
+   * @throws {MessageDecryptionError} If the body cannot be decrypted
+   */
+  decrypt = async (message) => {
+    const keyId = EnvelopeEncryptor.getKeyId(message);
+    if (!keyId) {
+      return message;
+    }
+    
+    try {
+      const dataKey = await this._decryptDataKey(message, keyId);
+      const body = this._decryptBody(dataKey, message.Body, keyId);
+      this.stats.decrypted++;
+      return { ...message, Body: body };
+    } catch (error) {
+      this.stats.decryptFailed++;
+      throw error;
+    }
+  };
+
+  /**
+   * Gets encryption statistics
+   * @returns {Object} Encrypted and decrypted body counts and decryption failures
+   */
+  getStats = () => ({ ...this.stats });
+
+  /**
+   * Resets encryption statistics
+   */
+  resetStats = () => {
+    this.stats = this._createStats();
+  };
+
+  /**
+   * Gets the encryption configuration
+   * @returns {Object} Encryption configuration
+   */
+  getConfig = () => ({
+    algorithm: ALGORITHM,
+    keyProvider: this.keyProvider.constructor.name
+  });
+
+  /**
+   * Unwraps the data key of a message with the key provider
+   * Errors of the provider that are not MessageDecryptionErrors, such as an unreachable KMS, may not happen on the
+   * next delivery, so they are raised as non-poison decryption errors
+   * @private
+   * @param {Object} message - SQS message
+   * @param {string} keyId - ID of the master key that wrapped the data key
+   * @returns {Promise<Buffer>} Plaintext data key
+   * @throws {MessageDecryptionError} If the message has no data key or the provider cannot unwrap it
+   */
+  _decryptDataKey = async (message, keyId) => {
+    const encryptedKey = message.MessageAttributes[EncryptionAttribute.DATA_KEY]?.StringValue;
+    if (!encryptedKey) {
+      throw new MessageDecryptionError('Encrypted message has no data key', { details: { keyId } });
+    }
+    
+    try {
+      return await this.keyProvider.decryptDataKey(Buffer.from(encryptedKey, 'base64'), keyId);
+    } catch (error) {
+      if (error instanceof MessageDecryptionError) {
+        throw error;
+      }
+      throw new MessageDecryptionError(`Failed to decrypt data key with key ${keyId}: ${error.message}`, {
+        cause: error,
+        details: { keyId },
+        poison: false
+      });
+    }
+  };
+
+  /**
+   * Decrypts and authenticates a body with its data key
+   * @private
+   * @param {Buffer} dataKey - Plaintext data key
+   * @param {string} body - Base64 encrypted body
+   * @param {string} keyId - ID of the master key, reported on failure
+   * @returns {string} Plaintext body
+   * @throws {MessageDecryptionError} If the body was tampered with or encrypted under another data key
+   */
+  _decryptBody = (dataKey, body, keyId) => {
+    try {
+      return open(dataKey, Buffer.from(body, 'base64')).toString('utf8');
+    } catch (error) {
+      throw new MessageDecryptionError(`Failed to decrypt message body: ${error.message}`, {
+        cause: error,
+        details: { keyId }
+      });
+    }
+  };
+
+  /**
+   * Creates empty encryption statistics
+   * @private
+   * @returns {Object} Encryption statistics
+   */
+  _createStats = () => ({
+    encrypted: 0,
+    decrypted: 0,
+    decryptFailed: 0
+  });
+}
+
+/**
+ * Gets the ID of the master key that wrapped the data key of an encrypted message
+ * @param {Object} message - SQS message
+ * @returns {string|undefined} Key ID, or undefined if the body was not encrypted
+ */
+EnvelopeEncryptor.getKeyId = (message) => message.MessageAttributes?.[EncryptionAttribute.KEY_ID]?.StringValue;
+
+module.exports = EnvelopeEncryptor;
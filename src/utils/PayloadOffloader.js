@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Payload Offloader for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { PayloadFetchError } = require('../errors');
+const { PayloadAttribute } = require('../types');
+
+/**
+ * Largest message SQS accepts, body and attributes included
+ */
+const MAX_MESSAGE_BYTES = 262144;
+
+/**
+ * Payload Offloader class moving message bodies too large for SQS to a blob store
+ * Publishers write an oversized body to the store and send a small pointer body instead, with the payload key
+ * and size as `boxq-payload-key` and `boxq-payload-size` attributes (the claim-check pattern). Consumers fetch
+ * the payload back before decoding the message and may delete it once the message was processed. Any object
+ * with `put`, `get` and `delete` methods resolving string payloads can serve as the store, such as FileBlobStore
+ * or an S3 adapter.
+ */
+class PayloadOffloader {
+  /**
+   * Creates a new PayloadOffloader instance
+   * @param {Object} config - Offloading configuration
+   * @param {Object} config.store - Blob store with `put(key, body)`, `get(key)` and `delete(key)`
+   * @param {number} [config.thresholdBytes=262144] - Message size, body and attributes included, above which the
+   *   body is offloaded
+   * @param {string} [config.keyPrefix='boxq/'] - Prefix of the keys payloads are stored under
+   * @param {boolean} [config.deleteAfterProcessing=false] - Whether consumers delete payloads once their message
+   *   was processed and deleted
+   * @param {Function} [config.onError] - Called with `(error, { operation, payloadKey })` when deleting a payload
+   *   fails
+   */
+  constructor(config = {}) {
+    if (!config.store || ['put', 'get', 'delete'].some(method => typeof config.store[method] !== 'function')) {
+      throw new Error('Blob store must implement put, get and delete');
+    }
+    
+    this.store = config.store;
+    this.thresholdBytes = Math.min(config.thresholdBytes || MAX_MESSAGE_BYTES, MAX_MESSAGE_BYTES);
+    this.keyPrefix = config.keyPrefix !== undefined ? config.keyPrefix : 'boxq/';
+    this.deleteAfterProcessing = config.deleteAfterProcessing === true;
+    this.onError = config.onError;
+    this.stats = this._createStats();
+  }
+
+  /**
+   * Checks whether a message is larger than the threshold
+   * @param {string} body - Serialized message body
+   * @param {Object} [messageAttributes] - Message attributes in SQS format
+   * @returns {boolean} True if the body should be offloaded
+   */
+  needsOffloading = (body, messageAttributes) =>
+    PayloadOffloader.measure(body, messageAttributes) > this.thresholdBytes;
+
+  /**
+   * Stores a body in the blob store and builds the pointer message sent in its place
+   * @param {string} body - Serialized message body
+   * @returns {Promise<Object>} `{ body, attributes, payloadKey }` with the pointer body and the attributes, in SQS
+   *   format, it is sent with
+   */
+  offload = async (body) => {
+    const payloadKey = `${this.keyPrefix}${uuidv4()}`;
+    const size = Buffer.byteLength(body, 'utf8');
+    
+    await this.store.put(payloadKey, body);
+    this.stats.offloaded++;
+    this.stats.offloadedBytes += size;
+    
+    return {
+      body: JSON.stringify({ payloadKey, size }),
+      attributes: {
+        [PayloadAttribute.KEY]: { DataType: 'String', StringValue: payloadKey },
+        [PayloadAttribute.SIZE]: { DataType: 'Number', StringValue: String(size) }
+      },
+      payloadKey
+    };
+  };
+
+  /**
+   * Replaces the pointer body of an offloaded message with its payload
+   * Messages that were not offloaded are returned as they are
+   * @param {Object} message - SQS message
+   * @returns {Promise<Object>} Message with its original body
+   * @throws {PayloadFetchError} If the payload cannot be fetched
+   */
+  fetch = async (message) => {
+    const payloadKey = PayloadOffloader.getPayloadKey(message);
+    if (!payloadKey) {
+      return message;
+    }
+    
+    try {
+      const body = await this.store.get(payloadKey);
+      this.stats.fetched++;
+      return { ...message, Body: body };
+    } catch (error) {
+      this.stats.fetchFailed++;
+      throw new PayloadFetchError(payloadKey, { cause: error });
+    }
+  };
+
+  /**
+   * Deletes the payloads of offloaded messages
+   * Failures are counted and passed to onError; a payload left behind only takes up space in the store
+   * @param {Array} messages - SQS messages, offloaded or not
+   * @returns {Promise<void>}
+   */
+  discard = async (messages) => {
+    const payloadKeys = messages.map(PayloadOffloader.getPayloadKey).filter(Boolean);
+    
+    await Promise.all(payloadKeys.map(async payloadKey => {
+      try {
+        await this.store.delete(payloadKey);
+        this.stats.deleted++;
+      } catch (error) {
+        this.stats.deleteFailed++;
+        if (this.onError) {
+          this.onError(error, { operation: 'delete_payload', payloadKey });
+        }
+      }
+    }));
+  };
+
+  /**
+   * Gets offloading statistics
+   * @returns {Object} Offloaded, fetched and deleted payload counts and failures
+   */
+  getStats = () => ({
+    ...this.stats,
+    ...(typeof this.store.getStats === 'function' && { store: this.store.getStats() })
+  });
+
+  /**
+   * Resets offloading statistics
+   */
+  resetStats = () => {
+    this.stats = this._createStats();
+  };
+
+  /**
+   * Gets the offloading configuration
+   * @returns {Object} Offloading configuration
+   */
+  getConfig = () => ({
+    store: this.store.constructor.name,
+    thresholdBytes: this.thresholdBytes,
+    keyPrefix: this.keyPrefix,
+    deleteAfterProcessing: this.deleteAfterProcessing
+  });
+
+  /**
+   * Creates empty offloading statistics
+   * @private
+   * @returns {Object} Offloading statistics
+   */
+  _createStats = () => ({
+    offloaded: 0,
+    offloadedBytes: 0,
+    fetched: 0,
+    fetchFailed: 0,
+    deleted: 0,
+    deleteFailed: 0
+  });
+}
+
+/**
+ * Measures a message the way SQS counts it against its size limit
+ * @param {string} body - Serialized message body
+ * @param {Object} [messageAttributes] - Message attributes in SQS format
+ * @returns {number} Size in bytes of the body and of every attribute name, data type and value
+ */
+PayloadOffloader.measure = (body, messageAttributes = {}) => Object.entries(messageAttributes).reduce(
+  (size, [name, attribute]) => size + Buffer.byteLength(name, 'utf8') +
+    Buffer.byteLength(attribute.DataType || '', 'utf8') + Buffer.byteLength(attribute.StringValue || '', 'utf8'),
+  Buffer.byteLength(body, 'utf8')
+);
+
+/**
+ * Gets the payload key of an offloaded message
+ * @param {Object} message - SQS message
+ * @returns {string|undefined} Payload key, or undefined if the body was not offloaded
+ */
+PayloadOffloader.getPayloadKey = (message) => message.MessageAttributes?.[PayloadAttribute.KEY]?.StringValue;
+
+PayloadOffloader.MAX_MESSAGE_BYTES = MAX_MESSAGE_BYTES;
+
+module.exports = PayloadOffloader;
@@ -0,0 +1,428 @@
+/**
+ * @fileoverview Schema Validator for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { MessageValidationError } = require('../errors');
+
+/**
+ * JSON Schema keywords the validator implements
+ */
+const SUPPORTED_KEYWORDS = new Set([
+  'type', 'enum', 'const',
+  'minLength', 'maxLength', 'pattern', 'format',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'required', 'properties', 'additionalProperties', 'minProperties', 'maxProperties',
+  'items', 'minItems', 'maxItems', 'uniqueItems',
+  'allOf', 'anyOf', 'oneOf', 'not'
+]);
+
+/**
+ * Keywords that only describe a schema and are ignored
+ */
+const ANNOTATION_KEYWORDS = new Set(['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples']);
+
+/**
+ * Formats checked by the `format` keyword
+ */
+const FORMATS = {
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) &&
+    !Number.isNaN(Date.parse(value)),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  uri: (value) => /^[a-z][a-z0-9+.-]*:[^\s]*$/i.test(value)
+};
+
+/**
+ * Rules for the keywords that apply to one kind of value, as `[keyword, fails(value, limit), message(limit)]`
+ */
+const KEYWORD_RULES = {
+  string: [
+    ['minLength', (value, limit) => Array.from(value).length < limit,
+      (limit) => `must have at least ${limit} characters`],
+    ['maxLength', (value, limit) => Array.from(value).length > limit,
+      (limit) => `must have at most ${limit} characters`],
+    ['pattern', (value, pattern) => !new RegExp(pattern, 'u').test(value), (pattern) => `must match ${pattern}`],
+    ['format', (value, format) => FORMATS[format] !== undefined && !FORMATS[format](value),
+      (format) => `must be a valid ${format}`]
+  ],
+  number: [
+    ['minimum', (value, limit) => value < limit, (limit) => `must be >= ${limit}`],
+    ['maximum', (value, limit) => value > limit, (limit) => `must be <= ${limit}`],
+    ['exclusiveMinimum', (value, limit) => value <= limit, (limit) => `must be > ${limit}`],
+    ['exclusiveMaximum', (value, limit) => value >= limit, (limit) => `must be < ${limit}`],
+    ['multipleOf', (value, divisor) => !Number.isInteger(value / divisor),
+      (divisor) => `must be a multiple of ${divisor}`]
+  ],
+  object: [
+    ['minProperties', (value, limit) => Object.keys(value).length < limit,
+      (limit) => `must have at least ${limit} properties`],
+    ['maxProperties', (value, limit) => Object.keys(value).length > limit,
+      (limit) => `must have at most ${limit} properties`]
+  ],
+  array: [
+    ['minItems', (value, limit) => value.length < limit, (limit) => `must have at least ${limit} items`],
+    ['maxItems', (value, limit) => value.length > limit, (limit) => `must have at most ${limit} items`],
+    ['uniqueItems', (value, unique) => unique === true &&
+      new Set(value.map(item => JSON.stringify(item))).size !== value.length, () => 'must not contain duplicate items']
+  ]
+};
+
+const MAX_ERRORS_IN_MESSAGE = 3;
+
+/**
+ * Schema Validator class checking message bodies against a schema per message type
+ * A schema is either a JSON Schema subset (see SUPPORTED_KEYWORDS) or a validator function. The schema of a
+ * message is looked up by the value of its type field, falling back to the default schema.
+ */
+class SchemaValidator {
+  /**
+   * Creates a new SchemaValidator instance
+   * @param {Object} config - Validation configuration
+   * @param {Object} [config.schemas] - Schemas keyed by message type
+   * @param {Object|Function} [config.schema] - Schema for messages whose type has no schema of its own
+   * @param {string} [config.typeField='type'] - Body field holding the message type
+   * @param {boolean} [config.rejectUnknownTypes=false] - Fail messages for which no schema applies instead of
+   *   letting them through
+   * @throws {Error} If a schema uses a keyword that is not supported
+   */
+  constructor(config = {}) {
+    this.schemas = new Map(Object.entries(config.schemas || {}));
+    this.defaultSchema = config.schema || null;
+    this.typeField = config.typeField || 'type';
+    this.rejectUnknownTypes = config.rejectUnknownTypes === true;
+    
+    this.schemas.forEach((schema, type) => this._checkSchema(schema, type));
+    if (this.defaultSchema) {
+      this._checkSchema(this.defaultSchema, 'default');
+    }
+  }
+
+  /**
+   * Validates a message body
+   * @param {*} body - Decoded message body
+   * @returns {Object} `{ valid, type, errors }` where errors are `{ path, message }` entries
+   */
+  validate = (body) => {
+    const type = body !== null && typeof body === 'object' ? body[this.typeField] : undefined;
+    const schema = this.schemas.get(type) || this.defaultSchema;
+    
+    if (!schema) {
+      const errors = this.rejectUnknownTypes ? [{ path: this.typeField, message: `has no schema for ${type}` }] : [];
+      return { valid: errors.length === 0, type, errors };
+    }
+    
+    const errors = typeof schema === 'function'
+      ? this._runValidatorFunction(schema, body, type)
+      : this._validateSchema(schema, body, '');
+    
+    return { valid: errors.length === 0, type, errors };
+  };
+
+  /**
+   * Validates a message body and throws if it is invalid
+   * @param {*} body - Decoded message body
+   * @throws {MessageValidationError} If the body does not match its schema
+   */
+  assertValid = (body) => {
+    const { valid, type, errors } = this.validate(body);
+    
+    if (!valid) {
+      const summary = errors.slice(0, MAX_ERRORS_IN_MESSAGE).map(error => this._formatError(error)).join('; ');
+      const more = errors.length > MAX_ERRORS_IN_MESSAGE ? ` (and ${errors.length - MAX_ERRORS_IN_MESSAGE} more)` : '';
+      throw new MessageValidationError(`Message failed schema validation: ${summary}${more}`, { type, errors });
+    }
+  };
+
+  /**
+   * Runs a user validator function
+   * The function returns true (or nothing) when the body is valid, false, or a list of error messages or
+   * `{ path, message }` entries; a thrown error counts as a validation error
+   * @private
+   * @param {Function} validator - Validator function called with `(body, type)`
+   * @param {*} body - Message body
+   * @param {string} [type] - Message type
+   * @returns {Array<Object>} Validation errors
+   */
+  _runValidatorFunction = (validator, body, type) => {
+    let result;
+    try {
+      result = validator(body, type);
+    } catch (error) {
+      return [{ path: '', message: error.message }];
+    }
+    
+    if (result === false) {
+      return [{ path: '', message: 'is invalid' }];
+    }
+    
+    if (Array.isArray(result)) {
+      return result.map(error => (typeof error === 'string' ? { path: '', message: error } : error));
+    }
+    
+    return [];
+  };
+
+  /**
+   * Validates a value against a JSON Schema subset
+   * @private
+   * @param {Object|boolean} schema - Schema
+   * @param {*} value - Value to validate
+   * @param {string} path - Path of the value in the body
+   * @returns {Array<Object>} Validation errors
+   */
+  _validateSchema = (schema, value, path) => {
+    if (schema === true) {
+      return [];
+    }
+    
+    if (schema === false) {
+      return [{ path, message: 'is not allowed' }];
+    }
+    
+    const typeErrors = this._validateType(schema, value, path);
+    if (typeErrors.length > 0) {
+      return typeErrors;
+    }
+    
+    return [
+      ...this._validateEnum(schema, value, path),
+      ...this._validateKeywords(schema, value, path),
+      ...this._validateProperties(schema, value, path),
+      ...this._validateItems(schema, value, path),
+      ...this._validateCombinators(schema, value, path)
+    ];
+  };
+
+  /**
+   * Checks the `type` keyword
+   * @private
+   * @param {Object} schema - Schema
+   * @param {*} value - Value to validate
+   * @param {string} path - Path of the value
+   * @returns {Array<Object>} Validation errors
+   */
+  _validateType = (schema, value, path) => {
+    if (schema.type === undefined) {
+      return [];
+    }
+    
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    return types.includes(this._typeOf(value)) || (types.includes('number') && this._typeOf(value) === 'integer')
+      ? []
+      : [{ path, message: `must be ${types.join(' or ')}` }];
+  };
+
+  /**
+   * Checks the `enum` and `const` keywords
+   * @private
+   * @param {Object} schema - Schema
+   * @param {*} value - Value to validate
+   * @param {string} path - Path of the value
+   * @returns {Array<Object>} Validation errors
+   */
+  _validateEnum = (schema, value, path) => {
+    const errors = [];
+    
+    if (schema.enum && !schema.enum.some(allowed => this._equals(allowed, value))) {
+      const allowed = schema.enum.map(option => JSON.stringify(option)).join(', ');
+      errors.push({ path, message: `must be one of ${allowed}` });
+    }
+    
+    if (schema.const !== undefined && !this._equals(schema.const, value)) {
+      errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    }
+    
+    return errors;
+  };
+
+  /**
+   * Checks the keywords of a value's kind against the keyword rules
+   * @private
+   * @param {Object} schema - Schema
+   * @param {*} value - Value to validate
+   * @param {string} path - Path of the value
+   * @returns {Array<Object>} Validation errors
+   */
+  _validateKeywords = (schema, value, path) => {
+    const kind = this._typeOf(value) === 'integer' ? 'number' : this._typeOf(value);
+    
+    return (KEYWORD_RULES[kind] || [])
+      .filter(([keyword, fails]) => schema[keyword] !== undefined && fails(value, schema[keyword]))
+      .map(([keyword, , message]) => ({ path, message: message(schema[keyword]) }));
+  };
+
+  /**
+   * Validates the properties of an object
+   * @private
+   * @param {Object} schema - Schema
+   * @param {*} value - Value to validate
+   * @param {string} path - Path of the value
+   * @returns {Array<Object>} Validation errors
+   */
+  _validateProperties = (schema, value, path) => {
+    if (this._typeOf(value) !== 'object') {
+      return [];
+    }
+    
+    const properties = schema.properties || {};
+    const errors = (schema.required || [])
+      .filter(name => value[name] === undefined)
+      .map(name => ({ path: this._join(path, name), message: 'is required' }));
+    
+    Object.keys(value).forEach(name => {
+      const propertySchema = Object.prototype.hasOwnProperty.call(properties, name)
+        ? properties[name]
+        : schema.additionalProperties;
+      if (propertySchema !== undefined) {
+        errors.push(...this._validateSchema(propertySchema, value[name], this._join(path, name)));
+      }
+    });
+    
+    return errors;
+  };
+
+  /**
+   * Validates the items of an array
+   * @private
+   * @param {Object} schema - Schema
+   * @param {*} value - Value to validate
+   * @param {string} path - Path of the value
+   * @returns {Array<Object>} Validation errors
+   */
+  _validateItems = (schema, value, path) => {
+    if (!Array.isArray(value) || schema.items === undefined) {
+      return [];
+    }
+    
+    return value.flatMap((item, index) => this._validateSchema(schema.items, item, `${path}[${index}]`));
+  };
+
+  /**
+   * Checks the `allOf`, `anyOf`, `oneOf` and `not` keywords
+   * @private
+   * @param {Object} schema - Schema
+   * @param {*} value - Value to validate
+   * @param {string} path - Path of the value
+   * @returns {Array<Object>} Validation errors
+   */
+  _validateCombinators = (schema, value, path) => {
+    const errors = [];
+    const matches = (subschemas) => subschemas.filter(subschema => (
+      this._validateSchema(subschema, value, path).length === 0
+    ));
+    
+    (schema.allOf || []).forEach(subschema => errors.push(...this._validateSchema(subschema, value, path)));
+    
+    if (schema.anyOf && matches(schema.anyOf).length === 0) {
+      errors.push({ path, message: 'must match at least one schema in anyOf' });
+    }
+    if (schema.oneOf && matches(schema.oneOf).length !== 1) {
+      errors.push({ path, message: 'must match exactly one schema in oneOf' });
+    }
+    if (schema.not !== undefined && this._validateSchema(schema.not, value, path).length === 0) {
+      errors.push({ path, message: 'must not match the schema in not' });
+    }
+    
+    return errors;
+  };
+
+  /**
+   * Rejects schemas using keywords the validator does not implement, so they cannot pass silently
+   * @private
+   * @param {Object|boolean|Function} schema - Schema to check
+   * @param {string} location - Where the schema was found, used in the error message
+   * @throws {Error} If an unsupported keyword is used
+   */
+  _checkSchema = (schema, location) => {
+    if (typeof schema === 'function' || typeof schema === 'boolean') {
+      return;
+    }
+    
+    if (!schema || typeof schema !== 'object') {
+      throw new Error(`Schema for ${location} must be an object, a boolean or a function`);
+    }
+    
+    Object.keys(schema).forEach(keyword => {
+      if (!SUPPORTED_KEYWORDS.has(keyword) && !ANNOTATION_KEYWORDS.has(keyword)) {
+        throw new Error(`Unsupported schema keyword in ${location}: ${keyword}`);
+      }
+    });
+    
+    this._subschemas(schema).forEach(subschema => this._checkSchema(subschema, location));
+  };
+
+  /**
+   * Lists the schemas nested in a schema
+   * @private
+   * @param {Object} schema - Schema
+   * @returns {Array} Nested schemas
+   */
+  _subschemas = (schema) => [
+    ...Object.values(schema.properties || {}),
+    ...[schema.additionalProperties, schema.items, schema.not].filter(subschema => typeof subschema === 'object'),
+    ...(schema.allOf || []),
+    ...(schema.anyOf || []),
+    ...(schema.oneOf || [])
+  ];
+
+  /**
+   * Gets the JSON Schema type of a value
+   * @private
+   * @param {*} value - Value
+   * @returns {string} JSON Schema type name
+   */
+  _typeOf = (value) => {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+  };
+
+  /**
+   * Compares two JSON values structurally
+   * @private
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} True if both values are equal
+   */
+  _equals = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  /**
+   * Appends a property name to a path
+   * @private
+   * @param {string} path - Parent path
+   * @param {string} name - Property name
+   * @returns {string} Property path
+   */
+  _join = (path, name) => (path ? `${path}.${name}` : name);
+
+  /**
+   * Formats a validation error for messages
+   * @private
+   * @param {Object} error - Validation error
+   * @returns {string} Formatted error
+   */
+  _formatError = (error) => (error.path ? `${error.path} ${error.message}` : error.message);
+}
+
+/**
+ * Resolves the `validation` option of publishers and consumers
+ * @param {SchemaValidator|Object} [validation] - A validator to share, or the configuration of a new one
+ * @returns {SchemaValidator|null} Validator, or null when validation is off
+ */
+SchemaValidator.from = (validation) => {
+  if (!validation) {
+    return null;
+  }
+  return validation instanceof SchemaValidator ? validation : new SchemaValidator(validation);
+};
+
+module.exports = SchemaValidator;
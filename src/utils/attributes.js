@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Message attribute limits for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { InvalidMessageError } = require('../errors');
+
+/**
+ * SQS allows at most 10 message attributes per message
+ */
+const MAX_MESSAGE_ATTRIBUTES = 10;
+
+/**
+ * Checks that a message has no more attributes than SQS accepts
+ * Codec, CloudEvents, compression, encryption, scheduling and payload attributes all count towards the limit
+ * @param {Object} messageAttributes - Message attributes in SQS format
+ * @throws {InvalidMessageError} If the message has more than 10 attributes
+ */
+const assertAttributeLimit = (messageAttributes) => {
+  const names = Object.keys(messageAttributes);
+  if (names.length > MAX_MESSAGE_ATTRIBUTES) {
+    throw new InvalidMessageError(
+      `Message attributes exceed the SQS limit of ${MAX_MESSAGE_ATTRIBUTES}: ${names.join(', ')}`
+    );
+  }
+};
+
+module.exports = {
+  MAX_MESSAGE_ATTRIBUTES,
+  assertAttributeLimit
+};
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview AES-256-GCM helpers for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Cipher used for message bodies and wrapped data keys
+ */
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Key, IV and authentication tag sizes in bytes
+ */
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * Encrypts data with AES-256-GCM under a fresh random IV
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer|string} plaintext - Data to encrypt; strings are encrypted as UTF-8
+ * @param {string} [aad] - Additional authenticated data the ciphertext is bound to
+ * @returns {Buffer} IV, authentication tag and ciphertext, in that order
+ */
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) {
+    cipher.setAAD(Buffer.from(aad, 'utf8'));
+  }
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+/**
+ * Decrypts and authenticates data sealed by seal()
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} sealed - IV, authentication tag and ciphertext
+ * @param {string} [aad] - Additional authenticated data the ciphertext was bound to
+ * @returns {Buffer} Plaintext
+ * @throws {Error} If the data is truncated, was tampered with or was sealed under another key
+ */
+const open = (key, sealed, aad) => {
+  if (sealed.length < IV_BYTES + TAG_BYTES) {
+    throw new Error('Sealed data is truncated');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_BYTES));
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  if (aad) {
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+  }
+
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+/**
+ * Generates a random key
+ * @returns {Buffer} 32-byte key
+ */
+const generateKey = () => crypto.randomBytes(KEY_BYTES);
+
+module.exports = {
+  ALGORITHM,
+  KEY_BYTES,
+  seal,
+  open,
+  generateKey
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Event emission helpers for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+/**
+ * Emits an event without letting a throwing listener break the operation that emitted it
+ * Listener errors are emitted as `error` events with the `listener` operation; the consumer or publisher carries
+ * on as if the listener had returned
+ * @param {EventEmitter} emitter - Emitter to emit on
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const emitSafely = (emitter, event, payload) => {
+  try {
+    emitter.emit(event, payload);
+  } catch (error) {
+    emitError(emitter, error, { operation: 'listener', event });
+  }
+};
+
+/**
+ * Emits an `error` event when something listens for it
+ * EventEmitter throws unhandled `error` events, so without a listener the error is not reported. An error thrown
+ * by an `error` listener has nowhere left to go and is ignored.
+ * @param {EventEmitter} emitter - Emitter to emit on
+ * @param {Error} error - Error that occurred
+ * @param {Object} context - What was being done, such as `{ queueUrl, operation }`
+ */
+const emitError = (emitter, error, context) => {
+  if (emitter.listenerCount('error') === 0) {
+    return;
+  }
+
+  try {
+    emitter.emit('error', error, context);
+  } catch (listenerError) {
+    // Ignored: reporting it as another error event could fail the same way
+  }
+};
+
+module.exports = {
+  emitSafely,
+  emitError
+};
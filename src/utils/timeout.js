@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Handler timeout helper for BoxQ
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { HandlerTimeoutError } = require('../errors');
+
+/**
+ * Runs a function with a timeout and an AbortSignal it can use to cancel its own work
+ * The signal is aborted with a HandlerTimeoutError when the timeout elapses, and whenever the parent signal aborts.
+ * The function keeps running after a timeout; only well-behaved functions that watch the signal stop early.
+ * @param {Function} fn - Function called with the AbortSignal
+ * @param {number} [timeoutMs] - Timeout in milliseconds; no timeout when omitted
+ * @param {AbortSignal} [parentSignal] - Signal whose abort is forwarded to the function's signal
+ * @returns {Promise<*>} Result of the function
+ * @throws {HandlerTimeoutError} If the function does not settle within the timeout
+ */
+const runWithTimeout = async (fn, timeoutMs, parentSignal) => {
+  const controller = new AbortController();
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+  
+  if (parentSignal) {
+    if (parentSignal.aborted) {
+      onParentAbort();
+    } else {
+      parentSignal.addEventListener('abort', onParentAbort, { once: true });
+    }
+  }
+  
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        const error = new HandlerTimeoutError(timeoutMs);
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+    }
+  });
+  
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+    if (parentSignal) {
+      parentSignal.removeEventListener('abort', onParentAbort);
+    }
+  }
+};
+
+module.exports = {
+  runWithTimeout
+};
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Tests for ConcurrencyController
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const ConcurrencyController = require('../../src/consumers/ConcurrencyController');
+const { GetQueueAttributesCommand } = require('@aws-sdk/client-sqs');
+
+describe('ConcurrencyController', () => {
+  let mockSQSClient;
+  let controller;
+
+  const setBacklog = (backlog) => {
+    mockSQSClient.executeCommand.mockResolvedValue({
+      Attributes: { ApproximateNumberOfMessages: String(backlog) }
+    });
+  };
+
+  const recordOutcomes = (count, { failed = 0, processingTime = 10 } = {}) => {
+    controller.record({
+      outcomes: Array.from({ length: count }, (_, index) => ({ success: index >= failed, processingTime }))
+    });
+  };
+
+  beforeEach(() => {
+    mockSQSClient = {
+      executeCommand: jest.fn()
+    };
+    GetQueueAttributesCommand.mockClear();
+    
+    controller = new ConcurrencyController(mockSQSClient, 'test-queue', {
+      minConcurrency: 2,
+      maxConcurrency: 20,
+      initialConcurrency: 8,
+      maxReceiveLoops: 3,
+      messagesPerReceive: 5
+    });
+  });
+
+  afterEach(() => {
+    controller.stop();
+  });
+
+  describe('constructor', () => {
+    it('should start at the initial concurrency', () => {
+      expect(controller.getStats()).toMatchObject({
+        targetConcurrency: 8,
+        receiveLoops: 2,
+        minConcurrency: 2,
+        maxConcurrency: 20,
+        adjustments: 0
+      });
+    });
+    
+    it('should reject inverted bounds', () => {
+      expect(() => new ConcurrencyController(mockSQSClient, 'test-queue', { minConcurrency: 5, maxConcurrency: 2 }))
+        .toThrow('minConcurrency must not exceed maxConcurrency');
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should scale up while the backlog exceeds the target', async () => {
+      const adjusted = jest.fn();
+      controller.on('adjusted', adjusted);
+      setBacklog(100);
+      recordOutcomes(8);
+      
+      const adjustment = await controller.evaluate();
+      
+      expect(GetQueueAttributesCommand.mock.calls[0][0]).toEqual({
+        QueueUrl: 'test-queue',
+        AttributeNames: ['ApproximateNumberOfMessages']
+      });
+      expect(adjustment).toMatchObject({
+        previousConcurrency: 8,
+        targetConcurrency: 10,
+        receiveLoops: 2,
+        reason: 'backlog'
+      });
+      expect(adjusted).toHaveBeenCalledWith(adjustment);
+      expect(controller.getStats().lastAdjustment).toBe(adjustment);
+    });
+    
+    it('should not exceed maxConcurrency or maxReceiveLoops', async () => {
+      setBacklog(1000);
+      
+      for (let i = 0; i < 10; i++) {
+        await controller.evaluate();
+      }
+      
+      expect(controller.getStats()).toMatchObject({ targetConcurrency: 20, receiveLoops: 3 });
+    });
+    
+    it('should scale down on a high error rate', async () => {
+      setBacklog(100);
+      recordOutcomes(10, { failed: 5 });
+      
+      const adjustment = await controller.evaluate();
+      
+      expect(adjustment).toMatchObject({ targetConcurrency: 4, reason: 'error_rate' });
+      expect(adjustment.metrics.errorRate).toBe(0.5);
+    });
+    
+    it('should scale down on high latency', async () => {
+      setBacklog(100);
+      recordOutcomes(4, { processingTime: 10000 });
+      
+      const adjustment = await controller.evaluate();
+      
+      expect(adjustment).toMatchObject({ targetConcurrency: 4, reason: 'latency' });
+    });
+    
+    it('should scale down on event-loop lag', async () => {
+      setBacklog(100);
+      controller._collectMetrics = jest.fn().mockResolvedValue({
+        processed: 0,
+        averageLatencyMs: 0,
+        errorRate: 0,
+        backlog: 100,
+        eventLoopLagMs: 500
+      });
+      
+      const adjustment = await controller.evaluate();
+      
+      expect(adjustment).toMatchObject({ targetConcurrency: 4, reason: 'event_loop_lag' });
+    });
+    
+    it('should not go below minConcurrency when idle', async () => {
+      setBacklog(0);
+      
+      for (let i = 0; i < 10; i++) {
+        await controller.evaluate();
+      }
+      
+      expect(controller.getStats()).toMatchObject({ targetConcurrency: 2, receiveLoops: 1 });
+      expect(controller.getStats().lastAdjustment.reason).toBe('idle');
+    });
+    
+    it('should keep the target when the backlog cannot be read', async () => {
+      mockSQSClient.executeCommand.mockRejectedValue(new Error('Access denied'));
+      const onError = jest.fn();
+      controller.on('error', onError);
+      recordOutcomes(4);
+      
+      await expect(controller.evaluate()).resolves.toBeNull();
+      expect(controller.getStats().lastMetrics.backlog).toBeNull();
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Access denied' }), {
+        queueUrl: controller.queueUrl,
+        operation: 'read_backlog'
+      });
+    });
+    
+    it('should ignore skipped and nacked messages', async () => {
+      setBacklog(8);
+      controller.record({ outcomes: [{ success: false, skipped: true }, { success: false, nacked: true }] });
+      
+      await controller.evaluate();
+      
+      expect(controller.getStats().lastMetrics.processed).toBe(0);
+    });
+  });
+});
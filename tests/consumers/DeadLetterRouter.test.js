@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Tests for DeadLetterRouter
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const DeadLetterRouter = require('../../src/consumers/DeadLetterRouter');
+const { SendMessageCommand } = require('@aws-sdk/client-sqs');
+
+describe('DeadLetterRouter', () => {
+  let mockSQSClient;
+  let router;
+
+  const createMessage = (receiveCount, extra = {}) => ({
+    MessageId: 'id-1',
+    ReceiptHandle: 'handle-1',
+    Body: '{not json',
+    Attributes: {
+      ApproximateReceiveCount: String(receiveCount),
+      ApproximateFirstReceiveTimestamp: '1700000000000'
+    },
+    ...extra
+  });
+
+  beforeEach(() => {
+    mockSQSClient = {
+      executeCommand: jest.fn().mockResolvedValue({ MessageId: 'dlq-msg-1' })
+    };
+    SendMessageCommand.mockClear();
+    
+    router = new DeadLetterRouter(mockSQSClient, 'source-queue', {
+      queueUrl: 'dead-letter-queue',
+      maxReceiveCount: 3
+    });
+  });
+
+  describe('constructor', () => {
+    it('should require a dead-letter queue URL', () => {
+      expect(() => new DeadLetterRouter(mockSQSClient, 'source-queue', {})).toThrow('Dead-letter queue URL is required');
+    });
+    
+    it('should expose its configuration', () => {
+      expect(router.getConfig()).toEqual({ queueUrl: 'dead-letter-queue', maxReceiveCount: 3 });
+    });
+  });
+
+  describe('hasExceededReceiveCount', () => {
+    it('should compare the receive count with maxReceiveCount', () => {
+      expect(router.hasExceededReceiveCount(createMessage(3))).toBe(false);
+      expect(router.hasExceededReceiveCount(createMessage(4))).toBe(true);
+    });
+    
+    it('should never be exceeded without maxReceiveCount', () => {
+      const poisonOnly = new DeadLetterRouter(mockSQSClient, 'source-queue', { queueUrl: 'dead-letter-queue' });
+      
+      expect(poisonOnly.hasExceededReceiveCount(createMessage(100))).toBe(false);
+    });
+  });
+
+  describe('shouldDeadLetter', () => {
+    it('should dead-letter poison failures regardless of receive count', () => {
+      expect(router.shouldDeadLetter(createMessage(1), { success: false, poison: true })).toBe(true);
+    });
+    
+    it('should dead-letter failures on the last allowed receive', () => {
+      expect(router.shouldDeadLetter(createMessage(2), { success: false })).toBe(false);
+      expect(router.shouldDeadLetter(createMessage(3), { success: false })).toBe(true);
+    });
+    
+    it('should not dead-letter successful, skipped or nacked messages', () => {
+      expect(router.shouldDeadLetter(createMessage(3), { success: true })).toBe(false);
+      expect(router.shouldDeadLetter(createMessage(3), { success: false, skipped: true })).toBe(false);
+      expect(router.shouldDeadLetter(createMessage(3), { success: false, nacked: true })).toBe(false);
+    });
+  });
+
+  describe('route', () => {
+    it('should forward the original body with failure attributes', async () => {
+      const message = createMessage(3, {
+        MessageAttributes: { tenant: { DataType: 'String', StringValue: 'acme' } }
+      });
+      
+      const result = await router.route(message, { error: 'Failed to parse', errorClass: 'MessageDecodeError' });
+      const params = SendMessageCommand.mock.calls[0][0];
+      
+      expect(result.success).toBe(true);
+      expect(params.QueueUrl).toBe('dead-letter-queue');
+      expect(params.MessageBody).toBe('{not json');
+      expect(params.MessageAttributes).toEqual({
+        'boxq-source-queue': { DataType: 'String', StringValue: 'source-queue' },
+        'boxq-error-message': { DataType: 'String', StringValue: 'Failed to parse' },
+        'boxq-error-class': { DataType: 'String', StringValue: 'MessageDecodeError' },
+        'boxq-receive-count': { DataType: 'Number', StringValue: '3' },
+        'boxq-first-seen': { DataType: 'String', StringValue: '2023-11-14T22:13:20.000Z' },
+        tenant: { DataType: 'String', StringValue: 'acme' }
+      });
+      expect(router.getStats()).toEqual({ routed: 1, failed: 0 });
+    });
+    
+    it('should keep the attributes needed to read the body ahead of the failure attributes', async () => {
+      const string = (value) => ({ DataType: 'String', StringValue: value });
+      const message = createMessage(3, {
+        MessageAttributes: {
+          tenant: string('acme'),
+          'content-type': string('application/json'),
+          'content-encoding': string('gzip'),
+          'boxq-encryption-key-id': string('key-1'),
+          'boxq-encrypted-data-key': string('d2stMQ=='),
+          'ce-specversion': string('1.0'),
+          'ce-id': string('e-1'),
+          'ce-source': string('/orders'),
+          'ce-type': string('order.created'),
+          signature: { DataType: 'Binary', BinaryValue: Buffer.from('sig') }
+        }
+      });
+      
+      await router.route(message, { error: 'Failed to parse', errorClass: 'MessageDecodeError' });
+      
+      const attributes = SendMessageCommand.mock.calls[0][0].MessageAttributes;
+      expect(Object.keys(attributes)).toEqual([
+        'content-type',
+        'content-encoding',
+        'boxq-encryption-key-id',
+        'boxq-encrypted-data-key',
+        'ce-specversion',
+        'ce-id',
+        'ce-source',
+        'ce-type',
+        'boxq-source-queue',
+        'boxq-error-message'
+      ]);
+      expect(attributes['boxq-encrypted-data-key']).toEqual(string('d2stMQ=='));
+    });
+    
+    it('should keep binary attributes while they fit', async () => {
+      const signature = { DataType: 'Binary', BinaryValue: Buffer.from('sig') };
+      
+      await router.route(createMessage(1, { MessageAttributes: { signature } }), { error: 'boom' });
+      
+      expect(SendMessageCommand.mock.calls[0][0].MessageAttributes.signature).toEqual(signature);
+    });
+    
+    it('should fail instead of forwarding a message that could not be read', async () => {
+      const MessageAttributes = Object.fromEntries(Array.from({ length: 11 }, (_, index) => [
+        `ce-extension${index}`,
+        { DataType: 'String', StringValue: 'x' }
+      ]));
+      
+      const result = await router.route(createMessage(1, { MessageAttributes }), { error: 'boom' });
+      
+      expect(result).toEqual({
+        success: false,
+        error: 'Message id-1 has more than 10 attributes needed to read its body and cannot be dead-lettered readably'
+      });
+      expect(mockSQSClient.executeCommand).not.toHaveBeenCalled();
+      expect(router.getStats()).toEqual({ routed: 0, failed: 1 });
+    });
+    
+    it('should truncate long error messages', async () => {
+      await router.route(createMessage(1), { error: 'x'.repeat(5000) });
+      
+      const attributes = SendMessageCommand.mock.calls[0][0].MessageAttributes;
+      expect(attributes['boxq-error-message'].StringValue).toHaveLength(1024);
+      expect(attributes['boxq-error-class'].StringValue).toBe('Error');
+    });
+    
+    it('should attach validation errors as JSON', async () => {
+      const validationErrors = [{ path: 'orderId', message: 'is required' }];
+      
+      await router.route(createMessage(1), { error: 'invalid', errorClass: 'MessageValidationError', validationErrors });
+      await router.route(createMessage(1), {
+        error: 'invalid',
+        validationErrors: Array.from({ length: 200 }, (_, index) => ({ path: `items[${index}]`, message: 'is required' }))
+      });
+      
+      const first = SendMessageCommand.mock.calls[0][0].MessageAttributes['boxq-validation-errors'];
+      const truncated = JSON.parse(SendMessageCommand.mock.calls[1][0].MessageAttributes['boxq-validation-errors']
+        .StringValue);
+      expect(JSON.parse(first.StringValue)).toEqual(validationErrors);
+      expect(truncated.length).toBeLessThan(200);
+      expect(truncated[0]).toEqual({ path: 'items[0]', message: 'is required' });
+    });
+    
+    it('should keep the message group and deduplicate on the original message ID for FIFO queues', async () => {
+      const fifoRouter = new DeadLetterRouter(mockSQSClient, 'source-queue.fifo', { queueUrl: 'dead-letter-queue.fifo' });
+      const message = createMessage(1, {
+        Attributes: { ApproximateReceiveCount: '1', MessageGroupId: 'order-1' }
+      });
+      
+      await fifoRouter.route(message, { error: 'boom' });
+      
+      const params = SendMessageCommand.mock.calls[0][0];
+      expect(params.MessageGroupId).toBe('order-1');
+      expect(params.MessageDeduplicationId).toBe('id-1');
+    });
+    
+    it('should count failed forwards', async () => {
+      mockSQSClient.executeCommand.mockRejectedValue(new Error('Access denied'));
+      
+      const result = await router.route(createMessage(1), { error: 'boom' });
+      
+      expect(result.success).toBe(false);
+      expect(router.getStats()).toEqual({ routed: 0, failed: 1 });
+      
+      router.resetStats();
+      expect(router.getStats()).toEqual({ routed: 0, failed: 0 });
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Tests for IdempotencyGuard
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const IdempotencyGuard = require('../../src/consumers/IdempotencyGuard');
+const MemoryIdempotencyStore = require('../../src/stores/MemoryIdempotencyStore');
+
+describe('IdempotencyGuard', () => {
+  let store;
+  let guard;
+  
+  const createContext = (messageId, overrides = {}) => ({
+    messageId,
+    messageDeduplicationId: `dedup-${messageId}`,
+    nack: jest.fn(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    store = new MemoryIdempotencyStore();
+    guard = new IdempotencyGuard({ store, ttlSeconds: 60, inProgressTtlSeconds: 30 });
+  });
+
+  describe('constructor', () => {
+    it('should validate the store and key', () => {
+      expect(() => new IdempotencyGuard({ store: { claim: jest.fn() } }))
+        .toThrow('Idempotency store must implement claim, complete and release');
+      expect(() => new IdempotencyGuard({ key: 'body' }))
+        .toThrow('Idempotency key must be one of messageId, deduplicationId or a function');
+    });
+  });
+
+  describe('middleware', () => {
+    it('should run the handler once and skip later deliveries of the key', async () => {
+      const next = jest.fn().mockResolvedValue('done');
+      
+      await expect(guard.middleware({}, createContext('m1'), next)).resolves.toBe('done');
+      
+      const duplicate = createContext('m1');
+      await expect(guard.middleware({}, duplicate, next)).resolves.toBeUndefined();
+      
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(duplicate.duplicate).toBe(true);
+      expect(duplicate.nack).not.toHaveBeenCalled();
+      expect(guard.getStats()).toMatchObject({ claimed: 1, completed: 1, duplicates: 1 });
+    });
+    
+    it('should nack a delivery whose key is being processed until the claim expires', async () => {
+      let finish;
+      const first = guard.middleware({}, createContext('m1'), () => new Promise(resolve => {
+        finish = resolve;
+      }));
+      
+      const concurrent = createContext('m1');
+      const next = jest.fn();
+      await guard.middleware({}, concurrent, next);
+      
+      expect(next).not.toHaveBeenCalled();
+      expect(concurrent.nack).toHaveBeenCalledWith(30);
+      expect(guard.getStats().inProgress).toBe(1);
+      
+      finish();
+      await first;
+    });
+    
+    it('should use the configured in-progress delay', async () => {
+      guard = new IdempotencyGuard({ store, inProgressDelaySeconds: 5 });
+      await store.claim('m1', 30000);
+      const context = createContext('m1');
+      
+      await guard.middleware({}, context, jest.fn());
+      
+      expect(context.nack).toHaveBeenCalledWith(5);
+    });
+    
+    it('should release the claim when the handler fails or nacks', async () => {
+      await expect(guard.middleware({}, createContext('m1'), () => Promise.reject(new Error('boom'))))
+        .rejects.toThrow('boom');
+      
+      const nacked = createContext('m2');
+      const nack = nacked.nack;
+      await guard.middleware({}, nacked, async () => nacked.nack(10));
+      
+      expect(nack).toHaveBeenCalledWith(10);
+      expect(await store.get('m1')).toBeNull();
+      expect(await store.get('m2')).toBeNull();
+      expect(guard.getStats()).toMatchObject({ claimed: 2, released: 2, completed: 0 });
+    });
+    
+    it('should take keys from the deduplication ID or a function, with a namespace', async () => {
+      const byDeduplicationId = new IdempotencyGuard({ store, key: 'deduplicationId', namespace: 'orders:' });
+      const byBody = new IdempotencyGuard({ store, key: (message) => message.orderId });
+      const context = createContext('m1');
+      
+      await byDeduplicationId.middleware({}, context, jest.fn());
+      await byBody.middleware({ orderId: 'ord-1' }, createContext('m2'), jest.fn());
+      
+      expect(context.idempotencyKey).toBe('orders:dedup-m1');
+      expect(await store.get('orders:dedup-m1')).not.toBeNull();
+      expect(await store.get('ord-1')).not.toBeNull();
+    });
+    
+    it('should process messages without a key unguarded', async () => {
+      const byBody = new IdempotencyGuard({ store, key: (message) => message.orderId });
+      const next = jest.fn();
+      
+      await byBody.middleware({}, createContext('m1'), next);
+      await byBody.middleware({}, createContext('m1'), next);
+      
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(byBody.getStats().unkeyed).toBe(2);
+    });
+    
+    it('should fail the message when the claim fails and only report failed completions', async () => {
+      const onError = jest.fn();
+      const failing = {
+        claim: jest.fn().mockRejectedValueOnce(new Error('store down')).mockResolvedValue({ claimed: true, token: 't' }),
+        complete: jest.fn().mockRejectedValue(new Error('store down')),
+        release: jest.fn()
+      };
+      guard = new IdempotencyGuard({ store: failing, onError });
+      
+      await expect(guard.middleware({}, createContext('m1'), jest.fn())).rejects.toThrow('store down');
+      await expect(guard.middleware({}, createContext('m1'), jest.fn().mockResolvedValue('done'))).resolves.toBe('done');
+      
+      expect(guard.getStats().storeErrors).toBe(2);
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'store down' }), {
+        operation: 'complete_idempotency_key',
+        idempotencyKey: 'm1'
+      });
+    });
+  });
+});
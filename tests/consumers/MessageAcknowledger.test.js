@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Tests for MessageAcknowledger
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const MessageAcknowledger = require('../../src/consumers/MessageAcknowledger');
+const { DeleteMessageBatchCommand, ChangeMessageVisibilityBatchCommand } = require('@aws-sdk/client-sqs');
+
+describe('MessageAcknowledger', () => {
+  let mockSQSClient;
+  let acknowledger;
+
+  const createMessages = (count) => Array.from({ length: count }, (_, index) => ({
+    MessageId: `id-${index}`,
+    ReceiptHandle: `handle-${index}`
+  }));
+
+  beforeEach(() => {
+    mockSQSClient = {
+      executeCommand: jest.fn()
+    };
+    DeleteMessageBatchCommand.mockClear();
+    ChangeMessageVisibilityBatchCommand.mockClear();
+    
+    acknowledger = new MessageAcknowledger(mockSQSClient, 'test-queue');
+  });
+
+  describe('deleteMessages', () => {
+    it('should delete messages in chunks of 10', async () => {
+      mockSQSClient.executeCommand.mockImplementation(async () => ({
+        Successful: DeleteMessageBatchCommand.mock.calls.slice(-1)[0][0].Entries.map(entry => ({ Id: entry.Id }))
+      }));
+      
+      const report = await acknowledger.deleteMessages(createMessages(23));
+      
+      expect(mockSQSClient.executeCommand).toHaveBeenCalledTimes(3);
+      expect(DeleteMessageBatchCommand.mock.calls.map(call => call[0].Entries.length)).toEqual([10, 10, 3]);
+      expect(DeleteMessageBatchCommand.mock.calls[0][0].QueueUrl).toBe('test-queue');
+      expect(report.succeeded).toHaveLength(23);
+      expect(report.failed).toHaveLength(0);
+    });
+    
+    it('should report per-entry failures', async () => {
+      mockSQSClient.executeCommand.mockResolvedValue({
+        Successful: [{ Id: 'msg-1' }],
+        Failed: [{ Id: 'msg-0', Code: 'ReceiptHandleIsInvalid', Message: 'Invalid', SenderFault: true }]
+      });
+      
+      const report = await acknowledger.deleteMessages(createMessages(2));
+      
+      expect(report.succeeded).toEqual(['id-1']);
+      expect(report.failed).toEqual([expect.objectContaining({
+        messageId: 'id-0',
+        receiptHandle: 'handle-0',
+        code: 'ReceiptHandleIsInvalid',
+        error: 'Invalid',
+        senderFault: true
+      })]);
+    });
+    
+    it('should mark a whole chunk as failed when the request fails', async () => {
+      mockSQSClient.executeCommand
+        .mockRejectedValueOnce(new Error('Network down'))
+        .mockResolvedValueOnce({ Successful: [{ Id: 'msg-0' }] });
+      
+      const report = await acknowledger.deleteMessages(createMessages(11));
+      
+      expect(report.failed).toHaveLength(10);
+      expect(report.failed[0].error).toBe('Network down');
+      expect(report.succeeded).toEqual(['id-10']);
+    });
+  });
+
+  describe('changeVisibility', () => {
+    it('should accept a per-message visibility timeout', async () => {
+      mockSQSClient.executeCommand.mockResolvedValue({});
+      
+      await acknowledger.changeVisibility(createMessages(2), message => (message.MessageId === 'id-0' ? 5 : 10));
+      
+      expect(ChangeMessageVisibilityBatchCommand.mock.calls[0][0].Entries).toEqual([
+        { Id: 'msg-0', ReceiptHandle: 'handle-0', VisibilityTimeout: 5 },
+        { Id: 'msg-1', ReceiptHandle: 'handle-1', VisibilityTimeout: 10 }
+      ]);
+    });
+    
+    it('should release messages with a zero visibility timeout', async () => {
+      mockSQSClient.executeCommand.mockResolvedValue({});
+      
+      await acknowledger.releaseMessages(createMessages(1));
+      
+      expect(ChangeMessageVisibilityBatchCommand.mock.calls[0][0].Entries[0].VisibilityTimeout).toBe(0);
+    });
+  });
+});
@@ -5,8 +5,17 @@
  */
 
 const MessageConsumer = require('../../src/consumers/MessageConsumer');
-const { ReceiveMessageCommand, DeleteMessageCommand } = require('@aws-sdk/client-sqs');
-const { ProcessingMode } = require('../../src/types');
+const {
+  ReceiveMessageCommand,
+  DeleteMessageBatchCommand,
+  ChangeMessageVisibilityBatchCommand,
+  SendMessageCommand
+} = require('@aws-sdk/client-sqs');
+const CircuitBreaker = require('../../src/core/CircuitBreaker');
+const MemoryScheduleStore = require('../../src/stores/MemoryScheduleStore');
+const LocalKeyring = require('../../src/stores/LocalKeyring');
+const EnvelopeEncryptor = require('../../src/utils/EnvelopeEncryptor');
+const { ProcessingMode, ConsumerStatus, PauseReason } = require('../../src/types');
 
 describe('MessageConsumer', () => {
   let mockSQSClient;
@@ -24,6 +33,10 @@ describe('MessageConsumer', () => {
     });
   });
 
+  afterEach(async () => {
+    await consumer.stop({ drainTimeoutMs: 0 });
+  });
+
   describe('constructor', () => {
     it('should create consumer with configuration', () => {
       expect(consumer.sqsClient).toBe(mockSQSClient);
@@ -32,7 +45,7 @@ describe('MessageConsumer', () => {
       expect(consumer.options.batchSize).toBe(5);
       expect(consumer.options.maxMessages).toBe(10);
     });
-
+    
     it('should create consumer with default options', () => {
       const defaultConsumer = new MessageConsumer(mockSQSClient, 'test-queue');
       
@@ -43,6 +56,80 @@ describe('MessageConsumer', () => {
     });
   });
 
+  describe('heartbeat', () => {
+    it('should not create a heartbeat by default', () => {
+      expect(consumer.heartbeat).toBeNull();
+      expect(consumer.getStats().heartbeat).toBeUndefined();
+    });
+    
+    it('should wire a heartbeat into the processing engine', () => {
+      const onLeaseLost = jest.fn();
+      const heartbeatConsumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        visibilityTimeoutSeconds: 60,
+        heartbeat: { onLeaseLost }
+      });
+      
+      expect(heartbeatConsumer.processingEngine.heartbeat).toBe(heartbeatConsumer.heartbeat);
+      heartbeatConsumer.heartbeat.onLeaseLost(new Error('Gone'), { messageId: 'm1' });
+      expect(onLeaseLost).toHaveBeenCalledWith(new Error('Gone'), { messageId: 'm1' });
+      expect(heartbeatConsumer.getConfig().heartbeat.extensionSeconds).toBe(60);
+      expect(heartbeatConsumer.getStats().heartbeat).toMatchObject({ extensions: 0, leasesLost: 0, active: 0 });
+    });
+    
+    it('should stop extending leases when the consumer stops', async () => {
+      const heartbeatConsumer = new MessageConsumer(mockSQSClient, 'test-queue', { heartbeat: true });
+      const stopAll = jest.spyOn(heartbeatConsumer.heartbeat, 'stopAll');
+      
+      await heartbeatConsumer.stop();
+      
+      expect(stopAll).toHaveBeenCalled();
+    });
+    
+    it('should emit failed extensions as error events and still call the callbacks', async () => {
+      jest.useFakeTimers();
+      const onError = jest.fn();
+      const onLeaseLost = jest.fn();
+      const heartbeatConsumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        heartbeat: { intervalSeconds: 1, onError, onLeaseLost }
+      });
+      const errors = [];
+      heartbeatConsumer.on('error', (error, context) => errors.push(context));
+      mockSQSClient.executeCommand
+        .mockRejectedValueOnce(Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' }))
+        .mockRejectedValueOnce(Object.assign(new Error('Gone'), { name: 'ReceiptHandleIsInvalid' }));
+      
+      heartbeatConsumer.heartbeat.track({ MessageId: 'm1', ReceiptHandle: 'handle-m1' });
+      await jest.advanceTimersByTimeAsync(2000);
+      jest.useRealTimers();
+      
+      expect(errors).toEqual([
+        { queueUrl: 'test-queue', operation: 'heartbeat', messageId: 'm1', leaseLost: false },
+        { queueUrl: 'test-queue', operation: 'heartbeat', messageId: 'm1', leaseLost: true }
+      ]);
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onLeaseLost).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should count the maximum lease from when messages were received', async () => {
+      jest.useFakeTimers();
+      const heartbeatConsumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        heartbeat: { intervalSeconds: 10, maxLeaseSeconds: 30 }
+      });
+      mockSQSClient.executeCommand
+        .mockResolvedValueOnce({ Messages: [{ MessageId: 'm1', ReceiptHandle: 'handle-m1' }] })
+        .mockResolvedValue({});
+      
+      const [message] = await heartbeatConsumer.receiveBatch();
+      await jest.advanceTimersByTimeAsync(25000);
+      heartbeatConsumer.heartbeat.track({ ...message, Body: '{}' });
+      await jest.advanceTimersByTimeAsync(10000);
+      jest.useRealTimers();
+      
+      expect(mockSQSClient.executeCommand).toHaveBeenCalledTimes(1);
+      expect(heartbeatConsumer.getStats().heartbeat).toMatchObject({ extensions: 0, leasesLost: 1 });
+    });
+  });
+
   describe('start', () => {
     it('should start consuming with message handler', async () => {
       const messageHandler = jest.fn();
@@ -54,13 +141,51 @@ describe('MessageConsumer', () => {
       expect(consumer.messageHandler).toBe(messageHandler);
       expect(consumer.isRunning).toBe(true);
     });
-
+    
     it('should throw error for invalid message handler', async () => {
       await expect(consumer.start(null)).rejects.toThrow('Message handler is required and must be a function');
       await expect(consumer.start('string')).rejects.toThrow('Message handler is required and must be a function');
     });
   });
 
+  describe('routing', () => {
+    it('should dispatch to routes when started without a handler', async () => {
+      const created = jest.fn();
+      mockSQSClient.executeCommand.mockResolvedValue({ Messages: [] });
+      
+      await consumer.route('order.created', created).start();
+      await consumer._handleMessages(
+        [{ MessageId: 'msg-1', ReceiptHandle: 'handle-1', Body: JSON.stringify({ type: 'order.created' }) }],
+        consumer.options
+      );
+      
+      expect(created).toHaveBeenCalledWith({ type: 'order.created' }, expect.objectContaining({ route: 'order.created' }));
+      expect(consumer.getStats().routing.routes['order.created']).toMatchObject({ matched: 1, succeeded: 1 });
+    });
+    
+    it('should not accept both a handler and routes', async () => {
+      consumer.route('order.created', jest.fn());
+      
+      await expect(consumer.start(jest.fn())).rejects.toThrow('Pass either a message handler or routes, not both');
+    });
+    
+    it('should not route in batch processing mode', async () => {
+      consumer.setProcessingMode(ProcessingMode.BATCH);
+      consumer.route('order.created', jest.fn());
+      
+      await expect(consumer.start()).rejects.toThrow('Routes cannot be used in batch processing mode');
+    });
+    
+    it('should require a dead-letter queue for the dead_letter unrouted policy', () => {
+      expect(() => new MessageConsumer(mockSQSClient, 'test-queue', { unroutedMessages: 'dead_letter' }))
+        .toThrow('The dead_letter unrouted message policy requires the deadLetter option');
+    });
+    
+    it('should omit routing statistics without routes', () => {
+      expect(consumer.getStats().routing).toBeUndefined();
+    });
+  });
+
   describe('stop', () => {
     it('should stop consuming', () => {
       consumer.isRunning = true;
@@ -68,6 +193,1079 @@ describe('MessageConsumer', () => {
       
       expect(consumer.isRunning).toBe(false);
     });
+    
+    it('should abort the current receive', async () => {
+      let receiveSignal;
+      mockSQSClient.executeCommand.mockImplementation((command, options) => {
+        receiveSignal = options.abortSignal;
+        return new Promise((resolve, reject) => {
+          receiveSignal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+        });
+      });
+      
+      await consumer.start(jest.fn());
+      await new Promise(resolve => setImmediate(resolve));
+      const report = await consumer.stop();
+      
+      expect(receiveSignal.aborted).toBe(true);
+      expect(report).toEqual({ drained: true, unfinished: 0 });
+    });
+    
+    it('should wait for in-flight handlers and flush their deletes', async () => {
+      let finishHandler;
+      const messageHandler = jest.fn(() => new Promise(resolve => {
+        finishHandler = resolve;
+      }));
+      mockSQSClient.executeCommand
+        .mockResolvedValueOnce({ Messages: [{ MessageId: 'msg-1', ReceiptHandle: 'handle-1', Body: '{}' }] })
+        .mockResolvedValue({});
+      
+      await consumer.start(messageHandler);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      
+      const stopping = consumer.stop();
+      finishHandler();
+      const report = await stopping;
+      
+      expect(report).toEqual({ drained: true, unfinished: 0 });
+      expect(mockSQSClient.executeCommand).toHaveBeenCalledWith(expect.any(DeleteMessageBatchCommand));
+    });
+    
+    it('should release unfinished messages after the drain timeout when configured', async () => {
+      ChangeMessageVisibilityBatchCommand.mockClear();
+      mockSQSClient.executeCommand
+        .mockResolvedValueOnce({ Messages: [{ MessageId: 'msg-1', ReceiptHandle: 'handle-1', Body: '{}' }] })
+        .mockResolvedValue({});
+      
+      await consumer.start(() => new Promise(() => {}));
+      await new Promise(resolve => setTimeout(resolve, 10));
+      
+      const report = await consumer.stop({ drainTimeoutMs: 20, unfinishedMessages: 'release' });
+      
+      expect(report).toEqual({ drained: false, unfinished: 1 });
+      expect(ChangeMessageVisibilityBatchCommand.mock.calls[0][0].Entries).toEqual([
+        { Id: 'msg-0', ReceiptHandle: 'handle-1', VisibilityTimeout: 0 }
+      ]);
+    });
+    
+    it('should leave unfinished messages by default', async () => {
+      ChangeMessageVisibilityBatchCommand.mockClear();
+      mockSQSClient.executeCommand
+        .mockResolvedValueOnce({ Messages: [{ MessageId: 'msg-1', ReceiptHandle: 'handle-1', Body: '{}' }] })
+        .mockResolvedValue({});
+      
+      await consumer.start(() => new Promise(() => {}));
+      await new Promise(resolve => setTimeout(resolve, 10));
+      
+      const report = await consumer.stop({ drainTimeoutMs: 20 });
+      
+      expect(report).toEqual({ drained: false, unfinished: 1 });
+      expect(ChangeMessageVisibilityBatchCommand).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('autoscaling', () => {
+    const messages = Array.from({ length: 20 }, (_, index) => ({
+      MessageId: `msg-${index}`,
+      ReceiptHandle: `handle-${index}`,
+      Body: JSON.stringify({ id: index })
+    }));
+    
+    const countConcurrentHandlers = async () => {
+      let running = 0;
+      let peak = 0;
+      await consumer.processBatch(messages, async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+      });
+      return peak;
+    };
+    
+    it('should run as many handlers at once as the current target', async () => {
+      mockSQSClient.executeCommand.mockResolvedValue({ Successful: [] });
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        batchSize: 5,
+        maxConcurrency: 5,
+        autoscaling: { minConcurrency: 3, maxConcurrency: 30 }
+      });
+      
+      expect(consumer.getProcessingMode()).toBe(ProcessingMode.PARALLEL);
+      expect(await countConcurrentHandlers()).toBe(3);
+      
+      consumer.concurrencyController.emit('adjusted', { targetConcurrency: 12, receiveLoops: 2 });
+      expect(await countConcurrentHandlers()).toBe(12);
+      expect(consumer.getStats().autoscaling).toMatchObject({ targetConcurrency: 3, maxConcurrency: 30 });
+    });
+    
+    it('should emit every adjustment with its reason', () => {
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', { autoscaling: { maxConcurrency: 40 } });
+      const adjusted = jest.fn();
+      consumer.on('concurrency_adjusted', adjusted);
+      
+      consumer.concurrencyController.emit('adjusted', {
+        previousConcurrency: 1,
+        targetConcurrency: 6,
+        previousReceiveLoops: 1,
+        receiveLoops: 1,
+        reason: 'backlog'
+      });
+      
+      expect(adjusted).toHaveBeenCalledWith(expect.objectContaining({
+        queueUrl: 'test-queue',
+        previousConcurrency: 1,
+        targetConcurrency: 6,
+        reason: 'backlog'
+      }));
+      expect(consumer.processingEngine.getConfig().maxConcurrency).toBe(6);
+    });
+    
+    it('should not autoscale sequential consumers', () => {
+      expect(() => new MessageConsumer(mockSQSClient, 'test-queue', {
+        processingMode: ProcessingMode.SEQUENTIAL,
+        autoscaling: true
+      })).toThrow('Autoscaling requires the parallel, grouped or batch processing mode');
+    });
+    
+    it('should start and stop receive loops as the target changes', async () => {
+      mockSQSClient.executeCommand.mockResolvedValue({ Messages: [] });
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        maxMessages: 10,
+        pollingInterval: 5,
+        autoscaling: { maxConcurrency: 40 }
+      });
+      
+      await consumer.start(jest.fn());
+      expect(consumer.loops.size).toBe(1);
+      
+      consumer.concurrencyController.emit('adjusted', { targetConcurrency: 25, receiveLoops: 3 });
+      expect(consumer.loops.size).toBe(3);
+      
+      consumer.concurrencyController.emit('adjusted', { targetConcurrency: 5, receiveLoops: 1 });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(consumer.loops.size).toBe(1);
+    });
+  });
+
+  describe('pause and resume', () => {
+    const message = { MessageId: 'msg-1', ReceiptHandle: 'handle-1', Body: '{"id":1}' };
+    
+    beforeEach(() => {
+      ReceiveMessageCommand.mockClear();
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', { pollingInterval: 5 });
+    });
+    
+    it('should stop receiving while paused and keep the handler for resume', async () => {
+      mockSQSClient.executeCommand.mockResolvedValue({ Messages: [] });
+      const handler = jest.fn();
+      
+      await consumer.start(handler);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      
+      expect(consumer.pause()).toBe(true);
+      expect(consumer.getStatus()).toBe(ConsumerStatus.PAUSED);
+      expect(consumer.pauseState.reason).toBe(PauseReason.MANUAL);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      
+      const receivesWhilePaused = ReceiveMessageCommand.mock.calls.length;
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(ReceiveMessageCommand.mock.calls.length).toBe(receivesWhilePaused);
+      expect(consumer.loops.size).toBe(0);
+      
+      mockSQSClient.executeCommand.mockResolvedValueOnce({ Messages: [message] });
+      expect(consumer.resume()).toBe(true);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      
+      expect(consumer.getStatus()).toBe(ConsumerStatus.RUNNING);
+      expect(handler).toHaveBeenCalledWith({ id: 1 }, expect.any(Object));
+    });
+    
+    it('should let in-flight handlers finish and delete their messages', async () => {
+      let finish;
+      mockSQSClient.executeCommand
+        .mockResolvedValueOnce({ Messages: [message] })
+        .mockResolvedValue({ Successful: [{ Id: 'msg-0' }] });
+      
+      await consumer.start(() => new Promise(resolve => {
+        finish = resolve;
+      }));
+      await new Promise(resolve => setImmediate(resolve));
+      
+      consumer.pause();
+      finish();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      
+      expect(consumer.getStats().acknowledgements.deleted).toBe(1);
+      expect(consumer.inFlightMessages.size).toBe(0);
+    });
+    
+    it('should only pause a running consumer and only resume a paused one', async () => {
+      expect(consumer.pause()).toBe(false);
+      expect(consumer.getStatus()).toBe(ConsumerStatus.STOPPED);
+      
+      mockSQSClient.executeCommand.mockResolvedValue({ Messages: [] });
+      await consumer.start(jest.fn());
+      
+      expect(consumer.resume()).toBe(false);
+      expect(consumer.pause()).toBe(true);
+      expect(consumer.pause()).toBe(false);
+      
+      await consumer.stop({ drainTimeoutMs: 0 });
+      expect(consumer.getStatus()).toBe(ConsumerStatus.STOPPED);
+      expect(consumer.isConsumerPaused()).toBe(false);
+    });
+    
+    describe('pauseOnCircuitOpen', () => {
+      beforeEach(() => {
+        mockSQSClient.circuitBreaker = new CircuitBreaker({ failureThreshold: 1, timeout: 20 });
+        mockSQSClient.executeCommand.mockResolvedValue({ Messages: [] });
+        consumer = new MessageConsumer(mockSQSClient, 'test-queue', { pollingInterval: 5, pauseOnCircuitOpen: true });
+      });
+      
+      it('should pause when the circuit opens and resume once it lets requests through', async () => {
+        await consumer.start(jest.fn());
+        
+        mockSQSClient.circuitBreaker.recordFailure();
+        
+        expect(consumer.getStatus()).toBe(ConsumerStatus.PAUSED);
+        expect(consumer.pauseState.reason).toBe(PauseReason.CIRCUIT_BREAKER);
+        
+        await new Promise(resolve => setTimeout(resolve, 40));
+        
+        expect(mockSQSClient.circuitBreaker.getState()).toBe('HALF_OPEN');
+        expect(consumer.getStatus()).toBe(ConsumerStatus.RUNNING);
+      });
+      
+      it('should start paused when the circuit is already open', async () => {
+        mockSQSClient.circuitBreaker.recordFailure();
+        
+        await consumer.start(jest.fn());
+        
+        expect(consumer.getStatus()).toBe(ConsumerStatus.PAUSED);
+      });
+      
+      it('should not resume a manual pause when the circuit closes', async () => {
+        await consumer.start(jest.fn());
+        consumer.pause();
+        
+        mockSQSClient.circuitBreaker.recordFailure();
+        mockSQSClient.circuitBreaker.reset();
+        
+        expect(consumer.pauseState.reason).toBe(PauseReason.MANUAL);
+      });
+      
+      it('should unsubscribe from the circuit breaker on stop', async () => {
+        await consumer.start(jest.fn());
+        await consumer.stop({ drainTimeoutMs: 0 });
+        
+        expect(mockSQSClient.circuitBreaker.listenerCount('stateChange')).toBe(0);
+      });
+    });
+  });
+
+  describe('rateLimit', () => {
+    beforeEach(() => {
+      ReceiveMessageCommand.mockClear();
+      ChangeMessageVisibilityBatchCommand.mockClear();
+    });
+    
+    it('should receive no more messages than there are tokens and wait while there are none', async () => {
+      mockSQSClient.executeCommand.mockImplementation(async (command) => (
+        command instanceof ReceiveMessageCommand
+          ? {
+            Messages: Array.from({ length: ReceiveMessageCommand.mock.calls.slice(-1)[0][0].MaxNumberOfMessages },
+              (_, index) => ({ MessageId: `msg-${index}`, ReceiptHandle: `handle-${index}`, Body: '{}' }))
+          }
+          : { Successful: [] }
+      ));
+      const handler = jest.fn();
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        maxMessages: 10,
+        rateLimit: { messagesPerSecond: 20, burst: 3 }
+      });
+      
+      const startedAt = Date.now();
+      await consumer.start(handler);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      await consumer.stop({ drainTimeoutMs: 0 });
+      const elapsedMs = Date.now() - startedAt;
+      
+      const requested = ReceiveMessageCommand.mock.calls.map(call => call[0].MaxNumberOfMessages);
+      expect(requested[0]).toBe(3);
+      expect(requested.slice(1).every(count => count === 1)).toBe(true);
+      expect(handler.mock.calls.length).toBeLessThanOrEqual(3 + Math.ceil(elapsedMs * 20 / 1000));
+      expect(consumer.getStats().rateLimit.waits).toBeGreaterThan(0);
+    });
+    
+    it('should return unused tokens when fewer messages are received', async () => {
+      mockSQSClient.executeCommand.mockResolvedValue({ Messages: [] });
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        pollingInterval: 5,
+        rateLimit: { messagesPerSecond: 1, burst: 5 }
+      });
+      
+      await consumer.start(jest.fn());
+      await new Promise(resolve => setTimeout(resolve, 20));
+      
+      expect(ReceiveMessageCommand.mock.calls.map(call => call[0].MaxNumberOfMessages).slice(0, 2)).toEqual([5, 5]);
+    });
+    
+    it('should defer messages over their key limit until a token is due', async () => {
+      mockSQSClient.executeCommand
+        .mockResolvedValueOnce({
+          Messages: ['a', 'a', 'b'].map((tenant, index) => ({
+            MessageId: `msg-${index}`,
+            ReceiptHandle: `handle-${index}`,
+            Body: JSON.stringify({ tenant })
+          }))
+        })
+        .mockResolvedValue({ Messages: [], Successful: [] });
+      const handler = jest.fn();
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        pollingInterval: 5,
+        rateLimit: { messagesPerSecond: 0.5, key: { bodyField: 'tenant' } }
+      });
+      
+      await consumer.start(handler);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      
+      expect(handler.mock.calls.map(call => call[0])).toEqual([{ tenant: 'a' }, { tenant: 'b' }]);
+      expect(ChangeMessageVisibilityBatchCommand.mock.calls[0][0].Entries).toEqual([
+        { Id: 'msg-0', ReceiptHandle: 'handle-1', VisibilityTimeout: 2 }
+      ]);
+      expect(consumer.getStats().rateLimit).toMatchObject({ allowed: 2, deferred: 1, keys: 2 });
+    });
+  });
+
+  describe('prefetch', () => {
+    const createMessages = (count, offset = 0) => Array.from({ length: count }, (_, index) => ({
+      MessageId: `msg-${offset + index}`,
+      ReceiptHandle: `handle-${offset + index}`,
+      Body: JSON.stringify({ index: offset + index })
+    }));
+    
+    beforeEach(() => {
+      ReceiveMessageCommand.mockClear();
+    });
+    
+    it('should receive with several pollers and process with workers', async () => {
+      let received = 0;
+      mockSQSClient.executeCommand.mockImplementation(async (command) => {
+        if (command instanceof ReceiveMessageCommand && received < 4) {
+          received++;
+          return { Messages: createMessages(2, received * 10) };
+        }
+        return command instanceof ReceiveMessageCommand ? { Messages: [] } : {};
+      });
+      const handler = jest.fn();
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        maxMessages: 2,
+        pollingInterval: 5,
+        prefetch: { pollers: 2, workers: 2 }
+      });
+      
+      await consumer.start(handler);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      
+      expect(consumer.loops.size).toBe(2);
+      expect(handler).toHaveBeenCalledTimes(8);
+      expect(consumer.getStats().prefetch).toMatchObject({ received: 8, dispatched: 8, capacity: 8 });
+    });
+    
+    it('should stop polling while the buffer is full and release buffered messages on stop', async () => {
+      ChangeMessageVisibilityBatchCommand.mockClear();
+      mockSQSClient.executeCommand.mockImplementation(async (command) => (
+        command instanceof ReceiveMessageCommand
+          ? { Messages: createMessages(ReceiveMessageCommand.mock.calls.slice(-1)[0][0].MaxNumberOfMessages) }
+          : {}
+      ));
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        maxMessages: 4,
+        prefetch: { pollers: 1, workers: 1, bufferSize: 6 }
+      });
+      
+      await consumer.start(() => new Promise(() => {}));
+      await new Promise(resolve => setTimeout(resolve, 30));
+      
+      // One batch of 4 is being handled and the buffer holds 6 more, so polling has paused
+      const requested = ReceiveMessageCommand.mock.calls.reduce((sum, call) => sum + call[0].MaxNumberOfMessages, 0);
+      expect(requested).toBe(10);
+      expect(consumer.getStats().prefetch.buffered).toBe(6);
+      
+      await consumer.stop({ drainTimeoutMs: 10 });
+      
+      expect(ChangeMessageVisibilityBatchCommand.mock.calls[0][0].Entries).toHaveLength(6);
+    });
+  });
+
+  describe('events', () => {
+    const messages = [
+      { MessageId: 'msg-1', ReceiptHandle: 'handle-1', Body: '{"id":1}', Attributes: { ApproximateReceiveCount: '2' } },
+      { MessageId: 'msg-2', ReceiptHandle: 'handle-2', Body: '{"id":2}' }
+    ];
+    
+    const record = (emitter, names) => {
+      const events = [];
+      names.forEach(name => emitter.on(name, payload => events.push([name, payload])));
+      return events;
+    };
+    
+    beforeEach(() => {
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', { pollingInterval: 5 });
+    });
+    
+    it('should be an EventEmitter emitting lifecycle events', async () => {
+      const events = record(consumer, ['started', 'paused', 'resumed', 'stopped']);
+      mockSQSClient.executeCommand.mockResolvedValue({ Messages: [] });
+      
+      await consumer.start(jest.fn());
+      consumer.pause();
+      consumer.resume();
+      await consumer.stop({ drainTimeoutMs: 0 });
+      
+      expect(events.map(([name]) => name)).toEqual(['started', 'paused', 'resumed', 'stopped']);
+      expect(events[0][1]).toEqual({ queueUrl: 'test-queue', processingMode: 'sequential', maxMessages: 10 });
+      expect(events[1][1]).toEqual({ queueUrl: 'test-queue', reason: PauseReason.MANUAL });
+      expect(events[2][1]).toMatchObject({ queueUrl: 'test-queue', reason: PauseReason.MANUAL, pausedMs: expect.any(Number) });
+      expect(events[3][1]).toMatchObject({ queueUrl: 'test-queue', unfinished: 0 });
+    });
+    
+    it('should emit receive events with message IDs and timings', async () => {
+      const events = record(consumer, ['message_received', 'empty_receive']);
+      mockSQSClient.executeCommand
+        .mockResolvedValueOnce({ Messages: messages })
+        .mockResolvedValueOnce({});
+      
+      await consumer._receiveMessages(consumer.options);
+      await consumer._receiveMessages(consumer.options);
+      
+      expect(events).toEqual([
+        ['message_received', {
+          queueUrl: 'test-queue',
+          messageId: 'msg-1',
+          receiptHandle: 'handle-1',
+          messageGroupId: undefined,
+          receiveCount: 2,
+          receiveTime: expect.any(Number)
+        }],
+        ['message_received', expect.objectContaining({ messageId: 'msg-2', receiveCount: 1 })],
+        ['empty_receive', { queueUrl: 'test-queue', receiveTime: expect.any(Number) }]
+      ]);
+    });
+    
+    it('should emit processed, failed, deleted and delete_failed events for handled messages', async () => {
+      const events = record(consumer, ['processed', 'failed', 'deleted', 'delete_failed']);
+      consumer.messageHandler = jest.fn(async (body) => {
+        if (body.id === 2) {
+          throw new Error('Handler failed');
+        }
+      });
+      mockSQSClient.executeCommand.mockResolvedValueOnce({ Successful: [{ Id: 'msg-0' }] });
+      
+      await consumer._handleMessages(messages, consumer.options);
+      
+      expect(events.map(([name, payload]) => [name, payload.messageId])).toEqual([
+        ['processed', 'msg-1'],
+        ['failed', 'msg-2'],
+        ['deleted', 'msg-1']
+      ]);
+      expect(events[0][1]).toMatchObject({ queueUrl: 'test-queue', success: true, processingTime: expect.any(Number) });
+      expect(events[1][1]).toMatchObject({ error: 'Handler failed', errorClass: 'Error', poison: false });
+      expect(events[2][1]).toEqual({ queueUrl: 'test-queue', messageId: 'msg-1', deleteTime: expect.any(Number) });
+      
+      consumer.messageHandler = jest.fn();
+      mockSQSClient.executeCommand.mockResolvedValueOnce({
+        Failed: [{ Id: 'msg-0', Code: 'ReceiptHandleIsInvalid', Message: 'Invalid handle' }]
+      });
+      await consumer._handleMessages([messages[0]], consumer.options);
+      
+      expect(events.slice(-1)[0]).toEqual(['delete_failed', {
+        queueUrl: 'test-queue',
+        messageId: 'msg-1',
+        code: 'ReceiptHandleIsInvalid',
+        error: 'Invalid handle',
+        deleteTime: expect.any(Number)
+      }]);
+    });
+    
+    it('should emit error events only while something listens for them', async () => {
+      const onError = jest.fn();
+      mockSQSClient.executeCommand
+        .mockRejectedValueOnce(new Error('Network down'))
+        .mockImplementationOnce(async () => {
+          consumer.on('error', onError);
+          throw new Error('Still down');
+        })
+        .mockResolvedValue({ Messages: [] });
+      
+      await consumer.start(jest.fn());
+      await new Promise(resolve => setTimeout(resolve, 40));
+      
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Still down' }), {
+        queueUrl: 'test-queue',
+        operation: 'receive'
+      });
+    });
+    
+    it('should keep settling messages when a listener throws', async () => {
+      consumer.on('processed', () => {
+        throw new Error('Metrics backend unavailable');
+      });
+      consumer.messageHandler = jest.fn();
+      mockSQSClient.executeCommand.mockResolvedValueOnce({ Successful: [{ Id: 'msg-0' }] });
+      
+      const results = await consumer._handleMessages([messages[0]], consumer.options);
+      
+      expect(results.successful).toBe(1);
+      expect(consumer.getStats().acknowledgements.deleted).toBe(1);
+    });
+    
+    it('should emit errors thrown by listeners as error events', async () => {
+      const onError = jest.fn();
+      consumer.on('error', onError);
+      consumer.on('processed', () => {
+        throw new Error('Metrics backend unavailable');
+      });
+      consumer.messageHandler = jest.fn();
+      mockSQSClient.executeCommand.mockResolvedValueOnce({ Successful: [{ Id: 'msg-0' }] });
+      
+      await consumer._handleMessages([messages[0]], consumer.options);
+      
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Metrics backend unavailable' }), {
+        operation: 'listener',
+        event: 'processed'
+      });
+    });
+  });
+
+  describe('idempotency', () => {
+    const message = { MessageId: 'msg-1', ReceiptHandle: 'handle-1', Body: '{"orderId":"ord-1"}' };
+    
+    beforeEach(() => {
+      DeleteMessageBatchCommand.mockClear();
+      mockSQSClient.executeCommand.mockImplementation(async (command) => {
+        if (command instanceof DeleteMessageBatchCommand) {
+          return { Successful: DeleteMessageBatchCommand.mock.calls.slice(-1)[0][0].Entries.map(e => ({ Id: e.Id })) };
+        }
+        return {};
+      });
+    });
+    
+    it('should skip and delete redeliveries of processed messages', async () => {
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', { idempotency: true });
+      consumer.messageHandler = jest.fn();
+      
+      await consumer._handleMessages([message], consumer.options);
+      const results = await consumer._handleMessages([{ ...message, ReceiptHandle: 'handle-2' }], consumer.options);
+      
+      expect(consumer.messageHandler).toHaveBeenCalledTimes(1);
+      expect(results.outcomes[0]).toMatchObject({ success: true, shortCircuited: true });
+      expect(DeleteMessageBatchCommand).toHaveBeenCalledTimes(2);
+      expect(DeleteMessageBatchCommand.mock.calls[1][0].Entries).toEqual([{ Id: 'msg-0', ReceiptHandle: 'handle-2' }]);
+      expect(consumer.getStats().idempotency).toMatchObject({ claimed: 1, completed: 1, duplicates: 1 });
+    });
+    
+    it('should run before registered middlewares and default the claim TTL to the visibility timeout', async () => {
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        visibilityTimeoutSeconds: 120,
+        idempotency: { key: (body) => body.orderId }
+      });
+      const seen = jest.fn();
+      consumer.use(async (body, context, next) => {
+        seen(context.idempotencyKey);
+        return next();
+      });
+      consumer.messageHandler = jest.fn();
+      
+      await consumer._handleMessages([message], consumer.options);
+      
+      expect(seen).toHaveBeenCalledWith('ord-1');
+      expect(consumer.getConfig().idempotency).toMatchObject({ store: 'MemoryIdempotencyStore', inProgressTtlSeconds: 120 });
+    });
+  });
+
+  describe('scheduled delivery', () => {
+    const scheduledMessage = (id, deliverAt, scheduleId) => ({
+      MessageId: id,
+      ReceiptHandle: `handle-${id}`,
+      Body: '{"type":"reminder"}',
+      MessageAttributes: {
+        'boxq-deliver-at': { DataType: 'Number', StringValue: String(deliverAt) },
+        'boxq-schedule-id': { DataType: 'String', StringValue: scheduleId }
+      }
+    });
+    
+    beforeEach(() => {
+      SendMessageCommand.mockClear();
+      DeleteMessageBatchCommand.mockClear();
+      ChangeMessageVisibilityBatchCommand.mockClear();
+      mockSQSClient.executeCommand.mockImplementation(async (command) => {
+        if (command instanceof DeleteMessageBatchCommand) {
+          return { Successful: DeleteMessageBatchCommand.mock.calls.slice(-1)[0][0].Entries.map(e => ({ Id: e.Id })) };
+        }
+        if (command instanceof ChangeMessageVisibilityBatchCommand) {
+          const entries = ChangeMessageVisibilityBatchCommand.mock.calls.slice(-1)[0][0].Entries;
+          return { Successful: entries.map(e => ({ Id: e.Id })) };
+        }
+        return { MessageId: 'copy-1' };
+      });
+    });
+    
+    it('should requeue messages that are not due and process due ones', async () => {
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', { scheduledDelivery: true });
+      consumer.messageHandler = jest.fn();
+      const later = scheduledMessage('later', Date.now() + 3600 * 1000, 's1');
+      const due = scheduledMessage('due', Date.now() - 1000, 's2');
+      
+      const results = await consumer._handleMessages([later, due], consumer.options);
+      
+      expect(consumer.messageHandler).toHaveBeenCalledTimes(1);
+      expect(results.outcomes.map(outcome => outcome.messageId)).toEqual(['due']);
+      expect(SendMessageCommand.mock.calls[0][0]).toMatchObject({ MessageBody: later.Body, DelaySeconds: 900 });
+      const deleted = DeleteMessageBatchCommand.mock.calls.flatMap(call => call[0].Entries.map(e => e.ReceiptHandle));
+      expect(deleted).toEqual(['handle-later', 'handle-due']);
+      expect(consumer.getStats().scheduledDelivery).toMatchObject({ mode: 'requeue', held: 1, requeued: 1 });
+    });
+    
+    it('should extend the visibility of waiting messages in visibility mode', async () => {
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', { scheduledDelivery: { mode: 'visibility' } });
+      consumer.messageHandler = jest.fn();
+      
+      await consumer._handleMessages([scheduledMessage('later', Date.now() + 7200 * 1000, 's1')], consumer.options);
+      
+      expect(consumer.messageHandler).not.toHaveBeenCalled();
+      expect(SendMessageCommand).not.toHaveBeenCalled();
+      expect(ChangeMessageVisibilityBatchCommand.mock.calls[0][0].Entries[0]).toMatchObject({
+        ReceiptHandle: 'handle-later',
+        VisibilityTimeout: 7200
+      });
+    });
+    
+    it('should delete cancelled messages without processing them', async () => {
+      const store = new MemoryScheduleStore();
+      await store.add({ scheduleId: 's1', queueUrl: 'test-queue', deliverAt: Date.now() });
+      await store.cancel('s1');
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', { scheduledDelivery: { store } });
+      consumer.messageHandler = jest.fn();
+      
+      await consumer._handleMessages([scheduledMessage('cancelled', Date.now(), 's1')], consumer.options);
+      
+      expect(consumer.messageHandler).not.toHaveBeenCalled();
+      expect(DeleteMessageBatchCommand.mock.calls[0][0].Entries[0].ReceiptHandle).toBe('handle-cancelled');
+      expect(await store.get('s1')).toBeNull();
+    });
+    
+    it('should emit schedule store failures as error events', async () => {
+      const store = { get: jest.fn().mockRejectedValue(new Error('Store down')), remove: jest.fn() };
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', { scheduledDelivery: { store } });
+      consumer.messageHandler = jest.fn();
+      const onError = jest.fn();
+      consumer.on('error', onError);
+      
+      await consumer._handleMessages([scheduledMessage('later', Date.now(), 's1')], consumer.options);
+      
+      expect(consumer.messageHandler).not.toHaveBeenCalled();
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Store down' }), {
+        queueUrl: 'test-queue',
+        operation: 'look_up_schedule',
+        scheduleId: 's1'
+      });
+    });
+    
+    it('should process scheduled messages on receipt unless enabled', async () => {
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue');
+      consumer.messageHandler = jest.fn();
+      
+      await consumer._handleMessages([scheduledMessage('later', Date.now() + 3600 * 1000, 's1')], consumer.options);
+      
+      expect(consumer.messageHandler).toHaveBeenCalledTimes(1);
+      expect(consumer.getConfig().scheduledDelivery).toBeNull();
+    });
+  });
+
+  describe('payload offloading', () => {
+    const offloadedMessage = (id, payloadKey, receiveCount = '1') => ({
+      MessageId: id,
+      ReceiptHandle: `handle-${id}`,
+      Body: JSON.stringify({ payloadKey, size: 18 }),
+      Attributes: { ApproximateReceiveCount: receiveCount },
+      MessageAttributes: {
+        'boxq-payload-key': { DataType: 'String', StringValue: payloadKey },
+        'boxq-payload-size': { DataType: 'Number', StringValue: '18' },
+        'content-type': { DataType: 'String', StringValue: 'application/json' }
+      }
+    });
+    
+    let store;
+    
+    beforeEach(() => {
+      SendMessageCommand.mockClear();
+      DeleteMessageBatchCommand.mockClear();
+      mockSQSClient.executeCommand.mockImplementation(async (command) => {
+        if (command instanceof DeleteMessageBatchCommand) {
+          return { Successful: DeleteMessageBatchCommand.mock.calls.slice(-1)[0][0].Entries.map(e => ({ Id: e.Id })) };
+        }
+        return { MessageId: 'forwarded-1' };
+      });
+      store = {
+        put: jest.fn(),
+        get: jest.fn(async (key) => {
+          if (key !== 'boxq/report-1') {
+            throw new Error(`Payload ${key} not found`);
+          }
+          return '{"report":"large"}';
+        }),
+        delete: jest.fn().mockResolvedValue(true)
+      };
+    });
+    
+    it('should hand the fetched payload to the handler and delete it after processing', async () => {
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        payloadOffloading: { store, deleteAfterProcessing: true }
+      });
+      consumer.messageHandler = jest.fn();
+      
+      const results = await consumer._handleMessages([offloadedMessage('m1', 'boxq/report-1')], consumer.options);
+      
+      expect(results.successful).toBe(1);
+      expect(consumer.messageHandler).toHaveBeenCalledWith({ report: 'large' }, expect.anything());
+      expect(DeleteMessageBatchCommand.mock.calls[0][0].Entries[0].ReceiptHandle).toBe('handle-m1');
+      expect(store.delete).toHaveBeenCalledWith('boxq/report-1');
+      expect(consumer.getStats().payloadOffloading).toMatchObject({ fetched: 1, deleted: 1 });
+    });
+    
+    it('should keep payloads unless deleteAfterProcessing is set', async () => {
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', { payloadOffloading: { store } });
+      consumer.messageHandler = jest.fn();
+      
+      await consumer._handleMessages([offloadedMessage('m1', 'boxq/report-1')], consumer.options);
+      
+      expect(consumer.messageHandler).toHaveBeenCalledTimes(1);
+      expect(store.delete).not.toHaveBeenCalled();
+    });
+    
+    it('should fail messages whose payload cannot be fetched without running the handler', async () => {
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', { payloadOffloading: { store } });
+      consumer.messageHandler = jest.fn();
+      const errors = [];
+      consumer.on('error', (error, context) => errors.push({ error, context }));
+      
+      const results = await consumer._handleMessages([
+        offloadedMessage('m1', 'boxq/gone'),
+        offloadedMessage('m2', 'boxq/report-1')
+      ], consumer.options);
+      
+      expect(consumer.messageHandler).toHaveBeenCalledTimes(1);
+      expect(results.failed).toBe(1);
+      expect(results.outcomes.find(outcome => outcome.messageId === 'm1')).toMatchObject({
+        success: false,
+        errorClass: 'PayloadFetchError'
+      });
+      expect(DeleteMessageBatchCommand.mock.calls[0][0].Entries.map(e => e.ReceiptHandle)).toEqual(['handle-m2']);
+      expect(errors[0].context).toMatchObject({ operation: 'fetch_payload', messageId: 'm1' });
+    });
+    
+    it('should dead-letter the pointer of a message whose payload keeps failing to fetch', async () => {
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        payloadOffloading: { store, deleteAfterProcessing: true },
+        deadLetter: { queueUrl: 'dead-letter-queue', maxReceiveCount: 3 }
+      });
+      consumer.messageHandler = jest.fn();
+      const message = offloadedMessage('m1', 'boxq/gone', '3');
+      
+      const results = await consumer._handleMessages([message], consumer.options);
+      
+      expect(results.deadLettered).toBe(1);
+      expect(SendMessageCommand.mock.calls[0][0]).toMatchObject({ QueueUrl: 'dead-letter-queue', MessageBody: message.Body });
+      expect(store.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('encryption', () => {
+    let keyring;
+    let encryptedMessage;
+    
+    beforeEach(async () => {
+      SendMessageCommand.mockClear();
+      DeleteMessageBatchCommand.mockClear();
+      mockSQSClient.executeCommand.mockImplementation(async (command) => {
+        if (command instanceof DeleteMessageBatchCommand) {
+          return { Successful: DeleteMessageBatchCommand.mock.calls.slice(-1)[0][0].Entries.map(e => ({ Id: e.Id })) };
+        }
+        return { MessageId: 'forwarded-1' };
+      });
+      keyring = new LocalKeyring({ keys: { 'customers-1': LocalKeyring.generateKey() } });
+      encryptedMessage = async (id, body) => {
+        const encrypted = await new EnvelopeEncryptor({ keyProvider: keyring }).encrypt(JSON.stringify(body));
+        return {
+          MessageId: id,
+          ReceiptHandle: `handle-${id}`,
+          Body: encrypted.body,
+          Attributes: { ApproximateReceiveCount: '1' },
+          MessageAttributes: {
+            ...encrypted.attributes,
+            'content-type': { DataType: 'String', StringValue: 'application/json' }
+          }
+        };
+      };
+    });
+    
+    it('should hand the decrypted body to the handler', async () => {
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', { encryption: { keyProvider: keyring } });
+      consumer.messageHandler = jest.fn();
+      
+      const results = await consumer._handleMessages([await encryptedMessage('m1', { id: 1 })], consumer.options);
+      
+      expect(results.successful).toBe(1);
+      expect(consumer.messageHandler).toHaveBeenCalledWith({ id: 1 }, expect.anything());
+      expect(consumer.getStats().encryption).toEqual({ encrypted: 0, decrypted: 1, decryptFailed: 0 });
+      expect(consumer.getConfig().encryption).toEqual({ algorithm: 'aes-256-gcm', keyProvider: 'LocalKeyring' });
+    });
+    
+    it('should dead-letter messages that cannot be decrypted on their first delivery', async () => {
+      const message = await encryptedMessage('m1', { id: 1 });
+      keyring.addKey('customers-2', LocalKeyring.generateKey());
+      keyring.setCurrentKey('customers-2');
+      keyring.removeKey('customers-1');
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        encryption: { keyProvider: keyring },
+        deadLetter: { queueUrl: 'dead-letter-queue', maxReceiveCount: 3 }
+      });
+      consumer.messageHandler = jest.fn();
+      const errors = [];
+      consumer.on('error', (error, context) => errors.push({ error, context }));
+      
+      const results = await consumer._handleMessages([message], consumer.options);
+      
+      expect(consumer.messageHandler).not.toHaveBeenCalled();
+      expect(results.outcomes[0]).toMatchObject({
+        success: false,
+        errorClass: 'MessageDecryptionError',
+        error: 'Key customers-1 is not in the keyring',
+        poison: true
+      });
+      expect(results.deadLettered).toBe(1);
+      expect(SendMessageCommand.mock.calls[0][0]).toMatchObject({ QueueUrl: 'dead-letter-queue', MessageBody: message.Body });
+      expect(errors[0].context).toMatchObject({ operation: 'decrypt', messageId: 'm1' });
+    });
+    
+    it('should dead-letter encrypted messages so they can still be decrypted', async () => {
+      const encrypted = await new EnvelopeEncryptor({ keyProvider: keyring }).encrypt('{"id":');
+      const tags = Object.fromEntries(Array.from({ length: 7 }, (_, index) => [
+        `tag-${index}`,
+        { DataType: 'String', StringValue: `value-${index}` }
+      ]));
+      const message = {
+        MessageId: 'm1',
+        ReceiptHandle: 'handle-m1',
+        Body: encrypted.body,
+        Attributes: { ApproximateReceiveCount: '1' },
+        MessageAttributes: {
+          ...tags,
+          ...encrypted.attributes,
+          'content-type': { DataType: 'String', StringValue: 'application/json' }
+        }
+      };
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        encryption: { keyProvider: keyring },
+        deadLetter: { queueUrl: 'dead-letter-queue' }
+      });
+      consumer.messageHandler = jest.fn();
+      
+      const results = await consumer._handleMessages([message], consumer.options);
+      
+      const forwarded = SendMessageCommand.mock.calls[0][0];
+      const decrypted = await new EnvelopeEncryptor({ keyProvider: keyring }).decrypt({
+        Body: forwarded.MessageBody,
+        MessageAttributes: forwarded.MessageAttributes
+      });
+      expect(results.outcomes[0]).toMatchObject({ errorClass: 'MessageDecodeError', deadLettered: true });
+      expect(Object.keys(forwarded.MessageAttributes)).toHaveLength(10);
+      expect(forwarded.MessageAttributes['content-type'].StringValue).toBe('application/json');
+      expect(decrypted.Body).toBe('{"id":');
+    });
+    
+    it('should redeliver messages when the key provider fails', async () => {
+      const message = await encryptedMessage('m1', { id: 1 });
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        encryption: {
+          keyProvider: {
+            generateDataKey: keyring.generateDataKey,
+            decryptDataKey: jest.fn().mockRejectedValue(new Error('Service unavailable'))
+          }
+        },
+        deadLetter: { queueUrl: 'dead-letter-queue', maxReceiveCount: 3 }
+      });
+      consumer.messageHandler = jest.fn();
+      consumer.on('error', () => {});
+      
+      const results = await consumer._handleMessages([message], consumer.options);
+      
+      expect(results.failed).toBe(1);
+      expect(results.outcomes[0].poison).toBe(false);
+      expect(results.deadLettered).toBe(0);
+      expect(SendMessageCommand).not.toHaveBeenCalled();
+      expect(DeleteMessageBatchCommand).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('messages', () => {
+    const createMessage = (id, body = JSON.stringify({ id })) => ({
+      MessageId: id,
+      ReceiptHandle: `handle-${id}`,
+      Body: body,
+      Attributes: { ApproximateReceiveCount: '1' }
+    });
+    
+    let receives;
+    
+    const settleBatch = (Command) => ({
+      Successful: Command.mock.calls.slice(-1)[0][0].Entries.map(entry => ({ Id: entry.Id }))
+    });
+    
+    beforeEach(() => {
+      ReceiveMessageCommand.mockClear();
+      DeleteMessageBatchCommand.mockClear();
+      ChangeMessageVisibilityBatchCommand.mockClear();
+      
+      receives = [[createMessage('m1'), createMessage('m2')], [createMessage('m3')]];
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', { pollingInterval: 5, waitTimeSeconds: 10 });
+      mockSQSClient.executeCommand.mockImplementation(async (command) => {
+        if (command instanceof ReceiveMessageCommand) {
+          return { Messages: receives.shift() || [] };
+        }
+        if (command instanceof DeleteMessageBatchCommand) {
+          return settleBatch(DeleteMessageBatchCommand);
+        }
+        if (command instanceof SendMessageCommand) {
+          return { MessageId: 'dlq-msg' };
+        }
+        return settleBatch(ChangeMessageVisibilityBatchCommand);
+      });
+    });
+    
+    it('should receive lazily and yield decoded bodies with their context', async () => {
+      const iterator = consumer.messages({ maxMessages: 2 });
+      
+      expect(ReceiveMessageCommand).not.toHaveBeenCalled();
+      
+      const { value } = await iterator.next();
+      
+      expect(value.body).toEqual({ id: 'm1' });
+      expect(value.message.MessageId).toBe('m1');
+      expect(value.context).toMatchObject({ messageId: 'm1', receiptHandle: 'handle-m1', receiveCount: 1 });
+      expect(ReceiveMessageCommand).toHaveBeenCalledTimes(1);
+      expect(ReceiveMessageCommand.mock.calls[0][0]).toMatchObject({
+        QueueUrl: 'test-queue',
+        MaxNumberOfMessages: 2,
+        WaitTimeSeconds: 10
+      });
+      
+      await value.context.ack();
+      await iterator.return();
+    });
+    
+    it('should delete acked messages and change the visibility of nacked ones', async () => {
+      const events = [];
+      consumer.on('processed', ({ messageId }) => events.push(['processed', messageId]));
+      consumer.on('deleted', ({ messageId }) => events.push(['deleted', messageId]));
+      
+      const seen = [];
+      for await (const { body, context } of consumer.messages()) {
+        seen.push(body.id);
+        if (body.id === 'm1') {
+          await expect(context.ack()).resolves.toBe(true);
+        } else {
+          await context.nack(30);
+        }
+        
+        if (seen.length === 2) {
+          break;
+        }
+      }
+      
+      expect(seen).toEqual(['m1', 'm2']);
+      expect(DeleteMessageBatchCommand.mock.calls[0][0].Entries).toEqual([{ Id: 'msg-0', ReceiptHandle: 'handle-m1' }]);
+      expect(ChangeMessageVisibilityBatchCommand.mock.calls[0][0].Entries).toEqual([
+        { Id: 'msg-0', ReceiptHandle: 'handle-m2', VisibilityTimeout: 30 }
+      ]);
+      expect(ChangeMessageVisibilityBatchCommand).toHaveBeenCalledTimes(1);
+      expect(events).toEqual([['processed', 'm1'], ['deleted', 'm1']]);
+      expect(consumer.getStats().acknowledgements).toMatchObject({ deleted: 1, delayed: 1 });
+    });
+    
+    it('should release unsettled and not yet yielded messages when the loop is left', async () => {
+      let first;
+      for await (const item of consumer.messages()) {
+        first = item;
+        break;
+      }
+      
+      expect(ChangeMessageVisibilityBatchCommand.mock.calls[0][0].Entries).toEqual([
+        { Id: 'msg-0', ReceiptHandle: 'handle-m2', VisibilityTimeout: 0 },
+        { Id: 'msg-1', ReceiptHandle: 'handle-m1', VisibilityTimeout: 0 }
+      ]);
+      expect(ReceiveMessageCommand).toHaveBeenCalledTimes(1);
+      await expect(first.context.ack()).rejects.toThrow('Message m1 was already released');
+      expect(consumer.iterators.size).toBe(0);
+    });
+    
+    it('should reject settling a message twice and invalid nack delays', async () => {
+      const iterator = consumer.messages();
+      const { value } = await iterator.next();
+      
+      await expect(value.context.nack(-1)).rejects.toThrow('Nack delay seconds must be a non-negative number');
+      await value.context.ack();
+      await expect(value.context.nack()).rejects.toThrow('Message m1 was already acked');
+      await iterator.return();
+    });
+    
+    it('should end the iteration when the consumer stops', async () => {
+      receives = [];
+      const seen = [];
+      
+      const iterating = (async () => {
+        for await (const { body } of consumer.messages()) {
+          seen.push(body);
+        }
+      })();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await consumer.stop({ drainTimeoutMs: 0 });
+      await iterating;
+      
+      expect(seen).toEqual([]);
+      expect(consumer.iterators.size).toBe(0);
+    });
+    
+    it('should dead-letter undecodable messages instead of yielding them', async () => {
+      SendMessageCommand.mockClear();
+      receives = [[createMessage('bad', 'not json'), createMessage('m1')]];
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        deadLetter: { queueUrl: 'dead-letter-queue', maxReceiveCount: 3 }
+      });
+      const failed = jest.fn();
+      consumer.on('failed', failed);
+      
+      const iterator = consumer.messages();
+      const { value } = await iterator.next();
+      
+      expect(value.message.MessageId).toBe('m1');
+      expect(SendMessageCommand.mock.calls[0][0]).toMatchObject({ QueueUrl: 'dead-letter-queue', MessageBody: 'not json' });
+      expect(DeleteMessageBatchCommand.mock.calls[0][0].Entries).toEqual([{ Id: 'msg-0', ReceiptHandle: 'handle-bad' }]);
+      expect(failed).toHaveBeenCalledWith(expect.objectContaining({ messageId: 'bad', decodeFailed: true }));
+      
+      await value.context.ack();
+      await iterator.return();
+    });
+    
+    it('should not be usable alongside a handler', async () => {
+      mockSQSClient.executeCommand.mockResolvedValue({ Messages: [] });
+      await consumer.start(jest.fn());
+      
+      expect(() => consumer.messages()).toThrow('messages() cannot be used while the consumer is started with a handler');
+    });
   });
 
   describe('_consumeLoop', () => {
@@ -97,7 +1295,7 @@ describe('MessageConsumer', () => {
       
       expect(messageHandler).toHaveBeenCalledTimes(2);
     });
-
+    
     it('should handle empty message response', async () => {
       const messageHandler = jest.fn();
       
@@ -110,7 +1308,7 @@ describe('MessageConsumer', () => {
       
       expect(messageHandler).not.toHaveBeenCalled();
     });
-
+    
     it('should handle processing errors', async () => {
       const messageHandler = jest.fn().mockRejectedValue(new Error('Processing failed'));
       const messages = [
@@ -147,10 +1345,11 @@ describe('MessageConsumer', () => {
       
       expect(result).toEqual(messages);
       expect(mockSQSClient.executeCommand).toHaveBeenCalledWith(
-        expect.any(ReceiveMessageCommand)
+        expect.any(ReceiveMessageCommand),
+        { abortSignal: expect.any(AbortSignal) }
       );
     });
-
+    
     it('should handle empty response', async () => {
       mockSQSClient.executeCommand.mockResolvedValue({ Messages: [] });
       
@@ -161,6 +1360,11 @@ describe('MessageConsumer', () => {
   });
 
   describe('_deleteProcessedMessages', () => {
+    beforeEach(() => {
+      DeleteMessageBatchCommand.mockClear();
+      ChangeMessageVisibilityBatchCommand.mockClear();
+    });
+    
     it('should delete successfully processed messages', async () => {
       const messages = [
         { MessageId: 'msg-1', ReceiptHandle: 'handle-1' },
@@ -170,7 +1374,11 @@ describe('MessageConsumer', () => {
       const results = {
         successful: 2,
         failed: 0,
-        errors: []
+        errors: [],
+        outcomes: [
+          { messageId: 'msg-1', receiptHandle: 'handle-1', success: true },
+          { messageId: 'msg-2', receiptHandle: 'handle-2', success: true }
+        ]
       };
       
       mockSQSClient.executeCommand.mockResolvedValue({});
@@ -178,10 +1386,14 @@ describe('MessageConsumer', () => {
       await consumer._deleteProcessedMessages(messages, results);
       
       expect(mockSQSClient.executeCommand).toHaveBeenCalledWith(
-        expect.any(DeleteMessageCommand)
+        expect.any(DeleteMessageBatchCommand)
       );
+      expect(DeleteMessageBatchCommand.mock.calls[0][0].Entries).toEqual([
+        { Id: 'msg-0', ReceiptHandle: 'handle-1' },
+        { Id: 'msg-1', ReceiptHandle: 'handle-2' }
+      ]);
     });
-
+    
     it('should not delete failed messages', async () => {
       const messages = [
         { MessageId: 'msg-1', ReceiptHandle: 'handle-1' }
@@ -190,31 +1402,255 @@ describe('MessageConsumer', () => {
       const results = {
         successful: 0,
         failed: 1,
-        errors: [{ messageId: 'msg-1', error: 'Processing failed' }]
+        errors: [{ messageId: 'msg-1', error: 'Processing failed' }],
+        outcomes: [{ messageId: 'msg-1', receiptHandle: 'handle-1', success: false, error: 'Processing failed' }]
       };
       
       await consumer._deleteProcessedMessages(messages, results);
       
       expect(mockSQSClient.executeCommand).not.toHaveBeenCalled();
     });
+    
+    it('should only delete the successful messages of a mixed batch', async () => {
+      const messages = [
+        { MessageId: 'msg-1', ReceiptHandle: 'handle-1' },
+        { MessageId: 'msg-2', ReceiptHandle: 'handle-2' },
+        { MessageId: 'msg-3', ReceiptHandle: 'handle-3' }
+      ];
+      
+      const results = {
+        successful: 2,
+        failed: 1,
+        outcomes: [
+          { messageId: 'msg-1', receiptHandle: 'handle-1', success: true },
+          { messageId: 'msg-2', receiptHandle: 'handle-2', success: false, error: 'boom' },
+          { messageId: 'msg-3', receiptHandle: 'handle-3', success: true }
+        ]
+      };
+      
+      mockSQSClient.executeCommand.mockResolvedValue({
+        Successful: [{ Id: 'msg-0' }, { Id: 'msg-1' }]
+      });
+      
+      const report = await consumer._deleteProcessedMessages(messages, results);
+      
+      const entries = DeleteMessageBatchCommand.mock.calls[0][0].Entries;
+      expect(entries.map(entry => entry.ReceiptHandle)).toEqual(['handle-1', 'handle-3']);
+      expect(report.succeeded).toEqual(['msg-1', 'msg-3']);
+      expect(consumer.getStats().acknowledgements.deleted).toBe(2);
+    });
+    
+    it('should report per-entry delete failures', async () => {
+      const messages = [
+        { MessageId: 'msg-1', ReceiptHandle: 'handle-1' },
+        { MessageId: 'msg-2', ReceiptHandle: 'handle-2' }
+      ];
+      
+      const results = {
+        outcomes: [
+          { messageId: 'msg-1', receiptHandle: 'handle-1', success: true },
+          { messageId: 'msg-2', receiptHandle: 'handle-2', success: true }
+        ]
+      };
+      
+      mockSQSClient.executeCommand.mockResolvedValue({
+        Successful: [{ Id: 'msg-0' }],
+        Failed: [{ Id: 'msg-1', Code: 'ReceiptHandleIsInvalid', Message: 'Invalid handle', SenderFault: true }]
+      });
+      
+      const report = await consumer._deleteProcessedMessages(messages, results);
+      
+      expect(report.failed).toHaveLength(1);
+      expect(report.failed[0]).toMatchObject({
+        messageId: 'msg-2',
+        receiptHandle: 'handle-2',
+        code: 'ReceiptHandleIsInvalid'
+      });
+      expect(results.deleteFailures).toBe(report.failed);
+      expect(consumer.getStats().acknowledgements.deleteFailed).toBe(1);
+    });
   });
 
-  describe('_deleteMessage', () => {
-    it('should delete single message', async () => {
+  describe('_settleFailedMessages', () => {
+    const messages = [
+      { MessageId: 'msg-1', ReceiptHandle: 'handle-1' },
+      { MessageId: 'msg-2', ReceiptHandle: 'handle-2' }
+    ];
+    const results = {
+      outcomes: [
+        { messageId: 'msg-1', receiptHandle: 'handle-1', success: true },
+        { messageId: 'msg-2', receiptHandle: 'handle-2', success: false, error: 'boom' }
+      ]
+    };
+    
+    beforeEach(() => {
+      ChangeMessageVisibilityBatchCommand.mockClear();
+    });
+    
+    it('should leave failed messages for redelivery by default', async () => {
+      await consumer._settleFailedMessages(messages, results);
+      
+      expect(mockSQSClient.executeCommand).not.toHaveBeenCalled();
+    });
+    
+    it('should release failed messages when configured', async () => {
+      consumer.updateConfig({ releaseFailedMessages: true });
+      mockSQSClient.executeCommand.mockResolvedValue({ Successful: [{ Id: 'msg-0' }] });
+      
+      await consumer._settleFailedMessages(messages, results);
+      
+      expect(ChangeMessageVisibilityBatchCommand.mock.calls[0][0].Entries).toEqual([
+        { Id: 'msg-0', ReceiptHandle: 'handle-2', VisibilityTimeout: 0 }
+      ]);
+      expect(consumer.getStats().acknowledgements.released).toBe(1);
+    });
+    
+    it('should redeliver nacked messages after the requested delay', async () => {
+      mockSQSClient.executeCommand.mockResolvedValue({ Successful: [{ Id: 'msg-0' }] });
+      
+      await consumer._settleFailedMessages(messages, {
+        outcomes: [
+          { messageId: 'msg-1', receiptHandle: 'handle-1', success: true },
+          { messageId: 'msg-2', receiptHandle: 'handle-2', success: false, nacked: true, nackDelaySeconds: 45 }
+        ]
+      });
+      
+      expect(ChangeMessageVisibilityBatchCommand.mock.calls[0][0].Entries).toEqual([
+        { Id: 'msg-0', ReceiptHandle: 'handle-2', VisibilityTimeout: 45 }
+      ]);
+      expect(consumer.getStats().acknowledgements.delayed).toBe(1);
+    });
+    
+    it('should back off failed messages by receive count with a retry policy', async () => {
+      const retryConsumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        retryPolicy: { initialDelaySeconds: 10, backoffMultiplier: 3, maxDelaySeconds: 600 }
+      });
+      const failedMessages = ['1', '2', '3', '9'].map(count => ({
+        MessageId: `msg-${count}`,
+        ReceiptHandle: `handle-${count}`,
+        Attributes: { ApproximateReceiveCount: count }
+      }));
       mockSQSClient.executeCommand.mockResolvedValue({});
       
-      await consumer._deleteMessage('handle-123');
+      await retryConsumer._settleFailedMessages(failedMessages, {
+        outcomes: failedMessages.map(message => ({
+          messageId: message.MessageId,
+          receiptHandle: message.ReceiptHandle,
+          success: false
+        }))
+      });
       
-      expect(mockSQSClient.executeCommand).toHaveBeenCalledWith(
-        expect.any(DeleteMessageCommand)
+      expect(ChangeMessageVisibilityBatchCommand.mock.calls[0][0].Entries.map(entry => entry.VisibilityTimeout))
+        .toEqual([10, 30, 90, 600]);
+    });
+    
+    it('should cap retry policy delays at 12 hours', () => {
+      const retryConsumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        retryPolicy: { initialDelaySeconds: 3600, maxDelaySeconds: 100000 }
+      });
+      
+      const delay = retryConsumer._getRedeliveryDelay(
+        { Attributes: { ApproximateReceiveCount: '20' } },
+        { success: false }
       );
+      
+      expect(delay).toBe(43200);
+    });
+    
+    it('should release skipped group members under a retry policy', () => {
+      const retryConsumer = new MessageConsumer(mockSQSClient, 'test-queue', { retryPolicy: {} });
+      
+      expect(retryConsumer._getRedeliveryDelay(messages[1], { success: false, skipped: true })).toBe(0);
     });
+  });
 
-    it('should handle delete errors', async () => {
-      mockSQSClient.executeCommand.mockRejectedValue(new Error('Delete failed'));
+  describe('dead-letter queue', () => {
+    const createMessage = (id, receiveCount, body = JSON.stringify({ id })) => ({
+      MessageId: id,
+      ReceiptHandle: `handle-${id}`,
+      Body: body,
+      Attributes: { ApproximateReceiveCount: String(receiveCount) }
+    });
+    
+    beforeEach(() => {
+      SendMessageCommand.mockClear();
+      DeleteMessageBatchCommand.mockClear();
+      
+      consumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        deadLetter: { queueUrl: 'dead-letter-queue', maxReceiveCount: 3 }
+      });
+      mockSQSClient.executeCommand.mockImplementation(async (command) => {
+        if (command instanceof DeleteMessageBatchCommand) {
+          return { Successful: DeleteMessageBatchCommand.mock.calls.slice(-1)[0][0].Entries.map(e => ({ Id: e.Id })) };
+        }
+        return { MessageId: 'dlq-msg' };
+      });
+    });
+    
+    it('should dead-letter and delete undecodable messages on first receive', async () => {
+      consumer.messageHandler = jest.fn();
+      
+      const results = await consumer._handleMessages([createMessage('bad', 1, 'not json')], consumer.options);
+      
+      expect(consumer.messageHandler).not.toHaveBeenCalled();
+      expect(results.deadLettered).toBe(1);
+      expect(SendMessageCommand.mock.calls[0][0]).toMatchObject({ QueueUrl: 'dead-letter-queue', MessageBody: 'not json' });
+      expect(DeleteMessageBatchCommand.mock.calls[0][0].Entries).toEqual([{ Id: 'msg-0', ReceiptHandle: 'handle-bad' }]);
+      expect(consumer.getStats().deadLetter).toEqual({ routed: 1, failed: 0 });
+    });
+    
+    it('should dead-letter handler failures only on the last allowed receive', async () => {
+      consumer.messageHandler = jest.fn().mockRejectedValue(new Error('Handler failed'));
+      
+      const results = await consumer._handleMessages(
+        [createMessage('early', 2), createMessage('last', 3)],
+        consumer.options
+      );
       
-      // Should not throw
-      await expect(consumer._deleteMessage('handle-123')).resolves.toBeUndefined();
+      expect(results.deadLettered).toBe(1);
+      expect(SendMessageCommand).toHaveBeenCalledTimes(1);
+      expect(SendMessageCommand.mock.calls[0][0].MessageAttributes['boxq-error-message'].StringValue)
+        .toBe('Handler failed');
+      expect(DeleteMessageBatchCommand.mock.calls[0][0].Entries).toEqual([{ Id: 'msg-0', ReceiptHandle: 'handle-last' }]);
+    });
+    
+    it('should dead-letter messages over maxReceiveCount without invoking the handler', async () => {
+      consumer.messageHandler = jest.fn();
+      
+      const results = await consumer._handleMessages([createMessage('old', 4)], consumer.options);
+      
+      expect(consumer.messageHandler).not.toHaveBeenCalled();
+      expect(results.deadLettered).toBe(1);
+      expect(SendMessageCommand.mock.calls[0][0].MessageAttributes['boxq-error-class'].StringValue)
+        .toBe('MaxReceiveCountExceeded');
+    });
+    
+    it('should dead-letter messages failing schema validation with their validation errors', async () => {
+      const validatingConsumer = new MessageConsumer(mockSQSClient, 'test-queue', {
+        deadLetter: { queueUrl: 'dead-letter-queue' },
+        validation: { schema: { type: 'object', required: ['orderId'] } }
+      });
+      validatingConsumer.messageHandler = jest.fn();
+      
+      const results = await validatingConsumer._handleMessages([createMessage('invalid', 1)], validatingConsumer.options);
+      
+      const attributes = SendMessageCommand.mock.calls[0][0].MessageAttributes;
+      expect(validatingConsumer.messageHandler).not.toHaveBeenCalled();
+      expect(results.deadLettered).toBe(1);
+      expect(attributes['boxq-error-class'].StringValue).toBe('MessageValidationError');
+      expect(JSON.parse(attributes['boxq-validation-errors'].StringValue))
+        .toEqual([{ path: 'orderId', message: 'is required' }]);
+    });
+    
+    it('should leave messages on the queue when forwarding fails', async () => {
+      consumer.messageHandler = jest.fn();
+      mockSQSClient.executeCommand.mockRejectedValue(new Error('Access denied'));
+      
+      const results = await consumer._handleMessages([createMessage('bad', 1, 'not json')], consumer.options);
+      
+      expect(results.deadLettered).toBe(0);
+      expect(DeleteMessageBatchCommand).not.toHaveBeenCalled();
+      expect(consumer.getStats().deadLetter).toEqual({ routed: 0, failed: 1 });
     });
   });
 
@@ -239,6 +1675,35 @@ describe('MessageConsumer', () => {
       expect(mockHealthMonitor.recordSuccess).toHaveBeenCalledWith(100);
       expect(mockHealthMonitor.recordFailure).toHaveBeenCalledWith('Test error');
     });
+    
+    it('should record timed-out messages as timeouts', () => {
+      const mockHealthMonitor = {
+        recordSuccess: jest.fn(),
+        recordFailure: jest.fn(),
+        recordTimeout: jest.fn()
+      };
+      
+      consumer.setHealthMonitor(mockHealthMonitor);
+      consumer._updateHealthMonitor({
+        successful: 0,
+        failed: 1,
+        processingTime: 100,
+        errors: [{ error: 'Handler timed out after 50ms', timedOut: true }]
+      });
+      
+      expect(mockHealthMonitor.recordTimeout).toHaveBeenCalledWith('Handler timed out after 50ms');
+      expect(mockHealthMonitor.recordFailure).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('use', () => {
+    it('should register middlewares on the processing engine and chain', () => {
+      const middleware = jest.fn();
+      
+      expect(consumer.use(middleware)).toBe(consumer);
+      expect(consumer.processingEngine.middlewares).toEqual([middleware]);
+      expect(consumer.getConfig().processingEngine.middlewares).toBe(1);
+    });
   });
 
   describe('setHealthMonitor', () => {
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Tests for MessageRouter
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const MessageRouter = require('../../src/consumers/MessageRouter');
+const { UnroutedMessageError } = require('../../src/errors');
+
+describe('MessageRouter', () => {
+  let router;
+
+  const createContext = (attributes = {}) => ({
+    messageId: 'msg-1',
+    messageAttributes: Object.fromEntries(
+      Object.entries(attributes).map(([name, value]) => [name, { DataType: 'String', StringValue: value }])
+    )
+  });
+
+  beforeEach(() => {
+    router = new MessageRouter();
+  });
+
+  describe('constructor', () => {
+    it('should reject unknown unrouted message policies', () => {
+      expect(() => new MessageRouter({ unroutedMessages: 'ignore' })).toThrow('Unknown unrouted message policy: ignore');
+    });
+  });
+
+  describe('route', () => {
+    it('should match string matchers against the type field', async () => {
+      const created = jest.fn().mockResolvedValue('created');
+      const cancelled = jest.fn();
+      router.route('order.created', created);
+      router.route('order.cancelled', cancelled);
+      const context = createContext();
+      
+      await expect(router.dispatch({ type: 'order.created' }, context)).resolves.toBe('created');
+      
+      expect(created).toHaveBeenCalledWith({ type: 'order.created' }, context);
+      expect(cancelled).not.toHaveBeenCalled();
+      expect(context.route).toBe('order.created');
+    });
+    
+    it('should match predicates and attribute matchers', async () => {
+      const large = jest.fn();
+      const billing = jest.fn();
+      router.route((message) => message.amount > 1000, large, { name: 'large' });
+      router.route({ attributes: { source: /^billing/ } }, billing);
+      
+      await router.dispatch({ amount: 5000 }, createContext());
+      await router.dispatch({ amount: 5 }, createContext({ source: 'billing-service' }));
+      
+      expect(large).toHaveBeenCalledTimes(1);
+      expect(billing).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should use the first matching route', async () => {
+      const first = jest.fn();
+      const second = jest.fn();
+      router.route('order.created', first);
+      router.route(() => true, second);
+      
+      await router.dispatch({ type: 'order.created' }, createContext());
+      
+      expect(first).toHaveBeenCalled();
+      expect(second).not.toHaveBeenCalled();
+    });
+    
+    it('should validate routes', () => {
+      expect(() => router.route('order.created', null)).toThrow('Route handler must be a function');
+      expect(() => router.route(42, jest.fn())).toThrow('Route matcher must be a type string');
+      
+      router.route('order.created', jest.fn());
+      expect(() => router.route('order.created', jest.fn())).toThrow('Route order.created is already registered');
+    });
+  });
+
+  describe('route timeouts', () => {
+    it('should time out slow routes and count them per route', async () => {
+      let signal;
+      router.route('report.generate', (message, context) => {
+        signal = context.signal;
+        return new Promise(resolve => setTimeout(resolve, 200));
+      }, { handlerTimeoutMs: 20 });
+      
+      const error = await router.dispatch({ type: 'report.generate' }, createContext()).catch(caught => caught);
+      
+      expect(error.name).toBe('HandlerTimeoutError');
+      expect(signal.aborted).toBe(true);
+      expect(router.getStats().routes['report.generate']).toMatchObject({ failed: 1, timedOut: 1 });
+    });
+
+    it('should abort the route signal when the consumer signal aborts', async () => {
+      const parent = new AbortController();
+      let signal;
+      router.route('order.created', async (message, context) => {
+        signal = context.signal;
+      }, { handlerTimeoutMs: 1000 });
+      
+      parent.abort();
+      await router.dispatch({ type: 'order.created' }, { ...createContext(), signal: parent.signal });
+      
+      expect(signal.aborted).toBe(true);
+    });
+  });
+
+  describe('unrouted messages', () => {
+    it('should use the fallback handler', async () => {
+      const fallback = jest.fn();
+      router.route('order.created', jest.fn());
+      router.fallback(fallback);
+      
+      await router.dispatch({ type: 'unknown' }, createContext());
+      
+      expect(fallback).toHaveBeenCalled();
+      expect(router.getStats().routes.fallback.matched).toBe(1);
+    });
+    
+    it('should fail unrouted messages by default', async () => {
+      router.route('order.created', jest.fn());
+      
+      const error = await router.dispatch({ type: 'unknown' }, createContext()).catch(caught => caught);
+      
+      expect(error).toBeInstanceOf(UnroutedMessageError);
+      expect(error.message).toBe('No route matched message msg-1 (type: unknown)');
+      expect(error.poison).toBe(false);
+    });
+    
+    it('should mark unrouted messages as poison with the dead_letter policy', async () => {
+      router = new MessageRouter({ unroutedMessages: 'dead_letter' });
+      
+      await expect(router.dispatch({ type: 'unknown' }, createContext())).rejects.toMatchObject({ poison: true });
+    });
+    
+    it('should drop unrouted messages with the delete policy', async () => {
+      router = new MessageRouter({ unroutedMessages: 'delete' });
+      
+      await expect(router.dispatch({ type: 'unknown' }, createContext())).resolves.toBeUndefined();
+      expect(router.getStats().unrouted).toBe(1);
+    });
+  });
+
+  describe('getStats', () => {
+    it('should report statistics per route', async () => {
+      router.route('order.created', jest.fn());
+      router.route('order.cancelled', jest.fn().mockRejectedValue(new Error('Handler failed')));
+      
+      await router.dispatch({ type: 'order.created' }, createContext());
+      await router.dispatch({ type: 'order.cancelled' }, createContext()).catch(() => {});
+      
+      const stats = router.getStats();
+      expect(stats.routes['order.created']).toEqual({
+        matched: 1,
+        succeeded: 1,
+        failed: 0,
+        timedOut: 0,
+        averageProcessingTime: expect.any(Number)
+      });
+      expect(stats.routes['order.cancelled']).toMatchObject({ matched: 1, succeeded: 0, failed: 1 });
+      
+      router.resetStats();
+      expect(router.getStats().routes['order.created'].matched).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Tests for MultiQueueConsumer
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const MultiQueueConsumer = require('../../src/consumers/MultiQueueConsumer');
+const {
+  ReceiveMessageCommand,
+  DeleteMessageBatchCommand,
+  ChangeMessageVisibilityBatchCommand
+} = require('@aws-sdk/client-sqs');
+const { ConsumerStatus } = require('../../src/types');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createMessages = (queue, count) => Array.from({ length: count }, (_, index) => ({
+  MessageId: `${queue}-${index}`,
+  ReceiptHandle: `${queue}-receipt-${index}`,
+  Body: JSON.stringify({ queue, index })
+}));
+
+describe('MultiQueueConsumer', () => {
+  let mockSQSClient;
+  let pending;
+  let consumer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ReceiveMessageCommand.mockImplementation(function (input) {
+      this.input = input;
+    });
+    ChangeMessageVisibilityBatchCommand.mockImplementation(function (input) {
+      this.input = input;
+    });
+    DeleteMessageBatchCommand.mockImplementation(function (input) {
+      this.input = input;
+    });
+    
+    // Every queue returns its pending messages on its first receive, then nothing
+    pending = {};
+    mockSQSClient = {
+      executeCommand: jest.fn(async (command) => {
+        if (command instanceof ReceiveMessageCommand) {
+          const messages = pending[command.input.QueueUrl] || [];
+          pending[command.input.QueueUrl] = [];
+          return { Messages: messages };
+        }
+        return { Successful: command.input.Entries.map(entry => ({ Id: entry.Id })) };
+      })
+    };
+  });
+
+  afterEach(async () => {
+    if (consumer) {
+      await consumer.stop({ drainTimeoutMs: 0 });
+      consumer = null;
+    }
+    ReceiveMessageCommand.mockReset();
+    ChangeMessageVisibilityBatchCommand.mockReset();
+    DeleteMessageBatchCommand.mockReset();
+  });
+
+  const createConsumer = (options) => new MultiQueueConsumer(mockSQSClient, [
+    { queueUrl: 'high-url', name: 'high' },
+    { queueUrl: 'low-url', name: 'low' }
+  ], { waitTimeSeconds: 0, pollingInterval: 10, maxStarvationMs: null, ...options });
+
+  const waitForProcessed = async (processed, count) => {
+    for (let i = 0; i < 200 && processed.length < count; i++) {
+      await sleep(5);
+    }
+  };
+
+  describe('constructor', () => {
+    it('should require at least one queue', () => {
+      expect(() => new MultiQueueConsumer(mockSQSClient, [])).toThrow('Multi-queue consumer requires at least one queue');
+    });
+    
+    it('should reject duplicate queue names and invalid weights', () => {
+      expect(() => new MultiQueueConsumer(mockSQSClient, [{ queueUrl: 'a', name: 'q' }, { queueUrl: 'b', name: 'q' }]))
+        .toThrow('Queue name q is used more than once');
+      expect(() => new MultiQueueConsumer(mockSQSClient, [{ queueUrl: 'a', weight: 0 }]))
+        .toThrow('Weight of queue a must be a positive number');
+    });
+    
+    it('should rank queues by position unless priorities are given', () => {
+      consumer = new MultiQueueConsumer(mockSQSClient, [
+        { queueUrl: 'a' },
+        { queueUrl: 'b' },
+        { queueUrl: 'c', priority: 10, options: { visibilityTimeoutSeconds: 60 } }
+      ]);
+      
+      const config = consumer.getConfig();
+      expect(config.queues.map(queue => queue.priority)).toEqual([3, 2, 10]);
+      expect(config.queues[2].visibilityTimeoutSeconds).toBe(60);
+      expect(config.scheduling).toBe('priority');
+    });
+  });
+
+  it('should dispatch higher-priority queues first', async () => {
+    pending['high-url'] = createMessages('high', 2);
+    pending['low-url'] = createMessages('low', 2);
+    consumer = createConsumer({ maxConcurrency: 1 });
+    const processed = [];
+    
+    await consumer.start(async (message, context) => {
+      await sleep(10);
+      processed.push(context.queue);
+    });
+    await waitForProcessed(processed, 4);
+    
+    expect(processed).toEqual(['high', 'high', 'low', 'low']);
+  });
+
+  it('should share one concurrency pool across queues', async () => {
+    pending['high-url'] = createMessages('high', 3);
+    pending['low-url'] = createMessages('low', 3);
+    consumer = createConsumer({ maxConcurrency: 2 });
+    const processed = [];
+    let active = 0;
+    let maxActive = 0;
+    
+    await consumer.start(async (message) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await sleep(10);
+      active--;
+      processed.push(message.queue);
+    });
+    await waitForProcessed(processed, 6);
+    
+    expect(processed).toHaveLength(6);
+    expect(maxActive).toBe(2);
+  });
+
+  it('should report per-queue statistics and events', async () => {
+    pending['high-url'] = createMessages('high', 2);
+    pending['low-url'] = createMessages('low', 1);
+    consumer = createConsumer();
+    const events = [];
+    consumer.on('processed', event => events.push(event));
+    
+    await consumer.start(async () => {});
+    await waitForProcessed(events, 3);
+    
+    const stats = consumer.getStats();
+    expect(stats.queues.high).toMatchObject({ queueUrl: 'high-url', received: 2, dispatched: 2, buffered: 0 });
+    expect(stats.queues.low).toMatchObject({ queueUrl: 'low-url', received: 1, dispatched: 1 });
+    expect(stats.queues.high.processing.totalProcessed).toBe(2);
+    expect(stats.scheduling.selections).toEqual({ high: 2, low: 1 });
+    expect(events.filter(event => event.queue === 'low')).toHaveLength(1);
+  });
+
+  it('should release buffered messages on stop', async () => {
+    pending['high-url'] = createMessages('high', 3);
+    consumer = createConsumer({ maxConcurrency: 1 });
+    let finish;
+    const started = new Promise(resolve => {
+      consumer.start(() => {
+        resolve();
+        return new Promise(done => {
+          finish = done;
+        });
+      });
+    });
+    await started;
+    
+    const stopping = consumer.stop({ drainTimeoutMs: 1000 });
+    finish();
+    const report = await stopping;
+    consumer = null;
+    
+    expect(report).toEqual({ drained: true, unfinished: 0 });
+    const released = ChangeMessageVisibilityBatchCommand.mock.calls[0][0];
+    expect(released.Entries.map(entry => entry.ReceiptHandle)).toEqual(['high-receipt-1', 'high-receipt-2']);
+    expect(released.Entries[0].VisibilityTimeout).toBe(0);
+  });
+
+  it('should report its status', async () => {
+    consumer = createConsumer();
+    expect(consumer.getStatus()).toBe(ConsumerStatus.STOPPED);
+    
+    await consumer.start(async () => {});
+    expect(consumer.getStatus()).toBe(ConsumerStatus.RUNNING);
+  });
+});
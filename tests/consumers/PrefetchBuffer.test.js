@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Tests for PrefetchBuffer
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const PrefetchBuffer = require('../../src/consumers/PrefetchBuffer');
+
+describe('PrefetchBuffer', () => {
+  let buffer;
+
+  const createMessages = (count, offset = 0) => Array.from({ length: count }, (_, index) => ({
+    MessageId: `id-${offset + index}`,
+    ReceiptHandle: `handle-${offset + index}`
+  }));
+
+  beforeEach(() => {
+    buffer = new PrefetchBuffer({ capacity: 10, leaseMs: 30000, leaseMarginMs: 1000 });
+  });
+
+  describe('reserve', () => {
+    it('should reserve no more than the free capacity', async () => {
+      await expect(buffer.reserve(6)).resolves.toBe(6);
+      await expect(buffer.reserve(6)).resolves.toBe(4);
+    });
+    
+    it('should wait while the buffer is full', async () => {
+      const reserved = await buffer.reserve(10);
+      buffer.push(createMessages(10), reserved);
+      
+      let waiting = true;
+      const next = buffer.reserve(10).then(count => {
+        waiting = false;
+        return count;
+      });
+      await new Promise(resolve => setImmediate(resolve));
+      expect(waiting).toBe(true);
+      
+      await buffer.take(3);
+      await expect(next).resolves.toBe(3);
+    });
+    
+    it('should free reservations that were cancelled or only partly used', async () => {
+      const first = await buffer.reserve(10);
+      buffer.push(createMessages(2), first);
+      
+      const second = await buffer.reserve(10);
+      expect(second).toBe(8);
+      buffer.cancel(second);
+      
+      await expect(buffer.reserve(10)).resolves.toBe(8);
+    });
+  });
+
+  describe('take', () => {
+    it('should hand out messages in receive order', async () => {
+      buffer.push(createMessages(5), await buffer.reserve(5));
+      
+      const taken = await buffer.take(3);
+      
+      expect(taken.map(message => message.MessageId)).toEqual(['id-0', 'id-1', 'id-2']);
+      expect(buffer.getStats()).toEqual({ received: 5, dispatched: 3, expired: 0, buffered: 2, capacity: 10 });
+    });
+    
+    it('should wait for messages', async () => {
+      const taking = buffer.take(5);
+      buffer.push(createMessages(2), await buffer.reserve(2));
+      
+      await expect(taking).resolves.toHaveLength(2);
+    });
+    
+    it('should drop messages whose lease expires within the margin', async () => {
+      const shortLease = new PrefetchBuffer({ capacity: 10, leaseMs: 50, leaseMarginMs: 20 });
+      shortLease.push(createMessages(2), await shortLease.reserve(2));
+      
+      await new Promise(resolve => setTimeout(resolve, 40));
+      
+      await expect(shortLease.take(10)).resolves.toEqual([]);
+      expect(shortLease.getStats().expired).toBe(2);
+    });
+  });
+
+  describe('close', () => {
+    it('should wake waiting pollers and workers', async () => {
+      buffer.push(createMessages(10), await buffer.reserve(10));
+      const reserving = buffer.reserve(5);
+      const empty = new PrefetchBuffer({ capacity: 5, leaseMs: 30000 });
+      const taking = empty.take(5);
+      
+      buffer.close();
+      empty.close();
+      
+      await expect(reserving).resolves.toBe(0);
+      await expect(taking).resolves.toEqual([]);
+    });
+    
+    it('should return the remaining messages on drain', async () => {
+      buffer.push(createMessages(4), await buffer.reserve(4));
+      
+      expect(buffer.drain()).toHaveLength(4);
+      expect(buffer.getStats().buffered).toBe(0);
+    });
+  });
+});
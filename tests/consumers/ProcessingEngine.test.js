@@ -0,0 +1,588 @@
+/**
+ * @fileoverview Tests for ProcessingEngine
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const zlib = require('zlib');
+const ProcessingEngine = require('../../src/consumers/ProcessingEngine');
+const { ProcessingMode } = require('../../src/types');
+
+describe('ProcessingEngine', () => {
+  const messages = [
+    { MessageId: 'msg-1', ReceiptHandle: 'handle-1', Body: JSON.stringify({ id: 1 }) },
+    { MessageId: 'msg-2', ReceiptHandle: 'handle-2', Body: JSON.stringify({ id: 2 }) },
+    { MessageId: 'msg-3', ReceiptHandle: 'handle-3', Body: JSON.stringify({ id: 3 }) }
+  ];
+
+  const failingOnSecond = jest.fn(async (body) => {
+    if (body.id === 2) {
+      throw new Error('Handler failed');
+    }
+  });
+
+  beforeEach(() => {
+    failingOnSecond.mockClear();
+  });
+
+  describe.each([ProcessingMode.SEQUENTIAL, ProcessingMode.PARALLEL])('%s mode', (mode) => {
+    it('should return per-message outcomes', async () => {
+      const engine = new ProcessingEngine({ mode });
+      
+      const results = await engine.processMessages(messages, failingOnSecond);
+      
+      expect(results.successful).toBe(2);
+      expect(results.failed).toBe(1);
+      expect(results.outcomes).toHaveLength(3);
+      expect(results.outcomes.find(outcome => outcome.messageId === 'msg-2')).toMatchObject({
+        receiptHandle: 'handle-2',
+        success: false,
+        error: 'Handler failed'
+      });
+      expect(results.outcomes.filter(outcome => outcome.success).map(outcome => outcome.receiptHandle))
+        .toEqual(['handle-1', 'handle-3']);
+    });
+    
+    it('should record unparseable messages as failed', async () => {
+      const engine = new ProcessingEngine({ mode });
+      const handler = jest.fn();
+      
+      const results = await engine.processMessages(
+        [{ MessageId: 'msg-x', ReceiptHandle: 'handle-x', Body: 'not json' }],
+        handler
+      );
+      
+      expect(handler).not.toHaveBeenCalled();
+      expect(results.failed).toBe(1);
+      expect(results.outcomes[0]).toMatchObject({
+        success: false,
+        errorClass: 'MessageDecodeError',
+        poison: true
+      });
+    });
+  });
+
+  describe('codecs', () => {
+    const withContentType = (body, contentType) => ({
+      MessageId: 'msg-c',
+      ReceiptHandle: 'handle-c',
+      Body: body,
+      MessageAttributes: { 'content-type': { DataType: 'String', StringValue: contentType } }
+    });
+    
+    it('should decode with the codec of the content-type attribute', async () => {
+      const engine = new ProcessingEngine();
+      const handler = jest.fn();
+      
+      await engine.processMessages([
+        withContentType('<order/>', 'text/plain; charset=utf-8'),
+        withContentType('aGk=', 'application/octet-stream')
+      ], handler);
+      
+      expect(handler.mock.calls[0][0]).toBe('<order/>');
+      expect(handler.mock.calls[1][0]).toEqual(Buffer.from('hi'));
+    });
+    
+    it('should decode bodies without a content-type attribute with the configured codec', async () => {
+      const engine = new ProcessingEngine({ codec: 'text' });
+      const handler = jest.fn();
+      
+      await engine.processMessages([{ MessageId: 'msg-1', ReceiptHandle: 'handle-1', Body: 'plain' }], handler);
+      
+      expect(handler).toHaveBeenCalledWith('plain', expect.any(Object));
+      expect(engine.getConfig().codec).toBe('text');
+    });
+    
+    it('should report decode failures separately from handler failures', async () => {
+      const engine = new ProcessingEngine();
+      
+      const results = await engine.processMessages([
+        withContentType('not base64!', 'application/octet-stream'),
+        withContentType('<xml/>', 'application/xml'),
+        messages[1]
+      ], failingOnSecond);
+      
+      expect(results.failed).toBe(3);
+      expect(results.decodeFailed).toBe(2);
+      expect(results.outcomes.map(outcome => outcome.decodeFailed)).toEqual([true, true, false]);
+      expect(results.outcomes[1].error).toBe('No codec registered for content type application/xml');
+      expect(results.errors.filter(error => error.decodeFailed)).toHaveLength(2);
+      expect(engine.getStats().totalDecodeFailed).toBe(2);
+    });
+    
+    it('should decompress bodies before decoding them', async () => {
+      const engine = new ProcessingEngine();
+      const handler = jest.fn();
+      const compressed = (body, encoding) => ({
+        ...withContentType(zlib.gzipSync(body).toString('base64'), 'application/json'),
+        MessageAttributes: {
+          'content-type': { DataType: 'String', StringValue: 'application/json' },
+          'content-encoding': { DataType: 'String', StringValue: encoding }
+        }
+      });
+      
+      const results = await engine.processMessages([
+        compressed('{"id":7}', 'gzip'),
+        compressed('{"id":8}', 'zstd')
+      ], handler);
+      
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0]).toEqual({ id: 7 });
+      expect(results.outcomes[1]).toMatchObject({
+        decodeFailed: true,
+        poison: true,
+        error: 'Unsupported content encoding zstd'
+      });
+    });
+    
+    it('should fail bodies that decompress beyond maxDecompressedBytes as poison', async () => {
+      const engine = new ProcessingEngine({ maxDecompressedBytes: 1024 });
+      const handler = jest.fn();
+      const bomb = {
+        ...withContentType(zlib.gzipSync(JSON.stringify({ padding: 'a'.repeat(64 * 1024) })).toString('base64'),
+          'application/json'),
+        MessageAttributes: {
+          'content-type': { DataType: 'String', StringValue: 'application/json' },
+          'content-encoding': { DataType: 'String', StringValue: 'gzip' }
+        }
+      };
+      
+      const results = await engine.processMessages([bomb], handler);
+      
+      expect(handler).not.toHaveBeenCalled();
+      expect(results.outcomes[0]).toMatchObject({
+        decodeFailed: true,
+        poison: true,
+        error: 'Decompressed message body exceeds 1024 bytes'
+      });
+      expect(engine.getConfig().maxDecompressedBytes).toBe(1024);
+      expect(new ProcessingEngine().getConfig().maxDecompressedBytes).toBe(10 * 1024 * 1024);
+    });
+  });
+
+  describe('cloud events', () => {
+    const order = { orderId: 'o-1', total: 42 };
+    const attributes = { specversion: '1.0', id: 'e-1', source: '/orders', type: 'com.example.order.created' };
+    const structured = {
+      MessageId: 'msg-s',
+      ReceiptHandle: 'handle-s',
+      Body: JSON.stringify({ ...attributes, datacontenttype: 'application/json', data: order }),
+      MessageAttributes: { 'content-type': { DataType: 'String', StringValue: 'application/cloudevents+json' } }
+    };
+    const binary = {
+      MessageId: 'msg-b',
+      ReceiptHandle: 'handle-b',
+      Body: JSON.stringify(order),
+      MessageAttributes: {
+        'content-type': { DataType: 'String', StringValue: 'application/json' },
+        ...Object.fromEntries(Object.entries(attributes)
+          .map(([name, value]) => [`ce-${name}`, { DataType: 'String', StringValue: value }]))
+      }
+    };
+    
+    it.each([
+      ['structured', structured],
+      ['binary', binary]
+    ])('should hand %s events to handlers', async (_, message) => {
+      const engine = new ProcessingEngine();
+      const handler = jest.fn();
+      
+      await engine.processMessages([message], handler);
+      
+      const [body, context] = handler.mock.calls[0];
+      expect(body).toEqual(order);
+      expect(context.event).toEqual({ ...attributes, datacontenttype: 'application/json', data: order });
+    });
+    
+    it('should not add an event to the context of other messages', async () => {
+      const engine = new ProcessingEngine();
+      const handler = jest.fn();
+      
+      await engine.processMessages([messages[0]], handler);
+      
+      expect(handler.mock.calls[0][1].event).toBeUndefined();
+    });
+    
+    it('should record invalid events as poison messages', async () => {
+      const engine = new ProcessingEngine();
+      const handler = jest.fn();
+      
+      const invalid = { ...structured, Body: JSON.stringify({ data: order }) };
+      const results = await engine.processMessages([invalid], handler);
+      
+      expect(handler).not.toHaveBeenCalled();
+      expect(results.outcomes[0]).toMatchObject({
+        decodeFailed: true,
+        poison: true,
+        error: 'CloudEvent is missing required attributes: specversion, id, source, type'
+      });
+    });
+  });
+
+  describe('validation', () => {
+    const validation = { schema: { type: 'object', properties: { id: { type: 'integer', maximum: 2 } } } };
+    
+    it.each([ProcessingMode.SEQUENTIAL, ProcessingMode.BATCH])(
+      'should fail invalid bodies as poison without calling the %s handler', async (mode) => {
+        const engine = new ProcessingEngine({ mode, validation });
+        const handler = jest.fn(async () => undefined);
+        
+        const results = await engine.processMessages(messages, handler);
+        
+        const handled = handler.mock.calls.flatMap(([arg]) => (Array.isArray(arg) ? arg.map(item => item.message) : [arg]));
+        expect(handled).toEqual([{ id: 1 }, { id: 2 }]);
+        expect(results.failed).toBe(1);
+        expect(results.validationFailed).toBe(1);
+        expect(results.outcomes.find(outcome => outcome.messageId === 'msg-3')).toMatchObject({
+          success: false,
+          errorClass: 'MessageValidationError',
+          poison: true,
+          validationErrors: [{ path: 'id', message: 'must be <= 2' }]
+        });
+        expect(results.errors[0].validationErrors).toHaveLength(1);
+        expect(engine.getStats().totalValidationFailed).toBe(1);
+      }
+    );
+  });
+
+  it('should track messages with the heartbeat while the handler runs', async () => {
+    const stopTracking = jest.fn(() => ({ extensions: 1, leaseLost: true }));
+    const heartbeat = { track: jest.fn(() => stopTracking) };
+    const engine = new ProcessingEngine({ heartbeat });
+    const handler = jest.fn(async () => {
+      expect(stopTracking).not.toHaveBeenCalled();
+    });
+    
+    const results = await engine.processMessages([messages[0]], handler);
+    
+    expect(heartbeat.track).toHaveBeenCalledWith(messages[0]);
+    expect(stopTracking).toHaveBeenCalledTimes(1);
+    expect(results.outcomes[0].leaseLost).toBe(true);
+  });
+
+  describe('grouped mode', () => {
+    const groupMessage = (id, group) => ({
+      MessageId: id,
+      ReceiptHandle: `handle-${id}`,
+      Body: JSON.stringify({ id }),
+      Attributes: group ? { MessageGroupId: group } : {}
+    });
+    
+    it('should serialize messages within a group and run groups in parallel', async () => {
+      const engine = new ProcessingEngine({ mode: ProcessingMode.GROUPED, maxConcurrency: 5 });
+      const events = [];
+      const active = new Set();
+      let maxActiveGroups = 0;
+      const handler = async (body, context) => {
+        expect(active.has(context.messageGroupId)).toBe(false);
+        active.add(context.messageGroupId);
+        maxActiveGroups = Math.max(maxActiveGroups, active.size);
+        events.push(body.id);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active.delete(context.messageGroupId);
+      };
+      
+      const results = await engine.processMessages([
+        groupMessage('a1', 'A'),
+        groupMessage('b1', 'B'),
+        groupMessage('a2', 'A'),
+        groupMessage('b2', 'B'),
+        groupMessage('a3', 'A')
+      ], handler);
+      
+      expect(results.successful).toBe(5);
+      expect(maxActiveGroups).toBe(2);
+      expect(events.filter(id => id.startsWith('a'))).toEqual(['a1', 'a2', 'a3']);
+      expect(events.filter(id => id.startsWith('b'))).toEqual(['b1', 'b2']);
+    });
+    
+    it('should bound the number of concurrent groups by maxConcurrency', async () => {
+      const engine = new ProcessingEngine({ mode: ProcessingMode.GROUPED, maxConcurrency: 2 });
+      let active = 0;
+      let maxActive = 0;
+      const handler = async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+      };
+      
+      await engine.processMessages(['A', 'B', 'C', 'D'].map(group => groupMessage(group, group)), handler);
+      
+      expect(maxActive).toBe(2);
+    });
+    
+    it('should skip the remainder of a group after a failure', async () => {
+      const engine = new ProcessingEngine({ mode: ProcessingMode.GROUPED });
+      const handler = jest.fn(async (body) => {
+        if (body.id === 'a2') {
+          throw new Error('Handler failed');
+        }
+      });
+      
+      const results = await engine.processMessages([
+        groupMessage('a1', 'A'),
+        groupMessage('a2', 'A'),
+        groupMessage('b1', 'B'),
+        groupMessage('a3', 'A')
+      ], handler);
+      
+      expect(handler).toHaveBeenCalledTimes(3);
+      expect(handler.mock.calls.map(call => call[0].id)).not.toContain('a3');
+      expect(results).toMatchObject({ successful: 2, failed: 1, skipped: 1 });
+      expect(results.errors).toHaveLength(1);
+      expect(results.outcomes.find(outcome => outcome.messageId === 'a3')).toMatchObject({
+        success: false,
+        skipped: true
+      });
+    });
+    
+    it('should treat messages without a group key as independent', async () => {
+      const engine = new ProcessingEngine({ mode: ProcessingMode.GROUPED });
+      const handler = jest.fn(async (body) => {
+        if (body.id === 'x1') {
+          throw new Error('Handler failed');
+        }
+      });
+      
+      const results = await engine.processMessages([groupMessage('x1'), groupMessage('x2')], handler);
+      
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(results).toMatchObject({ successful: 1, failed: 1, skipped: 0 });
+    });
+    
+    it('should use a custom group key extractor', async () => {
+      const groupKeyExtractor = jest.fn(message => JSON.parse(message.Body).id.charAt(0));
+      const engine = new ProcessingEngine({ mode: ProcessingMode.GROUPED, groupKeyExtractor });
+      const handler = jest.fn().mockRejectedValueOnce(new Error('Handler failed'));
+      
+      const results = await engine.processMessages([groupMessage('c1'), groupMessage('c2')], handler);
+      
+      expect(groupKeyExtractor).toHaveBeenCalledWith(
+        expect.objectContaining({ MessageId: 'c1' }),
+        expect.objectContaining({ messageId: 'c1' })
+      );
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(results.skipped).toBe(1);
+    });
+  });
+
+  describe('batch mode', () => {
+    it('should hand chunks of batchSize to the handler and fail only the reported items', async () => {
+      const engine = new ProcessingEngine({ mode: ProcessingMode.BATCH, batchSize: 2 });
+      const handler = jest.fn(async (items) => items
+        .filter(item => item.message.id === 2)
+        .map(item => item.context.messageId));
+      
+      const results = await engine.processMessages(messages, handler);
+      
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(handler.mock.calls[0][0]).toEqual([
+        { message: { id: 1 }, context: expect.objectContaining({ messageId: 'msg-1' }) },
+        { message: { id: 2 }, context: expect.objectContaining({ messageId: 'msg-2' }) }
+      ]);
+      expect(results.successful).toBe(2);
+      expect(results.failed).toBe(1);
+      expect(results.outcomes.find(outcome => outcome.messageId === 'msg-2')).toMatchObject({
+        success: false,
+        errorClass: 'BatchItemFailure'
+      });
+    });
+    
+    it('should accept batchItemFailures responses', async () => {
+      const engine = new ProcessingEngine({ mode: ProcessingMode.BATCH });
+      
+      const results = await engine.processMessages(messages, async () => ({
+        batchItemFailures: [{ itemIdentifier: 'msg-3' }]
+      }));
+      
+      expect(results.outcomes.filter(outcome => !outcome.success).map(outcome => outcome.messageId)).toEqual(['msg-3']);
+    });
+    
+    it('should fail the whole chunk when the handler throws or reports unknown IDs', async () => {
+      const engine = new ProcessingEngine({ mode: ProcessingMode.BATCH });
+      
+      const thrown = await engine.processMessages(messages, async () => {
+        throw new Error('Bulk insert failed');
+      });
+      const unknown = await engine.processMessages(messages, async () => ['msg-9']);
+      
+      expect(thrown.failed).toBe(3);
+      expect(thrown.errors[0].error).toBe('Bulk insert failed');
+      expect(unknown.failed).toBe(3);
+      expect(unknown.errors[0].error).toBe('Batch handler reported unknown message IDs: msg-9');
+    });
+    
+    it('should fail undecodable messages without passing them to the handler', async () => {
+      const engine = new ProcessingEngine({ mode: ProcessingMode.BATCH });
+      const handler = jest.fn(async () => []);
+      
+      const results = await engine.processMessages(
+        [messages[0], { MessageId: 'msg-x', ReceiptHandle: 'handle-x', Body: 'not json' }],
+        handler
+      );
+      
+      expect(handler.mock.calls[0][0]).toHaveLength(1);
+      expect(results.successful).toBe(1);
+      expect(results.outcomes.find(outcome => outcome.messageId === 'msg-x')).toMatchObject({ success: false, poison: true });
+    });
+    
+    it('should support per-item nacks', async () => {
+      const engine = new ProcessingEngine({ mode: ProcessingMode.BATCH });
+      
+      const results = await engine.processMessages([messages[0]], async (items) => {
+        items[0].context.nack(30);
+      });
+      
+      expect(results.nacked).toBe(1);
+      expect(results.outcomes[0]).toMatchObject({ nacked: true, nackDelaySeconds: 30 });
+    });
+  });
+
+  describe('handler timeouts', () => {
+    it('should fail messages whose handler exceeds handlerTimeoutMs and abort their signal', async () => {
+      const engine = new ProcessingEngine({ handlerTimeoutMs: 20 });
+      let signal;
+      const handler = jest.fn((message, context) => {
+        signal = context.signal;
+        return new Promise(resolve => setTimeout(resolve, 200));
+      });
+      
+      const results = await engine.processMessages([messages[0]], handler);
+      
+      expect(signal.aborted).toBe(true);
+      expect(signal.reason.name).toBe('HandlerTimeoutError');
+      expect(results.failed).toBe(1);
+      expect(results.timedOut).toBe(1);
+      expect(results.outcomes[0]).toMatchObject({
+        success: false,
+        timedOut: true,
+        errorClass: 'HandlerTimeoutError',
+        error: 'Handler timed out after 20ms'
+      });
+      expect(results.errors[0].timedOut).toBe(true);
+      expect(engine.getStats().totalTimedOut).toBe(1);
+    });
+    
+    it('should pass a signal that is not aborted when handlers finish in time', async () => {
+      const engine = new ProcessingEngine({ handlerTimeoutMs: 1000 });
+      let signal;
+      
+      const results = await engine.processMessages([messages[0]], async (message, context) => {
+        signal = context.signal;
+      });
+      
+      expect(signal.aborted).toBe(false);
+      expect(results.successful).toBe(1);
+      expect(results.timedOut).toBe(0);
+    });
+    
+    it('should time out batch handlers for the whole chunk', async () => {
+      const engine = new ProcessingEngine({ mode: ProcessingMode.BATCH, handlerTimeoutMs: 20 });
+      
+      const results = await engine.processMessages(messages, () => new Promise(resolve => setTimeout(resolve, 200)));
+      
+      expect(results.timedOut).toBe(3);
+    });
+  });
+
+  describe('middlewares', () => {
+    it('should run middlewares around the handler with a shared context', async () => {
+      const engine = new ProcessingEngine();
+      const handler = jest.fn();
+      engine.use(async (message, context, next) => {
+        context.tenant = 'acme';
+        await next();
+      });
+      
+      const results = await engine.processMessages([messages[0]], handler);
+      
+      expect(handler).toHaveBeenCalledWith({ id: 1 }, expect.objectContaining({ tenant: 'acme' }));
+      expect(results.outcomes[0]).toMatchObject({ success: true, shortCircuited: false });
+    });
+    
+    it('should record short-circuited messages as successful', async () => {
+      const engine = new ProcessingEngine({ middlewares: [async () => {}] });
+      const handler = jest.fn();
+      
+      const results = await engine.processMessages([messages[0]], handler);
+      
+      expect(handler).not.toHaveBeenCalled();
+      expect(results.outcomes[0]).toMatchObject({ success: true, shortCircuited: true });
+    });
+    
+    it('should report the error class set by a middleware', async () => {
+      const engine = new ProcessingEngine();
+      engine.use(async (message, context, next) => {
+        try {
+          await next();
+        } catch (error) {
+          error.errorClass = 'Transient';
+          throw error;
+        }
+      });
+      
+      const results = await engine.processMessages([messages[1]], failingOnSecond);
+      
+      expect(results.outcomes[0]).toMatchObject({ success: false, errorClass: 'Transient' });
+    });
+    
+    it('should reject middlewares that are not functions', () => {
+      expect(() => new ProcessingEngine().use('logging')).toThrow('Middleware must be a function');
+    });
+  });
+
+  describe('context.nack', () => {
+    it('should mark a nacked message with its requested delay', async () => {
+      const engine = new ProcessingEngine();
+      
+      const results = await engine.processMessages([messages[0]], async (body, context) => {
+        context.nack(120);
+      });
+      
+      expect(results).toMatchObject({ successful: 0, failed: 0, nacked: 1 });
+      expect(results.errors).toHaveLength(0);
+      expect(results.outcomes[0]).toMatchObject({ success: false, nacked: true, nackDelaySeconds: 120 });
+    });
+    
+    it('should cap the nack delay at 12 hours', async () => {
+      const engine = new ProcessingEngine();
+      
+      const results = await engine.processMessages([messages[0]], async (body, context) => {
+        context.nack(100000);
+      });
+      
+      expect(results.outcomes[0].nackDelaySeconds).toBe(43200);
+    });
+    
+    it('should keep the nack delay when the handler throws afterwards', async () => {
+      const engine = new ProcessingEngine();
+      
+      const results = await engine.processMessages([messages[0]], async (body, context) => {
+        context.nack(30);
+        throw new Error('Handler failed');
+      });
+      
+      expect(results.outcomes[0]).toMatchObject({ nacked: true, nackDelaySeconds: 30, error: 'Handler failed' });
+    });
+    
+    it('should expose the receive count in the context', async () => {
+      const engine = new ProcessingEngine();
+      const handler = jest.fn();
+      
+      await engine.processMessages([{ ...messages[0], Attributes: { ApproximateReceiveCount: '3' } }], handler);
+      
+      expect(handler.mock.calls[0][1].receiveCount).toBe(3);
+    });
+  });
+
+  it('should update statistics from outcomes', async () => {
+    const engine = new ProcessingEngine();
+    
+    await engine.processMessages(messages, failingOnSecond);
+    
+    const stats = engine.getStats();
+    expect(stats.totalProcessed).toBe(2);
+    expect(stats.totalFailed).toBe(1);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Tests for QueueScheduler
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const QueueScheduler = require('../../src/consumers/QueueScheduler');
+const { SchedulingPolicy } = require('../../src/types');
+
+describe('QueueScheduler', () => {
+  const queues = [
+    { name: 'high', priority: 2, weight: 3 },
+    { name: 'low', priority: 1, weight: 1 }
+  ];
+
+  it('should reject unknown policies', () => {
+    expect(() => new QueueScheduler({ queues, policy: 'random' }))
+      .toThrow('Scheduling policy must be one of priority, weighted');
+  });
+
+  it('should return null without candidates', () => {
+    const scheduler = new QueueScheduler({ queues });
+    
+    expect(scheduler.select([])).toBeNull();
+  });
+
+  describe('priority policy', () => {
+    it('should select the highest-priority candidate', () => {
+      const scheduler = new QueueScheduler({ queues });
+      
+      expect(scheduler.select([{ name: 'low', waitingSince: 0 }, { name: 'high', waitingSince: 0 }], 100)).toBe('high');
+      expect(scheduler.select([{ name: 'low', waitingSince: 0 }], 100)).toBe('low');
+      expect(scheduler.getStats().selections).toEqual({ high: 1, low: 1 });
+    });
+    
+    it('should serve a starving queue ahead of higher priorities', () => {
+      const scheduler = new QueueScheduler({ queues, maxStarvationMs: 1000 });
+      const candidates = [{ name: 'high', waitingSince: 900 }, { name: 'low', waitingSince: 0 }];
+      
+      expect(scheduler.select(candidates, 999)).toBe('high');
+      expect(scheduler.select(candidates, 1000)).toBe('low');
+      expect(scheduler.getStats().starvationOverrides).toBe(1);
+    });
+    
+    it('should never override priorities without a starvation bound', () => {
+      const scheduler = new QueueScheduler({ queues, maxStarvationMs: null });
+      
+      expect(scheduler.select([{ name: 'high', waitingSince: 0 }, { name: 'low', waitingSince: 0 }], 60000))
+        .toBe('high');
+      expect(scheduler.getStats().starvationOverrides).toBe(0);
+    });
+  });
+
+  describe('weighted policy', () => {
+    it('should interleave selections in proportion to the weights', () => {
+      const scheduler = new QueueScheduler({ queues, policy: SchedulingPolicy.WEIGHTED });
+      const candidates = [{ name: 'high', waitingSince: 0 }, { name: 'low', waitingSince: 0 }];
+      
+      const selected = Array.from({ length: 8 }, () => scheduler.select(candidates));
+      
+      expect(selected).toEqual(['high', 'high', 'low', 'high', 'high', 'high', 'low', 'high']);
+      expect(scheduler.getStats().selections).toEqual({ high: 6, low: 2 });
+    });
+    
+    it('should not bank turns for queues without messages', () => {
+      const scheduler = new QueueScheduler({ queues, policy: SchedulingPolicy.WEIGHTED });
+      
+      for (let i = 0; i < 5; i++) {
+        scheduler.select([{ name: 'high', waitingSince: 0 }]);
+      }
+      
+      const selected = Array.from({ length: 4 }, () =>
+        scheduler.select([{ name: 'high', waitingSince: 0 }, { name: 'low', waitingSince: 0 }]));
+      expect(selected.filter(name => name === 'low')).toHaveLength(1);
+    });
+  });
+
+  it('should reset statistics', () => {
+    const scheduler = new QueueScheduler({ queues });
+    scheduler.select([{ name: 'high', waitingSince: 0 }]);
+    
+    scheduler.resetStats();
+    
+    expect(scheduler.getStats()).toEqual({ policy: 'priority', selections: {}, starvationOverrides: 0 });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Tests for RateLimiter
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const RateLimiter = require('../../src/consumers/RateLimiter');
+
+describe('RateLimiter', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('constructor', () => {
+    it('should require a positive rate', () => {
+      expect(() => new RateLimiter({})).toThrow('Rate limit messagesPerSecond must be a positive number');
+      expect(() => new RateLimiter({ messagesPerSecond: 0 })).toThrow();
+    });
+    
+    it('should default the burst to the rate', () => {
+      expect(new RateLimiter({ messagesPerSecond: 5 }).getConfig()).toEqual({
+        messagesPerSecond: 5,
+        burst: 5,
+        keyed: false,
+        maxKeys: 10000
+      });
+      expect(new RateLimiter({ messagesPerSecond: 0.5 }).burst).toBe(1);
+    });
+    
+    it('should reject unknown keys', () => {
+      expect(() => new RateLimiter({ messagesPerSecond: 1, key: 'tenant' })).toThrow('Rate limit key must be');
+    });
+  });
+
+  describe('token bucket', () => {
+    it('should allow the burst at once and then refill at the rate', () => {
+      const limiter = new RateLimiter({ messagesPerSecond: 10, burst: 20 });
+      
+      expect(limiter.tryAcquire(15)).toBe(15);
+      expect(limiter.tryAcquire(15)).toBe(5);
+      expect(limiter.tryAcquire(1)).toBe(0);
+      expect(limiter.getWaitTime()).toBe(100);
+      
+      now += 500;
+      expect(limiter.tryAcquire(10)).toBe(5);
+      
+      now += 10000;
+      expect(limiter.tryAcquire(100)).toBe(20);
+    });
+    
+    it('should take refunded tokens back up to the burst', () => {
+      const limiter = new RateLimiter({ messagesPerSecond: 10 });
+      
+      limiter.tryAcquire(10);
+      limiter.refund(4);
+      
+      expect(limiter.tryAcquire(10)).toBe(4);
+      limiter.refund(50);
+      expect(limiter.tryAcquire(50)).toBe(10);
+    });
+  });
+
+  describe('partition', () => {
+    const message = (id, body, groupId) => ({
+      MessageId: id,
+      Body: JSON.stringify(body),
+      Attributes: groupId ? { MessageGroupId: groupId } : {}
+    });
+    
+    it('should limit each message group separately', () => {
+      const limiter = new RateLimiter({ messagesPerSecond: 1, key: 'messageGroup' });
+      
+      const { allowed, deferred } = limiter.partition([
+        message('1', {}, 'a'),
+        message('2', {}, 'a'),
+        message('3', {}, 'b'),
+        message('4', {}, 'a')
+      ]);
+      
+      expect(allowed.map(m => m.MessageId)).toEqual(['1', '3']);
+      expect(deferred.map(({ message: m, delaySeconds }) => [m.MessageId, delaySeconds])).toEqual([['2', 1], ['4', 2]]);
+      expect(limiter.getStats()).toEqual({ allowed: 2, deferred: 2, waits: 0, totalWaitMs: 0, keys: 2 });
+    });
+    
+    it('should key by a nested body field and share one bucket for messages without it', () => {
+      const limiter = new RateLimiter({ messagesPerSecond: 1, key: { bodyField: 'customer.id' } });
+      
+      const { allowed } = limiter.partition([
+        message('1', { customer: { id: 7 } }),
+        message('2', { customer: { id: 8 } }),
+        message('3', { customer: {} }),
+        { MessageId: '4', Body: 'not json' }
+      ]);
+      
+      expect(allowed.map(m => m.MessageId)).toEqual(['1', '2', '3']);
+    });
+    
+    it('should key by a function', () => {
+      const limiter = new RateLimiter({ messagesPerSecond: 1, key: m => m.MessageId });
+      
+      expect(limiter.partition([message('1', {}), message('2', {})]).allowed).toHaveLength(2);
+    });
+  });
+
+  describe('buckets', () => {
+    it('should evict refilled buckets once maxKeys are tracked', () => {
+      const limiter = new RateLimiter({ messagesPerSecond: 1, key: m => m.MessageId, maxKeys: 2 });
+      
+      limiter.tryAcquire(1, 'a');
+      limiter.tryAcquire(1, 'b');
+      now += 2000;
+      limiter.tryAcquire(1, 'c');
+      
+      expect(Array.from(limiter.buckets.keys())).toEqual(['c']);
+    });
+  });
+});
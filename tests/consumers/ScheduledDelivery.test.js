@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Tests for ScheduledDelivery
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const ScheduledDelivery = require('../../src/consumers/ScheduledDelivery');
+const MemoryScheduleStore = require('../../src/stores/MemoryScheduleStore');
+const { SendMessageCommand } = require('@aws-sdk/client-sqs');
+
+const scheduledMessage = (id, deliverAt, scheduleId) => ({
+  MessageId: id,
+  ReceiptHandle: `receipt-${id}`,
+  Body: '{"type":"reminder"}',
+  MessageAttributes: {
+    'boxq-deliver-at': { DataType: 'Number', StringValue: String(deliverAt) },
+    ...(scheduleId && { 'boxq-schedule-id': { DataType: 'String', StringValue: scheduleId } }),
+    'content-type': { DataType: 'String', StringValue: 'application/json' }
+  }
+});
+
+describe('ScheduledDelivery', () => {
+  const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/reminders';
+  const now = Date.now();
+  let mockSQSClient;
+
+  beforeEach(() => {
+    SendMessageCommand.mockClear();
+    mockSQSClient = {
+      executeCommand: jest.fn().mockResolvedValue({ MessageId: 'copy-1' })
+    };
+  });
+
+  describe('constructor', () => {
+    it('should default to requeueing, or to extending visibility on FIFO queues', () => {
+      expect(new ScheduledDelivery(mockSQSClient, queueUrl).mode).toBe('requeue');
+      expect(new ScheduledDelivery(mockSQSClient, `${queueUrl}.fifo`).mode).toBe('visibility');
+    });
+    
+    it('should reject invalid configurations', () => {
+      expect(() => new ScheduledDelivery(mockSQSClient, queueUrl, { mode: 'sleep' }))
+        .toThrow('Scheduled delivery mode must be one of requeue, visibility');
+      expect(() => new ScheduledDelivery(mockSQSClient, `${queueUrl}.fifo`, { mode: 'requeue' }))
+        .toThrow('Scheduled delivery on FIFO queues requires the visibility mode');
+      expect(() => new ScheduledDelivery(mockSQSClient, queueUrl, { store: {} }))
+        .toThrow('Schedule store must implement get and remove');
+    });
+  });
+
+  describe('screen', () => {
+    it('should hold messages until their delivery time', async () => {
+      const delivery = new ScheduledDelivery(mockSQSClient, queueUrl);
+      const later = scheduledMessage('later', now + 3600 * 1000);
+      const soon = scheduledMessage('soon', now + 30500);
+      const due = scheduledMessage('due', now + 500);
+      const plain = { MessageId: 'plain', ReceiptHandle: 'receipt-plain', Body: '{}' };
+      
+      const screened = await delivery.screen([later, soon, due, plain], now);
+      
+      expect(screened.waiting).toEqual([
+        { message: later, delaySeconds: 900 },
+        { message: soon, delaySeconds: 31 }
+      ]);
+      expect(screened.due).toEqual([due, plain]);
+      expect(delivery.getStats().held).toBe(2);
+    });
+    
+    it('should hold messages for up to 12 hours at a time in visibility mode', async () => {
+      const delivery = new ScheduledDelivery(mockSQSClient, queueUrl, { mode: 'visibility' });
+      
+      const screened = await delivery.screen([scheduledMessage('later', now + 48 * 3600 * 1000)], now);
+      
+      expect(screened.waiting[0].delaySeconds).toBe(43200);
+    });
+    
+    it('should report cancelled messages whatever their delivery time', async () => {
+      const store = new MemoryScheduleStore();
+      await store.add({ scheduleId: 's1', queueUrl, deliverAt: now + 3600 * 1000 });
+      await store.add({ scheduleId: 's2', queueUrl, deliverAt: now });
+      await store.cancel('s1');
+      await store.cancel('s2');
+      const delivery = new ScheduledDelivery(mockSQSClient, queueUrl, { store });
+      const messages = [scheduledMessage('a', now + 3600 * 1000, 's1'), scheduledMessage('b', now, 's2')];
+      
+      const screened = await delivery.screen(messages, now);
+      
+      expect(screened.cancelled).toEqual(messages);
+      expect(screened.waiting).toEqual([]);
+      expect(screened.due).toEqual([]);
+    });
+    
+    it('should leave messages whose schedule cannot be looked up', async () => {
+      const store = { get: jest.fn().mockRejectedValue(new Error('Store down')), remove: jest.fn() };
+      const onError = jest.fn();
+      const delivery = new ScheduledDelivery(mockSQSClient, queueUrl, { store, onError });
+      
+      const screened = await delivery.screen([scheduledMessage('a', now, 's1')], now);
+      
+      expect(screened).toEqual({ due: [], waiting: [], cancelled: [] });
+      expect(delivery.getStats().storeErrors).toBe(1);
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Store down' }), {
+        operation: 'look_up_schedule',
+        scheduleId: 's1'
+      });
+    });
+  });
+
+  describe('requeue', () => {
+    it('should publish a delayed copy with the original body and attributes', async () => {
+      const delivery = new ScheduledDelivery(mockSQSClient, queueUrl);
+      const message = scheduledMessage('later', now + 3600 * 1000, 's1');
+      
+      const result = await delivery.requeue(message, 900);
+      
+      const params = SendMessageCommand.mock.calls[0][0];
+      expect(result.success).toBe(true);
+      expect(params.MessageBody).toBe(message.Body);
+      expect(params.DelaySeconds).toBe(900);
+      expect(params.MessageAttributes).toEqual(message.MessageAttributes);
+      expect(delivery.getStats().requeued).toBe(1);
+    });
+    
+    it('should keep binary and custom-typed attributes on the copy', async () => {
+      const delivery = new ScheduledDelivery(mockSQSClient, queueUrl);
+      const message = scheduledMessage('later', now + 3600 * 1000, 's1');
+      message.MessageAttributes['boxq-data-key'] = { DataType: 'Binary', BinaryValue: Buffer.from([1, 2, 3]) };
+      message.MessageAttributes.priority = { DataType: 'Number.int', StringValue: '3' };
+      
+      await delivery.requeue(message, 900);
+      
+      expect(SendMessageCommand.mock.calls[0][0].MessageAttributes).toEqual(message.MessageAttributes);
+    });
+  });
+
+  describe('forget', () => {
+    it('should remove the schedules of delivered messages', async () => {
+      const store = new MemoryScheduleStore();
+      await store.add({ scheduleId: 's1', queueUrl, deliverAt: now });
+      const delivery = new ScheduledDelivery(mockSQSClient, queueUrl, { store });
+      
+      await delivery.forget([scheduledMessage('a', now, 's1'), { MessageId: 'plain' }]);
+      
+      expect(await store.get('s1')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Tests for VisibilityHeartbeat
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const VisibilityHeartbeat = require('../../src/consumers/VisibilityHeartbeat');
+const { ChangeMessageVisibilityCommand } = require('@aws-sdk/client-sqs');
+
+describe('VisibilityHeartbeat', () => {
+  let mockSQSClient;
+  const message = { MessageId: 'msg-1', ReceiptHandle: 'handle-1' };
+
+  const createError = (name) => Object.assign(new Error(name), { name });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    ChangeMessageVisibilityCommand.mockClear();
+    mockSQSClient = {
+      executeCommand: jest.fn().mockResolvedValue({})
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('constructor', () => {
+    it('should derive defaults from the visibility timeout', () => {
+      const heartbeat = new VisibilityHeartbeat(mockSQSClient, 'test-queue', { visibilityTimeoutSeconds: 30 });
+      
+      expect(heartbeat.getConfig()).toEqual({
+        intervalSeconds: 10,
+        extensionSeconds: 30,
+        maxLeaseSeconds: 43200
+      });
+    });
+  });
+
+  describe('track', () => {
+    it('should extend visibility while the handler is running', async () => {
+      const onExtended = jest.fn();
+      const heartbeat = new VisibilityHeartbeat(mockSQSClient, 'test-queue', {
+        visibilityTimeoutSeconds: 30,
+        onExtended
+      });
+      
+      const stop = heartbeat.track(message);
+      await jest.advanceTimersByTimeAsync(25000);
+      
+      expect(mockSQSClient.executeCommand).toHaveBeenCalledTimes(2);
+      expect(ChangeMessageVisibilityCommand).toHaveBeenCalledWith({
+        QueueUrl: 'test-queue',
+        ReceiptHandle: 'handle-1',
+        VisibilityTimeout: 30
+      });
+      expect(onExtended).toHaveBeenCalledWith(expect.objectContaining({ messageId: 'msg-1', visibilityTimeout: 30 }));
+      expect(stop()).toEqual({ extensions: 2, leaseLost: false });
+      expect(heartbeat.getStats().active).toBe(0);
+    });
+    
+    it('should pass errors thrown by callbacks to onError', async () => {
+      const failure = new Error('Metrics backend unavailable');
+      const onError = jest.fn();
+      const heartbeat = new VisibilityHeartbeat(mockSQSClient, 'test-queue', {
+        intervalSeconds: 10,
+        onExtended: () => {
+          throw failure;
+        },
+        onError
+      });
+      
+      const stop = heartbeat.track(message);
+      await jest.advanceTimersByTimeAsync(10000);
+      
+      expect(onError).toHaveBeenCalledWith(failure, expect.objectContaining({ messageId: 'msg-1', extensions: 1 }));
+      expect(stop()).toEqual({ extensions: 1, leaseLost: false });
+    });
+    
+    it('should stop extending once stopped', async () => {
+      const heartbeat = new VisibilityHeartbeat(mockSQSClient, 'test-queue', { intervalSeconds: 1 });
+      
+      const stop = heartbeat.track(message);
+      stop();
+      await jest.advanceTimersByTimeAsync(5000);
+      
+      expect(mockSQSClient.executeCommand).not.toHaveBeenCalled();
+    });
+    
+    it('should cap extensions at the maximum lease', async () => {
+      const onLeaseLost = jest.fn();
+      const heartbeat = new VisibilityHeartbeat(mockSQSClient, 'test-queue', {
+        intervalSeconds: 10,
+        extensionSeconds: 30,
+        maxLeaseSeconds: 25,
+        onLeaseLost
+      });
+      
+      const stop = heartbeat.track(message);
+      await jest.advanceTimersByTimeAsync(30000);
+      
+      expect(ChangeMessageVisibilityCommand.mock.calls.map(call => call[0].VisibilityTimeout)).toEqual([15, 5]);
+      expect(onLeaseLost).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ messageId: 'msg-1' }));
+      expect(stop().leaseLost).toBe(true);
+    });
+    
+    it('should count the maximum lease from when the message was received', async () => {
+      const onLeaseLost = jest.fn();
+      const heartbeat = new VisibilityHeartbeat(mockSQSClient, 'test-queue', {
+        intervalSeconds: 10,
+        extensionSeconds: 30,
+        maxLeaseSeconds: 40,
+        onLeaseLost
+      });
+      const received = { ...message };
+      VisibilityHeartbeat.markReceived([received], Date.now() - 25000);
+      
+      const stop = heartbeat.track({ ...received });
+      await jest.advanceTimersByTimeAsync(20000);
+      
+      expect(ChangeMessageVisibilityCommand.mock.calls.map(call => call[0].VisibilityTimeout)).toEqual([5]);
+      expect(onLeaseLost).toHaveBeenCalledWith(expect.any(Error), expect.objectContaining({ elapsedMs: 45000 }));
+      expect(stop().leaseLost).toBe(true);
+    });
+    
+    it('should report lease loss when the receipt handle is no longer valid', async () => {
+      const onLeaseLost = jest.fn();
+      mockSQSClient.executeCommand.mockRejectedValue(createError('ReceiptHandleIsInvalid'));
+      const heartbeat = new VisibilityHeartbeat(mockSQSClient, 'test-queue', { intervalSeconds: 1, onLeaseLost });
+      
+      heartbeat.track(message);
+      await jest.advanceTimersByTimeAsync(3000);
+      
+      expect(mockSQSClient.executeCommand).toHaveBeenCalledTimes(1);
+      expect(onLeaseLost).toHaveBeenCalledTimes(1);
+      expect(heartbeat.getStats()).toMatchObject({ leasesLost: 1, active: 0 });
+    });
+    
+    it('should not report lease loss for a message settled while its extension was in flight', async () => {
+      const onLeaseLost = jest.fn();
+      let stop;
+      mockSQSClient.executeCommand.mockImplementation(async () => {
+        stop();
+        throw createError('ReceiptHandleIsInvalid');
+      });
+      const heartbeat = new VisibilityHeartbeat(mockSQSClient, 'test-queue', { intervalSeconds: 1, onLeaseLost });
+      
+      stop = heartbeat.track(message);
+      await jest.advanceTimersByTimeAsync(3000);
+      
+      expect(mockSQSClient.executeCommand).toHaveBeenCalledTimes(1);
+      expect(onLeaseLost).not.toHaveBeenCalled();
+      expect(heartbeat.getStats()).toMatchObject({ leasesLost: 0, failures: 0, active: 0 });
+    });
+    
+    it('should keep extending after a transient failure', async () => {
+      const onError = jest.fn();
+      mockSQSClient.executeCommand.mockRejectedValueOnce(createError('ThrottlingException'));
+      const heartbeat = new VisibilityHeartbeat(mockSQSClient, 'test-queue', { intervalSeconds: 1, onError });
+      
+      const stop = heartbeat.track(message);
+      await jest.advanceTimersByTimeAsync(2000);
+      
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(stop()).toEqual({ extensions: 1, leaseLost: false });
+      expect(heartbeat.getStats().failures).toBe(1);
+    });
+  });
+
+  describe('stopAll', () => {
+    it('should stop every tracked message', async () => {
+      const heartbeat = new VisibilityHeartbeat(mockSQSClient, 'test-queue', { intervalSeconds: 1 });
+      
+      heartbeat.track(message);
+      heartbeat.track({ MessageId: 'msg-2', ReceiptHandle: 'handle-2' });
+      heartbeat.stopAll();
+      await jest.advanceTimersByTimeAsync(5000);
+      
+      expect(mockSQSClient.executeCommand).not.toHaveBeenCalled();
+      expect(heartbeat.getStats().active).toBe(0);
+    });
+  });
+});
@@ -121,6 +121,37 @@ describe('CircuitBreaker', () => {
     });
   });
 
+  describe('stateChange', () => {
+    it('should emit every state transition', () => {
+      const listener = jest.fn();
+      circuitBreaker.on('stateChange', listener);
+      
+      for (let i = 0; i < 3; i++) {
+        circuitBreaker.recordFailure();
+      }
+      jest.advanceTimersByTime(1001);
+      circuitBreaker.canExecute();
+      for (let i = 0; i < 3; i++) {
+        circuitBreaker.recordSuccess();
+      }
+      
+      expect(listener.mock.calls.map(call => call[0])).toEqual([
+        { previousState: CircuitBreakerState.CLOSED, state: CircuitBreakerState.OPEN },
+        { previousState: CircuitBreakerState.OPEN, state: CircuitBreakerState.HALF_OPEN },
+        { previousState: CircuitBreakerState.HALF_OPEN, state: CircuitBreakerState.CLOSED }
+      ]);
+    });
+
+    it('should not emit when the state does not change', () => {
+      const listener = jest.fn();
+      circuitBreaker.on('stateChange', listener);
+      
+      circuitBreaker.reset();
+      
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getState', () => {
     it('should return current state', () => {
       expect(circuitBreaker.getState()).toBe(CircuitBreakerState.CLOSED);
@@ -56,6 +56,16 @@ describe('HealthMonitor', () => {
     });
   });
 
+  describe('recordTimeout', () => {
+    it('should count timeouts as failures and separately', () => {
+      healthMonitor.recordTimeout('Handler timed out after 100ms');
+      
+      expect(healthMonitor.metrics.messagesFailed).toBe(1);
+      expect(healthMonitor.metrics.messagesTimedOut).toBe(1);
+      expect(healthMonitor.getHealthStatus().metrics.messagesTimedOut).toBe(1);
+    });
+  });
+
   describe('updateCircuitBreakerState', () => {
     it('should update circuit breaker state', () => {
       healthMonitor.updateCircuitBreakerState('OPEN');
@@ -63,6 +63,27 @@ describe('SQSClient', () => {
       expect(mockAWSClient.send).toHaveBeenCalledWith(command);
     });
 
+    it('should pass the abort signal to the AWS client', async () => {
+      const controller = new AbortController();
+      mockAWSClient.send.mockResolvedValue({});
+      
+      const command = { QueueUrl: 'test-queue' };
+      await sqsClient.executeCommand(command, { abortSignal: controller.signal });
+      
+      expect(mockAWSClient.send).toHaveBeenCalledWith(command, { abortSignal: controller.signal });
+    });
+
+    it('should not count aborted requests as circuit breaker failures', async () => {
+      const error = new Error('Request aborted');
+      error.name = 'AbortError';
+      mockAWSClient.send.mockRejectedValue(error);
+      
+      await expect(sqsClient.executeCommand({ QueueUrl: 'test-queue' })).rejects.toThrow('Request aborted');
+      
+      expect(mockAWSClient.send).toHaveBeenCalledTimes(1);
+      expect(sqsClient.circuitBreaker.getFailureCount()).toBe(0);
+    });
+
     it('should handle command failure with retry', async () => {
       const error = new Error('AWS Error');
       error.name = 'ThrottlingException';
@@ -4,7 +4,7 @@
  * @version 1.0.0
  */
 
-const { BoxQ, ProcessingMode, HealthStatus } = require('../src/index');
+const { BoxQ, ProcessingMode, HealthStatus, ConsumerStatus } = require('../src/index');
 
 describe('BoxQ', () => {
   let sqs;
@@ -118,6 +118,20 @@ describe('BoxQ', () => {
     });
   });
 
+  describe('createMultiQueueConsumer', () => {
+    it('should create and register a multi-queue consumer', () => {
+      const consumer = sqs.createMultiQueueConsumer([
+        { queueUrl: 'orders-queue', name: 'orders' },
+        { queueUrl: 'reports-queue', name: 'reports' }
+      ], { maxConcurrency: 4 });
+      
+      expect(consumer.getQueueNames()).toEqual(['orders', 'reports']);
+      expect(consumer.getQueueConsumer('orders').healthMonitor).toBe(sqs.healthMonitor);
+      expect(sqs.consumers.get('orders-queue,reports-queue')).toBe(consumer);
+      expect(sqs._getConsumerStatusCounts().stoppedConsumers).toBe(1);
+    });
+  });
+
   describe('getHealthStatus', () => {
     it('should return health status', async () => {
       const status = await sqs.getHealthStatus();
@@ -147,6 +161,45 @@ describe('BoxQ', () => {
       expect(metrics).toHaveProperty('components');
       expect(metrics).toHaveProperty('alerts');
     });
+
+    it('should distinguish running, paused and stopped consumers', () => {
+      sqs.consumers.set('queue-a', { getStatus: () => ConsumerStatus.RUNNING });
+      sqs.consumers.set('queue-b', { getStatus: () => ConsumerStatus.PAUSED });
+      sqs.consumers.set('queue-c', { getStatus: () => ConsumerStatus.STOPPED });
+
+      const { components } = sqs.getMetrics();
+
+      expect(components).toMatchObject({
+        consumers: 3,
+        activeConsumers: 1,
+        pausedConsumers: 1,
+        stoppedConsumers: 1,
+        consumerStatuses: { 'queue-a': 'running', 'queue-b': 'paused', 'queue-c': 'stopped' }
+      });
+    });
+  });
+
+  describe('compression metrics', () => {
+    it('should sum the compression statistics of the publishers', async () => {
+      mockSQSClient.executeCommand = jest.fn().mockResolvedValue({ MessageId: 'msg-1' });
+      const body = { events: Array.from({ length: 50 }, (_, index) => ({ type: 'order.created', index })) };
+      const first = sqs.createPublisher('queue-a', { compression: true });
+      const second = sqs.createPublisher('queue-b', { compression: { algorithm: 'br' } });
+      sqs.createPublisher('queue-c');
+      
+      const results = [await first.publish(body), await second.publish(body)];
+      
+      const { compression } = sqs.getMetrics();
+      expect(compression).toMatchObject({
+        compressed: 2,
+        originalBytes: 2 * JSON.stringify(body).length,
+        compressedBytes: results[0].compression.compressedBytes + results[1].compression.compressedBytes
+      });
+      expect(compression.ratio).toBeGreaterThan(1);
+      
+      sqs.resetMetrics();
+      expect(sqs.getMetrics().compression).toMatchObject({ compressed: 0, ratio: null });
+    });
   });
 
   describe('resetMetrics', () => {
@@ -188,17 +241,21 @@ describe('BoxQ', () => {
   });
 
   describe('stopAllConsumers', () => {
-    it('should stop all consumers', () => {
-      const consumer1 = { stop: jest.fn() };
-      const consumer2 = { stop: jest.fn() };
+    it('should stop all consumers', async () => {
+      const consumer1 = { stop: jest.fn().mockResolvedValue({ drained: true, unfinished: 0 }) };
+      const consumer2 = { stop: jest.fn().mockResolvedValue({ drained: false, unfinished: 2 }) };
       
       sqs.consumers.set('queue1', consumer1);
       sqs.consumers.set('queue2', consumer2);
       
-      sqs.stopAllConsumers();
+      const reports = await sqs.stopAllConsumers({ drainTimeoutMs: 5000 });
       
-      expect(consumer1.stop).toHaveBeenCalled();
-      expect(consumer2.stop).toHaveBeenCalled();
+      expect(consumer1.stop).toHaveBeenCalledWith({ drainTimeoutMs: 5000 });
+      expect(consumer2.stop).toHaveBeenCalledWith({ drainTimeoutMs: 5000 });
+      expect(reports).toEqual([
+        { drained: true, unfinished: 0 },
+        { drained: false, unfinished: 2 }
+      ]);
     });
   });
 
@@ -219,6 +276,14 @@ describe('BoxQ', () => {
       expect(sqs.healthMonitor.healthChecks.has('publishers')).toBe(true);
       expect(sqs.healthMonitor.healthChecks.has('consumers')).toBe(true);
     });
+
+    it('should report paused consumers in the consumers health check', async () => {
+      sqs.consumers.set('queue-a', { getStatus: () => ConsumerStatus.PAUSED });
+
+      const result = await sqs.healthMonitor.healthChecks.get('consumers')();
+
+      expect(result.details).toMatchObject({ total: 1, active: 0, paused: 1, stopped: 0 });
+    });
   });
 });
 
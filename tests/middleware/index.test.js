@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Tests for consumer middleware
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const { compose, logging, timing, errorClassification } = require('../../src/middleware');
+
+describe('middleware', () => {
+  const createContext = () => ({ messageId: 'msg-1', receiveCount: 1, nack: jest.fn() });
+
+  describe('compose', () => {
+    it('should run middlewares in order around the handler', async () => {
+      const calls = [];
+      const composed = compose([
+        async (message, context, next) => {
+          calls.push('first:before');
+          await next();
+          calls.push('first:after');
+        },
+        async (message, context, next) => {
+          calls.push('second:before');
+          await next();
+          calls.push('second:after');
+        }
+      ], async () => {
+        calls.push('handler');
+      });
+      
+      await composed({ id: 1 }, createContext());
+      
+      expect(calls).toEqual(['first:before', 'second:before', 'handler', 'second:after', 'first:after']);
+    });
+    
+    it('should share the context with the handler and resolve with its result', async () => {
+      const handler = jest.fn(async (message, context) => `${context.tenant}:${message.id}`);
+      const composed = compose([
+        async (message, context, next) => {
+          context.tenant = 'acme';
+          return next();
+        }
+      ], handler);
+      
+      await expect(composed({ id: 1 }, createContext())).resolves.toBe('acme:1');
+    });
+    
+    it('should short-circuit when a middleware does not call next', async () => {
+      const handler = jest.fn();
+      const composed = compose([async () => {}], handler);
+      
+      await composed({ id: 1 }, createContext());
+      
+      expect(handler).not.toHaveBeenCalled();
+    });
+    
+    it('should reject when next is called twice', async () => {
+      const composed = compose([
+        async (message, context, next) => {
+          await next();
+          await next();
+        }
+      ], jest.fn());
+      
+      await expect(composed({ id: 1 }, createContext())).rejects.toThrow('next() called multiple times');
+    });
+  });
+
+  describe('logging', () => {
+    it('should log the start and failure of a message', async () => {
+      const logger = { log: jest.fn(), error: jest.fn() };
+      const composed = compose([logging({ logger })], async () => {
+        throw new Error('Handler failed');
+      });
+      
+      await expect(composed({}, createContext())).rejects.toThrow('Handler failed');
+      
+      expect(logger.log).toHaveBeenCalledWith('Processing message', { messageId: 'msg-1', receiveCount: 1 });
+      expect(logger.error).toHaveBeenCalledWith('Message processing failed', expect.objectContaining({
+        messageId: 'msg-1',
+        error: 'Handler failed'
+      }));
+    });
+  });
+
+  describe('timing', () => {
+    it('should record the duration on the context and report it', async () => {
+      const onTiming = jest.fn();
+      const context = createContext();
+      
+      await compose([timing({ onTiming })], async () => {})({}, context);
+      
+      expect(context.timing.durationMs).toBeGreaterThanOrEqual(0);
+      expect(onTiming).toHaveBeenCalledWith({ messageId: 'msg-1', durationMs: expect.any(Number), success: true });
+    });
+  });
+
+  describe('errorClassification', () => {
+    class ValidationError extends Error {}
+    
+    it('should classify matching errors and rethrow them', async () => {
+      const composed = compose([
+        errorClassification([{ match: ValidationError, errorClass: 'InvalidOrder', poison: true }])
+      ], async () => {
+        throw new ValidationError('Missing order ID');
+      });
+      
+      const error = await composed({}, createContext()).catch(caught => caught);
+      
+      expect(error.errorClass).toBe('InvalidOrder');
+      expect(error.poison).toBe(true);
+    });
+    
+    it('should nack errors matching a rule with a delay', async () => {
+      const context = createContext();
+      const composed = compose([
+        errorClassification([{ match: /throttled/i, nackDelaySeconds: 60 }])
+      ], async () => {
+        throw new Error('Downstream throttled');
+      });
+      
+      await expect(composed({}, context)).resolves.toBeUndefined();
+      expect(context.nack).toHaveBeenCalledWith(60);
+    });
+    
+    it('should rethrow unmatched errors unchanged', async () => {
+      const composed = compose([
+        errorClassification([{ match: (error) => error.code === 'E_GONE', poison: true }])
+      ], async () => {
+        throw new Error('Other failure');
+      });
+      
+      const error = await composed({}, createContext()).catch(caught => caught);
+      
+      expect(error.message).toBe('Other failure');
+      expect(error.poison).toBeUndefined();
+    });
+  });
+});
@@ -5,6 +5,12 @@
  */
 
 const MessagePublisher = require('../../src/publishers/MessagePublisher');
+const CodecRegistry = require('../../src/utils/CodecRegistry');
+const MemoryScheduleStore = require('../../src/stores/MemoryScheduleStore');
+const BatchPublisher = require('../../src/publishers/BatchPublisher');
+const LocalKeyring = require('../../src/stores/LocalKeyring');
+const EnvelopeEncryptor = require('../../src/utils/EnvelopeEncryptor');
+const { InvalidMessageError, MessageValidationError } = require('../../src/errors');
 const { SendMessageCommand } = require('@aws-sdk/client-sqs');
 
 describe('MessagePublisher', () => {
@@ -29,7 +35,7 @@ describe('MessagePublisher', () => {
       expect(publisher.messageGroupId).toBe('test-group');
       expect(publisher.enableDeduplication).toBe(true);
     });
-
+    
     it('should create publisher with default options', () => {
       const defaultPublisher = new MessagePublisher(mockSQSClient, 'test-queue');
       
@@ -57,7 +63,7 @@ describe('MessagePublisher', () => {
         expect.any(SendMessageCommand)
       );
     });
-
+    
     it('should handle publishing failure', async () => {
       const messageBody = { type: 'test', data: 'hello' };
       
@@ -68,19 +74,35 @@ describe('MessagePublisher', () => {
       expect(result.success).toBe(false);
       expect(result.error).toBe('Publishing failed');
     });
-
+    
     it('should validate message body', async () => {
       await expect(publisher.publish(null)).rejects.toThrow('Message body is required and must be an object');
       await expect(publisher.publish('string')).rejects.toThrow('Message body is required and must be an object');
     });
-
+    
     it('should validate options', async () => {
       const messageBody = { type: 'test' };
       
       await expect(publisher.publish(messageBody, { messageGroupId: 123 })).rejects.toThrow('Message group ID must be a string');
       await expect(publisher.publish(messageBody, { delaySeconds: -1 })).rejects.toThrow('Delay seconds must be a non-negative number');
     });
-
+    
+    it('should throw invalid messages as InvalidMessageError', async () => {
+      await expect(publisher.publish(null)).rejects.toBeInstanceOf(InvalidMessageError);
+      await expect(publisher.publish({ type: 'test' }, { delaySeconds: -1 })).rejects.toMatchObject({
+        code: 'INVALID_MESSAGE'
+      });
+      await expect(publisher.publishRaw('')).rejects.toBeInstanceOf(InvalidMessageError);
+    });
+    
+    it('should return send errors as failed results whatever their message', async () => {
+      mockSQSClient.executeCommand.mockRejectedValue(new Error('Message body is required'));
+      
+      const result = await publisher.publish({ type: 'test' });
+      
+      expect(result).toMatchObject({ success: false, error: 'Message body is required' });
+    });
+    
     it('should handle duplicate messages', async () => {
       const messageBody = { type: 'test', data: 'hello' };
       
@@ -100,6 +122,567 @@ describe('MessagePublisher', () => {
     });
   });
 
+  describe('publishRaw', () => {
+    it('should send the raw body unchanged', async () => {
+      SendMessageCommand.mockClear();
+      mockSQSClient.executeCommand.mockResolvedValue({ MessageId: 'msg-123' });
+      
+      const result = await publisher.publishRaw('not json', { messageDeduplicationId: 'dedup-1' });
+      
+      expect(result.success).toBe(true);
+      expect(SendMessageCommand.mock.calls[0][0].MessageBody).toBe('not json');
+      expect(SendMessageCommand.mock.calls[0][0].MessageDeduplicationId).toBe('dedup-1');
+    });
+    
+    it('should validate raw body', async () => {
+      await expect(publisher.publishRaw('')).rejects.toThrow('Raw message body is required and must be a non-empty string');
+      await expect(publisher.publishRaw({ type: 'test' })).rejects.toThrow('Raw message body is required');
+    });
+  });
+
+  describe('scheduled publishing', () => {
+    const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/reminders';
+    let store;
+    let scheduler;
+    
+    beforeEach(() => {
+      SendMessageCommand.mockClear();
+      mockSQSClient.executeCommand.mockResolvedValue({ MessageId: 'msg-123' });
+      store = new MemoryScheduleStore();
+      scheduler = new MessagePublisher(mockSQSClient, queueUrl, { scheduleStore: store });
+    });
+    
+    it('should send messages due after 15 minutes with the longest delay and a delivery time', async () => {
+      const deliverAt = new Date(Date.now() + 6 * 3600 * 1000);
+      
+      const result = await scheduler.publishAt({ type: 'reminder' }, deliverAt, { scheduleId: 'reminder-1' });
+      
+      const params = SendMessageCommand.mock.calls[0][0];
+      expect(result).toMatchObject({ success: true, scheduleId: 'reminder-1', deliverAt: deliverAt.getTime() });
+      expect(params.DelaySeconds).toBe(900);
+      expect(params.MessageAttributes['boxq-deliver-at']).toEqual({
+        DataType: 'Number',
+        StringValue: String(deliverAt.getTime())
+      });
+      expect(params.MessageAttributes['boxq-schedule-id'].StringValue).toBe('reminder-1');
+      expect(await store.get('reminder-1')).toMatchObject({ status: 'scheduled', queueUrl });
+    });
+    
+    it('should use the remaining delay for short schedules', async () => {
+      const result = await scheduler.publishAfter({ type: 'reminder' }, 60000);
+      
+      expect(result.scheduleId).toBe('mock-uuid-1234');
+      expect(SendMessageCommand.mock.calls[0][0].DelaySeconds).toBe(60);
+    });
+    
+    it('should not set a delay on FIFO queues', async () => {
+      await publisher.publishAfter({ type: 'reminder' }, 3600 * 1000, { messageDeduplicationId: 'dedup-1' });
+      
+      const params = SendMessageCommand.mock.calls[0][0];
+      expect(params.DelaySeconds).toBeUndefined();
+      expect(params.MessageAttributes['boxq-deliver-at']).toBeDefined();
+    });
+    
+    it('should reject invalid delivery times and delays', async () => {
+      await expect(scheduler.publishAt({}, new Date('invalid'))).rejects.toThrow('Delivery time must be a valid Date');
+      await expect(scheduler.publishAfter({}, -1)).rejects.toThrow('Delay milliseconds must be a non-negative number');
+    });
+    
+    it('should cancel pending schedules once', async () => {
+      const { scheduleId } = await scheduler.publishAfter({ type: 'reminder' }, 3600 * 1000);
+      
+      expect(await scheduler.cancelSchedule(scheduleId)).toBe(true);
+      expect(await scheduler.cancelSchedule(scheduleId)).toBe(false);
+      expect((await store.get(scheduleId)).status).toBe('cancelled');
+    });
+    
+    it('should forget the schedule of a message that could not be sent', async () => {
+      mockSQSClient.executeCommand.mockRejectedValue(new Error('Network error'));
+      
+      const result = await scheduler.publishAfter({ type: 'reminder' }, 3600 * 1000);
+      
+      expect(result.success).toBe(false);
+      expect(await store.get(result.scheduleId)).toBeNull();
+    });
+    
+    it('should require a store to cancel', async () => {
+      await expect(publisher.cancelSchedule('reminder-1'))
+        .rejects.toThrow('Cancelling scheduled messages requires a schedule store');
+    });
+  });
+
+  describe('payload offloading', () => {
+    const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/reports';
+    const largeBody = { report: 'x'.repeat(300 * 1024) };
+    let store;
+    
+    beforeEach(() => {
+      SendMessageCommand.mockClear();
+      mockSQSClient.executeCommand.mockResolvedValue({ MessageId: 'msg-123' });
+      store = {
+        put: jest.fn().mockResolvedValue(),
+        get: jest.fn(),
+        delete: jest.fn().mockResolvedValue(true)
+      };
+    });
+    
+    it('should send a pointer to bodies larger than SQS accepts', async () => {
+      const offloading = new MessagePublisher(mockSQSClient, queueUrl, { payloadOffloading: { store } });
+      
+      const result = await offloading.publish(largeBody);
+      
+      const params = SendMessageCommand.mock.calls[0][0];
+      const size = JSON.stringify(largeBody).length;
+      expect(store.put).toHaveBeenCalledWith('boxq/mock-uuid-1234', JSON.stringify(largeBody));
+      expect(JSON.parse(params.MessageBody)).toEqual({ payloadKey: 'boxq/mock-uuid-1234', size });
+      expect(params.MessageAttributes['boxq-payload-key'].StringValue).toBe('boxq/mock-uuid-1234');
+      expect(params.MessageAttributes['boxq-payload-size']).toEqual({ DataType: 'Number', StringValue: String(size) });
+      expect(params.MessageAttributes['content-type']).toBeDefined();
+      expect(result).toMatchObject({ success: true, payloadKey: 'boxq/mock-uuid-1234' });
+    });
+    
+    it('should send bodies under the threshold as they are', async () => {
+      const offloading = new MessagePublisher(mockSQSClient, queueUrl, {
+        payloadOffloading: { store, thresholdBytes: 1024 }
+      });
+      
+      await offloading.publish({ report: 'short' });
+      
+      expect(store.put).not.toHaveBeenCalled();
+      expect(SendMessageCommand.mock.calls[0][0].MessageBody).toBe('{"report":"short"}');
+    });
+    
+    it('should delete the payload of a message that could not be sent', async () => {
+      mockSQSClient.executeCommand.mockRejectedValue(new Error('Network error'));
+      const offloading = new MessagePublisher(mockSQSClient, queueUrl, { payloadOffloading: { store } });
+      
+      const result = await offloading.publish(largeBody);
+      
+      expect(result.success).toBe(false);
+      expect(store.delete).toHaveBeenCalledWith('boxq/mock-uuid-1234');
+    });
+    
+    it('should offload batch entries, largest first, until the batch fits', async () => {
+      const { SendMessageBatchCommand } = require('@aws-sdk/client-sqs');
+      SendMessageBatchCommand.mockClear();
+      mockSQSClient.executeCommand.mockResolvedValue({ Successful: [] });
+      const batchPublisher = new BatchPublisher(mockSQSClient, queueUrl, {
+        enableDeduplication: false,
+        payloadOffloading: { store }
+      });
+      
+      await batchPublisher.publishBatch([
+        { body: { report: 'a'.repeat(100 * 1024) } },
+        { body: { report: 'b'.repeat(120 * 1024) } },
+        { body: { report: 'c'.repeat(90 * 1024) } }
+      ]);
+      
+      const entries = SendMessageBatchCommand.mock.calls[0][0].Entries;
+      expect(store.put).toHaveBeenCalledTimes(1);
+      expect(entries[1].MessageAttributes['boxq-payload-key']).toBeDefined();
+      expect(entries[0].MessageBody).toContain('aaa');
+      expect(entries[2].MessageBody).toContain('ccc');
+    });
+    
+    it('should delete the payloads of batch entries that failed', async () => {
+      mockSQSClient.executeCommand.mockResolvedValue({ Failed: [{ Id: 'msg-0-0', Code: 'InternalError' }] });
+      const batchPublisher = new BatchPublisher(mockSQSClient, queueUrl, {
+        enableDeduplication: false,
+        payloadOffloading: { store }
+      });
+      
+      const result = await batchPublisher.publishBatch([{ body: largeBody }]);
+      
+      expect(result.failedMessages).toBe(1);
+      expect(store.delete).toHaveBeenCalledWith('boxq/mock-uuid-1234');
+    });
+    
+    it('should delete the payloads of batch entries with too many attributes', async () => {
+      const messageAttributes = Object.fromEntries(Array.from({ length: 8 }, (_, index) => [`tag-${index}`, 'x']));
+      const batchPublisher = new BatchPublisher(mockSQSClient, queueUrl, {
+        enableDeduplication: false,
+        payloadOffloading: { store }
+      });
+      
+      const result = await batchPublisher.publishBatch([{ body: largeBody, options: { messageAttributes } }]);
+      
+      expect(result.errors[0].error).toMatch(/^Message attributes exceed the SQS limit of 10/);
+      expect(store.put).toHaveBeenCalledTimes(1);
+      expect(store.delete).toHaveBeenCalledWith('boxq/mock-uuid-1234');
+      expect(mockSQSClient.executeCommand).not.toHaveBeenCalled();
+    });
+    
+    it('should reject stores missing a method', () => {
+      expect(() => new MessagePublisher(mockSQSClient, queueUrl, { payloadOffloading: { store: { put: jest.fn() } } }))
+        .toThrow('Blob store must implement put, get and delete');
+    });
+  });
+
+  describe('compression', () => {
+    const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/events';
+    const events = { events: Array.from({ length: 50 }, (_, index) => ({ type: 'order.created', index })) };
+    
+    beforeEach(() => {
+      SendMessageCommand.mockClear();
+      mockSQSClient.executeCommand.mockResolvedValue({ MessageId: 'msg-123' });
+    });
+    
+    it('should send large bodies compressed and report the ratio', async () => {
+      const compressing = new MessagePublisher(mockSQSClient, queueUrl, { compression: { algorithm: 'br' } });
+      
+      const result = await compressing.publish(events);
+      
+      const params = SendMessageCommand.mock.calls[0][0];
+      expect(params.MessageAttributes['content-encoding'].StringValue).toBe('br');
+      expect(params.MessageAttributes['content-type'].StringValue).toBe('application/json');
+      expect(result.compression).toMatchObject({
+        algorithm: 'br',
+        originalBytes: JSON.stringify(events).length,
+        compressedBytes: params.MessageBody.length
+      });
+      expect(compressing.getCompressionStats()).toMatchObject({ compressed: 1, ratio: result.compression.ratio });
+    });
+    
+    it('should send bodies under the threshold uncompressed', async () => {
+      const compressing = new MessagePublisher(mockSQSClient, queueUrl, { compression: true });
+      
+      const result = await compressing.publish({ type: 'ping' });
+      
+      expect(SendMessageCommand.mock.calls[0][0].MessageAttributes['content-encoding']).toBeUndefined();
+      expect(result.compression).toBeUndefined();
+    });
+    
+    it('should compress batch entries and report the ratio per message', async () => {
+      const { SendMessageBatchCommand } = require('@aws-sdk/client-sqs');
+      SendMessageBatchCommand.mockClear();
+      mockSQSClient.executeCommand.mockResolvedValue({
+        Successful: [{ Id: 'msg-0-0', MessageId: 'sqs-1' }, { Id: 'msg-0-1', MessageId: 'sqs-2' }]
+      });
+      const batchPublisher = new BatchPublisher(mockSQSClient, queueUrl, {
+        enableDeduplication: false,
+        compression: { algorithm: 'deflate' }
+      });
+      
+      const result = await batchPublisher.publishBatch([{ body: events }, { body: { type: 'ping' } }]);
+      
+      const entries = SendMessageBatchCommand.mock.calls[0][0].Entries;
+      expect(entries[0].MessageAttributes['content-encoding'].StringValue).toBe('deflate');
+      expect(entries[1].MessageAttributes['content-encoding']).toBeUndefined();
+      expect(result.batches[0].messages[0].compression).toMatchObject({ algorithm: 'deflate' });
+      expect(result.batches[0].messages[1].compression).toBeUndefined();
+      expect(batchPublisher.getConfig().compression).toEqual({ algorithm: 'deflate', thresholdBytes: 1024, level: -1 });
+    });
+  });
+
+  describe('encryption', () => {
+    const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/customers';
+    const customer = { type: 'customer.updated', email: 'jane@example.com' };
+    let keyring;
+    let encryptor;
+    
+    beforeEach(() => {
+      SendMessageCommand.mockClear();
+      mockSQSClient.executeCommand.mockResolvedValue({ MessageId: 'msg-123' });
+      keyring = new LocalKeyring({ keys: { 'customers-1': LocalKeyring.generateKey() } });
+      encryptor = new EnvelopeEncryptor({ keyProvider: keyring });
+    });
+    
+    it('should send bodies encrypted with their key ID and data key', async () => {
+      const encrypting = new MessagePublisher(mockSQSClient, queueUrl, { encryption: { keyProvider: keyring } });
+      
+      const result = await encrypting.publish(customer);
+      
+      const params = SendMessageCommand.mock.calls[0][0];
+      expect(result.success).toBe(true);
+      expect(params.MessageBody).not.toContain('jane');
+      expect(params.MessageAttributes['content-type'].StringValue).toBe('application/json');
+      expect(params.MessageAttributes['boxq-encryption-key-id'].StringValue).toBe('customers-1');
+      expect((await encryptor.decrypt({ Body: params.MessageBody, MessageAttributes: params.MessageAttributes })).Body)
+        .toBe(JSON.stringify(customer));
+      expect(encrypting.getConfig().encryption).toEqual({ algorithm: 'aes-256-gcm', keyProvider: 'LocalKeyring' });
+    });
+    
+    it('should encrypt compressed bodies', async () => {
+      const encrypting = new MessagePublisher(mockSQSClient, queueUrl, {
+        compression: true,
+        encryption: { keyProvider: keyring }
+      });
+      
+      const result = await encrypting.publish({ customers: Array.from({ length: 50 }, () => customer) });
+      
+      const params = SendMessageCommand.mock.calls[0][0];
+      const decrypted = await encryptor.decrypt({ Body: params.MessageBody, MessageAttributes: params.MessageAttributes });
+      expect(params.MessageAttributes['content-encoding'].StringValue).toBe('gzip');
+      expect(decrypted.Body).not.toBe(params.MessageBody);
+      expect(decrypted.Body.length).toBe(result.compression.compressedBytes);
+    });
+    
+    it('should fail the publish when no data key can be generated', async () => {
+      const encrypting = new MessagePublisher(mockSQSClient, queueUrl, {
+        encryption: {
+          keyProvider: {
+            generateDataKey: jest.fn().mockRejectedValue(new Error('Service unavailable')),
+            decryptDataKey: jest.fn()
+          }
+        }
+      });
+      
+      const result = await encrypting.publish(customer);
+      
+      expect(result).toMatchObject({ success: false, error: 'Service unavailable' });
+      expect(mockSQSClient.executeCommand).not.toHaveBeenCalled();
+    });
+    
+    it('should encrypt batch entries', async () => {
+      const { SendMessageBatchCommand } = require('@aws-sdk/client-sqs');
+      SendMessageBatchCommand.mockClear();
+      mockSQSClient.executeCommand.mockResolvedValue({ Successful: [{ Id: 'msg-0-0', MessageId: 'sqs-1' }] });
+      const batchPublisher = new BatchPublisher(mockSQSClient, queueUrl, {
+        enableDeduplication: false,
+        encryption: { keyProvider: keyring }
+      });
+      
+      await batchPublisher.publishBatch([{ body: customer }]);
+      
+      const entry = SendMessageBatchCommand.mock.calls[0][0].Entries[0];
+      expect(entry.MessageAttributes['boxq-encryption-key-id'].StringValue).toBe('customers-1');
+      expect((await encryptor.decrypt({ Body: entry.MessageBody, MessageAttributes: entry.MessageAttributes })).Body)
+        .toBe(JSON.stringify(customer));
+    });
+  });
+
+  describe('cloud events', () => {
+    const queueUrl = 'https://sqs.us-east-1.amazonaws.com/123456789012/orders';
+    const order = { orderId: 'o-1', total: 42 };
+    const cloudEvents = { source: '/orders', type: 'com.example.order.created' };
+    
+    beforeEach(() => {
+      SendMessageCommand.mockClear();
+      mockSQSClient.executeCommand.mockResolvedValue({ MessageId: 'msg-123' });
+    });
+    
+    it('should send structured events and report their attributes', async () => {
+      const eventPublisher = new MessagePublisher(mockSQSClient, queueUrl, { cloudEvents });
+      
+      const result = await eventPublisher.publish(order, { cloudEvent: { subject: 'o-1' } });
+      
+      const params = SendMessageCommand.mock.calls[0][0];
+      expect(params.MessageAttributes['content-type'].StringValue).toBe('application/cloudevents+json');
+      expect(JSON.parse(params.MessageBody)).toEqual({ ...result.cloudEvent, data: order });
+      expect(result.cloudEvent).toMatchObject({
+        specversion: '1.0',
+        id: 'mock-uuid-1234',
+        source: '/orders',
+        type: 'com.example.order.created',
+        subject: 'o-1',
+        datacontenttype: 'application/json'
+      });
+      expect(eventPublisher.getConfig().cloudEvents).toEqual({ mode: 'structured', ...cloudEvents });
+    });
+    
+    it('should send binary events as ce- attributes of the encoded body', async () => {
+      const eventPublisher = new MessagePublisher(mockSQSClient, queueUrl, {
+        cloudEvents: { ...cloudEvents, mode: 'binary' }
+      });
+      
+      await eventPublisher.publish(order, { cloudEvent: { type: 'com.example.order.paid' } });
+      
+      const params = SendMessageCommand.mock.calls[0][0];
+      expect(params.MessageBody).toBe(JSON.stringify(order));
+      expect(params.MessageAttributes['content-type'].StringValue).toBe('application/json');
+      expect(params.MessageAttributes['ce-type'].StringValue).toBe('com.example.order.paid');
+      expect(params.MessageAttributes['ce-source'].StringValue).toBe('/orders');
+    });
+    
+    it('should throw when an event has no type', async () => {
+      const eventPublisher = new MessagePublisher(mockSQSClient, queueUrl, { cloudEvents: { source: '/orders' } });
+      
+      await expect(eventPublisher.publish(order)).rejects.toThrow('CloudEvents type is required');
+      expect(mockSQSClient.executeCommand).not.toHaveBeenCalled();
+    });
+    
+    it('should reject messages with more attributes than SQS accepts', async () => {
+      const keyring = new LocalKeyring({ keys: { k1: LocalKeyring.generateKey() } });
+      const options = { cloudEvents: { ...cloudEvents, mode: 'binary' }, encryption: { keyProvider: keyring } };
+      const messageAttributes = { tenant: 'acme', region: 'eu', channel: 'web' };
+      const { SendMessageBatchCommand } = require('@aws-sdk/client-sqs');
+      SendMessageBatchCommand.mockClear();
+      
+      await expect(new MessagePublisher(mockSQSClient, queueUrl, options).publish(order, { messageAttributes }))
+        .rejects.toThrow('Message attributes exceed the SQS limit of 10: tenant, region, channel, content-type');
+      const result = await new BatchPublisher(mockSQSClient, queueUrl, { enableDeduplication: false, ...options })
+        .publishBatch([{ body: order, options: { messageAttributes } }]);
+      
+      expect(result.failedMessages).toBe(1);
+      expect(result.errors[0].error).toMatch(/^Message attributes exceed the SQS limit of 10/);
+      expect(mockSQSClient.executeCommand).not.toHaveBeenCalled();
+    });
+    
+    it('should wrap batch entries with their own event attributes', async () => {
+      const { SendMessageBatchCommand } = require('@aws-sdk/client-sqs');
+      SendMessageBatchCommand.mockClear();
+      mockSQSClient.executeCommand.mockResolvedValue({ Successful: [{ Id: 'msg-0-0', MessageId: 'sqs-1' }] });
+      const batchPublisher = new BatchPublisher(mockSQSClient, queueUrl, { enableDeduplication: false, cloudEvents });
+      
+      await batchPublisher.publishBatch([{ body: order, options: { cloudEvent: { subject: 'o-1' } } }]);
+      
+      const entry = SendMessageBatchCommand.mock.calls[0][0].Entries[0];
+      expect(entry.MessageAttributes['content-type'].StringValue).toBe('application/cloudevents+json');
+      expect(JSON.parse(entry.MessageBody))
+        .toMatchObject({ type: 'com.example.order.created', subject: 'o-1', data: order });
+      expect(batchPublisher.getConfig().cloudEvents).toEqual({ mode: 'structured', ...cloudEvents });
+    });
+  });
+
+  describe('codecs', () => {
+    beforeEach(() => {
+      SendMessageCommand.mockClear();
+      mockSQSClient.executeCommand.mockResolvedValue({ MessageId: 'msg-123' });
+    });
+    
+    it('should set the content-type attribute next to the caller\'s attributes', async () => {
+      await publisher.publish({ type: 'test' }, { messageAttributes: { source: 'billing' } });
+      
+      expect(SendMessageCommand.mock.calls[0][0].MessageAttributes).toEqual({
+        source: { DataType: 'String', StringValue: 'billing' },
+        'content-type': { DataType: 'String', StringValue: 'application/json' }
+      });
+    });
+    
+    it('should encode with the configured codec', async () => {
+      const textPublisher = new MessagePublisher(mockSQSClient, 'test-queue', { codec: 'text' });
+      const binaryPublisher = new MessagePublisher(mockSQSClient, 'test-queue', { codec: 'base64' });
+      
+      await textPublisher.publish('<order id="1"/>');
+      await binaryPublisher.publish(Buffer.from('hello'));
+      
+      expect(SendMessageCommand.mock.calls[0][0].MessageBody).toBe('<order id="1"/>');
+      expect(SendMessageCommand.mock.calls[0][0].MessageAttributes['content-type'].StringValue).toBe('text/plain');
+      expect(SendMessageCommand.mock.calls[1][0].MessageBody).toBe('aGVsbG8=');
+      await expect(textPublisher.publish({ type: 'test' })).rejects.toThrow('Message body is required');
+    });
+    
+    it('should resolve codec names in the given registry', async () => {
+      const codecRegistry = new CodecRegistry().register({
+        name: 'csv',
+        contentType: 'text/csv',
+        encode: rows => rows.map(row => row.join(',')).join('\n'),
+        decode: raw => raw.split('\n').map(line => line.split(','))
+      });
+      const csvPublisher = new MessagePublisher(mockSQSClient, 'test-queue', { codec: 'csv', codecRegistry });
+      
+      await csvPublisher.publish([['a', 1], ['b', 2]]);
+      
+      expect(SendMessageCommand.mock.calls[0][0].MessageBody).toBe('a,1\nb,2');
+      expect(csvPublisher.getConfig().codec).toBe('csv');
+      expect(() => new MessagePublisher(mockSQSClient, 'test-queue', { codec: 'msgpack' })).toThrow('Unknown codec: msgpack');
+    });
+    
+    it('should not add a content-type to raw bodies', async () => {
+      await publisher.publishRaw('raw', { messageDeduplicationId: 'dedup-1' });
+      
+      expect(SendMessageCommand.mock.calls[0][0].MessageAttributes).toEqual({});
+    });
+  });
+
+  describe('validation', () => {
+    const validation = {
+      schemas: {
+        'order.created': { type: 'object', required: ['orderId'], properties: { orderId: { type: 'string' } } }
+      }
+    };
+    
+    beforeEach(() => {
+      SendMessageCommand.mockClear();
+      mockSQSClient.executeCommand.mockResolvedValue({ MessageId: 'msg-123' });
+    });
+    
+    it('should throw before sending a body that does not match its schema', async () => {
+      const validatingPublisher = new MessagePublisher(mockSQSClient, 'test-queue', { validation });
+      
+      await expect(validatingPublisher.publish({ type: 'order.created', orderId: 7 }))
+        .rejects.toThrow(MessageValidationError);
+      await expect(validatingPublisher.publish({ type: 'order.created' }))
+        .rejects.toThrow('Message failed schema validation: orderId is required');
+      expect(mockSQSClient.executeCommand).not.toHaveBeenCalled();
+      
+      const result = await validatingPublisher.publish({ type: 'order.created', orderId: 'ord-1' });
+      expect(result.success).toBe(true);
+      expect(validatingPublisher.getConfig().validation).toBe(true);
+    });
+    
+    it('should fail invalid batch entries with their validation errors and send the rest', async () => {
+      const { SendMessageBatchCommand } = require('@aws-sdk/client-sqs');
+      SendMessageBatchCommand.mockClear();
+      mockSQSClient.executeCommand.mockResolvedValue({ Successful: [{ Id: 'msg-0-0', MessageId: 'sqs-1' }] });
+      const batchPublisher = new BatchPublisher(mockSQSClient, 'test-queue', { validation, enableDeduplication: false });
+      
+      const results = await batchPublisher.publishBatch([
+        { body: { type: 'order.created', orderId: 'ord-1' } },
+        { body: { type: 'order.created', orderId: 2 } }
+      ]);
+      
+      expect(SendMessageBatchCommand.mock.calls[0][0].Entries).toHaveLength(1);
+      expect(results.failedMessages).toBe(1);
+      expect(results.errors[0].validationErrors).toEqual([{ path: 'orderId', message: 'must be string' }]);
+    });
+  });
+
+  describe('events', () => {
+    beforeEach(() => {
+      SendMessageCommand.mockClear();
+    });
+    
+    it('should emit published and publish_failed events', async () => {
+      const published = jest.fn();
+      const failed = jest.fn();
+      const plainPublisher = new MessagePublisher(mockSQSClient, 'test-queue', { enableDeduplication: false });
+      plainPublisher.on('published', published).on('publish_failed', failed);
+      mockSQSClient.executeCommand
+        .mockResolvedValueOnce({ MessageId: 'msg-123' })
+        .mockRejectedValueOnce(new Error('Access denied'));
+      
+      await plainPublisher.publish({ type: 'test' });
+      await plainPublisher.publish({ type: 'test' });
+      await expect(plainPublisher.publish('not an object')).rejects.toThrow('Message body is required');
+      
+      expect(published).toHaveBeenCalledWith({
+        queueUrl: 'test-queue',
+        messageId: 'msg-123',
+        messageGroupId: undefined,
+        messageDeduplicationId: expect.any(String),
+        processingTime: expect.any(Number)
+      });
+      expect(failed).toHaveBeenCalledTimes(1);
+      expect(failed).toHaveBeenCalledWith({ queueUrl: 'test-queue', error: 'Access denied', processingTime: expect.any(Number) });
+    });
+    
+    it('should emit an event per batch entry', async () => {
+      const events = [];
+      const batchPublisher = new BatchPublisher(mockSQSClient, 'test-queue', { enableDeduplication: false });
+      batchPublisher.on('published', payload => events.push(['published', payload]));
+      batchPublisher.on('publish_failed', payload => events.push(['publish_failed', payload]));
+      mockSQSClient.executeCommand.mockResolvedValueOnce({
+        Successful: [{ Id: 'msg-0-0', MessageId: 'sqs-1' }],
+        Failed: [{ Id: 'msg-0-1', Code: 'InvalidParameterValue', Message: 'Invalid body' }]
+      });
+      
+      await batchPublisher.publishBatch([{ body: { id: 1 } }, { body: { id: 2 } }]);
+      
+      expect(events).toEqual([
+        ['published', { queueUrl: 'test-queue', messageId: 'sqs-1', entryId: 'msg-0-0', processingTime: expect.any(Number) }],
+        ['publish_failed', {
+          queueUrl: 'test-queue',
+          entryId: 'msg-0-1',
+          error: 'Invalid body',
+          code: 'InvalidParameterValue',
+          validationErrors: undefined,
+          processingTime: expect.any(Number)
+        }]
+      ]);
+    });
+  });
+
   describe('publishBatch', () => {
     it('should publish multiple messages', async () => {
       // Create a new publisher without deduplication for this test
@@ -123,7 +706,7 @@ describe('MessagePublisher', () => {
       expect(results[0].success).toBe(true);
       expect(results[1].success).toBe(true);
     });
-
+    
     it('should handle batch publishing with errors', async () => {
       const messages = [
         { body: { type: 'test1' }, options: {} },
@@ -151,7 +734,7 @@ describe('MessagePublisher', () => {
       
       expect(id).toBe('custom-id');
     });
-
+    
     it('should generate deduplication ID for FIFO queue', () => {
       const messageBody = { type: 'test' };
       const options = {};
@@ -167,21 +750,24 @@ describe('MessagePublisher', () => {
     it('should detect FIFO queue', () => {
       expect(publisher._isFIFOQueue()).toBe(true);
     });
-
+    
     it('should detect non-FIFO queue', () => {
       const nonFifoPublisher = new MessagePublisher(mockSQSClient, 'test-queue');
       expect(nonFifoPublisher._isFIFOQueue()).toBe(false);
     });
   });
 
-  describe('_validateMessageBody', () => {
+  describe('_encodeBody', () => {
     it('should validate valid message body', () => {
-      expect(() => publisher._validateMessageBody({ type: 'test' })).not.toThrow();
+      expect(publisher._encodeBody({ type: 'test' })).toEqual({
+        body: '{"type":"test"}',
+        attributes: { 'content-type': { DataType: 'String', StringValue: 'application/json' } }
+      });
     });
-
+    
     it('should throw error for invalid message body', () => {
-      expect(() => publisher._validateMessageBody(null)).toThrow('Message body is required and must be an object');
-      expect(() => publisher._validateMessageBody('string')).toThrow('Message body is required and must be an object');
+      expect(() => publisher._encodeBody(null)).toThrow('Message body is required and must be an object');
+      expect(() => publisher._encodeBody('string')).toThrow('Message body is required and must be an object');
     });
   });
 
@@ -190,7 +776,7 @@ describe('MessagePublisher', () => {
       expect(() => publisher._validateOptions({ messageGroupId: 'group-1' })).not.toThrow();
       expect(() => publisher._validateOptions({ delaySeconds: 10 })).not.toThrow();
     });
-
+    
     it('should throw error for invalid options', () => {
       expect(() => publisher._validateOptions({ messageGroupId: 123 })).toThrow('Message group ID must be a string');
       expect(() => publisher._validateOptions({ delaySeconds: -1 })).toThrow('Delay seconds must be a non-negative number');
@@ -214,7 +800,7 @@ describe('MessagePublisher', () => {
       expect(result.boolean.DataType).toBe('String');
       expect(result.boolean.StringValue).toBe('true');
     });
-
+    
     it('should handle empty attributes', () => {
       const result = publisher._buildMessageAttributes();
       
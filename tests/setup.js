@@ -13,6 +13,9 @@ jest.mock('@aws-sdk/client-sqs', () => ({
   SendMessageBatchCommand: jest.fn(),
   ReceiveMessageCommand: jest.fn(),
   DeleteMessageCommand: jest.fn(),
+  DeleteMessageBatchCommand: jest.fn(),
+  ChangeMessageVisibilityCommand: jest.fn(),
+  ChangeMessageVisibilityBatchCommand: jest.fn(),
   GetQueueAttributesCommand: jest.fn()
 }));
 
@@ -21,8 +24,9 @@ jest.mock('uuid', () => ({
   v4: jest.fn(() => 'mock-uuid-1234')
 }));
 
-// Mock crypto
+// Mock crypto hashes; ciphers and random bytes stay real for encryption tests
 jest.mock('crypto', () => ({
+  ...jest.requireActual('crypto'),
   createHash: jest.fn(() => ({
     update: jest.fn().mockReturnThis(),
     digest: jest.fn(() => 'mock-hash-1234567890abcdef')
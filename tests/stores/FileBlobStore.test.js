@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Tests for FileBlobStore
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileBlobStore = require('../../src/stores/FileBlobStore');
+
+describe('FileBlobStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'boxq-blobs-'));
+    store = new FileBlobStore({ directory: path.join(directory, 'payloads') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should require a directory', () => {
+    expect(() => new FileBlobStore()).toThrow('File blob store requires a directory');
+  });
+
+  it('should store payloads under their key', async () => {
+    await store.put('boxq/report-1', '{"report":"large"}');
+    
+    expect(await store.get('boxq/report-1')).toBe('{"report":"large"}');
+    expect(fs.readdirSync(path.join(directory, 'payloads'))).toEqual(['boxq%2Freport-1']);
+  });
+
+  it('should keep keys inside the directory', async () => {
+    await store.put('..', 'payload');
+    
+    expect(fs.readdirSync(path.join(directory, 'payloads'))).toEqual(['%2E.']);
+    expect(await store.get('..')).toBe('payload');
+  });
+
+  it('should reject unknown keys', async () => {
+    await expect(store.get('missing')).rejects.toThrow('Payload missing not found');
+  });
+
+  it('should delete payloads', async () => {
+    await store.put('report-1', 'payload');
+    
+    expect(await store.delete('report-1')).toBe(true);
+    expect(await store.delete('report-1')).toBe(false);
+    await expect(store.get('report-1')).rejects.toThrow('not found');
+    expect(store.getStats()).toEqual({ stored: 1, deleted: 1, directory: path.join(directory, 'payloads') });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Tests for FileIdempotencyStore
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileIdempotencyStore = require('../../src/stores/FileIdempotencyStore');
+const { IdempotencyStatus } = require('../../src/types');
+
+describe('FileIdempotencyStore', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'boxq-idempotency-'));
+    filePath = path.join(directory, 'nested', 'keys.json');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should require a path', () => {
+    expect(() => new FileIdempotencyStore()).toThrow('File idempotency store requires a path');
+  });
+
+  it('should keep completed keys across instances', async () => {
+    const store = new FileIdempotencyStore({ path: filePath });
+    const { token } = await store.claim('order-1', 30000);
+    await store.complete('order-1', token, 60000);
+    
+    const reopened = new FileIdempotencyStore({ path: filePath });
+    
+    expect(await reopened.claim('order-1', 30000)).toMatchObject({
+      claimed: false,
+      status: IdempotencyStatus.COMPLETED
+    });
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).records).toEqual([
+      { key: 'order-1', status: IdempotencyStatus.COMPLETED, token, expiresAt: expect.any(Number) }
+    ]);
+  });
+
+  it('should persist released claims', async () => {
+    const store = new FileIdempotencyStore({ path: filePath });
+    const { token } = await store.claim('order-1', 30000);
+    await store.release('order-1', token);
+    
+    const reopened = new FileIdempotencyStore({ path: filePath });
+    
+    expect((await reopened.claim('order-1', 30000)).claimed).toBe(true);
+  });
+
+  it('should let only one of two concurrent claims win', async () => {
+    const store = new FileIdempotencyStore({ path: filePath });
+    
+    const claims = await Promise.all([store.claim('order-1', 30000), store.claim('order-1', 30000)]);
+    
+    expect(claims.map(claim => claim.claimed).sort()).toEqual([false, true]);
+  });
+
+  it('should write concurrent changes together', async () => {
+    const store = new FileIdempotencyStore({ path: filePath });
+    const rename = jest.spyOn(fs.promises, 'rename');
+    
+    await Promise.all(['order-1', 'order-2', 'order-3', 'order-4'].map(key => store.claim(key, 30000)));
+    
+    expect(rename).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).records).toHaveLength(4);
+  });
+
+  it('should not write changes that were not made', async () => {
+    const store = new FileIdempotencyStore({ path: filePath });
+    await store.claim('order-1', 30000);
+    const rename = jest.spyOn(fs.promises, 'rename');
+    
+    expect(await store.complete('order-1', 'other-token', 60000)).toBe(false);
+    expect(await store.release('order-1', 'other-token')).toBe(false);
+    expect(rename).not.toHaveBeenCalled();
+  });
+
+  it('should read the file again after a failed read', async () => {
+    fs.mkdirSync(filePath, { recursive: true });
+    const store = new FileIdempotencyStore({ path: filePath });
+    
+    await expect(store.get('order-1')).rejects.toThrow();
+    fs.rmdirSync(filePath);
+    
+    expect(await store.get('order-1')).toBeNull();
+  });
+
+  it('should reject a file that is not JSON', async () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, 'not json');
+    
+    await expect(new FileIdempotencyStore({ path: filePath }).get('order-1'))
+      .rejects.toThrow(`Idempotency store file ${filePath} is not valid JSON`);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Tests for LocalKeyring
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const LocalKeyring = require('../../src/stores/LocalKeyring');
+const { MessageDecryptionError } = require('../../src/errors');
+
+describe('LocalKeyring', () => {
+  const key2024 = LocalKeyring.generateKey();
+  const key2025 = LocalKeyring.generateKey();
+
+  it('should require keys of 32 bytes', () => {
+    expect(() => new LocalKeyring()).toThrow('Local keyring requires at least one key');
+    expect(() => new LocalKeyring({ keys: { short: Buffer.alloc(16) } })).toThrow('Key short must be 32 bytes long');
+    expect(() => new LocalKeyring({ keys: { k1: key2024 }, currentKeyId: 'k2' }))
+      .toThrow('Key k2 is not in the keyring');
+  });
+
+  it('should wrap data keys with the current key and unwrap them', async () => {
+    const keyring = new LocalKeyring({ keys: { 'key-2024': key2024, 'key-2025': key2025 } });
+    
+    const { keyId, plaintextKey, encryptedKey } = await keyring.generateDataKey();
+    
+    expect(keyId).toBe('key-2025');
+    expect(plaintextKey).toHaveLength(32);
+    expect(encryptedKey.equals(plaintextKey)).toBe(false);
+    expect((await keyring.decryptDataKey(encryptedKey, 'key-2025')).equals(plaintextKey)).toBe(true);
+  });
+
+  it('should keep unwrapping data keys of older keys after a rotation', async () => {
+    const keyring = new LocalKeyring({ keys: { 'key-2024': Buffer.from(key2024, 'base64') } });
+    const dataKey = await keyring.generateDataKey();
+    
+    keyring.addKey('key-2025', key2025);
+    keyring.setCurrentKey('key-2025');
+    
+    expect((await keyring.generateDataKey()).keyId).toBe('key-2025');
+    expect((await keyring.decryptDataKey(dataKey.encryptedKey, 'key-2024')).equals(dataKey.plaintextKey)).toBe(true);
+    expect(keyring.getKeyIds()).toEqual(['key-2024', 'key-2025']);
+  });
+
+  it('should fail with a poison decryption error for unknown keys and tampered data keys', async () => {
+    const keyring = new LocalKeyring({ keys: { 'key-2024': key2024, 'key-2025': key2025 } });
+    const { encryptedKey } = await keyring.generateDataKey();
+    
+    const tampered = Buffer.from(encryptedKey);
+    tampered[tampered.length - 1] ^= 1;
+    keyring.removeKey('key-2024');
+    
+    await expect(keyring.decryptDataKey(encryptedKey, 'key-2024'))
+      .rejects.toThrow('Key key-2024 is not in the keyring');
+    const error = await keyring.decryptDataKey(tampered, 'key-2025').catch(caught => caught);
+    expect(error).toBeInstanceOf(MessageDecryptionError);
+    expect(error.message).toMatch(/^Failed to decrypt data key with key key-2025/);
+    expect(error.poison).toBe(true);
+  });
+
+  it('should not remove the current key', () => {
+    const keyring = new LocalKeyring({ keys: { 'key-2024': key2024 } });
+    
+    expect(() => keyring.removeKey('key-2024')).toThrow('Key key-2024 is the current key and cannot be removed');
+  });
+});
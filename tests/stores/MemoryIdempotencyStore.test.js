@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Tests for MemoryIdempotencyStore
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const MemoryIdempotencyStore = require('../../src/stores/MemoryIdempotencyStore');
+const { IdempotencyStatus } = require('../../src/types');
+
+describe('MemoryIdempotencyStore', () => {
+  let now;
+  let store;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    store = new MemoryIdempotencyStore({ maxEntries: 3 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('claim', () => {
+    it('should claim a key only once while the claim is live', async () => {
+      const first = await store.claim('a', 1000);
+      const second = await store.claim('a', 1000);
+      
+      expect(first).toEqual({ claimed: true, token: expect.any(String) });
+      expect(second).toEqual({ claimed: false, status: IdempotencyStatus.IN_PROGRESS, expiresAt: 1001000 });
+    });
+    
+    it('should let a key be claimed again once its claim expired', async () => {
+      await store.claim('a', 1000);
+      now += 1000;
+      
+      expect((await store.claim('a', 1000)).claimed).toBe(true);
+    });
+  });
+
+  describe('complete and release', () => {
+    it('should remember completed keys for their TTL', async () => {
+      const { token } = await store.claim('a', 1000);
+      await store.complete('a', token, 60000);
+      
+      expect(await store.claim('a', 1000)).toEqual({
+        claimed: false,
+        status: IdempotencyStatus.COMPLETED,
+        expiresAt: 1060000
+      });
+      
+      now += 60000;
+      expect(await store.get('a')).toBeNull();
+    });
+    
+    it('should only release a claim held by the token', async () => {
+      const { token } = await store.claim('a', 1000);
+      
+      await store.release('a', 'other-token');
+      expect(await store.get('a')).toEqual({ status: IdempotencyStatus.IN_PROGRESS, expiresAt: 1001000 });
+      
+      await store.release('a', token);
+      expect(await store.get('a')).toBeNull();
+    });
+    
+    it('should only complete a claim held by the token', async () => {
+      const { token } = await store.claim('a', 1000);
+      
+      expect(await store.complete('a', 'other-token', 60000)).toBe(false);
+      expect(await store.get('a')).toEqual({ status: IdempotencyStatus.IN_PROGRESS, expiresAt: 1001000 });
+      
+      expect(await store.complete('a', token, 60000)).toBe(true);
+      expect((await store.get('a')).status).toBe(IdempotencyStatus.COMPLETED);
+    });
+    
+    it('should not release completed keys', async () => {
+      const { token } = await store.claim('a', 1000);
+      await store.complete('a', token, 60000);
+      await store.release('a', token);
+      
+      expect((await store.get('a')).status).toBe(IdempotencyStatus.COMPLETED);
+    });
+  });
+
+  describe('eviction', () => {
+    it('should evict the least recently used keys', async () => {
+      await store.claim('a', 1000);
+      await store.claim('b', 1000);
+      await store.claim('c', 1000);
+      await store.get('a');
+      await store.claim('d', 1000);
+      
+      expect(await store.get('b')).toBeNull();
+      expect(await store.get('a')).not.toBeNull();
+      expect(store.getStats()).toEqual({ size: 3, maxEntries: 3, evictions: 1 });
+    });
+  });
+
+  describe('entries and load', () => {
+    it('should round-trip unexpired records', async () => {
+      await store.claim('a', 1000);
+      await store.claim('b', 5000);
+      now += 2000;
+      
+      const copy = new MemoryIdempotencyStore();
+      copy.load(store.entries());
+      
+      expect(await copy.get('a')).toBeNull();
+      expect(await copy.get('b')).toEqual({ status: IdempotencyStatus.IN_PROGRESS, expiresAt: 1005000 });
+    });
+  });
+
+  describe('delete and clear', () => {
+    it('should forget keys', async () => {
+      await store.claim('a', 1000);
+      await store.claim('b', 1000);
+      
+      expect(await store.delete('a')).toBe(true);
+      expect((await store.claim('a', 1000)).claimed).toBe(true);
+      
+      await store.clear();
+      expect(store.getStats().size).toBe(0);
+    });
+  });
+});
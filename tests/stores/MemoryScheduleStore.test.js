@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Tests for MemoryScheduleStore
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const MemoryScheduleStore = require('../../src/stores/MemoryScheduleStore');
+const { ScheduleStatus } = require('../../src/types');
+
+describe('MemoryScheduleStore', () => {
+  let now;
+  let store;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    store = new MemoryScheduleStore({ retentionMs: 5000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should record schedules as scheduled', async () => {
+    await store.add({ scheduleId: 's1', queueUrl: 'queue', deliverAt: 2000000 });
+    
+    expect(await store.get('s1')).toEqual({
+      scheduleId: 's1',
+      queueUrl: 'queue',
+      deliverAt: 2000000,
+      status: ScheduleStatus.SCHEDULED
+    });
+    expect(await store.get('unknown')).toBeNull();
+  });
+
+  it('should cancel a scheduled schedule only once', async () => {
+    await store.add({ scheduleId: 's1', queueUrl: 'queue', deliverAt: 2000000 });
+    
+    expect(await store.cancel('s1')).toBe(true);
+    expect(await store.cancel('s1')).toBe(false);
+    expect(await store.cancel('unknown')).toBe(false);
+    expect((await store.get('s1')).status).toBe(ScheduleStatus.CANCELLED);
+    expect(store.getStats()).toEqual({ scheduled: 0, cancelled: 1 });
+  });
+
+  it('should not cancel removed schedules', async () => {
+    await store.add({ scheduleId: 's1', queueUrl: 'queue', deliverAt: 2000000 });
+    
+    expect(await store.remove('s1')).toBe(true);
+    expect(await store.cancel('s1')).toBe(false);
+    expect(store.entries()).toEqual([]);
+  });
+
+  it('should purge schedules past their retention when adding', async () => {
+    await store.add({ scheduleId: 'old', queueUrl: 'queue', deliverAt: 1001000 });
+    now = 1007000;
+    
+    await store.add({ scheduleId: 'new', queueUrl: 'queue', deliverAt: 1008000 });
+    
+    expect(store.entries().map(schedule => schedule.scheduleId)).toEqual(['new']);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Tests for CloudEventEnvelope
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const CloudEventEnvelope = require('../../src/utils/CloudEventEnvelope');
+const { MessageDecodeError } = require('../../src/errors');
+
+const encoded = (body, contentType = 'application/json') => ({
+  body,
+  attributes: { 'content-type': { DataType: 'String', StringValue: contentType } }
+});
+
+const toMessage = (wrapped) => ({
+  MessageId: 'm1',
+  ReceiptHandle: 'receipt-m1',
+  Body: wrapped.body,
+  MessageAttributes: wrapped.attributes
+});
+
+describe('CloudEventEnvelope', () => {
+  const order = { orderId: 'o-1', total: 42 };
+
+  it('should require a source and a known mode', () => {
+    expect(() => new CloudEventEnvelope()).toThrow('CloudEvents source is required');
+    expect(() => new CloudEventEnvelope({ source: '/orders', mode: 'batched' }))
+      .toThrow('CloudEvents mode must be one of structured, binary');
+  });
+
+  it('should wrap bodies into structured events with generated attributes', () => {
+    const envelope = new CloudEventEnvelope({ source: '/orders', type: 'com.example.order.created' });
+    
+    const wrapped = envelope.wrap(encoded(JSON.stringify(order)), order);
+    
+    expect(wrapped.attributes).toEqual({
+      'content-type': { DataType: 'String', StringValue: 'application/cloudevents+json' }
+    });
+    expect(JSON.parse(wrapped.body)).toEqual({
+      specversion: '1.0',
+      id: 'mock-uuid-1234',
+      source: '/orders',
+      type: 'com.example.order.created',
+      time: wrapped.event.time,
+      datacontenttype: 'application/json',
+      data: order
+    });
+    expect(new Date(wrapped.event.time).toISOString()).toBe(wrapped.event.time);
+  });
+
+  it('should carry binary and text data the way their content type requires', () => {
+    const envelope = new CloudEventEnvelope({ source: '/files', type: 'com.example.file.uploaded' });
+    
+    const binary = JSON.parse(envelope.wrap(encoded('aGk=', 'application/octet-stream'), null).body);
+    const text = JSON.parse(envelope.wrap(encoded('<file/>', 'text/plain'), null).body);
+    
+    expect(binary).toMatchObject({ datacontenttype: 'application/octet-stream', data_base64: 'aGk=' });
+    expect(binary.data).toBeUndefined();
+    expect(text).toMatchObject({ datacontenttype: 'text/plain', data: '<file/>' });
+  });
+
+  it('should wrap bodies into binary events with ce- attributes', () => {
+    const envelope = new CloudEventEnvelope({ source: '/orders', type: 'com.example.order.created', mode: 'binary' });
+    
+    const wrapped = envelope.wrap(encoded(JSON.stringify(order)), order, { subject: 'o-1' });
+    
+    expect(wrapped.body).toBe(JSON.stringify(order));
+    expect(wrapped.attributes).toEqual({
+      'content-type': { DataType: 'String', StringValue: 'application/json' },
+      'ce-specversion': { DataType: 'String', StringValue: '1.0' },
+      'ce-id': { DataType: 'String', StringValue: 'mock-uuid-1234' },
+      'ce-source': { DataType: 'String', StringValue: '/orders' },
+      'ce-type': { DataType: 'String', StringValue: 'com.example.order.created' },
+      'ce-time': { DataType: 'String', StringValue: wrapped.event.time },
+      'ce-subject': { DataType: 'String', StringValue: 'o-1' }
+    });
+  });
+
+  it('should let messages override the generated attributes', () => {
+    const envelope = new CloudEventEnvelope({ source: '/orders', type: body => `com.example.order.${body.status}` });
+    const time = new Date('2026-01-01T00:00:00Z');
+    
+    const { event } = envelope.wrap(encoded('{}'), { status: 'paid' }, { id: 'order-1-paid', time, traceparent: null });
+    
+    expect(event).toEqual({
+      specversion: '1.0',
+      id: 'order-1-paid',
+      source: '/orders',
+      type: 'com.example.order.paid',
+      time: '2026-01-01T00:00:00.000Z',
+      datacontenttype: 'application/json'
+    });
+    expect(envelope.getConfig()).toEqual({ mode: 'structured', source: '/orders', type: 'function' });
+  });
+
+  it('should reject events without a type or with invalid attribute names', () => {
+    const envelope = new CloudEventEnvelope({ source: '/orders' });
+    
+    expect(() => envelope.wrap(encoded('{}'), {}))
+      .toThrow('CloudEvents type is required: configure a type or pass one with the message');
+    expect(() => envelope.wrap(encoded('{}'), {}, { type: 'order.created', 'trace-id': 'abc' }))
+      .toThrow('CloudEvents attribute names must be lower-case letters and digits: trace-id');
+  });
+
+  it.each(['structured', 'binary'])('should unwrap %s events into their data and attributes', (mode) => {
+    const envelope = new CloudEventEnvelope({ source: '/orders', type: 'com.example.order.created', mode });
+    const wrapped = envelope.wrap(encoded(JSON.stringify(order)), order, { subject: 'o-1' });
+    
+    const { message, event } = CloudEventEnvelope.unwrap(toMessage(wrapped));
+    
+    expect(JSON.parse(message.Body)).toEqual(order);
+    expect(message.MessageAttributes['content-type'].StringValue).toBe('application/json');
+    expect(event).toEqual(wrapped.event);
+  });
+
+  it('should unwrap structured events with base64 data', () => {
+    const envelope = new CloudEventEnvelope({ source: '/files', type: 'com.example.file.uploaded' });
+    const wrapped = envelope.wrap(encoded('aGk=', 'application/octet-stream'), Buffer.from('hi'));
+    
+    const { message } = CloudEventEnvelope.unwrap(toMessage(wrapped));
+    
+    expect(message.Body).toBe('aGk=');
+    expect(message.MessageAttributes['content-type'].StringValue).toBe('application/octet-stream');
+  });
+
+  it('should return other messages as they are', () => {
+    const message = toMessage(encoded('{}'));
+    
+    expect(CloudEventEnvelope.unwrap(message)).toEqual({ message, event: null });
+    expect(CloudEventEnvelope.unwrap({ Body: '{}' }).event).toBeNull();
+  });
+
+  it('should fail events that are not valid JSON or lack required attributes', () => {
+    const structured = (body) => toMessage(encoded(body, 'application/cloudevents+json'));
+    
+    expect(() => CloudEventEnvelope.unwrap(structured('{'))).toThrow(MessageDecodeError);
+    expect(() => CloudEventEnvelope.unwrap(structured('{"specversion":"1.0","id":"e1","data":{}}')))
+      .toThrow('CloudEvent is missing required attributes: source, type');
+    expect(() => CloudEventEnvelope.unwrap({
+      Body: '{}',
+      MessageAttributes: { 'ce-specversion': { DataType: 'String', StringValue: '1.0' } }
+    })).toThrow('CloudEvent is missing required attributes: id, source, type');
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Tests for CodecRegistry
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const CodecRegistry = require('../../src/utils/CodecRegistry');
+const { MessageDecodeError } = require('../../src/errors');
+
+describe('CodecRegistry', () => {
+  let registry;
+
+  const message = (body, contentType) => ({
+    Body: body,
+    MessageAttributes: contentType ? { 'content-type': { DataType: 'String', StringValue: contentType } } : {}
+  });
+
+  beforeEach(() => {
+    registry = new CodecRegistry();
+  });
+
+  describe('built-in codecs', () => {
+    it('should register json, text and base64', () => {
+      expect(registry.getNames()).toEqual(['json', 'text', 'base64']);
+    });
+    
+    it.each([
+      ['json', { id: 1 }, '{"id":1}', 'application/json'],
+      ['text', 'hello', 'hello', 'text/plain'],
+      ['base64', Buffer.from('hello'), 'aGVsbG8=', 'application/octet-stream']
+    ])('should round-trip %s bodies', (name, body, encoded, contentType) => {
+      const result = registry.encode(body, name);
+      
+      expect(result).toEqual({ body: encoded, attribute: { DataType: 'String', StringValue: contentType } });
+      expect(registry.decode(message(result.body, contentType))).toEqual(body);
+    });
+    
+    it('should reject bodies a codec cannot encode', () => {
+      expect(() => registry.encode('text', 'json')).toThrow('Message body is required and must be an object');
+      expect(() => registry.encode('', 'text')).toThrow('Message body is required and must be a non-empty string');
+      expect(() => registry.encode('text', 'base64')).toThrow('Message body is required and must be a non-empty Buffer');
+    });
+  });
+
+  describe('register', () => {
+    it('should validate codecs', () => {
+      expect(() => registry.register({ name: 'broken' })).toThrow('Codec must have a name');
+    });
+    
+    it('should look up custom codecs by name and content type', () => {
+      const codec = { name: 'upper', contentType: 'text/x-upper', encode: s => s.toUpperCase(), decode: s => s };
+      
+      registry.register(codec);
+      
+      expect(registry.get('upper')).toBe(codec);
+      expect(registry.getByContentType('TEXT/X-UPPER')).toBe(codec);
+      expect(registry.get(codec)).toBe(codec);
+    });
+    
+    it('should throw for unknown codec names', () => {
+      expect(() => registry.get('msgpack')).toThrow('Unknown codec: msgpack');
+    });
+  });
+
+  describe('decode', () => {
+    it('should fall back to the given codec without a content-type attribute', () => {
+      expect(registry.decode(message('{"id":1}'))).toEqual({ id: 1 });
+      expect(registry.decode(message('<xml/>'), 'text')).toBe('<xml/>');
+    });
+    
+    it('should raise a MessageDecodeError for unknown content types', () => {
+      expect(() => registry.decode(message('<xml/>', 'application/xml'))).toThrow(MessageDecodeError);
+    });
+    
+    it('should raise a MessageDecodeError carrying the codec when decoding fails', () => {
+      let error;
+      try {
+        registry.decode(message('{broken', 'application/json'));
+      } catch (caught) {
+        error = caught;
+      }
+      
+      expect(error).toBeInstanceOf(MessageDecodeError);
+      expect(error.poison).toBe(true);
+      expect(error.details).toEqual({ codec: 'json', contentType: 'application/json' });
+      expect(error.message).toMatch(/^Failed to parse message body:/);
+    });
+  });
+});
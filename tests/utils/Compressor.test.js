@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Tests for Compressor
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const Compressor = require('../../src/utils/Compressor');
+const { MessageDecodeError } = require('../../src/errors');
+const { CompressionAlgorithm } = require('../../src/types');
+
+const verboseBody = JSON.stringify({
+  events: Array.from({ length: 50 }, (_, index) => ({ type: 'order.created', index, status: 'pending' }))
+});
+
+describe('Compressor', () => {
+  it('should reject unknown algorithms and invalid thresholds', () => {
+    expect(() => new Compressor({ algorithm: 'zip' })).toThrow('Compression algorithm must be one of gzip, br, deflate');
+    expect(() => new Compressor({ thresholdBytes: -1 }))
+      .toThrow('Compression threshold must be a non-negative number of bytes');
+  });
+
+  it.each(Object.values(CompressionAlgorithm))('should round-trip bodies compressed with %s', (algorithm) => {
+    const compressor = new Compressor({ algorithm });
+    
+    const { body, attributes, compression } = compressor.compress(verboseBody);
+    const message = { MessageId: 'm1', Body: body, MessageAttributes: attributes };
+    
+    expect(attributes['content-encoding']).toEqual({ DataType: 'String', StringValue: algorithm });
+    expect(body).toMatch(/^[A-Za-z0-9+/]+=*$/);
+    expect(compression).toMatchObject({ algorithm, originalBytes: verboseBody.length, compressedBytes: body.length });
+    expect(compression.ratio).toBeGreaterThan(1);
+    expect(Compressor.decompress(message).Body).toBe(verboseBody);
+  });
+
+  it('should leave bodies under the threshold or that would not shrink as they are', () => {
+    const compressor = new Compressor({ thresholdBytes: 100 });
+    
+    expect(compressor.compress('{"short":true}')).toEqual({ body: '{"short":true}', attributes: {}, compression: null });
+    expect(compressor.compress('a1B2c3D4e5F6g7H8i9J0K1l2M3n4O5p6Q7r8S9t0U1v2W3x4Y5z6A7b8C9d0E1f2G3h4I5j6K7l8M9n0').compression)
+      .toBeNull();
+    expect(compressor.getStats()).toMatchObject({ compressed: 0, skipped: 2, ratio: null });
+  });
+
+  it('should report the overall compression ratio', () => {
+    const compressor = new Compressor({ thresholdBytes: 0 });
+    
+    const first = compressor.compress(verboseBody).compression;
+    const second = compressor.compress(verboseBody).compression;
+    
+    expect(compressor.getStats()).toEqual({
+      algorithm: 'gzip',
+      compressed: 2,
+      skipped: 0,
+      originalBytes: 2 * verboseBody.length,
+      compressedBytes: first.compressedBytes + second.compressedBytes,
+      ratio: first.ratio
+    });
+  });
+
+  it('should return uncompressed messages as they are', () => {
+    const message = { MessageId: 'm1', Body: '{}' };
+    
+    expect(Compressor.decompress(message)).toBe(message);
+  });
+
+  it('should raise decode errors for unknown encodings and corrupt bodies', () => {
+    const message = (encoding) => ({
+      MessageId: 'm1',
+      Body: 'bm90IGNvbXByZXNzZWQ=',
+      MessageAttributes: { 'content-encoding': { DataType: 'String', StringValue: encoding } }
+    });
+    
+    expect(() => Compressor.decompress(message('zstd'))).toThrow('Unsupported content encoding zstd');
+    expect(() => Compressor.decompress(message('gzip'))).toThrow(MessageDecodeError);
+    expect(() => Compressor.decompress(message('gzip'))).toThrow('Failed to decompress message body');
+  });
+  
+  it.each(['gzip', 'br', 'deflate'])('should stop decompressing %s bodies beyond the size limit', (algorithm) => {
+    const { body, attributes } = new Compressor({ algorithm }).compress('a'.repeat(4096));
+    const message = { MessageId: 'm1', Body: body, MessageAttributes: attributes };
+    
+    expect(Compressor.decompress(message, 4096).Body).toBe('a'.repeat(4096));
+    expect(() => Compressor.decompress(message, 1024)).toThrow(MessageDecodeError);
+    expect(() => Compressor.decompress(message, 1024)).toThrow('Decompressed message body exceeds 1024 bytes');
+  });
+
+  it('should resolve the compression option', () => {
+    const compressor = new Compressor();
+    
+    expect(Compressor.from(false)).toBeNull();
+    expect(Compressor.from(compressor)).toBe(compressor);
+    expect(Compressor.from(true).getConfig()).toEqual({ algorithm: 'gzip', thresholdBytes: 1024, level: -1 });
+    expect(Compressor.from({ algorithm: 'br' }).getConfig().level).toBe(11);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Tests for EnvelopeEncryptor
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const EnvelopeEncryptor = require('../../src/utils/EnvelopeEncryptor');
+const LocalKeyring = require('../../src/stores/LocalKeyring');
+const { MessageDecryptionError } = require('../../src/errors');
+
+const toMessage = (encrypted) => ({
+  MessageId: 'm1',
+  ReceiptHandle: 'receipt-m1',
+  Body: encrypted.body,
+  MessageAttributes: encrypted.attributes
+});
+
+describe('EnvelopeEncryptor', () => {
+  let keyring;
+  let encryptor;
+
+  beforeEach(() => {
+    keyring = new LocalKeyring({ keys: { k1: LocalKeyring.generateKey() } });
+    encryptor = new EnvelopeEncryptor({ keyProvider: keyring });
+  });
+
+  it('should require a complete key provider', () => {
+    expect(() => new EnvelopeEncryptor()).toThrow('Key provider must implement generateDataKey and decryptDataKey');
+    expect(() => new EnvelopeEncryptor({ keyProvider: { generateDataKey: jest.fn() } }))
+      .toThrow('Key provider must implement generateDataKey and decryptDataKey');
+  });
+
+  it('should encrypt bodies under a new data key and decrypt them', async () => {
+    const body = '{"email":"jane@example.com"}';
+    
+    const first = await encryptor.encrypt(body);
+    const second = await encryptor.encrypt(body);
+    
+    expect(first.keyId).toBe('k1');
+    expect(first.attributes['boxq-encryption-key-id']).toEqual({ DataType: 'String', StringValue: 'k1' });
+    expect(first.attributes['boxq-encrypted-data-key'].StringValue)
+      .not.toBe(second.attributes['boxq-encrypted-data-key'].StringValue);
+    expect(first.body).not.toBe(second.body);
+    expect(Buffer.from(first.body, 'base64').toString('utf8')).not.toContain('jane');
+    expect((await encryptor.decrypt(toMessage(first))).Body).toBe(body);
+    expect(encryptor.getStats()).toEqual({ encrypted: 2, decrypted: 1, decryptFailed: 0 });
+  });
+
+  it('should return messages that were not encrypted as they are', async () => {
+    const message = { MessageId: 'm1', Body: '{}', MessageAttributes: {} };
+    
+    expect(await encryptor.decrypt(message)).toBe(message);
+  });
+
+  it('should decrypt messages encrypted before a key rotation', async () => {
+    const encrypted = await encryptor.encrypt('before');
+    keyring.addKey('k2', LocalKeyring.generateKey());
+    keyring.setCurrentKey('k2');
+    
+    expect((await encryptor.encrypt('after')).keyId).toBe('k2');
+    expect((await encryptor.decrypt(toMessage(encrypted))).Body).toBe('before');
+  });
+
+  it('should fail tampered bodies with a poison decryption error', async () => {
+    const encrypted = await encryptor.encrypt('{"amount":100}');
+    const tampered = Buffer.from(encrypted.body, 'base64');
+    tampered[tampered.length - 1] ^= 1;
+    
+    const error = await encryptor.decrypt({ ...toMessage(encrypted), Body: tampered.toString('base64') })
+      .catch(caught => caught);
+    
+    expect(error).toBeInstanceOf(MessageDecryptionError);
+    expect(error.message).toMatch(/^Failed to decrypt message body/);
+    expect(error.code).toBe('MESSAGE_DECRYPTION_ERROR');
+    expect(error.details).toEqual({ keyId: 'k1' });
+    expect(error.poison).toBe(true);
+    expect(encryptor.getStats().decryptFailed).toBe(1);
+  });
+
+  it('should fail messages without a data key', async () => {
+    const message = toMessage(await encryptor.encrypt('{}'));
+    delete message.MessageAttributes['boxq-encrypted-data-key'];
+    
+    await expect(encryptor.decrypt(message)).rejects.toThrow('Encrypted message has no data key');
+  });
+
+  it('should let messages be redelivered when the key provider fails', async () => {
+    const message = toMessage(await encryptor.encrypt('{}'));
+    const unavailable = new EnvelopeEncryptor({
+      keyProvider: {
+        generateDataKey: keyring.generateDataKey,
+        decryptDataKey: jest.fn().mockRejectedValue(new Error('Service unavailable'))
+      }
+    });
+    
+    const error = await unavailable.decrypt(message).catch(caught => caught);
+    
+    expect(error).toBeInstanceOf(MessageDecryptionError);
+    expect(error.message).toBe('Failed to decrypt data key with key k1: Service unavailable');
+    expect(error.poison).toBe(false);
+  });
+
+  it('should report its configuration', () => {
+    expect(encryptor.getConfig()).toEqual({ algorithm: 'aes-256-gcm', keyProvider: 'LocalKeyring' });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Tests for PayloadOffloader
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const PayloadOffloader = require('../../src/utils/PayloadOffloader');
+const { PayloadFetchError } = require('../../src/errors');
+
+describe('PayloadOffloader', () => {
+  let blobs;
+  let store;
+  let offloader;
+
+  beforeEach(() => {
+    blobs = new Map();
+    store = {
+      put: jest.fn(async (key, body) => {
+        blobs.set(key, body);
+      }),
+      get: jest.fn(async (key) => {
+        if (!blobs.has(key)) {
+          throw new Error(`Payload ${key} not found`);
+        }
+        return blobs.get(key);
+      }),
+      delete: jest.fn(async (key) => blobs.delete(key))
+    };
+    offloader = new PayloadOffloader({ store, thresholdBytes: 100, keyPrefix: 'reports/' });
+  });
+
+  it('should require a complete store', () => {
+    expect(() => new PayloadOffloader()).toThrow('Blob store must implement put, get and delete');
+    expect(() => new PayloadOffloader({ store: { put: jest.fn(), get: jest.fn() } }))
+      .toThrow('Blob store must implement put, get and delete');
+  });
+
+  it('should never let the threshold exceed what SQS accepts', () => {
+    expect(new PayloadOffloader({ store, thresholdBytes: 10 * 1024 * 1024 }).thresholdBytes).toBe(262144);
+  });
+
+  it('should count attributes towards the message size', () => {
+    const attributes = { 'content-type': { DataType: 'String', StringValue: 'application/json' } };
+    
+    expect(PayloadOffloader.measure('x'.repeat(50), attributes)).toBe(50 + 12 + 6 + 16);
+    expect(offloader.needsOffloading('x'.repeat(80), attributes)).toBe(true);
+    expect(offloader.needsOffloading('x'.repeat(60), attributes)).toBe(false);
+  });
+
+  it('should round-trip offloaded bodies', async () => {
+    const body = JSON.stringify({ report: 'é'.repeat(100) });
+    
+    const pointer = await offloader.offload(body);
+    const message = { MessageId: 'm1', Body: pointer.body, MessageAttributes: pointer.attributes };
+    
+    expect(pointer.payloadKey).toBe('reports/mock-uuid-1234');
+    expect(JSON.parse(pointer.body).size).toBe(Buffer.byteLength(body));
+    expect((await offloader.fetch(message)).Body).toBe(body);
+    expect(offloader.getStats()).toMatchObject({ offloaded: 1, offloadedBytes: Buffer.byteLength(body), fetched: 1 });
+  });
+
+  it('should return messages that were not offloaded as they are', async () => {
+    const message = { MessageId: 'm1', Body: '{}' };
+    
+    expect(await offloader.fetch(message)).toBe(message);
+    expect(store.get).not.toHaveBeenCalled();
+  });
+
+  it('should raise a PayloadFetchError for missing payloads', async () => {
+    const message = {
+      MessageId: 'm1',
+      Body: '{}',
+      MessageAttributes: { 'boxq-payload-key': { DataType: 'String', StringValue: 'reports/gone' } }
+    };
+    
+    const error = await offloader.fetch(message).catch(caught => caught);
+    
+    expect(error).toBeInstanceOf(PayloadFetchError);
+    expect(error.code).toBe('PAYLOAD_FETCH_ERROR');
+    expect(error.message).toBe('Failed to fetch payload reports/gone: Payload reports/gone not found');
+    expect(error.details).toEqual({ payloadKey: 'reports/gone' });
+    expect(offloader.getStats().fetchFailed).toBe(1);
+  });
+
+  it('should delete payloads and count the deletes that fail', async () => {
+    const pointer = await offloader.offload('x'.repeat(200));
+    store.delete.mockRejectedValueOnce(new Error('Access denied'));
+    const onError = jest.fn();
+    offloader = new PayloadOffloader({ store, thresholdBytes: 100, keyPrefix: 'reports/', onError });
+    const messages = [{ MessageAttributes: pointer.attributes }, { MessageId: 'plain' }];
+    
+    await offloader.discard(messages);
+    await offloader.discard(messages);
+    
+    expect(store.delete).toHaveBeenCalledTimes(2);
+    expect(offloader.getStats()).toMatchObject({ deleted: 1, deleteFailed: 1 });
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Access denied' }), {
+      operation: 'delete_payload',
+      payloadKey: pointer.payloadKey
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Tests for SchemaValidator
+ * @author Ankur Mahajan
+ * @version 1.0.0
+ */
+
+const SchemaValidator = require('../../src/utils/SchemaValidator');
+const { MessageValidationError } = require('../../src/errors');
+
+describe('SchemaValidator', () => {
+  const orderSchema = {
+    type: 'object',
+    required: ['type', 'orderId', 'amount'],
+    properties: {
+      type: { const: 'order.created' },
+      orderId: { type: 'string', pattern: '^ord-[0-9]+$' },
+      amount: { type: 'number', minimum: 0 },
+      currency: { enum: ['EUR', 'USD'] },
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['sku'],
+          properties: { sku: { type: 'string', minLength: 1 }, quantity: { type: 'integer', exclusiveMinimum: 0 } },
+          additionalProperties: false
+        }
+      }
+    }
+  };
+
+  const validOrder = { type: 'order.created', orderId: 'ord-1', amount: 10.5, items: [{ sku: 'a', quantity: 2 }] };
+
+  describe('JSON Schema subset', () => {
+    const validator = new SchemaValidator({ schemas: { 'order.created': orderSchema } });
+    
+    it('should accept a matching body', () => {
+      expect(validator.validate(validOrder)).toEqual({ valid: true, type: 'order.created', errors: [] });
+    });
+    
+    it('should report every error with its path', () => {
+      const result = validator.validate({
+        type: 'order.created',
+        orderId: 42,
+        currency: 'GBP',
+        items: [{ sku: '', quantity: 1.5, colour: 'red' }]
+      });
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        { path: 'amount', message: 'is required' },
+        { path: 'orderId', message: 'must be string' },
+        { path: 'currency', message: 'must be one of "EUR", "USD"' },
+        { path: 'items[0].sku', message: 'must have at least 1 characters' },
+        { path: 'items[0].quantity', message: 'must be integer' },
+        { path: 'items[0].colour', message: 'is not allowed' }
+      ]);
+    });
+    
+    it.each([
+      [{ type: ['string', 'null'] }, null, true],
+      [{ type: 'number' }, 3, true],
+      [{ type: 'integer' }, 3.5, false],
+      [{ maximum: 5, multipleOf: 2 }, 4, true],
+      [{ exclusiveMaximum: 5 }, 5, false],
+      [{ maxLength: 2 }, 'äöü', false],
+      [{ format: 'email' }, 'ops@example.com', true],
+      [{ format: 'date-time' }, '2024-02-30T25:00:00Z', false],
+      [{ format: 'uuid' }, 'not-a-uuid', false],
+      [{ uniqueItems: true }, [1, 2, 1], false],
+      [{ maxProperties: 1 }, { a: 1, b: 2 }, false],
+      [{ anyOf: [{ type: 'string' }, { minimum: 10 }] }, 12, true],
+      [{ oneOf: [{ type: 'number' }, { minimum: 10 }] }, 12, false],
+      [{ allOf: [{ type: 'number' }, { minimum: 10 }] }, 9, false],
+      [{ not: { type: 'null' } }, null, false]
+    ])('should check %j against %j', (schema, value, valid) => {
+      expect(new SchemaValidator({ schema }).validate(value).valid).toBe(valid);
+    });
+    
+    it('should not take inherited object keys for declared properties', () => {
+      const validator = new SchemaValidator({
+        schema: { properties: { sku: { type: 'string' } }, additionalProperties: false }
+      });
+      
+      expect(validator.validate(JSON.parse('{"sku":"a","constructor":1,"toString":"b"}')).errors).toEqual([
+        { path: 'constructor', message: 'is not allowed' },
+        { path: 'toString', message: 'is not allowed' }
+      ]);
+    });
+    
+    it('should reject unsupported keywords when created', () => {
+      expect(() => new SchemaValidator({ schemas: { order: { properties: { customer: { $ref: '#/customer' } } } } }))
+        .toThrow('Unsupported schema keyword in order: $ref');
+      expect(() => new SchemaValidator({ schema: 'object' })).toThrow('Schema for default must be an object');
+    });
+  });
+
+  describe('schema selection', () => {
+    it('should pick the schema by the type field and fall back to the default schema', () => {
+      const validator = new SchemaValidator({
+        typeField: 'kind',
+        schemas: { 'order.created': { required: ['orderId'] } },
+        schema: { required: ['id'] }
+      });
+      
+      expect(validator.validate({ kind: 'order.created', orderId: 'ord-1' }).valid).toBe(true);
+      expect(validator.validate({ kind: 'user.created' }).errors).toEqual([{ path: 'id', message: 'is required' }]);
+    });
+    
+    it('should let messages without a schema through unless unknown types are rejected', () => {
+      const schemas = { 'order.created': orderSchema };
+      
+      expect(new SchemaValidator({ schemas }).validate({ type: 'user.created' }).valid).toBe(true);
+      expect(new SchemaValidator({ schemas, rejectUnknownTypes: true }).validate({ type: 'user.created' }).errors)
+        .toEqual([{ path: 'type', message: 'has no schema for user.created' }]);
+    });
+  });
+
+  describe('validator functions', () => {
+    it.each([
+      [() => true, []],
+      [() => undefined, []],
+      [() => false, [{ path: '', message: 'is invalid' }]],
+      [() => ['missing id', { path: 'amount', message: 'must be positive' }],
+        [{ path: '', message: 'missing id' }, { path: 'amount', message: 'must be positive' }]],
+      [() => { throw new Error('boom'); }, [{ path: '', message: 'boom' }]]
+    ])('should map the result of %s', (validate, errors) => {
+      expect(new SchemaValidator({ schema: validate }).validate({ id: 1 }).errors).toEqual(errors);
+    });
+    
+    it('should be called with the body and its type', () => {
+      const validate = jest.fn(() => true);
+      
+      new SchemaValidator({ schemas: { ping: validate } }).validate({ type: 'ping' });
+      
+      expect(validate).toHaveBeenCalledWith({ type: 'ping' }, 'ping');
+    });
+  });
+
+  describe('assertValid', () => {
+    it('should throw a poison MessageValidationError carrying the errors', () => {
+      const validator = new SchemaValidator({ schemas: { 'order.created': orderSchema } });
+      
+      let thrown;
+      try {
+        validator.assertValid({ type: 'order.created', orderId: 1, amount: -1, currency: 'GBP', items: [] });
+      } catch (error) {
+        thrown = error;
+      }
+      
+      expect(thrown).toBeInstanceOf(MessageValidationError);
+      expect(thrown.message).toBe(
+        'Message failed schema validation: orderId must be string; amount must be >= 0; ' +
+        'currency must be one of "EUR", "USD" (and 1 more)'
+      );
+      expect(thrown.code).toBe('MESSAGE_VALIDATION_ERROR');
+      expect(thrown.poison).toBe(true);
+      expect(thrown.validationErrors).toHaveLength(4);
+      expect(thrown.details.type).toBe('order.created');
+    });
+    
+    it('should not throw for a valid body', () => {
+      expect(() => new SchemaValidator({ schema: orderSchema }).assertValid(validOrder)).not.toThrow();
+    });
+  });
+
+  describe('from', () => {
+    it('should share validators and create them from configuration', () => {
+      const validator = new SchemaValidator({ schema: orderSchema });
+      
+      expect(SchemaValidator.from(validator)).toBe(validator);
+      expect(SchemaValidator.from({ schema: orderSchema })).toBeInstanceOf(SchemaValidator);
+      expect(SchemaValidator.from(undefined)).toBeNull();
+    });
+  });
+});